@@ -14,6 +14,9 @@ app.use(cors());
 // Serve static files from the current directory
 app.use(express.static(__dirname));
 
+// Serve the shared XRAI container library from the repository tools directory
+app.use('/tools', express.static(path.join(__dirname, '..', '..', 'tools')));
+
 // Fallback route for any other requests
 app.get('*', (req, res) => {
   // If the request is for the root, serve index.html
@@ -12,6 +12,9 @@ app.use(cors());
 // Serve static files from the current directory
 app.use(express.static(__dirname));
 
+// Serve the shared XRAI container library from the repository tools directory
+app.use('/tools', express.static(path.join(__dirname, '..', '..', 'tools')));
+
 // Default route serves the fixed XRAI viewer
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'xrai-fixed-viewer.html'));
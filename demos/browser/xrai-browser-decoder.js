@@ -1,6 +1,15 @@
 /**
  * XRAI Browser Decoder
  * A browser-compatible implementation of the XRAI format decoder
+ *
+ * Container parsing is done by tools/xrai-codecs.js, tools/xrai-buffers.js,
+ * tools/xrai-integrity.js, tools/xrai-extensions.js and tools/xrai-container.js, which must be loaded first
+ * (the demo servers expose them under tools/).
+ * open() also needs tools/xrai-sources.js, and decodeStream() tools/xrai-stream.js.
+ * Decoded sections are cached when tools/xrai-cache.js is loaded; pass a cache with an
+ * XRAIIndexedDBCacheStore to keep them across visits. resolveExternal() needs
+ * tools/xrai-resolver.js. To check sections against the schema in validate(), load ajv and
+ * tools/xrai-schema.js and pass an XRAISchemaValidator as the schema option.
  */
 
 class XRAIBrowserDecoder {
@@ -8,26 +17,28 @@ class XRAIBrowserDecoder {
         this.options = {
             validateOnLoad: options.validateOnLoad !== false,
             useCache: options.useCache !== false,
+            cache: null, // Section cache (see tools/xrai-cache.js); in memory by default
+            corruptSections: 'refuse', // Sections failing their checksum: refuse, skip or ignore
+            limits: null, // Resource limits for untrusted files (see XRAIContainer.DEFAULT_LIMITS)
+            extensions: null, // Extension registry (defaults to XRAIExtensions.defaultRegistry)
+            onExternalError: null, // (error, reference) for external buffers and images that fail to load
+            schema: null, // XRAISchemaValidator checking sections in validate() (see tools/xrai-schema.js)
             ...options
         };
         
-        // Cache for decoded data
-        this.cache = new Map();
+        // Shared container implementation
+        this.container = typeof XRAIContainer !== 'undefined' ? XRAIContainer : require('../../tools/xrai-container');
         
-        // Section type mapping for faster lookups
-        this.sectionTypes = {
-            1: 'metadata',
-            2: 'geometry',
-            3: 'materials',
-            4: 'animations',
-            5: 'audio',
-            6: 'aiComponents',
-            7: 'vfx',
-            8: 'buffers',
-            9: 'images',
-            10: 'scene',
-            11: 'extensions'
-        };
+        // External buffers and images already downloaded, by URL, shared by every file decoded
+        this.externalData = new Map();
+        
+        // Decoded sections, keyed by a hash of their bytes, so a re-downloaded file with a few
+        // changed sections only has those decoded again
+        this.cache = null;
+        if (this.options.useCache) {
+            const caching = typeof XRAICache !== 'undefined' ? XRAICache : (typeof require === 'function' ? require('../../tools/xrai-cache') : null);
+            this.cache = this.options.cache || (caching ? new caching.XRAISectionCache() : null);
+        }
     }
     
     /**
@@ -43,6 +54,11 @@ class XRAIBrowserDecoder {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             const buffer = await response.arrayBuffer();
+            
+            // decode() is synchronous, so sections kept in IndexedDB are brought into memory first
+            if (this.cache && this._isContainer(buffer)) {
+                await this._createReader(buffer).loadCached();
+            }
             return this.decode(buffer);
         } catch (error) {
             console.error('Error fetching XRAI file:', error);
@@ -53,410 +69,182 @@ class XRAIBrowserDecoder {
     /**
      * Decode an XRAI file
      * @param {ArrayBuffer} buffer - XRAI file data as ArrayBuffer
-     * @returns {Object} - Decoded data
+     * @returns {Object} - Decoded data (see tools/xrai-container.js for the shape)
      */
     decode(buffer) {
         console.log(`Decoding XRAI data (${buffer.byteLength} bytes)...`);
         
-        // Check cache if enabled
-        if (this.options.useCache) {
-            const cacheKey = this._getCacheKey(buffer);
-            if (this.cache.has(cacheKey)) {
-                return this.cache.get(cacheKey);
-            }
-        }
-        
-        // Validate if enabled
-        if (this.options.validateOnLoad) {
-            const validationResult = this._validateBuffer(buffer);
-            if (!validationResult.valid) {
-                throw new Error(`Invalid XRAI file: ${validationResult.errors.join(', ')}`);
-            }
-        }
-        
         // Check if this is a binary XRAI file or JSON
-        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const magic = String.fromCharCode(...bytes.subarray(0, 4));
         
-        // Check for XRAI magic number
-        const magic = String.fromCharCode(
-            view.getUint8(0),
-            view.getUint8(1),
-            view.getUint8(2),
-            view.getUint8(3)
-        );
+        let result;
         
-        if (magic === 'XRAI') {
-            // This is a binary XRAI file
-            // Parse header
-            const header = this._parseHeader(buffer);
-            
-            // Parse TOC
-            const toc = this._parseTOC(buffer, header.tocOffset);
-            
-            // Parse sections
-            const result = this._parseSections(buffer, toc, header);
-            
-            // Add format info
-            result._format = {
-                version: `${header.versionMajor}.${header.versionMinor}`,
-                flags: header.flags
-            };
-            
-            // Cache result if enabled
-            if (this.options.useCache) {
-                const cacheKey = this._getCacheKey(buffer);
-                this.cache.set(cacheKey, result);
+        if (this._isContainer(buffer)) {
+            // Validate if enabled
+            if (this.options.validateOnLoad) {
+                this._checkValid(buffer);
             }
             
-            return result;
+            result = this._createReader(buffer).decode();
         } else {
-            // This is a JSON file, decode as JSON
+            // JSON documents start with an object; anything else is neither format
+            const text = new TextDecoder('utf-8').decode(buffer);
+            if (!text.trimStart().startsWith('{')) {
+                throw new this.container.XRAIFormatError('E_BAD_MAGIC', `Not an XRAI file or JSON document: starts with "${magic}"`);
+            }
+            
             try {
-                const decoder = new TextDecoder('utf-8');
-                const jsonString = decoder.decode(buffer);
-                const result = JSON.parse(jsonString);
-                
-                // Cache result if enabled
-                if (this.options.useCache) {
-                    const cacheKey = this._getCacheKey(buffer);
-                    this.cache.set(cacheKey, result);
-                }
-                
-                return result;
+                result = JSON.parse(text);
             } catch (error) {
-                throw new Error(`Failed to parse JSON: ${error.message}`);
+                throw new this.container.XRAIFormatError('E_INVALID_JSON', `Failed to parse JSON: ${error.message}`);
             }
         }
         
-
+        return result;
     }
     
     /**
-     * Validate an XRAI buffer
-     * @param {ArrayBuffer} buffer - XRAI buffer
-     * @returns {Object} - Validation result
+     * Open an XRAI file for random access, reading only its header and table of contents
+     *
+     * Sections are fetched when requested, so metadata can be shown before the geometry
+     * arrives. URLs are read with HTTP Range requests.
+     *
+     * @param {string|Blob|ArrayBuffer} source - URL, Blob/File or bytes
+     * @returns {Promise<Object>} - XRAIHandle with listSections(), getSection() and getSectionRaw()
      */
-    _validateBuffer(buffer) {
-        try {
-            const view = new DataView(buffer);
-            
-            // Read magic number
-            const magic = String.fromCharCode(
-                view.getUint8(0),
-                view.getUint8(1),
-                view.getUint8(2),
-                view.getUint8(3)
-            );
-            
-            // Validate magic number
-            if (magic !== 'XRAI') {
-                return {
-                    valid: false,
-                    errors: [`Invalid magic number: ${magic}`]
-                };
-            }
-            
-            // Read version
-            const versionMajor = view.getUint8(4);
-            const versionMinor = view.getUint8(5);
-            
-            // Check version
-            if (versionMajor > 1) {
-                return {
-                    valid: false,
-                    errors: [`Unsupported version: ${versionMajor}.${versionMinor}`]
-                };
-            }
-            
-            // Read TOC offset
-            const tocOffset = Number(view.getBigUint64(8, true));
-            
-            // Check TOC offset bounds
-            if (tocOffset >= buffer.byteLength) {
-                return {
-                    valid: false,
-                    errors: [`Invalid TOC offset: ${tocOffset}, fileSize=${buffer.byteLength}`]
-                };
-            }
-            
-            // Read TOC
-            if (tocOffset + 4 > buffer.byteLength) {
-                return {
-                    valid: false,
-                    errors: [`Invalid TOC: not enough bytes to read section count`]
-                };
-            }
-            
-            const sectionCount = view.getUint32(tocOffset, true);
-            
-            // Check if section count is reasonable
-            if (sectionCount > 100) {
-                return {
-                    valid: false,
-                    errors: [`Invalid section count: ${sectionCount} (max 100)`]
-                };
-            }
-            
-            // Check if we can read all TOC entries
-            const tocSize = 4 + (sectionCount * 24);
-            if (tocOffset + tocSize > buffer.byteLength) {
-                return {
-                    valid: false,
-                    errors: [`Invalid TOC: not enough bytes to read all section entries`]
-                };
-            }
-            
-            // Validate each section
-            const sections = [];
-            let tocEntryOffset = tocOffset + 4; // Skip section count
-            
-            for (let i = 0; i < sectionCount; i++) {
-                const typeId = view.getUint32(tocEntryOffset, true);
-                const sectionOffset = Number(view.getBigUint64(tocEntryOffset + 4, true));
-                const sectionSize = Number(view.getBigUint64(tocEntryOffset + 12, true));
-                
-                // Check section bounds
-                if (sectionOffset + sectionSize > buffer.byteLength) {
-                    return {
-                        valid: false,
-                        errors: [`Invalid section bounds: section ${i}, offset=${sectionOffset}, size=${sectionSize}, fileSize=${buffer.byteLength}`]
-                    };
-                }
-                
-                sections.push({
-                    typeId,
-                    offset: sectionOffset,
-                    size: sectionSize
-                });
-                
-                tocEntryOffset += 24; // Size of each TOC entry
-            }
-            
-            // Check for required sections
-            const hasMetadata = sections.some(section => section.typeId === 1);
-            if (!hasMetadata) {
-                return {
-                    valid: false,
-                    errors: [`Missing required metadata section (type 1)`]
-                };
-            }
-            
-            return {
-                valid: true,
-                version: `${versionMajor}.${versionMinor}`,
-                sections: sections.map(s => ({ type: s.typeId, size: s.size }))
-            };
-        } catch (error) {
-            return {
-                valid: false,
-                errors: [`Validation failed: ${error.message}`]
-            };
-        }
+    async open(source) {
+        const sources = typeof XRAISources !== 'undefined' ? XRAISources : require('../../tools/xrai-sources');
+        return sources.open(source, { ...this.options, cache: this.cache });
     }
     
     /**
-     * Parse XRAI header
-     * @param {ArrayBuffer} buffer - XRAI buffer
-     * @returns {Object} - Parsed header
+     * Create a resolver for the external buffers and images of a file
+     *
+     * Nothing is downloaded until the resolver is asked for a buffer, accessor or image.
+     *
+     * @param {string} baseUri - URL of the XRAI file; relative references are resolved against it
+     * @returns {XRAIResourceResolver} - Resolver (see tools/xrai-resolver.js)
      */
-    _parseHeader(buffer) {
-        const view = new DataView(buffer);
-        
-        // Read magic number
-        const magic = String.fromCharCode(
-            view.getUint8(0),
-            view.getUint8(1),
-            view.getUint8(2),
-            view.getUint8(3)
-        );
-        
-        // Read version
-        const versionMajor = view.getUint8(4);
-        const versionMinor = view.getUint8(5);
-        
-        // Read flags
-        const flags = view.getUint16(6, true);
-        
-        // Read TOC offset
-        const tocOffset = Number(view.getBigUint64(8, true));
-        
-        return { magic, versionMajor, versionMinor, flags, tocOffset };
+    createResolver(baseUri) {
+        const resolvers = typeof XRAIResolver !== 'undefined' ? XRAIResolver : require('../../tools/xrai-resolver');
+        return new resolvers.XRAIResourceResolver({
+            baseUri,
+            cache: this.externalData,
+            onError: this.options.onExternalError
+        });
     }
     
     /**
-     * Parse XRAI TOC
-     * @param {ArrayBuffer} buffer - XRAI buffer
-     * @param {number} tocOffset - TOC offset
-     * @returns {Object} - Parsed TOC
+     * Download the external buffers and images of a decoded file
+     * @param {Object} data - Decoded XRAI data
+     * @param {string} baseUri - URL of the XRAI file
+     * @returns {Promise<Object>} - The same data, with external accessors resolved and image data loaded
      */
-    _parseTOC(buffer, tocOffset) {
-        const view = new DataView(buffer);
-        
-        // Read section count
-        const sectionCount = view.getUint32(tocOffset, true);
-        
-        // Parse sections
-        const sections = [];
-        let tocEntryOffset = tocOffset + 4; // Skip section count
-        
-        for (let i = 0; i < sectionCount; i++) {
-            const typeId = view.getUint32(tocEntryOffset, true);
-            const sectionOffset = Number(view.getBigUint64(tocEntryOffset + 4, true));
-            const sectionSize = Number(view.getBigUint64(tocEntryOffset + 12, true));
-            const sectionFlags = view.getUint32(tocEntryOffset + 20, true);
-            
-            sections.push({
-                typeId,
-                offset: sectionOffset,
-                size: sectionSize,
-                flags: sectionFlags
-            });
-            
-            tocEntryOffset += 24; // Size of each TOC entry
+    async resolveExternal(data, baseUri) {
+        if ((data.container.flags & this.container.HEADER_FLAGS.EXTERNAL_REFERENCES) === 0) {
+            return data;
         }
-        
-        return {
-            sectionCount,
-            sections,
-            size: 4 + (sectionCount * 24) // TOC size
-        };
+        return this.createResolver(baseUri).resolveDocument(data);
     }
     
     /**
-     * Parse XRAI sections
-     * @param {ArrayBuffer} buffer - XRAI buffer
-     * @param {Object} toc - Parsed TOC
-     * @param {Object} header - Parsed header
-     * @returns {Object} - Parsed sections
+     * Decode a local file without reading it into one ArrayBuffer
+     *
+     * Sections are read one at a time with Blob.slice, so files larger than the largest
+     * ArrayBuffer can be decoded. Decoded sections go through the section cache like decode().
+     *
+     * @param {Blob|File} file - XRAI file, e.g. from an <input type="file">
+     * @returns {Promise<Object>} - Decoded XRAI data
      */
-    _parseSections(buffer, toc, header) {
-        const result = {};
-        
-        // Parse each section
-        for (const section of toc.sections) {
-            // Get section data
-            const sectionBuffer = buffer.slice(section.offset, section.offset + section.size);
-            
-            // Get section type
-            const sectionType = this.sectionTypes[section.typeId] || `unknown_${section.typeId}`;
-            
-            // Parse section
-            const sectionData = this._parseSection(sectionType, sectionBuffer, section.flags);
-            
-            // Add to result
-            if (section.typeId === 1) { // Metadata
-                // Merge metadata with result
-                Object.assign(result, sectionData);
-            } else {
-                result[sectionType] = sectionData;
-            }
+    async decodeFile(file) {
+        const handle = await this.open(file);
+        try {
+            return await handle.decode();
+        } finally {
+            await handle.close();
         }
-        
-        return result;
     }
     
     /**
-     * Parse a section
-     * @param {string} type - Section type
-     * @param {ArrayBuffer} data - Section data
-     * @param {number} flags - Section flags
-     * @returns {Object|Array|ArrayBuffer} - Parsed section data
+     * Decode an XRAI file incrementally as it downloads
+     *
+     * Sections are decoded as soon as their bytes arrive, e.g. from fetch(url).body;
+     * listen for them with options.on.section.
+     *
+     * @param {ReadableStream} stream - Stream of file bytes
+     * @param {Object} options - Stream options
+     * @param {Object} [options.on] - Listeners for header, toc, section, progress and end (see tools/xrai-stream.js)
+     * @returns {Promise<Object>} - Decoded XRAI data
      */
-    _parseSection(type, data, flags) {
-        // Check if data is compressed
-        const isCompressed = (flags & 0x1) !== 0;
-        const compressionAlgo = (flags >> 8) & 0xFF;
-        
-        // Decompress if needed
-        let decompressedData = data;
-        if (isCompressed) {
-            try {
-                console.log(`Decompressing ${type} section: ${data.byteLength} bytes, flags: ${flags.toString(16)}, algo: ${compressionAlgo}`);
-                
-                // Default to deflate if no algorithm is specified or if it's explicitly set to 1
-                if (compressionAlgo === 0 || compressionAlgo === 1) { // Deflate
-                    // In browser, use pako for decompression
-                    if (typeof pako !== 'undefined') {
-                        decompressedData = pako.inflate(new Uint8Array(data)).buffer;
-                        console.log(`Decompressed to ${decompressedData.byteLength} bytes`);
-                    } else {
-                        console.warn('Pako library not available for decompression');
-                    }
-                } else {
-                    console.warn(`Unknown compression algorithm: ${compressionAlgo}, treating as uncompressed`);
-                }
-            } catch (error) {
-                console.error(`Decompression failed for ${type} section: ${error.message}`);
-                // Continue with compressed data
-            }
-        }
-        
-        // Parse based on section type
-        switch (type) {
-            case 'metadata':
-            case 'geometry':
-            case 'materials':
-            case 'animations':
-            case 'aiComponents':
-            case 'vfx':
-            case 'scene':
-                // Parse as JSON
-                return this._parseJSON(decompressedData);
-            
-            case 'buffers':
-            case 'images':
-            case 'audio':
-                // Return as binary data
-                return decompressedData;
-            
-            default:
-                // Try to parse as JSON, fall back to binary
-                try {
-                    return this._parseJSON(decompressedData);
-                } catch (error) {
-                    return decompressedData;
-                }
-        }
+    async decodeStream(stream, options = {}) {
+        const streaming = typeof XRAIStream !== 'undefined' ? XRAIStream : require('../../tools/xrai-stream');
+        return streaming.decodeStream(stream, { ...this.options, ...options });
     }
     
     /**
-     * Parse JSON data
-     * @param {ArrayBuffer} data - JSON data
-     * @returns {Object|Array} - Parsed JSON
+     * Validate an XRAI buffer, including section checksums and the file digest when present
+     * @param {ArrayBuffer} buffer - XRAI buffer
+     * @returns {Object} - Validation result; corruptSections lists the TOC indices of damaged sections
      */
-    _parseJSON(data) {
-        const decoder = new TextDecoder('utf-8');
-        const jsonString = decoder.decode(data);
-        
-        try {
-            return JSON.parse(jsonString);
-        } catch (error) {
-            throw new Error(`Invalid JSON data: ${error.message}`);
+    validate(buffer) {
+        return this.container.validate(buffer, {
+            codecs: this.options.codecs,
+            corruptSections: this.options.corruptSections,
+            limits: this.options.limits,
+            extensions: this.options.extensions,
+            schema: this.options.schema
+        });
+    }
+    
+    /**
+     * Throw if a buffer does not pass validate()
+     * @param {ArrayBuffer} buffer - XRAI buffer
+     */
+    _checkValid(buffer) {
+        const validationResult = this.validate(buffer);
+        if (!validationResult.valid) {
+            const message = `Invalid XRAI file: ${validationResult.errors.join(', ')}`;
+            throw validationResult.code ? new this.container.XRAIFormatError(validationResult.code, message) : new Error(message);
         }
     }
     
     /**
-     * Get cache key for a buffer
+     * Create a container reader for a buffer
+     * @param {ArrayBuffer} buffer - XRAI buffer
+     * @returns {Object} - XRAIContainerReader
+     */
+    _createReader(buffer) {
+        // Deflate sections need pako in the browser; see tools/xrai-codecs.js
+        return new this.container.XRAIContainerReader(buffer, {
+            codecs: this.options.codecs,
+            corruptSections: this.options.corruptSections,
+            limits: this.options.limits,
+            extensions: this.options.extensions,
+            cache: this.cache
+        });
+    }
+    
+    /**
+     * Check whether a buffer holds a binary XRAI container rather than JSON
      * @param {ArrayBuffer} buffer - Buffer
-     * @returns {string} - Cache key
+     * @returns {boolean} - True when the buffer starts with the XRAI magic number
      */
-    _getCacheKey(buffer) {
-        // Use buffer length and first few bytes as cache key
-        const view = new DataView(buffer);
-        const firstBytes = [];
-        
-        for (let i = 0; i < Math.min(16, buffer.byteLength); i++) {
-            firstBytes.push(view.getUint8(i).toString(16).padStart(2, '0'));
-        }
-        
-        return `${buffer.byteLength}:${firstBytes.join('')}`;
+    _isContainer(buffer) {
+        const bytes = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+        return String.fromCharCode(...bytes) === this.container.MAGIC;
     }
     
     /**
-     * Clear decoder cache
+     * Clear decoder cache, including downloaded external data
+     * @param {boolean} [clearStore=false] - Also clear the cache's store
+     * @returns {Promise<void>}
      */
-    clearCache() {
-        this.cache.clear();
+    async clearCache(clearStore = false) {
+        this.externalData.clear();
+        if (this.cache) {
+            await this.cache.clear(clearStore);
+        }
     }
 }
 
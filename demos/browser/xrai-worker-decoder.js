@@ -0,0 +1,80 @@
+/**
+ * XRAI Worker Decoder
+ * XRAIBrowserDecoder that decompresses and parses sections on a pool of Web Workers
+ *
+ * The API is that of XRAIBrowserDecoder, except that decode() returns a Promise, so
+ * decoding a large file no longer stalls the render loop. Files opened with open() or
+ * decodeFile() read sections in their own ArrayBuffers, which are transferred to the
+ * workers without copying; decode() copies the sections it hands to workers out of the
+ * file buffer first. The result is the same object XRAIBrowserDecoder returns.
+ *
+ * Needs tools/xrai-workers.js besides the scripts xrai-browser-decoder.js needs, and loads
+ * tools/xrai-decode-worker.js in each worker. Workers have no pako of their own: pass its URL
+ * in workerScripts to decode deflate sections there.
+ */
+
+const XRAIBrowserDecoderBase = typeof XRAIBrowserDecoder !== 'undefined'
+    ? XRAIBrowserDecoder
+    : require('./xrai-browser-decoder').XRAIBrowserDecoder;
+
+class XRAIWorkerDecoder extends XRAIBrowserDecoderBase {
+    constructor(options = {}) {
+        super({
+            workers: null, // Number of workers (defaults to one per core, less one)
+            workerUrl: 'tools/xrai-decode-worker.js', // Worker script, relative to the page
+            workerScripts: [], // Scripts each worker loads first, e.g. pako for deflate sections
+            ...options
+        });
+        
+        const workers = typeof XRAIWorkers !== 'undefined' ? XRAIWorkers : require('../../tools/xrai-workers');
+        this.pool = new workers.XRAIWorkerPool({
+            size: this.options.workers || workers.getDefaultPoolSize(),
+            workerUrl: this.options.workerUrl,
+            scripts: this.options.workerScripts
+        });
+    }
+    
+    /**
+     * Decode an XRAI file on the workers
+     * @param {ArrayBuffer} buffer - XRAI file data as ArrayBuffer
+     * @returns {Promise<Object>} - Decoded data (see tools/xrai-container.js for the shape)
+     */
+    async decode(buffer) {
+        if (!this._isContainer(buffer)) {
+            // JSON documents are parsed as XRAIBrowserDecoder parses them
+            return super.decode(buffer);
+        }
+        
+        console.log(`Decoding XRAI data (${buffer.byteLength} bytes) on ${this.pool.size} workers...`);
+        if (this.options.validateOnLoad) {
+            this._checkValid(buffer);
+        }
+        return this.pool.decodeContainer(this._createReader(buffer));
+    }
+    
+    /**
+     * Open an XRAI file for random access; handle.decode() decodes on the workers
+     * @param {string|Blob|ArrayBuffer} source - URL, Blob/File or bytes
+     * @returns {Promise<Object>} - XRAIHandle
+     */
+    async open(source) {
+        const sources = typeof XRAISources !== 'undefined' ? XRAISources : require('../../tools/xrai-sources');
+        return sources.open(source, { ...this.options, cache: this.cache, workerPool: this.pool });
+    }
+    
+    /**
+     * Stop the workers; decoding afterwards fails
+     * @returns {Promise<void>}
+     */
+    terminate() {
+        return this.pool.terminate();
+    }
+}
+
+// If running in Node.js environment, export the class
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { XRAIWorkerDecoder };
+} else {
+    // Make available globally in browser
+    window.XRAIWorkerDecoder = XRAIWorkerDecoder;
+}
@@ -60,10 +60,10 @@ class XRAILoader {
     scene.metadata = container.metadata;
     
     // Create geometry based on capabilities
-    this._processGeometry(scene, container.geometry, capabilities);
+    this._processGeometry(scene, container.geometry || [], capabilities);
     
     // Process materials
-    this._processMaterials(scene, container.materials, capabilities);
+    this._processMaterials(scene, container.materials || [], capabilities);
     
     // Process animations
     if (container.animations) {
@@ -416,260 +416,8 @@ class XRAIDecoder {
    * @returns {Object} - The decoded XRAI container
    */
   decode(buffer) {
-    // Check magic number
-    const magic = new Uint8Array(buffer, 0, 4);
-    const magicString = String.fromCharCode(...magic);
-    
-    if (magicString !== 'XRAI') {
-      throw new Error('Invalid XRAI file: incorrect magic number');
-    }
-    
-    // Parse header
-    const headerView = new DataView(buffer);
-    const version = {
-      major: headerView.getUint8(4),
-      minor: headerView.getUint8(5)
-    };
-    const flags = headerView.getUint16(6, true);
-    const tocOffset = headerView.getBigUint64(8, true);
-    
-    // Parse table of contents
-    const tocView = new DataView(buffer, Number(tocOffset));
-    const sectionCount = tocView.getUint32(0, true);
-    
-    // Extract sections
-    const sections = {};
-    let offset = 4;
-    
-    for (let i = 0; i < sectionCount; i++) {
-      const typeId = tocView.getUint32(offset, true);
-      const sectionOffset = tocView.getBigUint64(offset + 4, true);
-      const sectionSize = tocView.getBigUint64(offset + 12, true);
-      const sectionFlags = tocView.getUint32(offset + 20, true);
-      
-      const sectionType = this._getSectionTypeFromId(typeId);
-      const sectionData = buffer.slice(
-        Number(sectionOffset),
-        Number(sectionOffset) + Number(sectionSize)
-      );
-      
-      sections[sectionType] = this._parseSectionData(sectionType, sectionData, sectionFlags);
-      
-      offset += 24;
-    }
-    
-    // Construct container object
-    return {
-      version,
-      flags,
-      ...sections
-    };
-  }
-  
-  /**
-   * Get section type from type ID
-   * @param {number} typeId - The section type ID
-   * @returns {string} - The section type name
-   */
-  _getSectionTypeFromId(typeId) {
-    const types = {
-      1: 'metadata',
-      2: 'geometry',
-      3: 'materials',
-      4: 'animations',
-      5: 'audio',
-      6: 'aiComponents',
-      7: 'vfx',
-      // Add more section types as needed
-    };
-    
-    return types[typeId] || `unknown_${typeId}`;
-  }
-  
-  /**
-   * Parse section data based on type
-   * @param {string} type - The section type
-   * @param {ArrayBuffer} data - The section data
-   * @param {number} flags - The section flags
-   * @returns {Object} - The parsed section data
-   */
-  _parseSectionData(type, data, flags) {
-    // Check if data is compressed
-    const isCompressed = (flags & 0x1) !== 0;
-    
-    // Decompress if needed
-    const decompressedData = isCompressed ? this._decompressData(data, flags) : data;
-    
-    // Parse based on section type
-    switch (type) {
-      case 'metadata':
-        return this._parseMetadata(decompressedData);
-      case 'geometry':
-        return this._parseGeometry(decompressedData);
-      case 'materials':
-        return this._parseMaterials(decompressedData);
-      case 'animations':
-        return this._parseAnimations(decompressedData);
-      case 'audio':
-        return this._parseAudio(decompressedData);
-      case 'aiComponents':
-        return this._parseAIComponents(decompressedData);
-      case 'vfx':
-        return this._parseVFX(decompressedData);
-      default:
-        console.warn(`Unknown section type: ${type}`);
-        return decompressedData;
-    }
-  }
-  
-  /**
-   * Decompress data
-   * @param {ArrayBuffer} data - The compressed data
-   * @param {number} flags - The section flags
-   * @returns {ArrayBuffer} - The decompressed data
-   */
-  _decompressData(data, flags) {
-    // Extract compression algorithm from flags
-    const compressionAlgo = (flags >> 8) & 0xFF;
-    
-    // Implement decompression based on algorithm
-    // This is a placeholder - actual implementation would depend on the compression used
-    console.log(`Decompressing data with algorithm ${compressionAlgo}`);
-    
-    // For this example, just return the original data
-    return data;
-  }
-  
-  /**
-   * Parse metadata section
-   * @param {ArrayBuffer} data - The metadata section data
-   * @returns {Object} - The parsed metadata
-   */
-  _parseMetadata(data) {
-    // Convert ArrayBuffer to string
-    const decoder = new TextDecoder('utf-8');
-    const jsonString = decoder.decode(data);
-    
-    // Parse JSON
-    try {
-      return JSON.parse(jsonString);
-    } catch (e) {
-      console.error('Error parsing metadata JSON:', e);
-      return {};
-    }
-  }
-  
-  /**
-   * Parse geometry section
-   * @param {ArrayBuffer} data - The geometry section data
-   * @returns {Array} - The parsed geometry data
-   */
-  _parseGeometry(data) {
-    // This is a simplified placeholder
-    // Actual implementation would parse the binary geometry data
-    
-    // For this example, assume the geometry is stored as JSON
-    const decoder = new TextDecoder('utf-8');
-    const jsonString = decoder.decode(data);
-    
-    try {
-      return JSON.parse(jsonString);
-    } catch (e) {
-      console.error('Error parsing geometry data:', e);
-      return [];
-    }
-  }
-  
-  /**
-   * Parse materials section
-   * @param {ArrayBuffer} data - The materials section data
-   * @returns {Array} - The parsed materials data
-   */
-  _parseMaterials(data) {
-    // Similar to geometry parsing, this is a simplified placeholder
-    const decoder = new TextDecoder('utf-8');
-    const jsonString = decoder.decode(data);
-    
-    try {
-      return JSON.parse(jsonString);
-    } catch (e) {
-      console.error('Error parsing materials data:', e);
-      return [];
-    }
-  }
-  
-  /**
-   * Parse animations section
-   * @param {ArrayBuffer} data - The animations section data
-   * @returns {Array} - The parsed animations data
-   */
-  _parseAnimations(data) {
-    // Simplified placeholder
-    const decoder = new TextDecoder('utf-8');
-    const jsonString = decoder.decode(data);
-    
-    try {
-      return JSON.parse(jsonString);
-    } catch (e) {
-      console.error('Error parsing animations data:', e);
-      return [];
-    }
-  }
-  
-  /**
-   * Parse audio section
-   * @param {ArrayBuffer} data - The audio section data
-   * @returns {Object} - The parsed audio data
-   */
-  _parseAudio(data) {
-    // Simplified placeholder
-    // In a real implementation, this would parse audio data and metadata
-    return {
-      clips: [],
-      spatial: {}
-    };
-  }
-  
-  /**
-   * Parse AI components section
-   * @param {ArrayBuffer} data - The AI components section data
-   * @returns {Object} - The parsed AI components data
-   */
-  _parseAIComponents(data) {
-    // Simplified placeholder
-    const decoder = new TextDecoder('utf-8');
-    const jsonString = decoder.decode(data);
-    
-    try {
-      return JSON.parse(jsonString);
-    } catch (e) {
-      console.error('Error parsing AI components data:', e);
-      return {
-        adaptationRules: [],
-        behaviorModels: []
-      };
-    }
-  }
-  
-  /**
-   * Parse VFX section
-   * @param {ArrayBuffer} data - The VFX section data
-   * @returns {Object} - The parsed VFX data
-   */
-  _parseVFX(data) {
-    // Simplified placeholder
-    const decoder = new TextDecoder('utf-8');
-    const jsonString = decoder.decode(data);
-    
-    try {
-      return JSON.parse(jsonString);
-    } catch (e) {
-      console.error('Error parsing VFX data:', e);
-      return {
-        particleSystems: [],
-        vfxGraphs: []
-      };
-    }
+    // Header, table of contents and section payloads are parsed by the shared container module
+    return XRAIContainer.decode(buffer);
   }
 }
 
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * XRAI Section Cache Test
+ * Checks least recently used eviction under the byte budget, that cached values are copies,
+ * and that entries written to a file store are read back by a later cache and decoder
+ *
+ * Usage:
+ *   node tools/test-cache.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { XRAISectionCache, XRAIFileCacheStore } = require('./xrai-cache');
+const { XRAIDecoder } = require('./xrai-decoder');
+
+const TEST_FILE = path.join(__dirname, '..', 'test', 'test-data-small.xrai');
+
+/**
+ * Report a check
+ * @param {string} label - What was checked
+ * @param {boolean} ok - Whether it passed
+ * @param {string} [detail] - Shown when it failed
+ * @returns {boolean} - ok
+ */
+function expect(label, ok, detail) {
+  if (ok) {
+    console.log(`✅ ${label}`);
+  } else {
+    console.error(`❌ ${label}${detail ? `\n     ${detail}` : ''}`);
+  }
+  return ok;
+}
+
+/**
+ * List the keys a cache holds in memory, least recently used first
+ * @param {XRAISectionCache} cache - Cache
+ * @returns {string} - Keys joined with commas
+ */
+function memoryKeys(cache) {
+  return Array.from(cache.entries.keys()).join(',');
+}
+
+function testEviction() {
+  let passed = true;
+  const cache = new XRAISectionCache({ maxBytes: 100 });
+  cache.set('a', { name: 'a' }, 40);
+  cache.set('b', { name: 'b' }, 40);
+  cache.get('a');
+  cache.set('c', { name: 'c' }, 40);
+  passed = expect('The least recently used entry is evicted over the budget',
+    memoryKeys(cache) === 'a,c' && cache.bytes === 80, `holds ${memoryKeys(cache)} (${cache.bytes} bytes)`) && passed;
+  passed = expect('An evicted entry is a miss',
+    cache.get('b') === undefined && cache.stats.misses === 1 && cache.stats.hits === 1,
+    `hits ${cache.stats.hits}, misses ${cache.stats.misses}`) && passed;
+  
+  cache.set('a', { name: 'a2' }, 60);
+  passed = expect('Setting a key again replaces its entry and its size',
+    memoryKeys(cache) === 'c,a' && cache.bytes === 100 && cache.get('a').name === 'a2',
+    `holds ${memoryKeys(cache)} (${cache.bytes} bytes)`) && passed;
+  
+  cache.set('huge', { name: 'huge' }, 101);
+  passed = expect('An entry larger than the budget is not kept in memory',
+    !cache.has('huge') && memoryKeys(cache) === 'c,a' && cache.bytes === 100, `holds ${memoryKeys(cache)} (${cache.bytes} bytes)`) && passed;
+  return passed;
+}
+
+function testCopies() {
+  let passed = true;
+  const cache = new XRAISectionCache();
+  const file = new Uint8Array(64);
+  const value = { nodes: [{ id: 'crate', position: [0, 1, 0] }], data: new Float32Array(file.buffer, 16, 4) };
+  cache.set('key', value, 64);
+  
+  value.nodes[0].id = 'changed';
+  value.nodes.push({ id: 'added' });
+  let cached = cache.get('key');
+  passed = expect('Changing a value after set does not change the cached one',
+    cached.nodes.length === 1 && cached.nodes[0].id === 'crate', JSON.stringify(cached.nodes)) && passed;
+  
+  cached.nodes[0].position[1] = 5;
+  cached.nodes.length = 0;
+  cached = cache.get('key');
+  passed = expect('Changing a value from get does not change the cached one',
+    cached.nodes.length === 1 && cached.nodes[0].position[1] === 1, JSON.stringify(cached.nodes)) && passed;
+  
+  passed = expect('Views of a larger buffer are copied in, so the buffer is not kept alive',
+    cached.data.byteLength === cached.data.buffer.byteLength && cached.data.buffer !== file.buffer,
+    `${cached.data.byteLength} of ${cached.data.buffer.byteLength} bytes`) && passed;
+  
+  const section = { typeId: 2, type: 'geometry', flags: 0 };
+  const bytes = new Uint8Array([1, 2, 3]);
+  passed = expect('Keys depend on the bytes, type and flags of a section',
+    cache.keyFor(section, bytes) === cache.keyFor({ ...section }, bytes.slice()) &&
+      cache.keyFor(section, bytes) !== cache.keyFor({ ...section, flags: 1 }, bytes) &&
+      cache.keyFor(section, bytes) !== cache.keyFor(section, new Uint8Array([1, 2, 4]))) && passed;
+  return passed;
+}
+
+async function testFileStore(directory) {
+  let passed = true;
+  const value = { id: 'mesh', positions: new Float32Array([0, 1, 2, 3]) };
+  
+  const writer = new XRAISectionCache({ store: new XRAIFileCacheStore(directory) });
+  writer.set('0123abcd', value, 16);
+  await writer.flush();
+  
+  // A cache in a later session finds the entry through the store
+  const reader = new XRAISectionCache({ store: new XRAIFileCacheStore(directory) });
+  const stored = reader.get('0123abcd');
+  passed = expect('An entry written to the file store is read back by another cache',
+    Boolean(stored) && stored.id === 'mesh' && stored.positions instanceof Float32Array &&
+      Array.from(stored.positions).join() === '0,1,2,3' && reader.has('0123abcd'),
+    JSON.stringify(stored)) && passed;
+  
+  const loader = new XRAISectionCache({ store: new XRAIFileCacheStore(directory) });
+  passed = expect('load() brings stored entries into memory, skipping missing ones',
+    await loader.load(['0123abcd', 'missing', null]) === 1 && loader.has('0123abcd') && !loader.has('missing')) && passed;
+  
+  // A damaged file is a miss, and is removed
+  const file = path.join(directory, '0123abcd.entry');
+  fs.writeFileSync(file, Buffer.from('not an entry'));
+  const damaged = new XRAISectionCache({ store: new XRAIFileCacheStore(directory) });
+  passed = expect('A damaged entry file is a miss and is removed',
+    damaged.get('0123abcd') === undefined && !fs.existsSync(file)) && passed;
+  
+  // The disk budget removes the least recently used files
+  const pruneDirectory = path.join(directory, 'pruned');
+  const store = new XRAIFileCacheStore(pruneDirectory, { maxBytes: 2500 });
+  const pruned = new XRAISectionCache({ store });
+  for (const key of ['aa', 'bb', 'cc']) {
+    pruned.set(key, { data: new Uint8Array(1000) }, 1000);
+    await pruned.flush();
+    // Modification times order the files for eviction
+    const time = new Date(Date.now() - 1000 * (3 - ['aa', 'bb', 'cc'].indexOf(key)));
+    fs.utimesSync(path.join(pruneDirectory, `${key}.entry`), time, time);
+  }
+  const left = fs.readdirSync(pruneDirectory).sort().join(',');
+  passed = expect('The file store removes the least recently used files over its budget',
+    left === 'bb.entry,cc.entry', `left ${left}`) && passed;
+  
+  // A decoder with a cache over the same directory decodes nothing the second time
+  const decodeDirectory = path.join(directory, 'decoder');
+  const data = fs.readFileSync(TEST_FILE);
+  const first = new XRAISectionCache({ store: new XRAIFileCacheStore(decodeDirectory) });
+  const expected = await new XRAIDecoder({ cache: first }).decode(data);
+  await first.flush();
+  const second = new XRAISectionCache({ store: new XRAIFileCacheStore(decodeDirectory) });
+  const decoded = await new XRAIDecoder({ cache: second }).decode(data);
+  passed = expect('A second decode reads every section from the store',
+    second.stats.misses === 0 && second.stats.hits > 0 && JSON.stringify(decoded) === JSON.stringify(expected),
+    `hits ${second.stats.hits}, misses ${second.stats.misses}`) && passed;
+  return passed;
+}
+
+async function runTest() {
+  console.log('=== XRAI Section Cache Test ===\n');
+  
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'xrai-cache-'));
+  let passed = true;
+  try {
+    passed = testEviction() && passed;
+    passed = testCopies() && passed;
+    passed = await testFileStore(directory) && passed;
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+  
+  if (!passed) {
+    console.error('\n❌ Test failed');
+    process.exit(1);
+  }
+  console.log('\n✅ Test completed successfully');
+}
+
+runTest().catch(error => {
+  console.error('Test failed with error:', error);
+  process.exit(1);
+});
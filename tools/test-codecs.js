@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * XRAI Codecs Test
+ * Checks that every built-in codec gives back the bytes it compressed, and that containers
+ * with LZ4 and deflate:N sections decode to the same document as uncompressed ones
+ *
+ * Usage:
+ *   node tools/test-codecs.js
+ */
+
+const XRAICodecs = require('./xrai-codecs');
+const XRAIContainer = require('./xrai-container');
+
+// Payloads that take different paths through the codecs
+const PAYLOADS = {
+  empty: new Uint8Array(0),
+  'one byte': new Uint8Array([42]),
+  text: new TextEncoder().encode('{"title":"Codec test","nodes":[{"id":"a"},{"id":"b"},{"id":"c"}]}'),
+  // Runs longer than the LZ4 match length field and matches overlapping their own output
+  repetitive: new Uint8Array(200000).map((_, i) => (i < 100000 ? 7 : i % 3)),
+  // Pseudo-random bytes, which LZ4 stores as one literal run
+  incompressible: new Uint8Array(70000).map((_, i) => (Math.imul(i + 1, 2654435761) >>> 24)),
+  geometry: new Uint8Array(Float32Array.from({ length: 30000 }, (_, i) => Math.sin(i / 100)).buffer)
+};
+
+// Every section compressed the way xrai encode --compress names it
+const COMPRESSION_SPECS = ['lz4', 'deflate:1', 'deflate:6', 'deflate:9', 'metadata=deflate:9,buffers=lz4'];
+
+const DOCUMENT = {
+  asset: { version: '1.0', generator: 'XRAI codecs test' },
+  metadata: { title: 'Codecs test', description: 'Sections compressed with each codec' },
+  materials: [{ id: 'grey', type: 'standard', color: [0.5, 0.5, 0.5] }],
+  geometry: [{
+    id: 'wave',
+    type: 'mesh',
+    primitives: [{
+      attributes: { POSITION: Float32Array.from({ length: 3000 }, (_, i) => Math.sin(i / 50)) },
+      indices: Uint16Array.from({ length: 3000 }, (_, i) => i % 1000),
+      material: 0
+    }]
+  }],
+  scene: { nodes: [{ id: 'wave-node', type: 'mesh', geometry: 'wave', material: 'grey' }] }
+};
+
+/**
+ * Compare two byte arrays
+ * @param {Uint8Array} a - First bytes
+ * @param {Uint8Array} b - Second bytes
+ * @returns {boolean} - True when they hold the same bytes
+ */
+function bytesEqual(a, b) {
+  return a.byteLength === b.byteLength && Buffer.from(a.buffer, a.byteOffset, a.byteLength).equals(Buffer.from(b.buffer, b.byteOffset, b.byteLength));
+}
+
+/**
+ * Serialize a decoded document for comparison, with typed arrays by type and values and
+ * without the container description, which records how the sections are stored
+ * @param {Object} document - Decoded document
+ * @returns {string} - JSON text
+ */
+function describeDocument(document) {
+  const content = { ...document };
+  delete content.container;
+  return JSON.stringify(content, (key, value) => (ArrayBuffer.isView(value) ? [value.constructor.name, ...value] : value));
+}
+
+function testCodecs() {
+  let passed = true;
+  for (const codec of XRAICodecs.defaultRegistry.list()) {
+    const levels = codec.name === 'deflate' ? [0, 1, 6, 9] : [codec.defaultLevel];
+    for (const level of levels) {
+      const failures = [];
+      for (const [name, payload] of Object.entries(PAYLOADS)) {
+        try {
+          const compressed = codec.compress(payload, { level });
+          const restored = codec.decompress(compressed, { maxSize: payload.byteLength });
+          if (!bytesEqual(restored, payload)) {
+            failures.push(`${name}: ${restored.byteLength} bytes back from ${payload.byteLength}`);
+          }
+        } catch (error) {
+          failures.push(`${name}: ${error.message}`);
+        }
+      }
+      const label = `${codec.name}${codec.name === 'deflate' ? `:${level}` : ''}`;
+      if (failures.length === 0) {
+        console.log(`✅ ${label} gives back every payload it compressed`);
+      } else {
+        console.error(`❌ ${label}:\n     ${failures.join('\n     ')}`);
+        passed = false;
+      }
+    }
+  }
+  return passed;
+}
+
+function testSections() {
+  let passed = true;
+  const plain = new XRAIContainer.XRAIContainerWriter().addDocument(DOCUMENT).toBytes();
+  const expected = describeDocument(XRAIContainer.decode(plain));
+  
+  for (const spec of COMPRESSION_SPECS) {
+    const compression = XRAICodecs.parseCompressionOptions(spec);
+    const bytes = new XRAIContainer.XRAIContainerWriter({ compression: spec }).addDocument(DOCUMENT).toBytes();
+    const reader = new XRAIContainer.XRAIContainerReader(bytes);
+    
+    // Each section carries the algorithm ID of the codec it was compressed with
+    const wrong = reader.sections
+      .filter(section => !XRAIContainer.CONTAINER_SECTIONS.has(section.type))
+      .filter(section => {
+        const entry = compression[section.type] || compression['*'];
+        const id = entry ? XRAICodecs.defaultRegistry.get(entry.codec).id : 0;
+        return XRAIContainer.getCompressionAlgorithm(section.flags) !== id;
+      });
+    const actual = describeDocument(XRAIContainer.decode(bytes));
+    if (wrong.length === 0 && actual === expected && XRAIContainer.validate(bytes).valid) {
+      console.log(`✅ --compress ${spec}: sections decode to the uncompressed document (${plain.byteLength} -> ${bytes.byteLength} bytes)`);
+    } else {
+      console.error(`❌ --compress ${spec}: ${wrong.length > 0 ? `wrong algorithm in ${wrong.map(section => section.type).join(', ')}` : 'decodes to another document'}`);
+      passed = false;
+    }
+  }
+  return passed;
+}
+
+async function runTest() {
+  console.log('=== XRAI Codecs Test ===\n');
+  
+  let passed = testCodecs();
+  passed = testSections() && passed;
+  
+  if (!passed) {
+    console.error('\n❌ Test failed');
+    process.exit(1);
+  }
+  console.log('\n✅ Test completed successfully');
+}
+
+runTest().catch(error => {
+  console.error('Test failed with error:', error);
+  process.exit(1);
+});
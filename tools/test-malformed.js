@@ -0,0 +1,565 @@
+#!/usr/bin/env node
+
+/**
+ * XRAI Malformed File Test
+ * Checks every decoder against the corpus of malformed files in test/malformed
+ *
+ * Each file in test/malformed/manifest.json breaks the format in one way and lists the
+ * XRAIFormatError code it must be rejected with. Every reader (container, random access,
+ * stream, and the Node.js and browser decoders) has to throw that code; a crash with
+ * another error, a hang or a successful decode is a failure. Entries whose code is null
+ * are valid files that must decode: hostile ones, and layouts written by early encoders.
+ *
+ * Usage:
+ *   node tools/test-malformed.js              check the decoders against the corpus
+ *   node tools/test-malformed.js --generate   rewrite the corpus from the cases below
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const XRAIContainer = require('./xrai-container');
+const XRAISources = require('./xrai-sources');
+const XRAIStream = require('./xrai-stream');
+const { XRAIDecoder } = require('./xrai-decoder');
+const { XRAIOptimizedDecoder } = require('./xrai-optimized-decoder');
+const { XRAISimpleDecoder } = require('./xrai-simple-decoder');
+const { XRAIBrowserDecoder } = require('../demos/browser/xrai-browser-decoder');
+
+const CORPUS_DIR = path.join(__dirname, '..', 'test', 'malformed');
+const MANIFEST_PATH = path.join(CORPUS_DIR, 'manifest.json');
+
+const { XRAIContainerWriter, setCompressionAlgorithm, HEADER_SIZE, TOC_HEADER_SIZE, TOC_ENTRY_SIZE } = XRAIContainer;
+
+const textEncoder = new TextEncoder();
+
+// A small valid document: metadata, materials, geometry with a Buffers section
+const BASE_DOCUMENT = {
+  asset: { version: '1.0', generator: 'XRAI malformed corpus' },
+  metadata: { title: 'Malformed corpus base' },
+  materials: [{ id: 'grey', type: 'standard', color: [0.5, 0.5, 0.5] }],
+  geometry: [{
+    id: 'triangle',
+    type: 'mesh',
+    primitives: [{
+      attributes: { POSITION: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]) },
+      indices: new Uint16Array([0, 1, 2])
+    }]
+  }]
+};
+
+/**
+ * Encode the base document
+ * @returns {Uint8Array} - A valid file: integrity, metadata, materials, geometry, buffers
+ */
+function baseFile() {
+  return new XRAIContainerWriter().addDocument(BASE_DOCUMENT).toBytes();
+}
+
+/**
+ * Encode a metadata section followed by raw sections
+ * @param {Array<Array>} sections - [type, bytes or value, addSection options] for each extra section
+ * @returns {Uint8Array} - The file
+ */
+function fileWith(sections) {
+  const writer = new XRAIContainerWriter();
+  writer.addSection('metadata', { asset: BASE_DOCUMENT.asset });
+  for (const [type, data, options] of sections) {
+    writer.addSection(type, data, options);
+  }
+  return writer.toBytes();
+}
+
+/**
+ * Copy a file and change its header or table of contents
+ * @param {Uint8Array} bytes - Valid file
+ * @param {Function} edit - Called with (view, sections, bytes) on the copy
+ * @returns {Uint8Array} - The changed copy
+ */
+function patch(bytes, edit) {
+  const copy = bytes.slice();
+  const view = new DataView(copy.buffer);
+  const header = XRAIContainer.readHeader(copy);
+  edit(view, XRAIContainer.readTOC(copy, header.tocOffset), copy);
+  return copy;
+}
+
+/**
+ * Lay out a file the way early encoders did: no alignment, no integrity section
+ * @param {Array<Array>} sections - [type ID, bytes, flags] for each section
+ * @param {boolean} tocAtEnd - Write the TOC after the sections (early XRAIEncoder) instead of after the header
+ * @returns {Uint8Array} - The file
+ */
+function legacyFile(sections, tocAtEnd) {
+  const tocSize = TOC_HEADER_SIZE + sections.length * TOC_ENTRY_SIZE;
+  const dataSize = sections.reduce((total, [, bytes]) => total + bytes.byteLength, 0);
+  const bytes = new Uint8Array(HEADER_SIZE + tocSize + dataSize);
+  const view = new DataView(bytes.buffer);
+  const tocOffset = tocAtEnd ? HEADER_SIZE + dataSize : HEADER_SIZE;
+  
+  bytes.set(textEncoder.encode('XRAI'), 0);
+  view.setUint8(4, 1);
+  view.setBigUint64(8, BigInt(tocOffset), true);
+  view.setUint32(tocOffset, sections.length, true);
+  
+  let offset = tocAtEnd ? HEADER_SIZE : HEADER_SIZE + tocSize;
+  sections.forEach(([typeId, data, flags], index) => {
+    const entry = tocOffset + TOC_HEADER_SIZE + index * TOC_ENTRY_SIZE;
+    view.setUint32(entry, typeId, true);
+    view.setBigUint64(entry + 4, BigInt(offset), true);
+    view.setBigUint64(entry + 12, BigInt(data.byteLength), true);
+    view.setUint32(entry + 20, flags, true);
+    bytes.set(data, offset);
+    offset += data.byteLength;
+  });
+  
+  return bytes;
+}
+
+/**
+ * Byte offset of a TOC entry
+ * @param {number} index - TOC index
+ * @returns {number} - Offset of the entry (type ID), for TOCs directly after the header
+ */
+function entryOffset(index) {
+  return HEADER_SIZE + TOC_HEADER_SIZE + index * TOC_ENTRY_SIZE;
+}
+
+/**
+ * Find a section of the base file by type
+ * @param {Array<Object>} sections - Section entries
+ * @param {string} type - Section type name
+ * @returns {Object} - Section entry
+ */
+function sectionOf(sections, type) {
+  return sections.find(section => section.type === type);
+}
+
+// The corpus. validate: true when XRAIContainer.validate must report the code too,
+// i.e. the problem is in the structure or checksums rather than a section payload.
+const CASES = [
+  {
+    file: 'truncated-header.xrai',
+    description: 'File ends inside the 16-byte header',
+    code: 'E_TRUNCATED_HEADER',
+    validate: true,
+    build: () => baseFile().slice(0, 10)
+  },
+  {
+    file: 'bad-magic.xrai',
+    description: 'File starts with "glTF" instead of "XRAI"',
+    code: 'E_BAD_MAGIC',
+    validate: true,
+    build: () => patch(baseFile(), (view, sections, bytes) => bytes.set(textEncoder.encode('glTF'), 0))
+  },
+  {
+    file: 'future-major-version.xrai',
+    description: 'Header version 2.0, a major version newer than the readers',
+    code: 'E_UNSUPPORTED_VERSION',
+    validate: true,
+    build: () => patch(baseFile(), view => view.setUint8(4, 2))
+  },
+  {
+    file: 'toc-offset-past-eof.xrai',
+    description: 'TOC offset points past the end of the file',
+    code: 'E_TOC_OUT_OF_RANGE',
+    validate: true,
+    build: () => patch(baseFile(), (view, sections, bytes) => view.setBigUint64(8, BigInt(bytes.byteLength + 64), true))
+  },
+  {
+    file: 'toc-offset-in-header.xrai',
+    description: 'TOC offset points into the header',
+    code: 'E_TOC_OUT_OF_RANGE',
+    validate: true,
+    build: () => patch(baseFile(), view => view.setBigUint64(8, 4n, true))
+  },
+  {
+    file: 'toc-count-past-eof.xrai',
+    description: 'Section count needs more TOC entries than the file holds',
+    code: 'E_TOC_OUT_OF_RANGE',
+    validate: true,
+    build: () => patch(baseFile(), view => view.setUint32(HEADER_SIZE, 1000, true))
+  },
+  {
+    file: 'too-many-sections.xrai',
+    description: 'Section count of 2^32 - 1, above limits.maxSections',
+    code: 'E_TOO_MANY_SECTIONS',
+    validate: true,
+    build: () => patch(baseFile(), view => view.setUint32(HEADER_SIZE, 0xFFFFFFFF, true))
+  },
+  {
+    file: 'toc-offset-above-2-53.xrai',
+    description: 'TOC offset of 2^60, which a JavaScript number cannot hold exactly',
+    code: 'E_OFFSET_TOO_LARGE',
+    validate: true,
+    build: () => patch(baseFile(), view => view.setBigUint64(8, 2n ** 60n, true))
+  },
+  {
+    file: 'section-size-above-2-53.xrai',
+    description: 'Section size of 2^63 + 7, which would round to a smaller number',
+    code: 'E_OFFSET_TOO_LARGE',
+    validate: true,
+    build: () => patch(baseFile(), view => view.setBigUint64(entryOffset(1) + 12, 2n ** 63n + 7n, true))
+  },
+  {
+    file: 'section-past-eof.xrai',
+    description: 'Last section extends 4 KB past the end of the file',
+    code: 'E_SECTION_OUT_OF_RANGE',
+    validate: true,
+    build: () => patch(baseFile(), (view, sections) => {
+      const last = sections.length - 1;
+      view.setBigUint64(entryOffset(last) + 12, BigInt(sections[last].size + 4096), true);
+    })
+  },
+  {
+    file: 'truncated-file.xrai',
+    description: 'Valid file cut off in its last section',
+    code: 'E_SECTION_OUT_OF_RANGE',
+    validate: true,
+    build: () => {
+      const bytes = baseFile();
+      return bytes.slice(0, bytes.byteLength - 8);
+    }
+  },
+  {
+    file: 'section-in-header.xrai',
+    description: 'Metadata section starts at offset 0, on top of the header',
+    code: 'E_SECTION_OUT_OF_RANGE',
+    validate: true,
+    build: () => patch(baseFile(), (view, sections) => {
+      view.setBigUint64(entryOffset(sectionOf(sections, 'metadata').index) + 4, 0n, true);
+    })
+  },
+  {
+    file: 'section-overlaps-toc.xrai',
+    description: 'Metadata section starts inside the table of contents',
+    code: 'E_SECTION_OVERLAP',
+    validate: true,
+    build: () => patch(baseFile(), (view, sections) => {
+      view.setBigUint64(entryOffset(sectionOf(sections, 'metadata').index) + 4, BigInt(HEADER_SIZE + TOC_HEADER_SIZE), true);
+    })
+  },
+  {
+    file: 'sections-aliased.xrai',
+    description: 'Materials entry points at the same bytes as the metadata section',
+    code: 'E_SECTION_OVERLAP',
+    validate: true,
+    build: () => patch(baseFile(), (view, sections) => {
+      const metadata = sectionOf(sections, 'metadata');
+      const materials = sectionOf(sections, 'materials');
+      view.setBigUint64(entryOffset(materials.index) + 4, BigInt(metadata.offset), true);
+      view.setBigUint64(entryOffset(materials.index) + 12, BigInt(metadata.size), true);
+    })
+  },
+  {
+    file: 'sections-overlap.xrai',
+    description: 'Materials section starts 4 bytes before the end of the metadata section',
+    code: 'E_SECTION_OVERLAP',
+    validate: true,
+    build: () => patch(baseFile(), (view, sections) => {
+      const metadata = sectionOf(sections, 'metadata');
+      view.setBigUint64(entryOffset(sectionOf(sections, 'materials').index) + 4, BigInt(metadata.offset + metadata.size - 4), true);
+    })
+  },
+  {
+    file: 'unsupported-codec.xrai',
+    description: 'Geometry section compressed with unregistered algorithm 63',
+    code: 'E_UNSUPPORTED_CODEC',
+    validate: false,
+    build: () => fileWith([['geometry', textEncoder.encode('[]'), { flags: setCompressionAlgorithm(0, 63) }]])
+  },
+  {
+    file: 'corrupt-deflate.xrai',
+    description: 'Geometry section flagged as deflate that is not a zlib stream',
+    code: 'E_DECOMPRESSION_FAILED',
+    validate: false,
+    build: () => fileWith([['geometry', textEncoder.encode('not a zlib stream'), { flags: setCompressionAlgorithm(0, 1) }]])
+  },
+  {
+    file: 'corrupt-lz4.xrai',
+    description: 'LZ4 geometry section whose match offset points before the start of the output',
+    code: 'E_DECOMPRESSION_FAILED',
+    validate: false,
+    build: () => fileWith([['geometry', new Uint8Array([16, 0, 0, 0, 0x0F, 0xFF, 0xFF, 0x20]), { flags: setCompressionAlgorithm(0, 2) }]])
+  },
+  {
+    file: 'lz4-size-too-large.xrai',
+    description: 'LZ4 geometry section declaring a 4 GB payload',
+    code: 'E_DECOMPRESSED_TOO_LARGE',
+    validate: false,
+    build: () => fileWith([['geometry', new Uint8Array([0xFF, 0xFF, 0xFF, 0xFF, 0x10, 0x5B]), { flags: setCompressionAlgorithm(0, 2) }]])
+  },
+  {
+    file: 'deflate-bomb.xrai',
+    description: '16 KB deflate section that inflates to 16 MB, read with a 1 MB limit',
+    code: 'E_DECOMPRESSED_TOO_LARGE',
+    validate: false,
+    options: { limits: { maxDecompressedSize: 1024 * 1024 } },
+    build: () => fileWith([['geometry', zlib.deflateSync(new Uint8Array(16 * 1024 * 1024), { level: 9 }), { flags: setCompressionAlgorithm(0, 1) }]])
+  },
+  {
+    file: 'invalid-json.xrai',
+    description: 'Metadata section with truncated JSON',
+    code: 'E_INVALID_JSON',
+    validate: false,
+    build: () => {
+      const writer = new XRAIContainerWriter();
+      writer.addSection('metadata', textEncoder.encode('{"asset": {"version": "1.0"'));
+      return writer.toBytes();
+    }
+  },
+  {
+    file: 'invalid-utf8.xrai',
+    description: 'Materials section with a byte that is not valid UTF-8 inside a string',
+    code: 'E_INVALID_JSON',
+    validate: false,
+    build: () => fileWith([['materials', new Uint8Array([0x5B, 0x22, 0xFF, 0x22, 0x5D])]])
+  },
+  {
+    file: 'json-too-deep.xrai',
+    description: 'Scene section nesting arrays 1000 levels deep',
+    code: 'E_JSON_TOO_DEEP',
+    validate: false,
+    build: () => fileWith([['scene', textEncoder.encode('['.repeat(1000) + ']'.repeat(1000))]])
+  },
+  {
+    file: 'invalid-integrity-table.xrai',
+    description: 'Integrity section without a sha256 digest',
+    code: 'E_INVALID_INTEGRITY_TABLE',
+    validate: true,
+    build: () => {
+      const writer = new XRAIContainerWriter({ integrity: false });
+      writer.addSection('metadata', { asset: BASE_DOCUMENT.asset });
+      writer.addSection('extensions', { crc32: [null, null] });
+      // Writers refuse to add integrity sections, so relabel the extensions entry
+      return patch(writer.toBytes(), view => view.setUint32(entryOffset(1), XRAIContainer.SECTION_TYPES.integrity, true));
+    }
+  },
+  {
+    file: 'checksum-mismatch.xrai',
+    description: 'Buffers section with one byte changed after the integrity table was written',
+    code: 'E_CHECKSUM_MISMATCH',
+    validate: true,
+    build: () => patch(baseFile(), (view, sections, bytes) => {
+      bytes[sectionOf(sections, 'buffers').offset] ^= 0xFF;
+    })
+  },
+  {
+    file: 'required-extension.xrai',
+    description: 'Metadata lists an extension that no reader registers in extensionsRequired',
+    code: 'E_UNSUPPORTED_EXTENSION',
+    validate: false,
+    build: () => new XRAIContainerWriter().addDocument({
+      ...BASE_DOCUMENT,
+      extensionsUsed: ['XRAI_malformed_corpus'],
+      extensionsRequired: ['XRAI_malformed_corpus']
+    }).toBytes()
+  },
+  {
+    file: 'min-version.xrai',
+    description: 'Metadata asks for asset.minVersion 1.9, newer than the readers',
+    code: 'E_UNSUPPORTED_VERSION',
+    validate: false,
+    build: () => new XRAIContainerWriter().addDocument({
+      ...BASE_DOCUMENT,
+      asset: { ...BASE_DOCUMENT.asset, minVersion: '1.9' }
+    }).toBytes()
+  },
+  {
+    file: 'proto-key.xrai',
+    description: 'Valid file whose metadata has a "__proto__" key; must decode without changing any prototype',
+    code: null,
+    validate: true,
+    build: () => {
+      const writer = new XRAIContainerWriter();
+      writer.addSection('metadata', textEncoder.encode('{"asset": {"version": "1.0"}, "__proto__": {"polluted": true}}'));
+      return writer.toBytes();
+    }
+  },
+  {
+    file: 'legacy-toc-at-end.xrai',
+    description: 'Layout of the early XRAIEncoder: TOC at the end, compressed bit on uncompressed sections, bare metadata; must decode',
+    code: null,
+    validate: true,
+    build: () => legacyFile([
+      [1, textEncoder.encode(JSON.stringify(BASE_DOCUMENT.metadata)), 0x1],
+      [3, textEncoder.encode(JSON.stringify(BASE_DOCUMENT.materials)), 0x1]
+    ], true)
+  },
+  {
+    file: 'legacy-compression-flags.xrai',
+    description: 'Layout of the early XRAIOptimizedEncoder: unaligned sections, Deflate in section flag bits 8-15; must decode',
+    code: null,
+    validate: true,
+    build: () => legacyFile([
+      [1, textEncoder.encode(JSON.stringify({ asset: BASE_DOCUMENT.asset })), 0x0],
+      [3, zlib.deflateSync(JSON.stringify(BASE_DOCUMENT.materials)), 0x1 | (1 << 8)]
+    ], false)
+  }
+];
+
+/**
+ * Write the corpus and its manifest
+ */
+function generate() {
+  fs.mkdirSync(CORPUS_DIR, { recursive: true });
+  
+  const files = CASES.map(({ build, ...entry }) => {
+    fs.writeFileSync(path.join(CORPUS_DIR, entry.file), build());
+    return entry;
+  });
+  
+  const manifest = {
+    description: 'Malformed XRAI files and the XRAIFormatError code each must be rejected with (null: must decode). ' +
+      'validate: whether XRAIContainer.validate reports it, which it does for structure and checksum problems but not for section payloads. ' +
+      'Regenerate with node tools/test-malformed.js --generate.',
+    files
+  };
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+  
+  console.log(`Wrote ${files.length} files to ${path.relative(process.cwd(), CORPUS_DIR)}`);
+}
+
+/**
+ * Run a function with console.log silenced, for decoders that report progress
+ * @param {Function} fn - Function to run
+ * @returns {Promise<*>} - Its result
+ */
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Yield a file in small chunks, as a download would deliver it
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {AsyncIterator<Uint8Array>} - Chunks of 64 bytes
+ */
+async function* chunksOf(bytes) {
+  for (let offset = 0; offset < bytes.byteLength; offset += 64) {
+    yield bytes.subarray(offset, offset + 64);
+  }
+}
+
+// Every reader, as (filePath, bytes, options) => Promise of the decoded document
+const READERS = {
+  'XRAIContainer.decode': async (filePath, bytes, options) => XRAIContainer.decode(bytes, options),
+  'XRAISources.open': async (filePath, bytes, options) => {
+    const handle = await XRAISources.open(filePath, options);
+    try {
+      return await handle.decode();
+    } finally {
+      await handle.close();
+    }
+  },
+  'XRAIStream.decodeStream': (filePath, bytes, options) => XRAIStream.decodeStream(chunksOf(bytes), options),
+  'XRAIDecoder': (filePath, bytes, options) => new XRAIDecoder({ useCache: false, ...options }).decode(bytes),
+  'XRAIOptimizedDecoder': (filePath, bytes, options) => quietly(() => new XRAIOptimizedDecoder({ useCache: false, ...options }).decode(filePath)),
+  'XRAIBrowserDecoder': (filePath, bytes, options) => quietly(() => {
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    return new XRAIBrowserDecoder({ useCache: false, ...options }).decode(buffer);
+  }),
+  'XRAISimpleDecoder': (filePath, bytes, options) => {
+    // Takes no options, so cases that need limits are left to the other readers
+    if (options.limits) {
+      return null;
+    }
+    return quietly(() => new XRAISimpleDecoder().decode(filePath));
+  }
+};
+
+/**
+ * Check one reader against one corpus entry
+ * @param {Function} read - Reader from READERS
+ * @param {Object} entry - Manifest entry
+ * @returns {Promise<string|null>} - Description of the failure, or null when the reader behaved
+ */
+async function checkReader(read, entry) {
+  const filePath = path.join(CORPUS_DIR, entry.file);
+  const bytes = new Uint8Array(fs.readFileSync(filePath));
+  
+  let document;
+  try {
+    document = await read(filePath, bytes, entry.options || {});
+  } catch (error) {
+    if (entry.code === null) {
+      return `threw ${error.code || error.name}: ${error.message}`;
+    }
+    if (error.name !== 'XRAIFormatError' || error.code !== entry.code) {
+      return `threw ${error.name} ${error.code || ''}: ${error.message}`;
+    }
+    return null;
+  }
+  
+  if (entry.code !== null) {
+    return document === null ? null : 'decoded without an error';
+  }
+  if (document && Object.getPrototypeOf(document) !== Object.prototype) {
+    return 'decoded document has a replaced prototype';
+  }
+  return null;
+}
+
+/**
+ * Check every reader against the corpus
+ */
+async function check() {
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+  let failures = 0;
+  
+  console.log(`=== XRAI Malformed File Test (${manifest.files.length} files) ===\n`);
+  
+  for (const entry of manifest.files) {
+    const problems = [];
+    
+    for (const [name, read] of Object.entries(READERS)) {
+      const problem = await checkReader(read, entry);
+      if (problem) {
+        problems.push(`${name} ${problem}`);
+      }
+    }
+    
+    if (entry.validate) {
+      const bytes = fs.readFileSync(path.join(CORPUS_DIR, entry.file));
+      const result = XRAIContainer.validate(bytes, entry.options);
+      if (result.valid !== (entry.code === null) || result.code !== entry.code) {
+        problems.push(`XRAIContainer.validate returned valid=${result.valid}, code=${result.code}`);
+      }
+    }
+    
+    if (problems.length === 0) {
+      console.log(`✅ ${entry.file} (${entry.code || 'decodes'})`);
+    } else {
+      failures++;
+      console.error(`❌ ${entry.file}: expected ${entry.code || 'a successful decode'}`);
+      for (const problem of problems) {
+        console.error(`     ${problem}`);
+      }
+    }
+  }
+  
+  if ({}.polluted !== undefined) {
+    console.error('❌ Object.prototype was modified while decoding');
+    failures++;
+  }
+  
+  if (failures > 0) {
+    console.error(`\n❌ ${failures} of ${manifest.files.length} files not handled as expected`);
+    process.exit(1);
+  }
+  console.log('\n✅ All decoders reject the malformed files with the expected codes');
+}
+
+if (process.argv.includes('--generate')) {
+  generate();
+} else {
+  check().catch(error => {
+    console.error('Test failed with error:', error);
+    process.exit(1);
+  });
+}
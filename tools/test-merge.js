@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+
+/**
+ * XRAI Merge Test
+ * Merges two documents with colliding ids and checks the namespaced ids, the remapped
+ * references by id and by index, the group nodes, the combined AI and VFX lists, and the
+ * refusal of inputs that require extensions that are not registered
+ *
+ * Usage:
+ *   node tools/test-merge.js
+ */
+
+const XRAIContainer = require('./xrai-container');
+const XRAIMerge = require('./xrai-merge');
+
+// A room and a chair both using the ids "wood", "cube", "lamp", "dust" and "net"
+const ROOM = {
+  asset: { version: '1.0', generator: 'XRAI merge test' },
+  metadata: { title: 'Room' },
+  images: [{ uri: 'room.png', mimeType: 'image/png' }],
+  materials: [
+    { id: 'wood', type: 'standard', map: 0 },
+    { id: 'floor', type: 'standard', color: [0.8, 0.8, 0.8] }
+  ],
+  geometry: [
+    { id: 'cube', type: 'box', width: 1, height: 1, depth: 1 },
+    { id: 'floor', type: 'plane', width: 10, height: 10 }
+  ],
+  animations: [{ id: 'flicker', targetId: 'lamp' }],
+  aiComponents: {
+    neuralNetworks: [{ id: 'net', architecture: 'mlp' }],
+    adaptiveObjects: [{ id: 'room-table', networks: ['net'] }]
+  },
+  vfx: {
+    textures: [{ id: 'dust', url: 'textures/dust.png' }],
+    particleSystems: [{ id: 'room-dust', texture: 'dust' }]
+  },
+  scene: {
+    nodes: [
+      { id: 'table', type: 'mesh', geometry: 'cube', material: 'wood', children: [1] },
+      { id: 'lamp', type: 'mesh', geometry: 0, material: 1 }
+    ]
+  }
+};
+
+const CHAIR = {
+  asset: { version: '1.0', generator: 'XRAI merge test' },
+  metadata: { title: 'Chair' },
+  images: [{ uri: 'fabric.png', mimeType: 'image/png' }],
+  materials: [
+    { id: 'wood', type: 'standard', color: [0.6, 0.4, 0.2] },
+    { id: 'fabric', type: 'standard', map: 0 }
+  ],
+  geometry: [{ id: 'cube', type: 'box', width: 0.5, height: 0.5, depth: 0.5 }],
+  aiComponents: {
+    neuralNetworks: [{ id: 'net', architecture: 'mlp' }]
+  },
+  vfx: {
+    textures: [{ id: 'dust', url: 'textures/dust.png' }],
+    particleSystems: [{ id: 'chair-dust', texture: 0 }]
+  },
+  scene: {
+    nodes: [
+      { id: 'seat', type: 'mesh', geometry: 'cube', material: 'wood' },
+      { id: 'lamp', type: 'mesh', geometry: 0, material: 1 }
+    ]
+  }
+};
+
+/**
+ * Compare a value with the expected one
+ * @param {string} label - What was checked
+ * @param {*} actual - Value found
+ * @param {*} expected - Value expected
+ * @returns {boolean} - True when they are the same as JSON
+ */
+function expectEqual(label, actual, expected) {
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${label}`);
+    return true;
+  }
+  console.error(`❌ ${label}`);
+  console.error(`     expected: ${JSON.stringify(expected)}`);
+  console.error(`     got:      ${JSON.stringify(actual)}`);
+  return false;
+}
+
+/**
+ * Find a node by id anywhere under a list of nodes
+ * @param {Array<Object>} nodes - Nodes to search
+ * @param {string} id - Node id
+ * @returns {Object|undefined} - The node
+ */
+function findNode(nodes, id) {
+  for (const node of nodes) {
+    if (node.id === id) {
+      return node;
+    }
+    const child = findNode((node.children || []).filter(entry => typeof entry === 'object'), id);
+    if (child) {
+      return child;
+    }
+  }
+  return undefined;
+}
+
+async function runTest() {
+  console.log('=== XRAI Merge Test ===\n');
+  
+  const { document, renamed } = XRAIMerge.mergeDocuments([
+    { name: 'room', document: ROOM },
+    { name: 'chair', document: CHAIR, position: [1, 0, 2], rotation: [0, 90, 0] }
+  ]);
+  const nodes = document.scene.nodes;
+  let passed = true;
+  
+  // Colliding ids are namespaced in both inputs; the others are kept
+  passed = expectEqual('Colliding material ids are namespaced',
+    document.materials.map(material => material.id), ['room/wood', 'floor', 'chair/wood', 'fabric']) && passed;
+  passed = expectEqual('Colliding geometry ids are namespaced',
+    document.geometry.map(geometry => geometry.id), ['room/cube', 'floor', 'chair/cube']) && passed;
+  passed = expectEqual('Colliding texture ids are namespaced',
+    document.vfx.textures.map(texture => texture.id), ['room/dust', 'chair/dust']) && passed;
+  passed = expectEqual('Renames are reported',
+    renamed.filter(entry => entry.kind === 'nodes').map(entry => `${entry.input}:${entry.from}->${entry.to}`),
+    ['room:lamp->room/lamp', 'chair:lamp->chair/lamp']) && passed;
+  
+  // The group nodes hold the root nodes of each input, with the transform of the input
+  passed = expectEqual('Each input is placed under a group node with its transform',
+    nodes.map(node => ({ id: node.id, type: node.type, position: node.position, rotation: node.rotation })),
+    [
+      { id: 'room', type: 'group' },
+      { id: 'chair', type: 'group', position: [1, 0, 2], rotation: [0, 90, 0] }
+    ]) && passed;
+  passed = expectEqual('Group nodes hold the root nodes of their input',
+    nodes.map(node => node.children.map(child => child.id)),
+    [['table', 'room/lamp'], ['seat', 'chair/lamp']]) && passed;
+  
+  // References by id follow the renamed entries
+  const table = findNode(nodes, 'table');
+  const seat = findNode(nodes, 'seat');
+  passed = expectEqual('Node geometry and material ids follow the renames',
+    [table.geometry, table.material, seat.geometry, seat.material],
+    ['room/cube', 'room/wood', 'chair/cube', 'chair/wood']) && passed;
+  passed = expectEqual('Child nodes by index become ids, namespaced', table.children, ['room/lamp']) && passed;
+  passed = expectEqual('Animation targets follow the renames', document.animations[0].targetId, 'room/lamp') && passed;
+  passed = expectEqual('Adaptive objects follow renamed networks',
+    document.aiComponents.adaptiveObjects[0].networks, ['room/net']) && passed;
+  passed = expectEqual('Particle texture ids follow the renames', document.vfx.particleSystems[0].texture, 'room/dust') && passed;
+  
+  // References by index are offset by the entries of the inputs before
+  const roomLamp = findNode(nodes, 'room/lamp');
+  const chairLamp = findNode(nodes, 'chair/lamp');
+  passed = expectEqual('Geometry and material indices of the first input are kept',
+    [roomLamp.geometry, roomLamp.material], [0, 1]) && passed;
+  passed = expectEqual('Geometry and material indices of the second input are offset',
+    [chairLamp.geometry, chairLamp.material], [2, 3]) && passed;
+  passed = expectEqual('Texture map image indices are offset',
+    document.materials.map(material => material.map), [0, undefined, undefined, 1]) && passed;
+  passed = expectEqual('Particle texture indices are offset', document.vfx.particleSystems[1].texture, 1) && passed;
+  
+  // AI components and VFX lists are concatenated
+  passed = expectEqual('Neural networks of both inputs are kept',
+    document.aiComponents.neuralNetworks.map(network => network.id), ['room/net', 'chair/net']) && passed;
+  passed = expectEqual('Particle systems of both inputs are kept',
+    document.vfx.particleSystems.map(system => system.id), ['room-dust', 'chair-dust']) && passed;
+  passed = expectEqual('Metadata is that of the first input', document.metadata, ROOM.metadata) && passed;
+  passed = expectEqual('The input documents are not changed',
+    [ROOM.materials[0].id, ROOM.scene.nodes[0].children, CHAIR.scene.nodes[1].geometry], ['wood', [1], 0]) && passed;
+  
+  // An input requiring an extension nothing handles cannot be merged
+  let error = null;
+  try {
+    XRAIMerge.mergeDocuments([
+      { name: 'room', document: ROOM },
+      { name: 'chair', document: { ...CHAIR, extensionsUsed: ['XRAI_unknown'], extensionsRequired: ['XRAI_unknown'] } }
+    ]);
+  } catch (caught) {
+    error = caught;
+  }
+  passed = expectEqual('Inputs requiring unregistered extensions are refused',
+    error && { name: error.name, code: error.code, instance: error instanceof XRAIContainer.XRAIFormatError, message: error.message },
+    {
+      name: 'XRAIFormatError',
+      code: 'E_UNSUPPORTED_EXTENSION',
+      instance: true,
+      message: 'chair requires extensions that are not registered: XRAI_unknown'
+    }) && passed;
+  
+  if (!passed) {
+    console.error('\n❌ Test failed');
+    process.exit(1);
+  }
+  console.log('\n✅ Test completed successfully');
+}
+
+runTest().catch(error => {
+  console.error('Test failed with error:', error);
+  process.exit(1);
+});
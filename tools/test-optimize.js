@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * XRAI Optimize Test
+ * Checks that a file and its optimized copy hold the same content, as xrai diff compares it:
+ * exactly for the lossless passes, and within the tolerance the quantize pass reports
+ *
+ * Usage:
+ *   node tools/test-optimize.js
+ */
+
+const XRAIContainer = require('./xrai-container');
+const XRAIOptimize = require('./xrai-optimize');
+const XRAIDiff = require('./xrai-diff');
+
+const COUNT = 256;
+
+/**
+ * Make float values spread over a range
+ * @param {number} length - Number of values
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @returns {Float32Array} - The values
+ */
+function spread(length, min, max) {
+  return Float32Array.from({ length }, (_, i) => min + ((i * 7919) % 1000) / 999 * (max - min));
+}
+
+// A scene with every kind of field the quantize pass stores as integers
+const DOCUMENT = {
+  asset: { version: '1.0', generator: 'XRAI optimize test' },
+  metadata: { title: 'Optimize test' },
+  materials: [{ id: 'grey', type: 'standard', color: [0.5, 0.5, 0.5] }],
+  geometry: [
+    {
+      id: 'mesh',
+      type: 'mesh',
+      primitives: [{
+        attributes: {
+          POSITION: spread(COUNT * 3, -10, 10),
+          NORMAL: spread(COUNT * 3, -1, 1),
+          TEXCOORD_0: spread(COUNT * 2, 0, 1),
+          COLOR_0: spread(COUNT * 4, 0, 1)
+        },
+        material: 0
+      }]
+    },
+    {
+      id: 'splats',
+      type: 'splat',
+      positions: spread(COUNT * 3, -5, 5),
+      colors: spread(COUNT * 4, 0, 1),
+      opacities: spread(COUNT, 0, 1),
+      rotations: spread(COUNT * 4, -1, 1),
+      scales: spread(COUNT * 3, 0.01, 0.1)
+    }
+  ],
+  scene: {
+    nodes: [
+      { id: 'mesh-node', type: 'mesh', geometry: 'mesh', material: 'grey' },
+      { id: 'splat-node', type: 'mesh', geometry: 'splats' }
+    ]
+  }
+};
+
+/**
+ * Get the tolerance reported by the quantize pass
+ * @param {Array<Object>} report - optimizeContainer report
+ * @returns {number} - The largest difference to the original values
+ */
+function getReportedTolerance(report) {
+  const entry = report.find(item => item.pass === 'quantize');
+  const match = entry && /values within ([\d.e-]+) of the originals/.exec(entry.summary);
+  if (!match) {
+    throw new Error(`The quantize pass reports no tolerance: ${entry ? entry.summary : 'not run'}`);
+  }
+  return Number(match[1]);
+}
+
+async function runTest() {
+  console.log('=== XRAI Optimize Test ===\n');
+  
+  const input = new XRAIContainer.XRAIContainerWriter().addDocument(DOCUMENT).toBytes();
+  let passed = true;
+  
+  // The lossless passes keep the content as it is
+  const lossless = XRAIOptimize.optimizeContainer(input, { passes: XRAIOptimize.PASSES.filter(pass => pass !== 'quantize') });
+  const losslessChanges = XRAIDiff.diffContainers(input, lossless.bytes).changes;
+  if (losslessChanges.length === 0) {
+    console.log('✅ Lossless passes keep the content');
+  } else {
+    console.error(`❌ Lossless passes changed ${losslessChanges.map(change => change.path).join(', ')}`);
+    passed = false;
+  }
+  
+  // Quantized fields differ by no more than the reported tolerance
+  const quantized = XRAIOptimize.optimizeContainer(input);
+  const tolerance = getReportedTolerance(quantized.report);
+  const within = XRAIDiff.diffContainers(input, quantized.bytes, { tolerance }).changes;
+  if (within.length === 0) {
+    console.log(`✅ All passes keep the content within the reported tolerance (${tolerance})`);
+  } else {
+    console.error(`❌ Changes beyond the reported tolerance ${tolerance}:`);
+    for (const change of within) {
+      console.error(`     ${change.path}: largest difference ${change.maxDifference}`);
+    }
+    passed = false;
+  }
+  
+  // Without a tolerance, the quantized fields are the ones that differ
+  const exact = XRAIDiff.diffContainers(input, quantized.bytes).changes.map(change => change.path).sort();
+  const expected = [
+    'geometry[id="mesh"].primitives[0].attributes.COLOR_0',
+    'geometry[id="mesh"].primitives[0].attributes.NORMAL',
+    'geometry[id="mesh"].primitives[0].attributes.TEXCOORD_0',
+    'geometry[id="splats"].colors',
+    'geometry[id="splats"].opacities',
+    'geometry[id="splats"].rotations'
+  ];
+  if (JSON.stringify(exact) === JSON.stringify(expected)) {
+    console.log('✅ Without a tolerance, only the quantized fields differ');
+  } else {
+    console.error(`❌ Expected changes to ${expected.join(', ')}; got ${exact.join(', ') || 'none'}`);
+    passed = false;
+  }
+  
+  if (!passed) {
+    console.error('\n❌ Test failed');
+    process.exit(1);
+  }
+  console.log('\n✅ Test completed successfully');
+}
+
+runTest().catch(error => {
+  console.error('Test failed with error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * XRAI Scene References Test
+ * Checks that scene directories encode to documents whose references check out, and that
+ * broken image and audio indices are reported
+ *
+ * Usage:
+ *   node tools/test-references.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XRAIContainer = require('./xrai-container');
+const XRAIReferences = require('./xrai-references');
+const { XRAIEncoder } = require('./xrai-encoder');
+const { loadSceneDirectory } = require('./xrai-scene');
+
+// A scene directory using a mesh, a texture and an audio clip by path
+const SCENE = {
+  metadata: { title: 'References test' },
+  materials: [
+    { id: 'wood', type: 'standard', map: 'wood_texture' },
+    { id: 'bark', type: 'standard', map: 'textures/wood.png' }
+  ],
+  vfx: { textures: [{ id: 'wood_texture', url: 'textures/wood.png' }] },
+  scene: {
+    nodes: [
+      { id: 'crate', type: 'mesh', geometry: 'meshes/crate.obj', material: 'wood', sound: { uri: 'audio/creak.ogg' } },
+      { id: 'stump', type: 'mesh', geometry: 'meshes/crate.obj', material: 'bark' }
+    ]
+  }
+};
+
+const FILES = {
+  'meshes/crate.obj': 'v 0 0 0\nv 1 0 0\nv 1 1 0\nf 1 2 3\n',
+  'textures/wood.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  'audio/creak.ogg': Buffer.from('OggS')
+};
+
+/**
+ * Write the scene directory
+ * @param {string} directory - Empty directory to write it to
+ */
+function writeScene(directory) {
+  fs.writeFileSync(path.join(directory, 'scene.json'), JSON.stringify(SCENE, null, 2));
+  for (const [file, contents] of Object.entries(FILES)) {
+    fs.mkdirSync(path.join(directory, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(directory, file), contents);
+  }
+}
+
+/**
+ * List the diagnostics of a result as "code pointer"
+ * @param {Object} result - checkReferences result
+ * @returns {Array<string>} - e.g. ["DANGLING_REFERENCE /materials/0/map"]
+ */
+function listDiagnostics(result) {
+  return result.diagnostics.map(diagnostic => `${diagnostic.code} ${diagnostic.pointer}`).sort();
+}
+
+/**
+ * Compare diagnostics with the expected ones
+ * @param {string} label - What was checked
+ * @param {Object} result - checkReferences result
+ * @param {Array<string>} expected - Expected "code pointer" entries
+ * @returns {boolean} - True when they match
+ */
+function expectDiagnostics(label, result, expected) {
+  const actual = listDiagnostics(result);
+  if (JSON.stringify(actual) === JSON.stringify(expected.slice().sort())) {
+    console.log(`✅ ${label}`);
+    return true;
+  }
+  console.error(`❌ ${label}`);
+  console.error(`     expected: ${expected.join(', ') || 'none'}`);
+  console.error(`     got:      ${actual.join(', ') || 'none'}`);
+  for (const diagnostic of result.diagnostics) {
+    console.error(`     ${diagnostic.message}`);
+  }
+  return false;
+}
+
+async function runTest() {
+  console.log('=== XRAI Scene References Test ===\n');
+  
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'xrai-references-'));
+  let passed = true;
+  try {
+    writeScene(directory);
+    
+    // The paths become image and audio indices, which must resolve
+    const document = await loadSceneDirectory(directory);
+    passed = expectDiagnostics('Scene directory references resolve', XRAIReferences.checkReferences(document), []) && passed;
+    
+    // Indices past the end of images and audio, and a negative one
+    const broken = {
+      ...document,
+      materials: [document.materials[0], { ...document.materials[1], map: 3 }],
+      vfx: { textures: [{ ...document.vfx.textures[0], image: -1 }] },
+      scene: { nodes: [{ ...document.scene.nodes[0], sound: { audio: 1 } }, document.scene.nodes[1]] }
+    };
+    passed = expectDiagnostics('Broken image and audio indices are reported', XRAIReferences.checkReferences(broken), [
+      'DANGLING_REFERENCE /materials/1/map',
+      'DANGLING_REFERENCE /vfx/textures/0/image',
+      'DANGLING_REFERENCE /scene/nodes/0/sound/audio',
+      'UNUSED_ASSET /images/0',
+      'UNUSED_ASSET /audio/0'
+    ]) && passed;
+    
+    // Encoded without AI components, the file has no AI Components section
+    const encoded = await new XRAIEncoder().encodeScene(directory);
+    const decoded = XRAIContainer.decode(encoded);
+    const types = decoded.container.sections.map(section => section.type);
+    if (types.includes('aiComponents')) {
+      console.error(`❌ Encoded scene has an empty AI Components section: ${types.join(', ')}`);
+      passed = false;
+    } else {
+      console.log('✅ Encoded scene has no empty AI Components section');
+    }
+    passed = expectDiagnostics('Encoded scene references resolve', XRAIReferences.checkReferences(decoded), []) && passed;
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+  
+  if (!passed) {
+    console.error('\n❌ Test failed');
+    process.exit(1);
+  }
+  console.log('\n✅ Test completed successfully');
+}
+
+runTest().catch(error => {
+  console.error('Test failed with error:', error);
+  process.exit(1);
+});
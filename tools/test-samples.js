@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * XRAI Sample Scenes Test
+ * Encodes each scene in demos/browser/samples as a scene directory and checks that the
+ * file passes validation with the schema in strict mode, as xrai decode --validate --schema strict
+ *
+ * Usage:
+ *   node tools/test-samples.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { XRAIEncoder } = require('./xrai-encoder');
+const { XRAIDecoder } = require('./xrai-decoder');
+
+const SAMPLES_DIR = path.join(__dirname, '..', 'demos', 'browser', 'samples');
+
+// Stand-ins for the images the samples refer to by path
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * List the image paths a scene refers to
+ * @param {*} value - Scene value to search
+ * @param {Set<string>} [paths] - Paths found so far
+ * @returns {Set<string>} - Relative paths ending in .png
+ */
+function findImagePaths(value, paths = new Set()) {
+  if (typeof value === 'string') {
+    if (/^[\w./-]+\.png$/.test(value) && !value.startsWith('/')) {
+      paths.add(value);
+    }
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => findImagePaths(item, paths));
+  }
+  return paths;
+}
+
+/**
+ * Write a sample as a scene directory
+ * @param {string} sampleFile - Path of the sample JSON
+ * @param {string} directory - Empty directory to write it to
+ */
+function writeSampleScene(sampleFile, directory) {
+  const text = fs.readFileSync(sampleFile, 'utf8');
+  fs.writeFileSync(path.join(directory, 'scene.json'), text);
+  for (const file of findImagePaths(JSON.parse(text))) {
+    fs.mkdirSync(path.join(directory, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(directory, file), PNG_SIGNATURE);
+  }
+}
+
+async function runTest() {
+  console.log('=== XRAI Sample Scenes Test ===\n');
+  
+  const samples = fs.readdirSync(SAMPLES_DIR).filter(file => file.endsWith('.json')).sort();
+  const decoder = new XRAIDecoder({ schemaValidation: 'strict' });
+  let passed = samples.length > 0;
+  
+  for (const sample of samples) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'xrai-sample-'));
+    try {
+      writeSampleScene(path.join(SAMPLES_DIR, sample), directory);
+      const encoded = await new XRAIEncoder().encodeScene(directory);
+      const result = decoder.validate(encoded);
+      if (result.valid) {
+        console.log(`✅ ${sample} encodes to a file the strict schema accepts`);
+      } else {
+        console.error(`❌ ${sample} encodes to a file that fails validation (${result.code}):`);
+        for (const error of result.errors) {
+          console.error(`     ${error}`);
+        }
+        passed = false;
+      }
+    } catch (error) {
+      console.error(`❌ ${sample} could not be encoded: ${error.message}`);
+      passed = false;
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  }
+  
+  if (!passed) {
+    console.error('\n❌ Test failed');
+    process.exit(1);
+  }
+  console.log('\n✅ Test completed successfully');
+}
+
+runTest().catch(error => {
+  console.error('Test failed with error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * XRAI Sources Test
+ * Checks that open() reads a file over HTTP with as few Range requests as its layout
+ * allows: one for a file that fits in the first read, and one more for each section past it
+ *
+ * Usage:
+ *   node tools/test-sources.js
+ */
+
+const XRAIContainer = require('./xrai-container');
+const XRAISources = require('./xrai-sources');
+
+const ROOT = { asset: { version: '1.0', generator: 'XRAI sources test' }, metadata: { title: 'Sources test' } };
+
+/**
+ * Make a fetch that answers Range requests from bytes, as a server would, and counts them
+ * @param {Uint8Array} bytes - File served
+ * @returns {Function} - fetch, with the list of requested ranges in fetch.ranges
+ */
+function createRangeFetch(bytes) {
+  const ranges = [];
+  const fetch = async (url, init) => {
+    const [, start, end] = /^bytes=(\d+)-(\d+)$/.exec(init.headers.Range);
+    ranges.push(`${start}-${end}`);
+    const body = bytes.subarray(Number(start), Math.min(Number(end) + 1, bytes.byteLength));
+    return {
+      status: 206,
+      ok: true,
+      headers: { get: name => (name === 'Content-Range' ? `bytes ${start}-${Number(start) + body.byteLength - 1}/${bytes.byteLength}` : null) },
+      arrayBuffer: async () => body.slice().buffer
+    };
+  };
+  fetch.ranges = ranges;
+  return fetch;
+}
+
+/**
+ * Open a file over the fake server, decode it and list the requests made
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {Promise<Object>} - { document, ranges }
+ */
+async function decodeOverHttp(bytes) {
+  const fetch = createRangeFetch(bytes);
+  const handle = await XRAISources.open('https://example.com/scene.xrai', { fetch });
+  try {
+    const document = await handle.decode();
+    return { document, ranges: fetch.ranges };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Serialize a decoded document for comparison, with typed arrays by type and values
+ * @param {Object} document - Decoded document
+ * @returns {string} - JSON text
+ */
+function describeDocument(document) {
+  return JSON.stringify(document, (key, value) => (ArrayBuffer.isView(value) ? [value.constructor.name, ...value] : value));
+}
+
+async function runTest() {
+  console.log('=== XRAI Sources Test ===\n');
+  
+  let passed = true;
+  
+  // A small file is read whole by the first request
+  const small = new XRAIContainer.XRAIContainerWriter().addDocument({
+    ...ROOT,
+    materials: [{ id: 'grey', type: 'standard', color: [0.5, 0.5, 0.5] }],
+    geometry: [{ id: 'tri', type: 'mesh', primitives: [{ attributes: { POSITION: new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]) }, material: 0 }] }]
+  }).toBytes();
+  const smallResult = await decodeOverHttp(small);
+  if (smallResult.ranges.length === 1 && describeDocument(smallResult.document) === describeDocument(XRAIContainer.decode(small))) {
+    console.log(`✅ A ${small.byteLength}-byte file is decoded with one Range request`);
+  } else {
+    console.error(`❌ A ${small.byteLength}-byte file took ${smallResult.ranges.length} Range requests: ${smallResult.ranges.join(', ')}`);
+    passed = false;
+  }
+  
+  // Sections past the first read are each fetched once, the others not again
+  const large = new XRAIContainer.XRAIContainerWriter().addDocument({
+    ...ROOT,
+    geometry: [{ id: 'wave', type: 'mesh', primitives: [{ attributes: { POSITION: Float32Array.from({ length: 3000 }, (_, i) => Math.sin(i)) } }] }]
+  }).toBytes();
+  const sections = new XRAIContainer.XRAIContainerReader(large).sections;
+  const outside = sections.filter(section => section.offset + section.size > 4096 && !XRAIContainer.CONTAINER_SECTIONS.has(section.type));
+  const largeResult = await decodeOverHttp(large);
+  if (largeResult.ranges.length === 1 + outside.length && describeDocument(largeResult.document) === describeDocument(XRAIContainer.decode(large))) {
+    console.log(`✅ A ${large.byteLength}-byte file is decoded with one Range request and one for each of its ${outside.length} section(s) past it`);
+  } else {
+    console.error(`❌ A ${large.byteLength}-byte file took ${largeResult.ranges.length} Range requests: ${largeResult.ranges.join(', ')}`);
+    passed = false;
+  }
+  
+  if (!passed) {
+    console.error('\n❌ Test failed');
+    process.exit(1);
+  }
+  console.log('\n✅ Test completed successfully');
+}
+
+runTest().catch(error => {
+  console.error('Test failed with error:', error);
+  process.exit(1);
+});
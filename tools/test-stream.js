@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * XRAI Stream Test
+ * Checks that decoding files as they arrive, in chunks of 1, 7 and 4096 bytes, gives the
+ * document XRAIContainer.decode gives, with sections reported in file order
+ *
+ * Usage:
+ *   node tools/test-stream.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const XRAIContainer = require('./xrai-container');
+const XRAIStream = require('./xrai-stream');
+
+const TEST_DIR = path.join(__dirname, '..', 'test');
+const CHUNK_SIZES = [1, 7, 4096];
+
+const DOCUMENT = {
+  asset: { version: '1.0', generator: 'XRAI stream test' },
+  metadata: { title: 'Stream test' },
+  materials: [{ id: 'grey', type: 'standard', color: [0.5, 0.5, 0.5] }],
+  geometry: [{
+    id: 'wave',
+    type: 'mesh',
+    primitives: [{
+      attributes: { POSITION: Float32Array.from({ length: 600 }, (_, i) => Math.sin(i / 20)) },
+      indices: Uint16Array.from({ length: 600 }, (_, i) => i % 200),
+      material: 0
+    }]
+  }],
+  scene: { nodes: [{ id: 'wave-node', type: 'mesh', geometry: 'wave', material: 'grey' }] }
+};
+
+/**
+ * Files to stream: as the writers lay them out, streaming-optimized and compressed, with
+ * named sections, and from an early encoder
+ * @returns {Array<Object>} - { name, bytes }
+ */
+function getFiles() {
+  const named = new XRAIContainer.XRAIContainerWriter();
+  named.addSection('metadata', { asset: DOCUMENT.asset, metadata: DOCUMENT.metadata });
+  named.addSection('geometry', [{ id: 'lod0', type: 'mesh' }], { name: 'lod0' });
+  named.addSection('geometry', [{ id: 'lod1', type: 'mesh' }], { name: 'lod1' });
+  return [
+    { name: 'test-data-small.xrai', bytes: fs.readFileSync(path.join(TEST_DIR, 'test-data-small.xrai')) },
+    { name: 'document', bytes: new XRAIContainer.XRAIContainerWriter().addDocument(DOCUMENT).toBytes() },
+    { name: 'streaming, lz4 and deflate', bytes: new XRAIContainer.XRAIContainerWriter({ streaming: true, compression: 'buffers=lz4,deflate:6' }).addDocument(DOCUMENT).toBytes() },
+    { name: 'named sections', bytes: named.toBytes() },
+    { name: 'optimized-fast_compression-small.xrai', bytes: fs.readFileSync(path.join(TEST_DIR, 'optimized-fast_compression-small.xrai')) }
+  ];
+}
+
+/**
+ * Yield bytes in chunks of one size
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} size - Chunk size
+ * @returns {Iterator<Uint8Array>} - The chunks
+ */
+function* chunksOf(bytes, size) {
+  for (let offset = 0; offset < bytes.byteLength; offset += size) {
+    yield bytes.subarray(offset, offset + size);
+  }
+}
+
+/**
+ * Serialize a decoded document for comparison, with typed arrays by type and values
+ * @param {Object} document - Decoded document
+ * @returns {string} - JSON text
+ */
+function describeDocument(document) {
+  return JSON.stringify(document, (key, value) => (ArrayBuffer.isView(value) ? [value.constructor.name, ...value] : value));
+}
+
+async function runTest() {
+  console.log('=== XRAI Stream Test ===\n');
+  
+  let passed = true;
+  for (const { name, bytes } of getFiles()) {
+    const expected = XRAIContainer.decode(bytes);
+    const expectedText = describeDocument(expected);
+    // Sections are decoded in the order of their bytes in the file
+    const expectedOrder = expected.container.sections
+      .slice()
+      .sort((a, b) => a.offset - b.offset)
+      .map(section => section.index);
+    
+    for (const size of CHUNK_SIZES) {
+      const order = [];
+      const document = await XRAIStream.decodeStream(Readable.from(chunksOf(bytes, size)), {
+        on: { section: section => order.push(section.index) }
+      });
+      const sameDocument = describeDocument(document) === expectedText;
+      const sameOrder = JSON.stringify(order) === JSON.stringify(expectedOrder);
+      if (sameDocument && sameOrder) {
+        console.log(`✅ ${name} in ${size}-byte chunks decodes as XRAIContainer.decode does`);
+      } else {
+        console.error(`❌ ${name} in ${size}-byte chunks: ${sameDocument ? `sections in the order ${order.join(', ')}` : 'decodes to another document'}`);
+        passed = false;
+      }
+    }
+  }
+  
+  if (!passed) {
+    console.error('\n❌ Test failed');
+    process.exit(1);
+  }
+  console.log('\n✅ Test completed successfully');
+}
+
+runTest().catch(error => {
+  console.error('Test failed with error:', error);
+  process.exit(1);
+});
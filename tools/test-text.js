@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * XRAI Text Form Test
+ * Checks that containers written to their JSON form (.xrai.json) and back give the same bytes,
+ * with sections inline and in sidecar files, and that files in a legacy layout are refused
+ *
+ * Usage:
+ *   node tools/test-text.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const XRAIContainer = require('./xrai-container');
+const XRAIText = require('./xrai-text');
+
+const TEST_DIR = path.join(__dirname, '..', 'test');
+const CLI = path.join(__dirname, 'xrai-cli.js');
+
+// Files from an early encoder, with compression flags in the legacy layout
+const LEGACY_FILES = ['optimized-max_compression-small.xrai', 'stream-large.xrai'];
+
+/**
+ * Write a container with a compressed binary Buffers section, which --sidecar stores in a file
+ * @returns {Buffer} - Container bytes
+ */
+function writeBinaryContainer() {
+  const positions = Float32Array.from({ length: 300 }, (_, i) => Math.sin(i));
+  return Buffer.from(new XRAIContainer.XRAIContainerWriter({ compression: 'buffers=deflate:6' }).addDocument({
+    asset: { version: '1.0', generator: 'XRAI text test' },
+    metadata: { title: 'Text test' },
+    geometry: [{ id: 'mesh', type: 'mesh', primitives: [{ attributes: { POSITION: positions } }] }]
+  }).toBytes());
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} args - Arguments
+ * @returns {Object} - { status, output }: exit status and stdout and stderr together
+ */
+function runCli(args) {
+  try {
+    const output = execFileSync(process.execPath, [CLI, ...args], { encoding: 'utf8', stdio: 'pipe' });
+    return { status: 0, output };
+  } catch (error) {
+    return { status: error.status, output: `${error.stdout}${error.stderr}` };
+  }
+}
+
+/**
+ * Report a check
+ * @param {string} label - What was checked
+ * @param {boolean} ok - Whether it passed
+ * @param {string} [detail] - Shown when it failed
+ * @returns {boolean} - ok
+ */
+function expect(label, ok, detail) {
+  if (ok) {
+    console.log(`✅ ${label}`);
+  } else {
+    console.error(`❌ ${label}${detail ? `\n     ${detail}` : ''}`);
+  }
+  return ok;
+}
+
+async function runTest() {
+  console.log('=== XRAI Text Form Test ===\n');
+  
+  const files = fs.readdirSync(TEST_DIR).filter(file => /^test-data-.*\.xrai$/.test(file)).sort()
+    .map(file => ({ file, input: fs.readFileSync(path.join(TEST_DIR, file)), binary: false }));
+  files.push({ file: 'binary.xrai', input: writeBinaryContainer(), binary: true });
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'xrai-text-'));
+  let passed = files.length > 1;
+  try {
+    for (const { file, input, binary } of files) {
+      // Sections inline, as JSON, text and base64, through the JSON text
+      const json = JSON.stringify(XRAIText.containerToJSON(input));
+      const inline = Buffer.from(XRAIText.containerFromJSON(json));
+      passed = expect(`${file} round-trips with sections inline`, inline.equals(input),
+        `${inline.byteLength} bytes written back from ${input.byteLength}`) && passed;
+      
+      // Binary sections in sidecar files next to the .xrai.json
+      const source = path.join(directory, file);
+      const target = path.join(directory, `${file}.json`);
+      const output = path.join(directory, `copy-${file}`);
+      fs.writeFileSync(source, input);
+      const toJSON = runCli(['to-json', source, target, '--sidecar']);
+      const fromJSON = toJSON.status === 0 ? runCli(['from-json', target, output]) : toJSON;
+      const base = file.replace(/\.xrai$/, '');
+      const sidecars = fs.readdirSync(directory).filter(name => name.startsWith(`${base}.`) && name.endsWith('.bin'));
+      const copy = fromJSON.status === 0 ? fs.readFileSync(output) : null;
+      passed = expect(`${file} round-trips with --sidecar (${sidecars.length} sidecar file(s))`,
+        Boolean(copy && copy.equals(input)) && (sidecars.length > 0) === binary,
+        fromJSON.status === 0 ? `${sidecars.length} sidecar file(s), bytes equal: ${Boolean(copy && copy.equals(input))}` : fromJSON.output.trim()) && passed;
+    }
+    
+    // Legacy files cannot be written back as they are, and say how to rewrite them
+    for (const file of LEGACY_FILES) {
+      let message = null;
+      try {
+        XRAIText.containerToJSON(fs.readFileSync(path.join(TEST_DIR, file)));
+      } catch (error) {
+        message = error.message;
+      }
+      passed = expect(`${file} is refused by containerToJSON`,
+        Boolean(message && message.includes('does not round-trip') && message.includes('xrai upgrade')),
+        message || 'converted without an error') && passed;
+      
+      const target = path.join(directory, `${file}.json`);
+      const result = runCli(['to-json', path.join(TEST_DIR, file), target]);
+      passed = expect(`${file} is refused by xrai to-json, writing nothing`,
+        result.status === 1 && result.output.includes('To-JSON failed') && !fs.existsSync(target),
+        `exit status ${result.status}: ${result.output.trim()}`) && passed;
+    }
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+  
+  if (!passed) {
+    console.error('\n❌ Test failed');
+    process.exit(1);
+  }
+  console.log('\n✅ Test completed successfully');
+}
+
+runTest().catch(error => {
+  console.error('Test failed with error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * XRAI Update and Compact Test
+ * Changes a file in place with XRAIContainerUpdate and checks that decoding gives the new
+ * sections, that removed sections are gone, and that compacting the file, in memory, through
+ * a windowed handle and with xrai compact, gives the bytes of a fresh encode
+ *
+ * Usage:
+ *   node tools/test-update.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const XRAIContainer = require('./xrai-container');
+const XRAISources = require('./xrai-sources');
+
+const CLI = path.join(__dirname, 'xrai-cli.js');
+
+const ROOT = { asset: { version: '1.0', generator: 'XRAI update test' }, metadata: { title: 'Original' } };
+const LOD0 = [{ id: 'crate', type: 'mesh', name: 'detailed' }];
+const LOD1 = [{ id: 'crate', type: 'mesh', name: 'coarse' }];
+const MATERIALS = [{ id: 'wood', type: 'standard', color: [0.6, 0.4, 0.2] }];
+
+/**
+ * Encode sections in a new file, as a writer would have written them from the start
+ * @param {Array<Array>} sections - [type, value, name] of each section
+ * @param {Object} [options] - XRAIContainerWriter options
+ * @returns {Buffer} - Container bytes
+ */
+function encodeSections(sections, options = {}) {
+  const writer = new XRAIContainer.XRAIContainerWriter(options);
+  for (const [type, value, name] of sections) {
+    writer.addSection(type, value, name ? { name } : {});
+  }
+  return Buffer.from(writer.toBytes());
+}
+
+/**
+ * Compact a file in the three ways the tools do
+ * @param {string} file - File to compact
+ * @param {string} directory - Directory for the xrai compact output
+ * @returns {Promise<Object>} - { memory, handle, cli } compacted bytes
+ */
+async function compactAll(file, directory) {
+  const memory = Buffer.from(XRAIContainer.compact(fs.readFileSync(file)));
+  
+  const handle = await XRAISources.open(file);
+  const pieces = [];
+  try {
+    for await (const piece of handle.compact()) {
+      pieces.push(Buffer.from(piece));
+    }
+  } finally {
+    await handle.close();
+  }
+  
+  const output = path.join(directory, 'compacted.xrai');
+  execFileSync(process.execPath, [CLI, 'compact', file, output], { stdio: 'pipe' });
+  
+  return { memory, handle: Buffer.concat(pieces), cli: fs.readFileSync(output) };
+}
+
+/**
+ * Compare compacted bytes with a fresh encode
+ * @param {string} label - What was compacted
+ * @param {Object} compacted - compactAll result
+ * @param {Buffer} expected - Bytes of the fresh encode
+ * @returns {boolean} - True when all three equal it
+ */
+function expectCompacted(label, compacted, expected) {
+  let passed = true;
+  for (const [way, bytes] of Object.entries(compacted)) {
+    if (bytes.equals(expected)) {
+      console.log(`✅ ${label} (${way}) gives the bytes of a fresh encode`);
+    } else {
+      console.error(`❌ ${label} (${way}): ${bytes.byteLength} bytes, a fresh encode has ${expected.byteLength}`);
+      passed = false;
+    }
+  }
+  return passed;
+}
+
+/**
+ * Report a check
+ * @param {string} label - What was checked
+ * @param {boolean} ok - Whether it passed
+ * @param {string} [detail] - Shown when it failed
+ * @returns {boolean} - ok
+ */
+function expect(label, ok, detail) {
+  if (ok) {
+    console.log(`✅ ${label}`);
+  } else {
+    console.error(`❌ ${label}${detail ? `\n     ${detail}` : ''}`);
+  }
+  return ok;
+}
+
+async function runTest() {
+  console.log('=== XRAI Update and Compact Test ===\n');
+  
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'xrai-update-'));
+  const file = path.join(directory, 'scene.xrai');
+  let passed = true;
+  try {
+    const original = encodeSections([['metadata', ROOT], ['geometry', LOD0, 'lod0'], ['geometry', LOD1, 'lod1']]);
+    fs.writeFileSync(file, original);
+    
+    // Added and replaced sections are appended; what was there stays as it was
+    let update = XRAIContainer.XRAIContainerWriter.update(file);
+    let summary;
+    try {
+      update.addSection('materials', MATERIALS);
+      update.setMetadata({ title: 'Renamed' });
+      summary = update.commit();
+    } finally {
+      update.close();
+    }
+    const updated = fs.readFileSync(file);
+    passed = expect('Update appends to the file without changing what was there',
+      updated.byteLength > original.byteLength && updated.subarray(XRAIContainer.HEADER_SIZE, original.byteLength).equals(original.subarray(XRAIContainer.HEADER_SIZE)),
+      `${original.byteLength} -> ${updated.byteLength} bytes`) && passed;
+    passed = expect('Update leaves the replaced metadata and old TOC as dead bytes', summary.deadBytes > 0,
+      `deadBytes ${summary.deadBytes}`) && passed;
+    
+    const decoded = XRAIContainer.decode(updated);
+    passed = expect('Decoding the updated file gives the new sections',
+      JSON.stringify(decoded.materials) === JSON.stringify(MATERIALS) && decoded.metadata.title === 'Renamed' &&
+        XRAIContainer.validate(updated).valid,
+      `materials ${JSON.stringify(decoded.materials)}, title ${decoded.metadata && decoded.metadata.title}`) && passed;
+    
+    // Compacting keeps the section order of the update: the metadata was replaced in its place
+    const renamed = { ...ROOT, metadata: { title: 'Renamed' } };
+    passed = expectCompacted('Compacting the updated file', await compactAll(file, directory),
+      encodeSections([['metadata', renamed], ['geometry', LOD0, 'lod0'], ['geometry', LOD1, 'lod1'], ['materials', MATERIALS]])) && passed;
+    
+    // A removed section is gone from the table of contents, and from the compacted file
+    update = XRAIContainer.XRAIContainerWriter.update(file);
+    try {
+      update.removeSection('geometry', 'lod1');
+      update.commit();
+    } finally {
+      update.close();
+    }
+    const removed = fs.readFileSync(file);
+    const sections = new XRAIContainer.XRAIContainerReader(removed).sections;
+    passed = expect('Removing a section drops it from the file',
+      !sections.some(section => section.name === 'lod1') && JSON.stringify(XRAIContainer.decode(removed).geometry) === JSON.stringify(LOD0),
+      `sections ${sections.map(section => `${section.type}${section.name ? `:${section.name}` : ''}`).join(', ')}`) && passed;
+    passed = expectCompacted('Compacting after removing a section', await compactAll(file, directory),
+      encodeSections([['metadata', renamed], ['geometry', LOD0, 'lod0'], ['materials', MATERIALS]])) && passed;
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+  
+  if (!passed) {
+    console.error('\n❌ Test failed');
+    process.exit(1);
+  }
+  console.log('\n✅ Test completed successfully');
+}
+
+runTest().catch(error => {
+  console.error('Test failed with error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,815 @@
+/**
+ * XRAI Buffers
+ * Packs typed arrays into the binary Buffers section and resolves accessors back into typed arrays
+ *
+ * Implements the buffers/bufferViews/accessors model from schemas/xrai-core.json (as in glTF).
+ * In a document being authored, geometry fields hold typed arrays:
+ *
+ *   { id: 'splat', type: 'splat', splatCount: 2, positions: new Float32Array([...]) }
+ *
+ * In the stored document the same fields hold accessor indices, and the bytes live in the
+ * Buffers section (type 8). Each entry of `buffers` without a `uri` is an embedded buffer;
+ * the Nth embedded buffer is stored in the Nth Buffers section of the container.
+ *
+ * Accessor fields by geometry type:
+ *
+ *   mesh    primitives[].attributes.*, primitives[].indices
+ *   splat   positions, colors, scales, rotations, opacities
+ *   points  positions, colors, normals
+ *   nerf    weights
+ *
+ * Images (the Images section, type 9) and audio clips (the Audio section, type 5) are stored
+ * the same way. An authored image or clip holds its encoded bytes in `data`; the stored one
+ * refers to them with a `bufferView` instead:
+ *
+ *   { name: 'bark', mimeType: 'image/png', data: new Uint8Array([...]) }
+ *
+ * An image or buffer with a `uri` is external and is loaded with tools/xrai-resolver.js.
+ * Typed arrays anywhere else cannot be stored, and packDocument() rejects them.
+ *
+ * Colors, normals, tangents, texture coordinates, rotations and opacities may be stored as
+ * integers instead of floats (quantized), which are normalized as in glTF: dequantize()
+ * turns them back into floats.
+ */
+
+(function (root) {
+  'use strict';
+  
+  const COMPONENT_TYPES = {
+    BYTE: 5120,
+    UNSIGNED_BYTE: 5121,
+    SHORT: 5122,
+    UNSIGNED_SHORT: 5123,
+    UNSIGNED_INT: 5125,
+    FLOAT: 5126
+  };
+  
+  const ARRAY_TYPES = {
+    5120: Int8Array,
+    5121: Uint8Array,
+    5122: Int16Array,
+    5123: Uint16Array,
+    5125: Uint32Array,
+    5126: Float32Array
+  };
+  
+  // Number of components per element for each accessor type
+  const TYPE_SIZES = {
+    SCALAR: 1,
+    VEC2: 2,
+    VEC3: 3,
+    VEC4: 4,
+    MAT2: 4,
+    MAT3: 9,
+    MAT4: 16
+  };
+  
+  // Accessor fields of non-mesh geometry, with their element types
+  const ACCESSOR_FIELDS = {
+    splat: {
+      positions: 'VEC3',
+      colors: 'VEC4',
+      scales: 'VEC3',
+      rotations: 'VEC4',
+      opacities: 'SCALAR'
+    },
+    points: {
+      positions: 'VEC3',
+      colors: 'VEC4',
+      normals: 'VEC3'
+    },
+    nerf: {
+      weights: 'SCALAR'
+    }
+  };
+  
+  // Document properties listing encoded media (images, audio clips) by bufferView
+  const MEDIA_PROPERTIES = ['images', 'audio'];
+  
+  const BUFFER_VIEW_ALIGNMENT = 4;
+  
+  // Accessor fields whose integer values are normalized (mesh attributes by name prefix)
+  const NORMALIZED_FIELDS = ['colors', 'normals', 'rotations', 'opacities'];
+  const NORMALIZED_ATTRIBUTES = ['COLOR_', 'NORMAL', 'TANGENT', 'TEXCOORD_'];
+  
+  // Largest value of each normalized integer type
+  const NORMALIZED_RANGES = new Map([
+    [Int8Array, 127],
+    [Uint8Array, 255],
+    [Int16Array, 32767],
+    [Uint16Array, 65535]
+  ]);
+  
+  /**
+   * Check whether a value is a typed array that can back an accessor
+   * @param {*} value - Value to check
+   * @returns {boolean} - True for typed arrays (not DataViews)
+   */
+  function isTypedArray(value) {
+    return ArrayBuffer.isView(value) && !(value instanceof DataView);
+  }
+  
+  /**
+   * Check whether integer values of an accessor field are normalized
+   * @param {string} key - Geometry field or mesh attribute name
+   * @returns {boolean} - True for colors, normals, tangents, texture coordinates, rotations and opacities
+   */
+  function isNormalizedField(key) {
+    return NORMALIZED_FIELDS.includes(key) || NORMALIZED_ATTRIBUTES.some(prefix => key.startsWith(prefix));
+  }
+  
+  /**
+   * Check whether a typed array can hold normalized values
+   * @param {TypedArray} array - Typed array
+   * @returns {boolean} - True for 8 and 16-bit integer arrays
+   */
+  function isNormalizedArray(array) {
+    return NORMALIZED_RANGES.has(array.constructor);
+  }
+  
+  /**
+   * Convert the values of a normalized field to floats
+   * @param {TypedArray} array - Float values, or normalized 8 or 16-bit integers
+   * @returns {Float32Array} - The array itself when it holds floats, otherwise the values scaled
+   *   to [0, 1] (unsigned) or [-1, 1] (signed)
+   */
+  function dequantize(array) {
+    if (array instanceof Float32Array) {
+      return array;
+    }
+    const range = NORMALIZED_RANGES.get(array.constructor);
+    if (!range) {
+      throw new Error(`${array.constructor.name} cannot hold normalized values; use an 8 or 16-bit integer array`);
+    }
+    const result = new Float32Array(array.length);
+    for (let i = 0; i < array.length; i++) {
+      result[i] = Math.max(array[i] / range, -1);
+    }
+    return result;
+  }
+  
+  /**
+   * Get the accessor component type for a typed array
+   * @param {TypedArray} array - Typed array
+   * @returns {number} - Component type (see COMPONENT_TYPES)
+   */
+  function getComponentType(array) {
+    for (const [componentType, ArrayType] of Object.entries(ARRAY_TYPES)) {
+      if (array instanceof ArrayType) {
+        return Number(componentType);
+      }
+    }
+    throw new Error(`Unsupported accessor array type ${array.constructor.name}; use an 8, 16 or 32-bit integer array or a Float32Array`);
+  }
+  
+  /**
+   * Get the element type of a mesh vertex attribute
+   * @param {string} name - Attribute name (POSITION, NORMAL, TEXCOORD_0, ...)
+   * @param {number} length - Number of components in the array
+   * @returns {string} - Accessor type
+   */
+  function getAttributeType(name, length) {
+    if (name === 'POSITION' || name === 'NORMAL') {
+      return 'VEC3';
+    }
+    if (name.startsWith('TEXCOORD_')) {
+      return 'VEC2';
+    }
+    if (name.startsWith('COLOR_')) {
+      return length % 4 !== 0 && length % 3 === 0 ? 'VEC3' : 'VEC4';
+    }
+    if (name === 'TANGENT' || name.startsWith('JOINTS_') || name.startsWith('WEIGHTS_')) {
+      return 'VEC4';
+    }
+    return 'SCALAR';
+  }
+  
+  /**
+   * Visit every accessor field of a geometry entry
+   * @param {Object} geometry - Geometry entry
+   * @param {Function} callback - (holder, key, elementType, path) for each field that is present
+   */
+  function forEachAccessorField(geometry, callback) {
+    if (!geometry || typeof geometry !== 'object') {
+      return;
+    }
+    
+    if (geometry.type === 'mesh') {
+      (geometry.primitives || []).forEach((primitive, primitiveIndex) => {
+        const attributes = primitive.attributes || {};
+        for (const name of Object.keys(attributes)) {
+          const length = isTypedArray(attributes[name]) ? attributes[name].length : 0;
+          callback(attributes, name, getAttributeType(name, length), `primitives[${primitiveIndex}].attributes.${name}`);
+        }
+        if (primitive.indices !== undefined) {
+          callback(primitive, 'indices', 'SCALAR', `primitives[${primitiveIndex}].indices`);
+        }
+      });
+      return;
+    }
+    
+    const fields = ACCESSOR_FIELDS[geometry.type] || {};
+    for (const [key, elementType] of Object.entries(fields)) {
+      if (geometry[key] !== undefined) {
+        callback(geometry, key, elementType, key);
+      }
+    }
+  }
+  
+  /**
+   * Copy a geometry entry deeply enough that its accessor fields can be replaced
+   * @param {Object} geometry - Geometry entry
+   * @returns {Object} - Copy sharing everything except the objects holding accessor fields
+   */
+  function cloneAccessorHolders(geometry) {
+    if (!geometry || typeof geometry !== 'object' || geometry.type !== 'mesh' || !geometry.primitives) {
+      return { ...geometry };
+    }
+    
+    return {
+      ...geometry,
+      primitives: geometry.primitives.map(primitive => ({
+        ...primitive,
+        attributes: primitive.attributes ? { ...primitive.attributes } : primitive.attributes
+      }))
+    };
+  }
+  
+  /**
+   * Round an offset up to the buffer view alignment
+   * @param {number} offset - Byte offset
+   * @returns {number} - Aligned offset
+   */
+  function align(offset) {
+    return offset + ((BUFFER_VIEW_ALIGNMENT - (offset % BUFFER_VIEW_ALIGNMENT)) % BUFFER_VIEW_ALIGNMENT);
+  }
+  
+  /**
+   * Compute per-component minimum and maximum values
+   * @param {TypedArray} array - Accessor data
+   * @param {number} components - Components per element
+   * @returns {Object} - { min, max }
+   */
+  function computeBounds(array, components) {
+    const min = new Array(components).fill(Infinity);
+    const max = new Array(components).fill(-Infinity);
+    
+    for (let i = 0; i < array.length; i++) {
+      const component = i % components;
+      if (array[i] < min[component]) min[component] = array[i];
+      if (array[i] > max[component]) max[component] = array[i];
+    }
+    
+    return { min, max };
+  }
+  
+  /**
+   * Collects typed arrays into one buffer, creating a bufferView and an accessor for each
+   */
+  class XRAIBufferBuilder {
+    /**
+     * @param {Object} options - Builder options
+     * @param {number} [options.bufferIndex=0] - Index the built buffer will have in `buffers`
+     * @param {number} [options.bufferViewOffset=0] - Index of the first bufferView created
+     * @param {number} [options.accessorOffset=0] - Index of the first accessor created
+     */
+    constructor(options = {}) {
+      this.options = {
+        bufferIndex: 0,
+        bufferViewOffset: 0,
+        accessorOffset: 0,
+        ...options
+      };
+      
+      this.chunks = [];
+      this.byteLength = 0;
+      this.bufferViews = [];
+      this.accessors = [];
+    }
+    
+    /**
+     * Add a typed array as a new accessor
+     * @param {TypedArray} array - Accessor data
+     * @param {Object} options - Accessor options
+     * @param {string} [options.type='SCALAR'] - Accessor type (SCALAR, VEC2, VEC3, ...)
+     * @param {boolean} [options.normalized] - Whether integer values are normalized
+     * @param {boolean} [options.bounds] - Record min/max (required by glTF for positions)
+     * @returns {number} - Index of the new accessor
+     */
+    addAccessor(array, options = {}) {
+      const type = options.type || 'SCALAR';
+      const components = TYPE_SIZES[type];
+      if (!components) {
+        throw new Error(`Unknown accessor type: ${type}`);
+      }
+      if (array.length % components !== 0) {
+        throw new Error(`Array of length ${array.length} cannot hold whole ${type} elements`);
+      }
+      
+      const componentType = getComponentType(array);
+      const bufferView = this.addBufferView(new Uint8Array(array.buffer, array.byteOffset, array.byteLength));
+      
+      const accessor = {
+        bufferView,
+        componentType,
+        count: array.length / components,
+        type
+      };
+      if (options.normalized) {
+        accessor.normalized = true;
+      }
+      if (options.bounds) {
+        Object.assign(accessor, computeBounds(array, components));
+      }
+      
+      this.accessors.push(accessor);
+      return this.options.accessorOffset + this.accessors.length - 1;
+    }
+    
+    /**
+     * Add bytes as a new bufferView, without an accessor (e.g. an encoded image)
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} - Index of the new bufferView
+     */
+    addBufferView(bytes) {
+      const byteOffset = align(this.byteLength);
+      
+      this.chunks.push({ byteOffset, bytes });
+      this.byteLength = byteOffset + bytes.byteLength;
+      
+      this.bufferViews.push({
+        buffer: this.options.bufferIndex,
+        byteOffset,
+        byteLength: bytes.byteLength
+      });
+      
+      return this.options.bufferViewOffset + this.bufferViews.length - 1;
+    }
+    
+    /**
+     * Concatenate the added arrays
+     * @returns {Uint8Array} - Buffer bytes (padding stays zero)
+     */
+    toBytes() {
+      const bytes = new Uint8Array(align(this.byteLength));
+      for (const chunk of this.chunks) {
+        bytes.set(chunk.bytes, chunk.byteOffset);
+      }
+      return bytes;
+    }
+  }
+  
+  /**
+   * Get the media entries of a document property
+   * @param {Object} document - XRAI document
+   * @param {string} key - One of MEDIA_PROPERTIES
+   * @returns {Array<Object>} - The entries, or [] when the property is not a list
+   */
+  function getMedia(document, key) {
+    return Array.isArray(document[key]) ? document[key] : [];
+  }
+  
+  /**
+   * Check whether a document has typed arrays in its accessor fields or media data
+   * @param {Object} document - XRAI document
+   * @returns {boolean} - True when packDocument has data to pack
+   */
+  function hasTypedArrays(document) {
+    let found = MEDIA_PROPERTIES.some(key => getMedia(document, key).some(entry => entry && isTypedArray(entry.data)));
+    for (const geometry of document.geometry || []) {
+      forEachAccessorField(geometry, (holder, key) => {
+        found = found || isTypedArray(holder[key]);
+      });
+    }
+    return found;
+  }
+  
+  /**
+   * Find binary data (typed arrays, DataViews, ArrayBuffers) in the JSON part of a value
+   * @param {*} value - Value to search
+   * @param {string} path - Path of the value, for errors
+   * @returns {Object|null} - { path, value } of the first binary data found, or null
+   */
+  function findBinary(value, path) {
+    if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+      return { path, value };
+    }
+    if (Array.isArray(value)) {
+      for (let i = 0; i < value.length; i++) {
+        const found = findBinary(value[i], `${path}[${i}]`);
+        if (found) {
+          return found;
+        }
+      }
+    } else if (value && typeof value === 'object') {
+      for (const key of Object.keys(value)) {
+        const found = findBinary(value[key], path ? `${path}.${key}` : key);
+        if (found) {
+          return found;
+        }
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Check that a packed document has no binary data left that JSON would mangle
+   *
+   * JSON.stringify writes typed arrays as objects keyed by index, so data outside the accessor
+   * fields and media entries is rejected instead. Properties holding whole binary sections
+   * (as decoded from Buffers or unknown sections, a list when there are several) are written
+   * as they are.
+   *
+   * @param {Object} document - Document returned by packDocument
+   * @throws {Error} - Naming the property that holds binary data
+   */
+  function checkPacked(document) {
+    const isBinary = value => ArrayBuffer.isView(value) || value instanceof ArrayBuffer;
+    for (const [key, value] of Object.entries(document)) {
+      if (key === 'container' || isBinary(value) || (Array.isArray(value) && value.length > 0 && value.every(isBinary))) {
+        continue;
+      }
+      const found = findBinary(value, key);
+      if (found) {
+        const kind = found.value.constructor ? found.value.constructor.name : 'binary data';
+        throw new Error(`${found.path} holds a ${kind}, which can only be stored in accessor fields of geometry and in the data of images and audio clips; use a plain array instead`);
+      }
+    }
+  }
+  
+  /**
+   * Move typed arrays, image and audio data out of a document into an embedded buffer
+   *
+   * Embedded buffers are rebuilt on every encode: embedded entries of `buffers`, and the
+   * bufferViews and accessors that use them, are replaced by the ones built from the typed
+   * arrays. Entries for external buffers (with a `uri`) are kept and renumbered.
+   *
+   * @param {Object} document - XRAI document, possibly holding typed arrays
+   * @returns {Object} - { document, buffers }: the stored document and the embedded buffer bytes
+   */
+  function packDocument(document) {
+    const oldBuffers = document.buffers || [];
+    const oldBufferViews = document.bufferViews || [];
+    const oldAccessors = document.accessors || [];
+    
+    if (!hasTypedArrays(document) && !oldBuffers.some(buffer => buffer.uri === undefined)) {
+      checkPacked(document);
+      return { document, buffers: [] };
+    }
+    
+    // Keep external buffers and everything that refers to them
+    const bufferMap = new Map();
+    const buffers = [];
+    oldBuffers.forEach((buffer, index) => {
+      if (buffer.uri !== undefined) {
+        bufferMap.set(index, buffers.length);
+        buffers.push(buffer);
+      }
+    });
+    
+    const bufferViewMap = new Map();
+    const bufferViews = [];
+    oldBufferViews.forEach((bufferView, index) => {
+      if (bufferMap.has(bufferView.buffer)) {
+        bufferViewMap.set(index, bufferViews.length);
+        bufferViews.push({ ...bufferView, buffer: bufferMap.get(bufferView.buffer) });
+      }
+    });
+    
+    const accessorMap = new Map();
+    const accessors = [];
+    oldAccessors.forEach((accessor, index) => {
+      if (accessor.bufferView === undefined || bufferViewMap.has(accessor.bufferView)) {
+        accessorMap.set(index, accessors.length);
+        accessors.push(accessor.bufferView === undefined ? accessor : { ...accessor, bufferView: bufferViewMap.get(accessor.bufferView) });
+      }
+    });
+    
+    const builder = new XRAIBufferBuilder({
+      bufferIndex: buffers.length,
+      bufferViewOffset: bufferViews.length,
+      accessorOffset: accessors.length
+    });
+    
+    // Arrays shared between fields (as decoded from a shared accessor) are stored once
+    const packedArrays = new Map();
+    
+    const geometry = (document.geometry || []).map((entry, geometryIndex) => {
+      const copy = cloneAccessorHolders(entry);
+      
+      forEachAccessorField(copy, (holder, key, elementType, path) => {
+        const value = holder[key];
+        
+        if (isTypedArray(value)) {
+          // The schema requires count >= 1, so empty arrays are left out
+          if (value.length === 0) {
+            delete holder[key];
+            return;
+          }
+          if (!packedArrays.has(value)) {
+            packedArrays.set(value, builder.addAccessor(value, {
+              type: elementType,
+              normalized: isNormalizedField(key) && !(value instanceof Float32Array),
+              bounds: key === 'positions' || key === 'POSITION'
+            }));
+          }
+          holder[key] = packedArrays.get(value);
+        } else if (typeof value === 'number') {
+          if (!accessorMap.has(value)) {
+            throw new Error(`geometry[${geometryIndex}].${path} refers to accessor ${value}, whose embedded buffer data is not available`);
+          }
+          holder[key] = accessorMap.get(value);
+        }
+      });
+      
+      return copy;
+    });
+    
+    // Data shared between images or clips is stored once too
+    const packedMedia = new Map();
+    const media = {};
+    for (const key of MEDIA_PROPERTIES) {
+      media[key] = getMedia(document, key).map((entry, entryIndex) => {
+        if (!entry || typeof entry !== 'object') {
+          return entry;
+        }
+        if (isTypedArray(entry.data)) {
+          // Data wins over a uri, as typed arrays win over accessor indices in geometry
+          const { data, ...copy } = entry;
+          delete copy.uri;
+          if (!packedMedia.has(data)) {
+            packedMedia.set(data, builder.addBufferView(new Uint8Array(data.buffer, data.byteOffset, data.byteLength)));
+          }
+          copy.bufferView = packedMedia.get(data);
+          return copy;
+        }
+        if (typeof entry.bufferView === 'number') {
+          if (!bufferViewMap.has(entry.bufferView)) {
+            throw new Error(`${key}[${entryIndex}] refers to bufferView ${entry.bufferView}, whose embedded buffer data is not available`);
+          }
+          return { ...entry, bufferView: bufferViewMap.get(entry.bufferView) };
+        }
+        return entry;
+      });
+    }
+    
+    const result = { ...document };
+    const packed = [];
+    
+    if (builder.bufferViews.length > 0) {
+      const bytes = builder.toBytes();
+      buffers.push({ byteLength: bytes.byteLength });
+      bufferViews.push(...builder.bufferViews);
+      accessors.push(...builder.accessors);
+      packed.push(bytes);
+    }
+    
+    for (const [key, value] of [['buffers', buffers], ['bufferViews', bufferViews], ['accessors', accessors]]) {
+      if (value.length > 0) {
+        result[key] = value;
+      } else {
+        delete result[key];
+      }
+    }
+    if (document.geometry !== undefined) {
+      result.geometry = geometry;
+    }
+    for (const key of MEDIA_PROPERTIES) {
+      if (Array.isArray(document[key])) {
+        result[key] = media[key];
+      }
+    }
+    
+    checkPacked(result);
+    return { document: result, buffers: packed };
+  }
+  
+  /**
+   * Get the typed array for an accessor
+   *
+   * Tightly packed, aligned data is returned as a view over the buffer bytes without copying.
+   * Interleaved (byteStride) or misaligned data is copied.
+   *
+   * @param {Object} document - Stored XRAI document (with buffers/bufferViews/accessors)
+   * @param {number} index - Accessor index
+   * @param {Array<Uint8Array>} bufferData - Bytes of each buffer, by buffer index
+   * @returns {TypedArray|null} - The data, or null when the buffer bytes are not available
+   */
+  function resolveAccessor(document, index, bufferData) {
+    const accessor = (document.accessors || [])[index];
+    if (!accessor) {
+      throw new Error(`Accessor ${index} does not exist`);
+    }
+    
+    const ArrayType = ARRAY_TYPES[accessor.componentType];
+    const components = TYPE_SIZES[accessor.type];
+    if (!ArrayType || !components) {
+      throw new Error(`Accessor ${index} has unsupported componentType ${accessor.componentType} or type ${accessor.type}`);
+    }
+    
+    const length = accessor.count * components;
+    if (accessor.bufferView === undefined) {
+      // Accessors without a bufferView are all zeros
+      return new ArrayType(length);
+    }
+    
+    const bufferView = (document.bufferViews || [])[accessor.bufferView];
+    if (!bufferView) {
+      throw new Error(`Accessor ${index} refers to missing bufferView ${accessor.bufferView}`);
+    }
+    
+    const data = bufferData[bufferView.buffer];
+    if (!data) {
+      return null;
+    }
+    
+    const elementSize = components * ArrayType.BYTES_PER_ELEMENT;
+    const stride = bufferView.byteStride || elementSize;
+    const viewOffset = bufferView.byteOffset || 0;
+    const start = viewOffset + (accessor.byteOffset || 0);
+    const end = accessor.count > 0 ? start + stride * (accessor.count - 1) + elementSize : start;
+    
+    if (viewOffset + bufferView.byteLength > data.byteLength || end > viewOffset + bufferView.byteLength) {
+      throw new Error(`Accessor ${index} reads past the end of bufferView ${accessor.bufferView}`);
+    }
+    
+    if (stride === elementSize) {
+      const absoluteOffset = data.byteOffset + start;
+      if (absoluteOffset % ArrayType.BYTES_PER_ELEMENT === 0) {
+        return new ArrayType(data.buffer, absoluteOffset, length);
+      }
+      // Uint8Array's slice copies; a Node.js Buffer's would share the file's memory
+      return new ArrayType(Uint8Array.prototype.slice.call(data, start, start + length * ArrayType.BYTES_PER_ELEMENT).buffer);
+    }
+    
+    // De-interleave
+    const out = new Uint8Array(length * ArrayType.BYTES_PER_ELEMENT);
+    for (let i = 0; i < accessor.count; i++) {
+      out.set(data.subarray(start + i * stride, start + i * stride + elementSize), i * elementSize);
+    }
+    return new ArrayType(out.buffer);
+  }
+  
+  /**
+   * Get the bytes of a bufferView
+   * @param {Object} document - Stored XRAI document (with buffers/bufferViews)
+   * @param {number} index - BufferView index
+   * @param {Array<Uint8Array>} bufferData - Bytes of each buffer, by buffer index
+   * @returns {Uint8Array|null} - A view over the buffer bytes, or null when they are not available
+   */
+  function resolveBufferView(document, index, bufferData) {
+    const bufferView = (document.bufferViews || [])[index];
+    if (!bufferView) {
+      throw new Error(`BufferView ${index} does not exist`);
+    }
+    
+    const data = bufferData[bufferView.buffer];
+    if (!data) {
+      return null;
+    }
+    
+    const start = bufferView.byteOffset || 0;
+    if (start + bufferView.byteLength > data.byteLength) {
+      throw new Error(`BufferView ${index} reads past the end of buffer ${bufferView.buffer}`);
+    }
+    return data.subarray(start, start + bufferView.byteLength);
+  }
+  
+  /**
+   * Map the embedded buffers of a document to their buffer indices
+   * @param {Object} document - Stored XRAI document
+   * @param {Array<Uint8Array>} embeddedBuffers - Payloads of the Buffers sections, in file order
+   * @returns {Array<Uint8Array>} - Bytes by buffer index; external buffers are left out
+   */
+  function getEmbeddedBufferData(document, embeddedBuffers) {
+    const bufferData = [];
+    let embeddedIndex = 0;
+    (document.buffers || []).forEach((buffer, index) => {
+      if (buffer.uri === undefined) {
+        bufferData[index] = embeddedBuffers[embeddedIndex++];
+      }
+    });
+    return bufferData;
+  }
+  
+  /**
+   * Replace accessor indices in geometry with typed arrays, and the bufferViews of images
+   * and audio clips with their data, in place
+   * @param {Object} document - Stored XRAI document
+   * @param {Array<Uint8Array>} embeddedBuffers - Payloads of the Buffers sections, in file order
+   * @returns {Object} - The same document
+   */
+  function resolveDocument(document, embeddedBuffers) {
+    const bufferData = getEmbeddedBufferData(document, embeddedBuffers);
+    
+    const resolved = new Map();
+    for (const geometry of document.geometry || []) {
+      forEachAccessorField(geometry, (holder, key) => {
+        const index = holder[key];
+        if (typeof index !== 'number') {
+          return;
+        }
+        if (!resolved.has(index)) {
+          resolved.set(index, resolveAccessor(document, index, bufferData));
+        }
+        // Accessors in buffers that are not loaded (external URIs) stay as indices
+        if (resolved.get(index)) {
+          holder[key] = resolved.get(index);
+        }
+      });
+    }
+    
+    for (const entry of MEDIA_PROPERTIES.flatMap(key => getMedia(document, key))) {
+      if (!entry || typeof entry.bufferView !== 'number' || entry.uri !== undefined) {
+        continue;
+      }
+      const data = resolveBufferView(document, entry.bufferView, bufferData);
+      if (data) {
+        delete entry.bufferView;
+        entry.data = data;
+      }
+    }
+    
+    return document;
+  }
+  
+  /**
+   * Encode bytes as base64
+   *
+   * Uses Buffer in Node.js, where btoa is a global only from Node.js 16.
+   *
+   * @param {Uint8Array} bytes - Data
+   * @returns {string} - Base64 text
+   */
+  function encodeBase64(bytes) {
+    if (typeof Buffer !== 'undefined') {
+      return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+    }
+    
+    let binary = '';
+    // Chunked: String.fromCharCode takes its arguments on the stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+  
+  /**
+   * Decode base64 text, as found in data URIs and text containers
+   *
+   * Uses Buffer in Node.js, where atob is a global only from Node.js 16.
+   *
+   * @param {string} text - Base64 text; whitespace is ignored
+   * @returns {Uint8Array} - Data
+   */
+  function decodeBase64(text) {
+    const clean = text.replace(/\s/g, '');
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(clean) || clean.length % 4 === 1) {
+      throw new Error('Invalid base64 data');
+    }
+    
+    if (typeof Buffer !== 'undefined') {
+      // Copied out of Buffer's shared pool, so the result owns its ArrayBuffer
+      return new Uint8Array(Buffer.from(clean, 'base64'));
+    }
+    
+    const binary = atob(clean);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+  
+  const XRAIBuffers = {
+    COMPONENT_TYPES,
+    ARRAY_TYPES,
+    TYPE_SIZES,
+    ACCESSOR_FIELDS,
+    MEDIA_PROPERTIES,
+    XRAIBufferBuilder,
+    cloneAccessorHolders,
+    decodeBase64,
+    dequantize,
+    encodeBase64,
+    forEachAccessorField,
+    getComponentType,
+    getEmbeddedBufferData,
+    hasTypedArrays,
+    isNormalizedArray,
+    isNormalizedField,
+    isTypedArray,
+    packDocument,
+    resolveAccessor,
+    resolveBufferView,
+    resolveDocument
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIBuffers;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIBuffers = XRAIBuffers;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,523 @@
+/**
+ * XRAI Cache
+ * Content-addressed cache of decoded sections, shared by the decoders
+ *
+ * Sections are cached under the SHA-256 of their stored bytes together with their type
+ * and flags, so a decoded value is reused wherever the same bytes appear again: when a
+ * file is decoded a second time, and when a file is reopened after some of its sections
+ * changed, in which case only the changed sections are decoded.
+ *
+ * XRAISectionCache keeps recently used values in memory within a byte budget, evicting
+ * the least recently used first. The size of an entry is the size of its uncompressed
+ * payload. A store keeps entries across sessions:
+ *
+ *   XRAIFileCacheStore       one file per entry in a directory (Node.js)
+ *   XRAIIndexedDBCacheStore  an IndexedDB database (browser)
+ *
+ * A store is any object with get(key) and set(key, entry) returning Promises, where an
+ * entry is { value, size }. Stores may also implement getSync(key), which lets synchronous
+ * decoders read them, and clear().
+ *
+ * Decoding resolves geometry accessors in place, so values are copied into and out of
+ * the cache; binary data is not copied out, and is copied in only when it is a view of a
+ * larger buffer (such as the whole file), which the cache would otherwise keep alive.
+ *
+ * Example:
+ *
+ *   const cache = new XRAISectionCache({ maxBytes: 128 * 1024 * 1024, store: new XRAIFileCacheStore('.xrai-cache') });
+ *   const decoder = new XRAIDecoder({ cache });
+ */
+
+(function (root) {
+  'use strict';
+  
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const XRAIIntegrity = isNode ? require('./xrai-integrity') : root.XRAIIntegrity;
+  
+  // Part of every key; change it when decoding changes, so older entries are no longer found
+  const CACHE_FORMAT = 'xrai-section-v1';
+  
+  const DEFAULT_MAX_BYTES = 64 * 1024 * 1024;
+  
+  const TypedArray = Object.getPrototypeOf(Uint8Array);
+  
+  const textEncoder = new TextEncoder();
+  
+  /**
+   * Check whether a value is binary data
+   * @param {*} value - Value to check
+   * @returns {boolean} - True for ArrayBuffers and their views
+   */
+  function isBinary(value) {
+    return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+  }
+  
+  /**
+   * Copy the arrays and plain objects of a decoded value
+   * @param {*} value - Decoded section value
+   * @param {boolean} detach - Also copy binary views of larger buffers
+   * @returns {*} - The copy
+   */
+  function copyValue(value, detach) {
+    if (Array.isArray(value)) {
+      return value.map(entry => copyValue(entry, detach));
+    }
+    if (isBinary(value)) {
+      if (detach && value instanceof TypedArray && value.byteLength !== value.buffer.byteLength) {
+        // TypedArray#slice copies, where Buffer#slice would return another view
+        return TypedArray.prototype.slice.call(value);
+      }
+      return value;
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    
+    // fromEntries defines properties, so a JSON "__proto__" key stays an own property
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, copyValue(entry, detach)]));
+  }
+  
+  /**
+   * Keeps decoded sections in memory, least recently used first out, backed by an optional store
+   */
+  class XRAISectionCache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} [options.maxBytes=64 MB] - Memory budget, in uncompressed payload bytes
+     * @param {Object} [options.store] - Persistent store (XRAIFileCacheStore, XRAIIndexedDBCacheStore or compatible)
+     */
+    constructor(options = {}) {
+      this.options = {
+        maxBytes: DEFAULT_MAX_BYTES,
+        store: null,
+        ...options
+      };
+      
+      this.entries = new Map();
+      this.bytes = 0;
+      this.stats = { hits: 0, misses: 0 };
+      
+      // Store writes in progress, and the first one that failed since the last flush()
+      this.pending = new Set();
+      this.writeError = null;
+    }
+    
+    /**
+     * Compute the key of a section
+     * @param {Object} section - Section entry: typeId, type and flags
+     * @param {Uint8Array} bytes - Stored section bytes
+     * @returns {string} - Lowercase hex SHA-256 of the section type, flags and bytes
+     */
+    keyFor(section, bytes) {
+      const hash = XRAIIntegrity.createSha256();
+      hash.update(textEncoder.encode(`${CACHE_FORMAT}:${section.typeId}:${section.type}:${section.flags}:`));
+      hash.update(bytes);
+      return hash.digest();
+    }
+    
+    /**
+     * Look up a decoded section in memory, then in the store if it can be read synchronously
+     * @param {string} key - Key from keyFor
+     * @returns {*} - A copy of the decoded value, or undefined when it is not cached
+     */
+    get(key) {
+      let entry = this.entries.get(key);
+      
+      if (entry) {
+        // Most recently used entries are kept at the end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+      } else if (this.options.store && typeof this.options.store.getSync === 'function') {
+        entry = this._getStored(key);
+      }
+      
+      if (!entry) {
+        this.stats.misses++;
+        return undefined;
+      }
+      
+      this.stats.hits++;
+      return copyValue(entry.value, false);
+    }
+    
+    /**
+     * Cache a decoded section, in memory and in the store
+     * @param {string} key - Key from keyFor
+     * @param {*} value - Decoded value
+     * @param {number} size - Uncompressed payload size in bytes
+     */
+    set(key, value, size) {
+      const entry = { value: copyValue(value, true), size };
+      this._remember(key, entry);
+      
+      if (this.options.store) {
+        // Failed writes are reported by flush() and nowhere else
+        const write = Promise.resolve()
+          .then(() => this.options.store.set(key, entry))
+          .catch(error => {
+            this.writeError = this.writeError || error;
+          })
+          .then(() => this.pending.delete(write));
+        this.pending.add(write);
+      }
+    }
+    
+    /**
+     * Check whether a section is in memory
+     * @param {string} key - Key from keyFor
+     * @returns {boolean} - True when get(key) will not need the store
+     */
+    has(key) {
+      return this.entries.has(key);
+    }
+    
+    /**
+     * Bring sections from the store into memory before a synchronous decode
+     *
+     * Keys the store cannot read are left as misses; a failing store never fails a decode.
+     *
+     * @param {Array<string>} keys - Keys from keyFor
+     * @returns {Promise<number>} - Number of sections found in the store
+     */
+    async load(keys) {
+      const store = this.options.store;
+      if (!store) {
+        return 0;
+      }
+      
+      let found = 0;
+      for (const key of keys) {
+        if (key === null || this.entries.has(key)) {
+          continue;
+        }
+        
+        try {
+          const entry = this._fromStore(await store.get(key));
+          if (entry) {
+            this._remember(key, entry);
+            found++;
+          }
+        } catch (error) {
+          // Treated as a miss
+        }
+      }
+      return found;
+    }
+    
+    /**
+     * Wait until every section cached so far has been written to the store
+     * @returns {Promise<void>} - Rejects with the first write error
+     */
+    async flush() {
+      await Promise.all(Array.from(this.pending));
+      
+      const error = this.writeError;
+      this.writeError = null;
+      if (error) {
+        throw error;
+      }
+    }
+    
+    /**
+     * Empty the memory cache, and the store when clearStore is set
+     * @param {boolean} [clearStore=false] - Also clear the store
+     * @returns {Promise<void>}
+     */
+    async clear(clearStore = false) {
+      this.entries.clear();
+      this.bytes = 0;
+      if (clearStore && this.options.store && typeof this.options.store.clear === 'function') {
+        await this.options.store.clear();
+      }
+    }
+    
+    /**
+     * Read an entry from the store synchronously and keep it in memory
+     * @private
+     * @param {string} key - Key from keyFor
+     * @returns {Object|undefined} - { value, size }, or undefined when the store does not have it
+     */
+    _getStored(key) {
+      try {
+        const entry = this._fromStore(this.options.store.getSync(key));
+        if (entry) {
+          this._remember(key, entry);
+        }
+        return entry;
+      } catch (error) {
+        // Treated as a miss, as in load()
+        return undefined;
+      }
+    }
+    
+    /**
+     * Detach the binary data of an entry read from a store
+     *
+     * Deserialized typed arrays may be views, at any offset, of one buffer holding the
+     * whole entry; decoding needs buffers it can create aligned views of.
+     *
+     * @private
+     * @param {Object|undefined} entry - { value, size } from the store
+     * @returns {Object|undefined} - The entry with its binary data copied
+     */
+    _fromStore(entry) {
+      return entry ? { value: copyValue(entry.value, true), size: entry.size } : entry;
+    }
+    
+    /**
+     * Add an entry to memory and evict the least recently used entries over the budget
+     * @private
+     * @param {string} key - Key from keyFor
+     * @param {Object} entry - { value, size }
+     */
+    _remember(key, entry) {
+      const previous = this.entries.get(key);
+      if (previous) {
+        this.bytes -= previous.size;
+        this.entries.delete(key);
+      }
+      
+      // Entries larger than the whole budget are only kept by the store
+      if (entry.size > this.options.maxBytes) {
+        return;
+      }
+      
+      this.entries.set(key, entry);
+      this.bytes += entry.size;
+      
+      for (const [oldestKey, oldest] of this.entries) {
+        if (this.bytes <= this.options.maxBytes) {
+          break;
+        }
+        this.entries.delete(oldestKey);
+        this.bytes -= oldest.size;
+      }
+    }
+  }
+  
+  /**
+   * Stores cache entries as files in a directory, serialized with the structured clone
+   * algorithm (Node.js)
+   *
+   * With maxBytes, the least recently read or written files are deleted once the
+   * directory holds more than that many bytes.
+   */
+  class XRAIFileCacheStore {
+    /**
+     * @param {string} directory - Cache directory, created when missing
+     * @param {Object} options - Store options
+     * @param {number} [options.maxBytes=Infinity] - Disk budget in bytes
+     */
+    constructor(directory, options = {}) {
+      this.fs = require('fs');
+      this.path = require('path');
+      this.v8 = require('v8');
+      
+      this.directory = directory;
+      this.options = {
+        maxBytes: Infinity,
+        ...options
+      };
+      
+      // Bytes in the directory, counted on the first write
+      this.totalBytes = null;
+      
+      this.fs.mkdirSync(directory, { recursive: true });
+    }
+    
+    getSync(key) {
+      const file = this._file(key);
+      let data;
+      try {
+        data = this.fs.readFileSync(file);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return undefined;
+        }
+        throw error;
+      }
+      
+      // The modification time orders files for eviction
+      const now = new Date();
+      this.fs.utimesSync(file, now, now);
+      
+      try {
+        return this.v8.deserialize(data);
+      } catch (error) {
+        // A damaged entry is a miss; it is written again after the next decode
+        this.fs.rmSync(file, { force: true });
+        return undefined;
+      }
+    }
+    
+    async get(key) {
+      return this.getSync(key);
+    }
+    
+    async set(key, entry) {
+      const file = this._file(key);
+      const data = this.v8.serialize(entry);
+      
+      // Written under a temporary name and renamed, so readers never see part of an entry
+      const temporary = `${file}.${process.pid}.tmp`;
+      try {
+        await this.fs.promises.writeFile(temporary, data);
+        await this.fs.promises.rename(temporary, file);
+      } catch (error) {
+        await this.fs.promises.rm(temporary, { force: true });
+        throw error;
+      }
+      
+      if (this.options.maxBytes !== Infinity) {
+        if (this.totalBytes === null) {
+          this.totalBytes = (await this._list()).reduce((total, item) => total + item.size, 0);
+        } else {
+          this.totalBytes += data.byteLength;
+        }
+        if (this.totalBytes > this.options.maxBytes) {
+          await this._prune();
+        }
+      }
+    }
+    
+    async clear() {
+      for (const item of await this._list()) {
+        await this.fs.promises.rm(item.file, { force: true });
+      }
+      this.totalBytes = 0;
+    }
+    
+    /**
+     * Delete the least recently used files until the directory is within maxBytes
+     * @private
+     */
+    async _prune() {
+      const items = (await this._list()).sort((a, b) => a.mtimeMs - b.mtimeMs);
+      this.totalBytes = items.reduce((total, item) => total + item.size, 0);
+      
+      for (const item of items) {
+        if (this.totalBytes <= this.options.maxBytes) {
+          break;
+        }
+        await this.fs.promises.rm(item.file, { force: true });
+        this.totalBytes -= item.size;
+      }
+    }
+    
+    /**
+     * List the entry files with their sizes and modification times
+     * @private
+     * @returns {Promise<Array<Object>>} - file, size and mtimeMs of each entry
+     */
+    async _list() {
+      const items = [];
+      for (const name of await this.fs.promises.readdir(this.directory)) {
+        if (!name.endsWith('.entry')) {
+          continue;
+        }
+        const file = this.path.join(this.directory, name);
+        try {
+          const stats = await this.fs.promises.stat(file);
+          items.push({ file, size: stats.size, mtimeMs: stats.mtimeMs });
+        } catch (error) {
+          // Removed by another process in the meantime
+        }
+      }
+      return items;
+    }
+    
+    /**
+     * Path of the file holding an entry
+     * @private
+     * @param {string} key - Entry key (hex)
+     * @returns {string} - File path
+     */
+    _file(key) {
+      return this.path.join(this.directory, `${key}.entry`);
+    }
+  }
+  
+  /**
+   * Stores cache entries in an IndexedDB database (browser)
+   *
+   * Entries are stored as structured clones, so decoded objects and typed arrays are kept
+   * as they are. The browser decides how much the database may hold.
+   */
+  class XRAIIndexedDBCacheStore {
+    /**
+     * @param {string} [name='xrai-cache'] - Database name
+     * @param {Object} options - Store options
+     * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation (defaults to the global one)
+     */
+    constructor(name = 'xrai-cache', options = {}) {
+      this.name = name;
+      this.indexedDB = options.indexedDB || root.indexedDB;
+      this.database = null;
+      
+      if (!this.indexedDB) {
+        throw new Error('IndexedDB is not available');
+      }
+    }
+    
+    async get(key) {
+      const entry = await this._request('readonly', objects => objects.get(key));
+      return entry === undefined ? undefined : entry;
+    }
+    
+    async set(key, entry) {
+      await this._request('readwrite', objects => objects.put(entry, key));
+    }
+    
+    async clear() {
+      await this._request('readwrite', objects => objects.clear());
+    }
+    
+    /**
+     * Run one request against the object store
+     * @private
+     * @param {string} mode - Transaction mode
+     * @param {Function} makeRequest - (objectStore) => IDBRequest
+     * @returns {Promise<*>} - The request result
+     */
+    async _request(mode, makeRequest) {
+      const database = await this._open();
+      return new Promise((resolve, reject) => {
+        const request = makeRequest(database.transaction('sections', mode).objectStore('sections'));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    
+    /**
+     * Open the database on first use
+     * @private
+     * @returns {Promise<IDBDatabase>} - The database
+     */
+    _open() {
+      if (!this.database) {
+        this.database = new Promise((resolve, reject) => {
+          const request = this.indexedDB.open(this.name, 1);
+          request.onupgradeneeded = () => request.result.createObjectStore('sections');
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return this.database;
+    }
+  }
+  
+  const XRAICache = {
+    DEFAULT_MAX_BYTES,
+    XRAISectionCache,
+    XRAIFileCacheStore,
+    XRAIIndexedDBCacheStore
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAICache;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAICache = XRAICache;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
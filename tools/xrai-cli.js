@@ -7,9 +7,335 @@
 
 const fs = require('fs');
 const path = require('path');
-const { program } = require('commander');
+const { program, InvalidArgumentError } = require('commander');
 const { XRAIEncoder } = require('./xrai-encoder');
 const { XRAIDecoder } = require('./xrai-decoder');
+const { XRAIOptimizedEncoder } = require('./xrai-optimized-encoder');
+const XRAIContainer = require('./xrai-container');
+const XRAISources = require('./xrai-sources');
+const XRAIExtensions = require('./xrai-extensions');
+const XRAIMigrations = require('./xrai-migrations');
+const { XRAISectionCache, XRAIFileCacheStore } = require('./xrai-cache');
+const { XRAIResourceResolver, embedResources, externalizeResources } = require('./xrai-resolver');
+const XRAIWorkers = require('./xrai-workers');
+const XRAIText = require('./xrai-text');
+const XRAIInspect = require('./xrai-inspect');
+const XRAIReferences = require('./xrai-references');
+const XRAIDiff = require('./xrai-diff');
+const XRAIMerge = require('./xrai-merge');
+const XRAIExtract = require('./xrai-extract');
+const XRAIOptimize = require('./xrai-optimize');
+const { watchSceneDirectory } = require('./xrai-scene');
+
+/**
+ * Collect a repeatable option value
+ * @param {string} value - Option value
+ * @param {Array<string>|boolean} previous - Values collected so far
+ * @returns {Array<string>} - All values
+ */
+function collect(value, previous) {
+  return (Array.isArray(previous) ? previous : []).concat(value);
+}
+
+/**
+ * JSON.stringify replacer that writes typed arrays (decoded accessors) as plain arrays
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} - Value to serialize
+ */
+function typedArrayReplacer(key, value) {
+  return ArrayBuffer.isView(value) ? Array.from(value) : value;
+}
+
+/**
+ * Parse --limit options such as maxJsonDepth=64 into a limits object
+ * @param {Array<string>} entries - name=value pairs
+ * @returns {Object|undefined} - Limits for the decoder, or undefined for the defaults
+ */
+function parseLimits(entries) {
+  if (!entries || entries.length === 0) {
+    return undefined;
+  }
+  
+  const limits = {};
+  for (const entry of entries) {
+    const [name, value] = entry.split('=');
+    limits[name.trim()] = value === undefined || value.trim() === 'Infinity' ? Infinity : Number(value);
+  }
+  
+  // Rejects unknown names and bad values before any file is read
+  return XRAIContainer.resolveLimits(limits);
+}
+
+/**
+ * Parse a --workers option
+ * @param {string} value - Option value
+ * @returns {number} - Number of worker threads; 0 decodes on the main thread
+ */
+function parseWorkerCount(value) {
+  if (!/^\d+$/.test(value)) {
+    throw new InvalidArgumentError('Expected a number of worker threads, 0 or more');
+  }
+  return Number(value);
+}
+
+/**
+ * Parse a --bytes option
+ * @param {string} value - Option value
+ * @returns {number} - Number of bytes
+ */
+function parseByteCount(value) {
+  if (!/^\d+$/.test(value)) {
+    throw new InvalidArgumentError('Expected a number of bytes');
+  }
+  return Number(value);
+}
+
+/**
+ * Parse the --tolerance option of diff
+ * @param {string} value - Option value
+ * @returns {number} - Allowed difference, at least 0
+ */
+function parseTolerance(value) {
+  const tolerance = Number(value);
+  if (value.trim() === '' || !(tolerance >= 0)) {
+    throw new InvalidArgumentError('Expected a number of at least 0');
+  }
+  return tolerance;
+}
+
+/**
+ * Parse the --compression-level option of optimize
+ * @param {string} value - Option value
+ * @returns {number} - Deflate level, 0 to 9
+ */
+function parseCompressionLevel(value) {
+  if (!/^\d$/.test(value)) {
+    throw new InvalidArgumentError('Expected a deflate level from 0 to 9');
+  }
+  return Number(value);
+}
+
+/**
+ * Parse a name=x,y,z option of merge
+ * @param {string} entry - e.g. chair=1,0,2, or chair=2 for a uniform scale
+ * @param {boolean} uniform - Whether a single number stands for all three axes
+ * @returns {Array} - [name, [x, y, z]]
+ */
+function parseNamedVector(entry, uniform) {
+  const separator = entry.lastIndexOf('=');
+  const values = separator === -1 ? [] : entry.slice(separator + 1).split(',').map(Number);
+  if (separator <= 0 || !values.every(Number.isFinite) || !(values.length === 3 || (uniform && values.length === 1))) {
+    throw new Error(`Expected name=x,y,z${uniform ? ' or name=s' : ''}: ${entry}`);
+  }
+  return [entry.slice(0, separator), values.length === 1 ? [values[0], values[0], values[0]] : values];
+}
+
+// Sections of the files read by decode, merge, pack, unpack and convert are decoded on worker threads
+const WORKERS_OPTION = [
+  '-w, --workers <count>',
+  'Worker threads decoding sections in parallel; 0 decodes on the main thread',
+  parseWorkerCount,
+  XRAIWorkers.getDefaultPoolSize()
+];
+
+// Files written by encode, merge and convert are reproducible with this option
+const DETERMINISTIC_OPTION = [
+  '-d, --deterministic',
+  'Write the same bytes for the same input: sorted keys, sections in type order, and dates from SOURCE_DATE_EPOCH (or 1970-01-01)',
+  false
+];
+
+/**
+ * Parse a section reference: a TOC index, a type, or type:name
+ * @param {string} text - Section reference, e.g. 3, metadata or geometry:lod1
+ * @returns {Array} - [indexOrType, name], name undefined when not given
+ */
+function parseSectionQuery(text) {
+  if (/^\d+$/.test(text)) {
+    return [Number(text)];
+  }
+  const separator = text.indexOf(':');
+  return separator === -1 ? [text] : [text.slice(0, separator), text.slice(separator + 1)];
+}
+
+/**
+ * Parse a section=file option and load the file: JSON files are parsed, others are raw bytes
+ * @param {string} entry - e.g. geometry:lod1=lod1.json
+ * @returns {Object} - indexOrType, name and data
+ */
+function readSectionOption(entry) {
+  const separator = entry.lastIndexOf('=');
+  if (separator === -1) {
+    throw new Error(`Expected section=file: ${entry}`);
+  }
+  
+  const [indexOrType, name] = parseSectionQuery(entry.slice(0, separator));
+  const file = entry.slice(separator + 1);
+  const data = path.extname(file).toLowerCase() === '.json' ? JSON.parse(fs.readFileSync(file, 'utf8')) : fs.readFileSync(file);
+  return { indexOrType, name, data };
+}
+
+/**
+ * Register the extension handlers exported by --extension modules
+ * @param {Array<string>} modules - Module paths, relative to the working directory
+ */
+function loadExtensions(modules) {
+  for (const modulePath of modules || []) {
+    const exported = require(path.resolve(modulePath));
+    for (const extension of Array.isArray(exported) ? exported : [exported]) {
+      XRAIExtensions.defaultRegistry.register(extension);
+    }
+  }
+}
+
+/**
+ * Read a whole stream into memory
+ * @param {Readable} stream - Stream to read (e.g. process.stdin)
+ * @returns {Promise<Buffer>} - Everything the stream produced
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Check whether a file starts with the XRAI magic, without reading the rest of it
+ * @param {string} file - File path
+ * @returns {boolean} - True for XRAI containers
+ */
+function isContainerFile(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const magic = Buffer.alloc(XRAIContainer.MAGIC.length);
+    const bytesRead = fs.readSync(fd, magic, 0, magic.length, 0);
+    return magic.toString('latin1', 0, bytesRead) === XRAIContainer.MAGIC;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Write bytes to stdout, resolving once they have been handed to the OS
+ * @param {Uint8Array} bytes - Bytes to write
+ * @returns {Promise<void>}
+ */
+function writeStdout(bytes) {
+  return new Promise((resolve, reject) => {
+    process.stdout.write(bytes, error => (error ? reject(error) : resolve()));
+  });
+}
+
+/**
+ * List the buffers and images of a document that have a uri
+ * @param {Object} document - Decoded XRAI document
+ * @returns {Array<string>} - e.g. "buffer 1: scene.bin"
+ */
+function listExternalReferences(document) {
+  const references = [];
+  for (const [kind, entries] of [['buffer', document.buffers], ['image', document.images]]) {
+    (entries || []).forEach((entry, index) => {
+      if (entry && typeof entry.uri === 'string') {
+        references.push(`${kind} ${index}: ${entry.uri.length > 64 ? `${entry.uri.slice(0, 61)}...` : entry.uri}`);
+      }
+    });
+  }
+  return references;
+}
+
+/**
+ * Encode a decoded document again, keeping the layout, integrity section and header
+ * flags of the file it was decoded from
+ * @param {Object} document - Decoded XRAI document
+ * @param {string} [compression] - Compression spec for the sections, e.g. "deflate:9"
+ * @returns {Uint8Array} - The encoded container
+ */
+function encodeDecodedDocument(document, compression) {
+  const { flags, sections } = document.container;
+  const writer = new XRAIContainer.XRAIContainerWriter({
+    flags: flags & XRAIContainer.HEADER_FLAGS.NEURAL_NETWORKS,
+    streaming: (flags & XRAIContainer.HEADER_FLAGS.STREAMING_OPTIMIZED) !== 0,
+    integrity: sections.some(section => section.type === 'integrity'),
+    compression: compression || null
+  });
+  return writer.addDocument(document).toBytes();
+}
+
+/**
+ * Get the name a .xrai or .xrai.json file is known by, without its extensions
+ * @param {string} file - File path
+ * @returns {string} - e.g. "scene" for scenes/scene.xrai.json
+ */
+function getBaseName(file) {
+  return path.basename(file).replace(/\.json$/i, '').replace(/\.xrai$/i, '');
+}
+
+/**
+ * Resolve a sidecar path from a .xrai.json file, refusing paths outside its directory
+ * @param {string} input - The .xrai.json file
+ * @param {string} file - Sidecar path recorded in a section
+ * @returns {string} - Path to read
+ */
+function resolveSidecar(input, file) {
+  const directory = path.resolve(path.dirname(input));
+  const resolved = path.resolve(directory, file);
+  if (path.isAbsolute(file) || !resolved.startsWith(directory + path.sep)) {
+    throw new Error(`Sidecar file outside the directory of ${input}: ${file}`);
+  }
+  return resolved;
+}
+
+/**
+ * Write a file under a temporary name and rename it, so a viewer reloading the file never
+ * reads part of it
+ * @param {string} file - File path
+ * @param {Buffer} bytes - File contents
+ */
+function writeFileAtomic(file, bytes) {
+  const temporary = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temporary, bytes);
+  fs.renameSync(temporary, file);
+}
+
+/**
+ * Write pieces to a file under a temporary name and rename it, as writeFileAtomic does,
+ * without holding the whole file in memory
+ * @param {string} file - File path
+ * @param {AsyncIterable<Uint8Array>} pieces - File contents, in order
+ * @returns {Promise<number>} - Bytes written
+ */
+async function writeChunksAtomic(file, pieces) {
+  const temporary = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(temporary, 'w');
+  let size = 0;
+  
+  try {
+    for await (const piece of pieces) {
+      for (let written = 0; written < piece.byteLength;) {
+        written += fs.writeSync(fd, piece, written, piece.byteLength - written);
+      }
+      size += piece.byteLength;
+    }
+    fs.closeSync(fd);
+  } catch (error) {
+    fs.closeSync(fd);
+    fs.unlinkSync(temporary);
+    throw error;
+  }
+  
+  fs.renameSync(temporary, file);
+  return size;
+}
+
+/**
+ * Send progress messages to stderr so stdout carries only file data
+ */
+function logToStderr() {
+  console.log = console.error;
+}
 
 // Setup CLI
 program
@@ -21,15 +347,29 @@ program
 program
   .command('encode')
   .description('Encode source files into an XRAI file')
-  .argument('<source>', 'Source directory or file')
-  .argument('<output>', 'Output XRAI file')
+  .argument('<source>', 'Source directory or file, or - to read an XRAI JSON document from stdin')
+  .argument('<output>', 'Output XRAI file, or - to write to stdout')
   .option('-t, --type <type>', 'Content type (scene, model, splat, nerf)', 'scene')
   .option('-q, --quality <quality>', 'Encoding quality (0-1)', parseFloat, 1.0)
-  .option('-c, --compress', 'Enable compression', false)
+  .option('-c, --compress [codec]', 'Compress sections: codec[:level] for every section (deflate, lz4, store; default deflate), or type=codec[:level] per section type (repeatable)', collect, false)
   .option('-m, --metadata <json>', 'Metadata JSON file')
   .option('-a, --ai <mode>', 'AI enhancement mode (none, basic, advanced)', 'none')
+  .option('-s, --streaming', 'Write a streaming-optimized file (metadata first, buffers before geometry)', false)
+  .option('-e, --extension <module>', 'Register the extension handlers exported by a module (repeatable)', collect)
+  .option(...DETERMINISTIC_OPTION)
+  .option('-w, --watch', 'With --type scene, encode again whenever the scene directory changes', false)
   .action(async (source, output, options) => {
     try {
+      loadExtensions(options.extension);
+      
+      if (options.watch && (options.type !== 'scene' || source === '-' || output === '-')) {
+        throw new Error('--watch needs --type scene, a scene directory and an output file');
+      }
+      
+      if (output === '-') {
+        logToStderr();
+      }
+      
       console.log(`Encoding ${source} to ${output}...`);
       
       // Load metadata if provided
@@ -48,33 +388,81 @@ program
       const encoder = new XRAIEncoder({
         quality: options.quality,
         compress: options.compress,
+        streaming: options.streaming,
+        deterministic: options.deterministic,
         aiEnhancement: options.ai !== 'none',
         aiMode: options.ai
       });
       
+      if (options.watch) {
+        // Encode once, then again after each change; a failed encode keeps the last good file
+        let running = null;
+        let pending = false;
+        const encodeScene = async () => {
+          try {
+            const result = await encoder.encodeScene(source, metadata);
+            writeFileAtomic(output, Buffer.from(result));
+            console.log(`Encoded to ${output} (${(result.byteLength / 1024).toFixed(2)} KB) at ${new Date().toLocaleTimeString()}`);
+          } catch (err) {
+            console.error(`Encoding failed: ${err.message}`);
+          }
+        };
+        const runEncode = () => {
+          if (running) {
+            pending = true;
+            return;
+          }
+          running = encodeScene().then(() => {
+            running = null;
+            if (pending) {
+              pending = false;
+              runEncode();
+            }
+          });
+        };
+        
+        runEncode();
+        watchSceneDirectory(source, files => {
+          console.log(`Changed: ${files.join(', ') || source}`);
+          runEncode();
+        });
+        console.log(`Watching ${source} for changes (Ctrl+C to stop)`);
+        return;
+      }
+      
       // Encode based on content type
       let result;
       
-      switch (options.type) {
-        case 'scene':
-          result = await encoder.encodeScene(source, metadata);
-          break;
-        case 'model':
-          result = await encoder.encodeModel(source, metadata);
-          break;
-        case 'splat':
-          result = await encoder.encodeSplat(source, metadata);
-          break;
-        case 'nerf':
-          result = await encoder.encodeNeRF(source, metadata);
-          break;
-        default:
-          console.error(`Unknown content type: ${options.type}`);
-          process.exit(1);
+      if (source === '-') {
+        // A JSON document on stdin is encoded as is, whatever the content type
+        const document = JSON.parse((await readStream(process.stdin)).toString('utf8'));
+        result = await encoder.encodeDocument(document, metadata);
+      } else {
+        switch (options.type) {
+          case 'scene':
+            result = await encoder.encodeScene(source, metadata);
+            break;
+          case 'model':
+            result = await encoder.encodeModel(source, metadata);
+            break;
+          case 'splat':
+            result = await encoder.encodeSplat(source, metadata);
+            break;
+          case 'nerf':
+            result = await encoder.encodeNeRF(source, metadata);
+            break;
+          default:
+            console.error(`Unknown content type: ${options.type}`);
+            process.exit(1);
+        }
       }
       
       // Write output file
-      fs.writeFileSync(output, Buffer.from(result));
+      if (output === '-') {
+        await writeStdout(Buffer.from(result));
+      } else {
+        fs.writeFileSync(output, Buffer.from(result));
+      }
       
       console.log(`Successfully encoded to ${output}`);
       console.log(`File size: ${(result.byteLength / 1024).toFixed(2)} KB`);
@@ -88,52 +476,101 @@ program
 program
   .command('decode')
   .description('Decode an XRAI file and output information')
-  .argument('<input>', 'Input XRAI file')
-  .option('-o, --output <dir>', 'Output directory for extracted assets')
+  .argument('<input>', 'Input XRAI file, or - to read from stdin')
+  .option('-o, --output <dir>', 'Extract every section, and the meshes, splats, textures and audio as files, to a directory (xrai pack <dir> packs it back)')
+  .option('--mesh-format <format>', 'With --output, write meshes as glb or obj', 'glb')
   .option('-i, --info', 'Show detailed information', false)
-  .option('-m, --metadata', 'Extract metadata only', false)
-  .option('-v, --validate', 'Validate XRAI file structure', false)
+  .option('-m, --metadata', 'With --output, extract metadata.json only', false)
+  .option('-v, --validate', 'Validate XRAI file structure and checksums', false)
+  .option('--schema <mode>', 'With --validate, check sections against schemas/xrai-core.json: strict (violations are errors), lenient (warnings) or off', 'lenient')
+  .option('--corrupt <policy>', 'Sections that fail their checksum: refuse, skip or ignore', 'refuse')
+  .option('--limit <name=value>', 'Override a decoding limit: maxSections, maxDecompressedSize or maxJsonDepth (repeatable)', collect)
+  .option('-e, --extension <module>', 'Register the extension handlers exported by a module (repeatable)', collect)
+  .option('--cache <dir>', 'Keep decoded sections in a directory, so later decodes only decode sections that changed')
+  .option('-x, --external', 'Load external buffers and images, relative to the input file', false)
+  .option(...WORKERS_OPTION)
   .action(async (input, options) => {
     try {
-      console.log(`Decoding ${input}...`);
+      loadExtensions(options.extension);
       
-      // Read input file as binary data
-      const data = fs.readFileSync(input).buffer;
+      console.log(`Decoding ${input}...`);
       
       // Create decoder
-      const decoder = new XRAIDecoder();
-      
-      // Validate if requested
-      if (options.validate) {
-        const validationResult = decoder.validate(data);
-        console.log('Validation result:', validationResult.valid ? 'Valid' : 'Invalid');
-        if (!validationResult.valid) {
-          console.error('Validation errors:', validationResult.errors);
-          process.exit(1);
+      const decoder = new XRAIDecoder({
+        corruptSections: options.corrupt,
+        limits: parseLimits(options.limit),
+        cache: options.cache ? new XRAISectionCache({ store: new XRAIFileCacheStore(options.cache) }) : null,
+        schemaValidation: options.validate ? options.schema : 'off',
+        workers: options.workers
+      });
+      let result;
+      // Extraction needs the whole file to write the sections as they are stored
+      const extract = options.output && !options.metadata;
+      let data = null;
+      
+      if (input === '-' && extract) {
+        data = await readStream(process.stdin);
+        result = await decoder.decode(data);
+      } else if (input === '-') {
+        // Decode sections as they arrive; structural errors fail the decode. Schema checks
+        // need random access to the file, so they are not run on stdin.
+        result = await decoder.decodeStream(process.stdin);
+        if (options.validate) {
+          console.log('Validation result: Valid');
+        }
+      } else {
+        // Validate if requested; the file is read in windows, so it may be larger than memory allows
+        if (options.validate) {
+          const validationResult = await decoder.validateFile(input);
+          console.log('Validation result:', validationResult.valid ? 'Valid' : 'Invalid');
+          if (!validationResult.valid) {
+            console.error(`Validation errors (${validationResult.code}):`, validationResult.errors);
+            process.exit(1);
+          }
+          if (validationResult.warnings.length > 0) {
+            console.warn('Validation warnings:', validationResult.warnings);
+          }
+        }
+        
+        // Decode file, one section at a time
+        result = await decoder.decodeFile(input);
+        
+        if (options.external) {
+          await new XRAIResourceResolver({ baseUri: input }).resolveDocument(result);
         }
       }
       
-      // Decode file
-      const result = await decoder.decode(data);
+      for (const section of result.container.sections.filter(entry => entry.corrupt)) {
+        console.warn(`Skipped corrupt section ${section.index} (${section.type || section.typeId})`);
+      }
       
       // Show metadata
+      const metadata = result.metadata || {};
       console.log('\nMetadata:');
-      console.log(`  Title: ${result.metadata.title || 'Untitled'}`);
-      console.log(`  Creator: ${result.metadata.creator || 'Unknown'}`);
-      console.log(`  Version: ${result.metadata.version || '1.0'}`);
-      console.log(`  Created: ${result.metadata.created || 'Unknown'}`);
-      console.log(`  Description: ${result.metadata.description || 'No description'}`);
+      console.log(`  Title: ${metadata.title || 'Untitled'}`);
+      console.log(`  Creator: ${metadata.creator || 'Unknown'}`);
+      console.log(`  Version: ${metadata.version || '1.0'}`);
+      console.log(`  Created: ${metadata.created || 'Unknown'}`);
+      console.log(`  Description: ${metadata.description || 'No description'}`);
       
       // Show detailed info if requested
       if (options.info) {
         console.log('\nDetailed Information:');
-        console.log(`  Format Version: ${result.version.major}.${result.version.minor}`);
-        console.log(`  Flags: 0x${result.flags.toString(16)}`);
+        console.log(`  Format Version: ${result.container.version.major}.${result.container.version.minor}`);
+        console.log(`  Flags: 0x${result.container.flags.toString(16)}`);
+        
+        const references = listExternalReferences(result);
+        if (references.length > 0) {
+          console.log(`  External references${options.external ? ' (loaded)' : ''}:`);
+          for (const reference of references) {
+            console.log(`    ${reference}`);
+          }
+        }
         
         // Show section information
         console.log('\nSections:');
         for (const sectionName in result) {
-          if (['version', 'flags', 'metadata'].includes(sectionName)) continue;
+          if (['container', 'asset', 'metadata'].includes(sectionName)) continue;
           
           const section = result[sectionName];
           if (Array.isArray(section)) {
@@ -143,6 +580,13 @@ program
           }
         }
         
+        // Show the table of contents, including sections of the same type and their names
+        console.log('\nTable of Contents:');
+        for (const section of result.container.sections) {
+          const name = section.name ? ` "${section.name}"` : '';
+          console.log(`  ${section.index}: ${section.type || `unknown_${section.typeId}`}${name}, ${section.size} bytes${section.corrupt ? ' (corrupt)' : ''}`);
+        }
+        
         // Show geometry information if available
         if (result.geometry) {
           console.log('\nGeometry:');
@@ -183,57 +627,660 @@ program
         
         console.log(`\nExtracting assets to ${options.output}...`);
         
-        // Extract metadata
-        fs.writeFileSync(
-          path.join(options.output, 'metadata.json'),
-          JSON.stringify(result.metadata, null, 2)
-        );
-        console.log('  Extracted metadata.json');
-        
-        // Extract geometry if available
-        if (result.geometry && !options.metadata) {
-          const geoDir = path.join(options.output, 'geometry');
-          if (!fs.existsSync(geoDir)) {
-            fs.mkdirSync(geoDir);
-          }
+        if (options.metadata) {
+          fs.writeFileSync(
+            path.join(options.output, 'metadata.json'),
+            JSON.stringify(metadata, null, 2)
+          );
+          console.log('  Extracted metadata.json');
+        } else {
+          const { manifest, files, warnings } = XRAIExtract.extractContainer(data || await XRAISources.readAll(input), {
+            document: result,
+            meshFormat: options.meshFormat,
+            limits: parseLimits(options.limit)
+          });
           
-          for (const geo of result.geometry) {
-            const geoFile = path.join(geoDir, `${geo.id}.json`);
-            fs.writeFileSync(geoFile, JSON.stringify(geo, null, 2));
-            console.log(`  Extracted geometry/${geo.id}.json`);
+          for (const warning of warnings) {
+            console.warn(`  ${warning}`);
+          }
+          for (const file of files) {
+            const target = path.join(options.output, ...file.path.split('/'));
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, file.bytes);
+            console.log(`  Extracted ${file.path}`);
           }
+          if (manifest) {
+            fs.writeFileSync(path.join(options.output, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+            console.log('  Extracted manifest.json');
+          }
+        }
+      }
+      
+      console.log('\nDecoding completed successfully');
+    } catch (err) {
+      console.error(err.code ? `Decoding failed (${err.code}): ${err.message}` : `Decoding failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// Inspect command
+program
+  .command('inspect')
+  .description('Show the container structure of an XRAI file: header, table of contents and a summary of each section')
+  .argument('<input>', 'Input XRAI file, or - to read from stdin')
+  .option('-j, --json', 'Print the report as JSON', false)
+  .option('-x, --hex <section>', 'Dump the bytes of one section instead: a TOC index, a type, or type:name')
+  .option('-u, --uncompressed', 'With --hex, dump the uncompressed payload rather than the stored bytes', false)
+  .option('-n, --bytes <count>', 'With --hex, dump only the first <count> bytes', parseByteCount)
+  .option('--limit <name=value>', 'Override a decoding limit: maxSections, maxDecompressedSize or maxJsonDepth (repeatable)', collect)
+  .option('-e, --extension <module>', 'Register the extension handlers exported by a module (repeatable)', collect)
+  .action(async (input, options) => {
+    try {
+      loadExtensions(options.extension);
+      
+      // Only the header, TOC and one section at a time are read, so files of any size can be inspected
+      const handle = await XRAISources.open(input === '-' ? await readStream(process.stdin) : input, {
+        limits: parseLimits(options.limit),
+        corruptSections: 'ignore'
+      });
+      let section;
+      let bytes;
+      try {
+        if (!options.hex) {
+          const report = await XRAIInspect.inspectHandle(handle);
+          console.log(options.json ? JSON.stringify(report, null, 2) : `${input}\n\n${XRAIInspect.formatReport(report)}`);
+          return;
+        }
+        
+        const [indexOrType, name] = parseSectionQuery(options.hex);
+        section = handle.findSection(indexOrType, name);
+        if (!section) {
+          throw new Error(`Section not found: ${options.hex}`);
         }
         
-        // Extract materials if available
-        if (result.materials && !options.metadata) {
-          const matDir = path.join(options.output, 'materials');
-          if (!fs.existsSync(matDir)) {
-            fs.mkdirSync(matDir);
+        const stored = await handle.getSectionRaw(section.index);
+        bytes = options.uncompressed ? XRAIContainer.decompressSection(stored, section, handle.options.codecs, handle.limits) : stored;
+      } finally {
+        await handle.close();
+      }
+      
+      // Stored bytes are shown at their file offsets, payloads from 0
+      const shown = options.bytes !== undefined ? bytes.subarray(0, options.bytes) : bytes;
+      const offset = options.uncompressed ? 0 : section.offset;
+      
+      if (options.json) {
+        console.log(JSON.stringify({
+          index: section.index,
+          type: section.type,
+          name: section.name || null,
+          offset,
+          size: bytes.byteLength,
+          uncompressed: options.uncompressed,
+          hex: Buffer.from(shown.buffer, shown.byteOffset, shown.byteLength).toString('hex')
+        }, null, 2));
+        return;
+      }
+      
+      console.log(`Section ${section.index} (${section.type || `unknown_${section.typeId}`}${section.name ? ` "${section.name}"` : ''}): ` +
+        `${options.uncompressed ? 'payload' : 'stored bytes'}, ${shown.byteLength} of ${bytes.byteLength} bytes`);
+      console.log(XRAIInspect.hexDump(shown, offset));
+    } catch (err) {
+      console.error(err.code ? `Inspect failed (${err.code}): ${err.message}` : `Inspect failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// Validate command
+program
+  .command('validate')
+  .description('Check the references inside a scene: dangling ids, duplicate ids, unused assets and node hierarchy cycles')
+  .argument('<input>', 'Input XRAI file, JSON document or .xrai.json file, or - to read from stdin')
+  .option('-j, --json', 'Print the diagnostics as JSON', false)
+  .option('-s, --strict', 'Exit with an error for warnings too', false)
+  .option('--no-unused', 'Do not report unused assets')
+  .option('--limit <name=value>', 'Override a decoding limit: maxSections, maxDecompressedSize or maxJsonDepth (repeatable)', collect)
+  .option('-e, --extension <module>', 'Register the extension handlers exported by a module (repeatable)', collect)
+  .action(async (input, options) => {
+    // Exit codes: 0 no errors, 1 errors (or warnings with --strict), 2 the input could not be read
+    let document;
+    try {
+      loadExtensions(options.extension);
+      
+      const decoder = new XRAIDecoder({ limits: parseLimits(options.limit) });
+      let data = null;
+      if (input === '-') {
+        data = await readStream(process.stdin);
+      } else if (!isContainerFile(input)) {
+        data = fs.readFileSync(input);
+      }
+      
+      if (!data) {
+        // Decoded one section at a time, so files of any size can be checked
+        document = await decoder.decodeFile(input);
+      } else if (data.toString('latin1', 0, 4) === XRAIContainer.MAGIC) {
+        document = await decoder.decode(data);
+      } else {
+        const json = JSON.parse(data.toString('utf8'));
+        document = json.format === XRAIText.FORMAT
+          ? await decoder.decode(XRAIText.containerFromJSON(json, { readFile: file => fs.readFileSync(resolveSidecar(input, file)) }))
+          : json;
+      }
+    } catch (err) {
+      console.error(err.code ? `Validate failed (${err.code}): ${err.message}` : `Validate failed: ${err.message}`);
+      process.exit(2);
+    }
+    
+    const result = XRAIReferences.checkReferences(document, { unused: options.unused });
+    
+    if (options.json) {
+      console.log(JSON.stringify({ input, ...result }, null, 2));
+    } else {
+      for (const diagnostic of result.diagnostics) {
+        console.log(`${diagnostic.severity} ${diagnostic.code} ${diagnostic.pointer}: ${diagnostic.message}`);
+      }
+      console.log(`${input}: ${result.errors} error(s), ${result.warnings} warning(s)`);
+    }
+    
+    if (!result.valid || (options.strict && result.warnings > 0)) {
+      process.exit(1);
+    }
+  });
+
+// Diff command
+program
+  .command('diff')
+  .description('Compare two XRAI files: header, sections and content, with list entries matched by id')
+  .argument('<before>', 'The earlier XRAI file')
+  .argument('<after>', 'The later XRAI file')
+  .option('-j, --json', 'Print the differences as JSON', false)
+  .option('-t, --tolerance <value>', 'Allowed difference between floating-point numbers, in JSON and in buffers', parseTolerance, 0)
+  .option('--ignore <path>', 'Leave out a path and everything under it, e.g. metadata.created (repeatable)', collect)
+  .option('--limit <name=value>', 'Override a decoding limit: maxSections, maxDecompressedSize or maxJsonDepth (repeatable)', collect)
+  .option('-e, --extension <module>', 'Register the extension handlers exported by a module (repeatable)', collect)
+  .action(async (before, after, options) => {
+    // Exit codes, as for diff(1): 0 no differences, 1 differences, 2 a file could not be read
+    let report;
+    try {
+      loadExtensions(options.extension);
+      
+      // Decoded one section at a time, so files of any size can be compared
+      const handles = [];
+      try {
+        for (const file of [before, after]) {
+          handles.push(await XRAISources.open(file, { limits: parseLimits(options.limit) }));
+        }
+        report = await XRAIDiff.diffHandles(handles[0], handles[1], {
+          tolerance: options.tolerance,
+          ignore: options.ignore || []
+        });
+      } finally {
+        for (const handle of handles) {
+          await handle.close();
+        }
+      }
+    } catch (err) {
+      console.error(err.code ? `Diff failed (${err.code}): ${err.message}` : `Diff failed: ${err.message}`);
+      process.exit(2);
+    }
+    
+    console.log(options.json ? JSON.stringify({ before, after, ...report }, typedArrayReplacer, 2) : XRAIDiff.formatDiff(report));
+    if (!report.equal) {
+      process.exit(1);
+    }
+  });
+
+// Merge command
+program
+  .command('merge')
+  .description('Compose several XRAI files into one scene, each under its own group node')
+  .argument('<inputs...>', 'Input XRAI files, each optionally named with file=name (default: the file name)')
+  .requiredOption('-o, --output <file>', 'Output XRAI file, or - to write to stdout')
+  .option('-p, --position <name=x,y,z>', 'Position of the group node of an input (repeatable)', collect)
+  .option('-r, --rotation <name=x,y,z>', 'Rotation of the group node of an input, in degrees (repeatable)', collect)
+  .option('-s, --scale <name=x,y,z>', 'Scale of the group node of an input, or name=s for a uniform scale (repeatable)', collect)
+  .option('-c, --compress <codecs>', 'Compress the sections, e.g. "deflate:9" or "buffers=lz4"')
+  .option('--allow-outside', 'Allow references outside the directories of the input files', false)
+  .option('-e, --extension <module>', 'Register the extension handlers exported by a module (repeatable)', collect)
+  .option(...WORKERS_OPTION)
+  .option(...DETERMINISTIC_OPTION)
+  .action(async (files, options) => {
+    try {
+      loadExtensions(options.extension);
+      
+      if (options.output === '-') {
+        logToStderr();
+      }
+      
+      // Inputs are named after their files unless named explicitly; file names repeat when
+      // one file is placed several times
+      const inputs = [];
+      const names = new Set();
+      for (const entry of files) {
+        const separator = entry.lastIndexOf('=');
+        const named = separator > 0 && !fs.existsSync(entry);
+        const file = named ? entry.slice(0, separator) : entry;
+        let name = named ? entry.slice(separator + 1) : getBaseName(file);
+        for (let n = 2; !named && names.has(name); n++) {
+          name = `${getBaseName(file)}-${n}`;
+        }
+        names.add(name);
+        inputs.push({ file, name });
+      }
+      
+      for (const [option, key, uniform] of [['position', 'position', false], ['rotation', 'rotation', false], ['scale', 'scale', true]]) {
+        for (const entry of options[option] || []) {
+          const [name, vector] = parseNamedVector(entry, uniform);
+          const input = inputs.find(candidate => candidate.name === name);
+          if (!input) {
+            throw new Error(`--${option} ${entry} names no input (inputs: ${inputs.map(candidate => candidate.name).join(', ')})`);
           }
-          
-          for (const mat of result.materials) {
-            const matFile = path.join(matDir, `${mat.id}.json`);
-            fs.writeFileSync(matFile, JSON.stringify(mat, null, 2));
-            console.log(`  Extracted materials/${mat.id}.json`);
+          input[key] = vector;
+        }
+      }
+      
+      // External data is embedded, since its paths are relative to each input file
+      let flags = 0;
+      const decoder = new XRAIDecoder({ useCache: false, workers: options.workers });
+      for (const input of inputs) {
+        const decoded = await decoder.decode(fs.readFileSync(input.file));
+        const resolver = new XRAIResourceResolver({ baseUri: input.file, allowOutsideBase: options.allowOutside });
+        input.document = await embedResources(decoded, resolver);
+        flags |= decoded.container.flags & XRAIContainer.HEADER_FLAGS.NEURAL_NETWORKS;
+      }
+      
+      const { document, renamed } = XRAIMerge.mergeDocuments(inputs);
+      const writer = new XRAIContainer.XRAIContainerWriter({
+        flags,
+        compression: options.compress || null,
+        deterministic: options.deterministic
+      });
+      const bytes = writer.addDocument(document).toBytes();
+      
+      if (options.output === '-') {
+        await writeStdout(bytes);
+      } else {
+        fs.writeFileSync(options.output, bytes);
+      }
+      
+      for (const entry of renamed) {
+        console.log(`  Renamed ${entry.kind} "${entry.from}" of ${entry.input} to "${entry.to}"`);
+      }
+      console.log(`Merged ${inputs.map(input => input.name).join(', ')} into ${options.output} (${bytes.byteLength} bytes)`);
+    } catch (err) {
+      console.error(err.code ? `Merge failed (${err.code}): ${err.message}` : `Merge failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// Optimize command
+program
+  .command('optimize')
+  .description('Make an XRAI file ready for delivery: drop unused assets, share and quantize data, choose codecs, order and align sections')
+  .argument('<input>', 'Input XRAI file')
+  .argument('[output]', 'Output XRAI file, or - to write to stdout (default: <input>.optimized.xrai)')
+  .option('-p, --passes <list>', `Passes to run, comma-separated: ${XRAIOptimize.PASSES.join(', ')} (default: all)`)
+  .option('-l, --compression-level <level>', 'Deflate level the compress pass tries (0-9)', parseCompressionLevel, 6)
+  .option('--chunk-size <bytes>', 'Write the output in pieces of this many bytes', parseByteCount, 16384)
+  .option('-j, --json', 'Print the report of each pass as JSON', false)
+  .option('-e, --extension <module>', 'Register the extension handlers exported by a module (repeatable)', collect)
+  .action(async (input, output, options) => {
+    try {
+      loadExtensions(options.extension);
+      
+      const target = output || path.join(path.dirname(input), `${getBaseName(input)}.optimized.xrai`);
+      if (target === '-') {
+        logToStderr();
+      }
+      
+      const encoder = new XRAIOptimizedEncoder({
+        compressionLevel: options.compressionLevel,
+        chunkSize: options.chunkSize,
+        passes: options.passes ? options.passes.split(',').map(pass => pass.trim()).filter(pass => pass !== '') : null
+      });
+      const result = await encoder.optimize(input, target === '-' ? process.stdout : target);
+      
+      if (options.json) {
+        const { input: before, report } = result;
+        console.log(JSON.stringify({ input, output: target, before, report }, null, 2));
+      } else {
+        console.log(XRAIOptimize.formatReport(result));
+      }
+    } catch (err) {
+      console.error(err.code ? `Optimize failed (${err.code}): ${err.message}` : `Optimize failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// Upgrade command
+program
+  .command('upgrade')
+  .description('Rewrite an XRAI file written by an earlier encoder in the current layout')
+  .argument('<input>', 'Input XRAI file, or - to read from stdin')
+  .argument('[output]', 'Output XRAI file, or - to write to stdout (default: rewrite the input file)')
+  .option('-n, --dry-run', 'Only report the detected layout and the migrations the file needs', false)
+  .action(async (input, output, options) => {
+    try {
+      const target = output || input;
+      if (target === '-') {
+        logToStderr();
+      }
+      
+      // Files are only read as a whole when they need migrations
+      const stdin = input === '-' ? await readStream(process.stdin) : null;
+      const handle = await XRAISources.open(stdin || input);
+      let format;
+      try {
+        format = await XRAIMigrations.detectHandleFormat(handle);
+      } finally {
+        await handle.close();
+      }
+      
+      console.log(`${input}: version ${format.version.major}.${format.version.minor}, ${format.layout}`);
+      for (const migration of XRAIMigrations.MIGRATIONS.filter(entry => format.migrations.includes(entry.id))) {
+        console.log(`  ${migration.id}: ${migration.description}`);
+      }
+      
+      if (options.dryRun) {
+        console.log(format.current ? 'Already in the current layout' : `${format.migrations.length} migration(s) needed`);
+        return;
+      }
+      // Streams are always written, so `xrai upgrade - -` can sit in a pipe
+      if (format.current && target === input && target !== '-') {
+        console.log('Already in the current layout; nothing to do');
+        return;
+      }
+      if (format.current && !stdin) {
+        if (target === '-') {
+          for await (const chunk of fs.createReadStream(input)) {
+            await writeStdout(chunk);
           }
+        } else {
+          fs.copyFileSync(input, target);
         }
-        
-        // Extract AI components if available
-        if (result.aiComponents && !options.metadata) {
-          const aiDir = path.join(options.output, 'ai');
-          if (!fs.existsSync(aiDir)) {
-            fs.mkdirSync(aiDir);
+        console.log(`Copied ${input} to ${target}: already in the current layout`);
+        return;
+      }
+      
+      const result = XRAIMigrations.upgrade(stdin || await XRAISources.readAll(input));
+      if (target === '-') {
+        await writeStdout(result.bytes);
+      } else {
+        fs.writeFileSync(target, result.bytes);
+      }
+      
+      console.log(`Upgraded ${input} to ${target} (${result.migrations.length} migration(s))`);
+    } catch (err) {
+      console.error(err.code ? `Upgrade failed (${err.code}): ${err.message}` : `Upgrade failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// Update command
+program
+  .command('update')
+  .description('Change sections of an XRAI file in place, appending the new data instead of rewriting the file')
+  .argument('<file>', 'XRAI file to update')
+  .option('-m, --metadata <file>', 'Replace the metadata with the contents of a JSON file')
+  .option('-a, --add <section=file>', 'Add a section from a file (JSON files are parsed), e.g. geometry:lod3=lod3.json (repeatable)', collect)
+  .option('-r, --replace <section=file>', 'Replace a section (TOC index, type or type:name) with a file (repeatable)', collect)
+  .option('-d, --remove <section>', 'Remove a section: TOC index, type or type:name (repeatable)', collect)
+  .option('-c, --compress <codecs>', 'Compress new sections, e.g. "deflate:9" or "geometry=lz4"')
+  .option('-e, --extension <module>', 'Register the extension handlers exported by a module (repeatable)', collect)
+  .action((file, options) => {
+    let update = null;
+    try {
+      loadExtensions(options.extension);
+      
+      update = XRAIContainer.XRAIContainerWriter.update(file, { compression: options.compress || null });
+      
+      for (const entry of options.remove || []) {
+        update.removeSection(...parseSectionQuery(entry));
+      }
+      for (const entry of options.replace || []) {
+        const { indexOrType, name, data } = readSectionOption(entry);
+        update.replaceSection(indexOrType, data, { name });
+      }
+      if (options.metadata) {
+        update.setMetadata(JSON.parse(fs.readFileSync(options.metadata, 'utf8')));
+      }
+      for (const entry of options.add || []) {
+        const { indexOrType, name, data } = readSectionOption(entry);
+        update.addSection(indexOrType, data, { name: name === undefined ? null : name });
+      }
+      
+      const result = update.commit();
+      update.close();
+      
+      if (result.appendedBytes === 0) {
+        console.log('Nothing to update');
+        return;
+      }
+      
+      console.log(`Updated ${file}: appended ${result.appendedBytes} bytes, ${result.deadBytes} unused bytes (run compact to reclaim them)`);
+    } catch (err) {
+      if (update) {
+        update.close();
+      }
+      console.error(err.code ? `Update failed (${err.code}): ${err.message}` : `Update failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// Compact command
+program
+  .command('compact')
+  .description('Rewrite an XRAI file without the unused bytes left behind by update')
+  .argument('<input>', 'Input XRAI file, or - to read from stdin')
+  .argument('[output]', 'Output XRAI file, or - to write to stdout (default: rewrite the input file)')
+  .option('-s, --streaming', 'Order sections for streaming', false)
+  .action(async (input, output, options) => {
+    try {
+      const target = output || input;
+      if (target === '-') {
+        logToStderr();
+      }
+      
+      // Read through a handle, so files larger than a Buffer can be compacted
+      const handle = await XRAISources.open(input === '-' ? await readStream(process.stdin) : input);
+      let size = 0;
+      try {
+        const pieces = handle.compact({ streaming: options.streaming || undefined });
+        if (target === '-') {
+          for await (const piece of pieces) {
+            await writeStdout(piece);
+            size += piece.byteLength;
           }
-          
-          const aiFile = path.join(aiDir, 'components.json');
-          fs.writeFileSync(aiFile, JSON.stringify(result.aiComponents, null, 2));
-          console.log('  Extracted ai/components.json');
+        } else {
+          // Written next to the target and renamed, as the input may be the target
+          size = await writeChunksAtomic(target, pieces);
         }
+      } finally {
+        await handle.close();
       }
       
-      console.log('\nDecoding completed successfully');
+      console.log(`Compacted ${input} to ${target}: ${handle.fileSize} -> ${size} bytes`);
+    } catch (err) {
+      console.error(err.code ? `Compact failed (${err.code}): ${err.message}` : `Compact failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// To-JSON command
+program
+  .command('to-json')
+  .description('Write an XRAI file as lossless JSON (.xrai.json) for diffs and review')
+  .argument('<input>', 'Input XRAI file, or - to read from stdin')
+  .argument('[output]', 'Output JSON file, or - to write to stdout (default: the input file with .json appended)')
+  .option('--sidecar', 'Write binary sections to .bin files next to the output instead of base64', false)
+  .action(async (input, output, options) => {
+    try {
+      const target = output || (input === '-' ? '-' : `${input}.json`);
+      if (target === '-') {
+        if (options.sidecar) {
+          throw new Error('--sidecar needs an output file to write the sidecar files next to');
+        }
+        logToStderr();
+      }
+      
+      // Read in windows, so files over the 2 GB that fs.readFileSync reads can be converted
+      const data = input === '-' ? await readStream(process.stdin) : await XRAISources.readAll(input);
+      const files = [];
+      const json = XRAIText.containerToJSON(data, {
+        sidecar: options.sidecar
+          ? (section, bytes) => {
+            const file = `${getBaseName(target)}.${section.index}.${section.type || section.typeId}.bin`;
+            files.push({ file, bytes });
+            return file;
+          }
+          : null
+      });
+      
+      // Written only once the file is known to round-trip
+      for (const { file, bytes } of files) {
+        fs.writeFileSync(path.join(path.dirname(target), file), bytes);
+        console.log(`  Wrote ${file} (${bytes.byteLength} bytes)`);
+      }
+      
+      const text = `${JSON.stringify(json, null, 2)}\n`;
+      if (target === '-') {
+        await writeStdout(Buffer.from(text));
+      } else {
+        fs.writeFileSync(target, text);
+      }
+      
+      console.log(`Wrote ${input} to ${target}: ${json.sections.length} section(s)`);
+    } catch (err) {
+      console.error(err.code ? `To-JSON failed (${err.code}): ${err.message}` : `To-JSON failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// From-JSON command
+program
+  .command('from-json')
+  .description('Write an XRAI file back from its lossless JSON form (.xrai.json)')
+  .argument('<input>', 'Input JSON file')
+  .argument('[output]', 'Output XRAI file, or - to write to stdout (default: the input file without .json)')
+  .action(async (input, output) => {
+    try {
+      const target = output || path.join(path.dirname(input), `${getBaseName(input)}.xrai`);
+      if (target === '-') {
+        logToStderr();
+      }
+      
+      const bytes = XRAIText.containerFromJSON(fs.readFileSync(input, 'utf8'), {
+        readFile: file => fs.readFileSync(resolveSidecar(input, file))
+      });
+      
+      if (target === '-') {
+        await writeStdout(bytes);
+      } else {
+        fs.writeFileSync(target, bytes);
+      }
+      
+      console.log(`Wrote ${input} to ${target}: ${bytes.byteLength} bytes`);
     } catch (err) {
-      console.error(`Decoding failed: ${err.message}`);
+      console.error(err.code ? `From-JSON failed (${err.code}): ${err.message}` : `From-JSON failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// Pack command
+program
+  .command('pack')
+  .description('Embed the external buffers and images of an XRAI file in it, or pack a directory written by decode --output')
+  .argument('<input>', 'Input XRAI file, or directory with a manifest.json')
+  .argument('[output]', 'Output XRAI file, or - to write to stdout (default: rewrite the input file; <dir>.xrai for a directory)')
+  .option('-c, --compress <codecs>', 'Compress the sections, e.g. "deflate:9" or "buffers=lz4"')
+  .option('--allow-outside', 'Allow references outside the directory of the input file', false)
+  .option('-e, --extension <module>', 'Register the extension handlers exported by a module (repeatable)', collect)
+  .option(...WORKERS_OPTION)
+  .action(async (input, output, options) => {
+    try {
+      loadExtensions(options.extension);
+      
+      const directory = fs.statSync(input).isDirectory();
+      const target = output || (directory ? `${input.replace(/[\\/]+$/, '')}.xrai` : input);
+      if (target === '-') {
+        logToStderr();
+      }
+      
+      if (directory) {
+        if (options.compress) {
+          throw new Error('--compress does not apply to a directory: its manifest records the compression of each section');
+        }
+        // The sections are written back as the manifest records them; exports are not read
+        const manifest = path.join(input, 'manifest.json');
+        const bytes = XRAIText.containerFromJSON(fs.readFileSync(manifest, 'utf8'), {
+          readFile: file => fs.readFileSync(resolveSidecar(manifest, file))
+        });
+        
+        if (target === '-') {
+          await writeStdout(bytes);
+        } else {
+          fs.writeFileSync(target, bytes);
+        }
+        console.log(`Packed ${input} to ${target}: ${bytes.byteLength} bytes`);
+        return;
+      }
+      
+      const data = fs.readFileSync(input);
+      const document = await new XRAIDecoder({ useCache: false, workers: options.workers }).decode(data);
+      const references = listExternalReferences(document);
+      
+      const resolver = new XRAIResourceResolver({ baseUri: input, allowOutsideBase: options.allowOutside });
+      const bytes = encodeDecodedDocument(await embedResources(document, resolver), options.compress);
+      
+      if (target === '-') {
+        await writeStdout(bytes);
+      } else {
+        fs.writeFileSync(target, bytes);
+      }
+      
+      for (const reference of references) {
+        console.log(`  Embedded ${reference}`);
+      }
+      console.log(`Packed ${input} to ${target}: ${data.byteLength} -> ${bytes.byteLength} bytes`);
+    } catch (err) {
+      console.error(err.code ? `Pack failed (${err.code}): ${err.message}` : `Pack failed: ${err.message}`);
+      process.exit(1);
+    }
+  });
+
+// Unpack command
+program
+  .command('unpack')
+  .description('Move the buffers and images of an XRAI file into files next to it')
+  .argument('<input>', 'Input XRAI file')
+  .argument('[output]', 'Output XRAI file (default: rewrite the input file); buffer and image files are written to its directory')
+  .option('-c, --compress <codecs>', 'Compress the sections, e.g. "deflate:9"')
+  .option('--allow-outside', 'Allow references outside the directory of the input file', false)
+  .option('-e, --extension <module>', 'Register the extension handlers exported by a module (repeatable)', collect)
+  .option(...WORKERS_OPTION)
+  .action(async (input, output, options) => {
+    try {
+      loadExtensions(options.extension);
+      
+      const target = output || input;
+      const data = fs.readFileSync(input);
+      const document = await new XRAIDecoder({ useCache: false, workers: options.workers }).decode(data);
+      
+      // Data that is already external is loaded too, so every file ends up next to the output
+      const resolver = new XRAIResourceResolver({ baseUri: input, allowOutsideBase: options.allowOutside });
+      const embedded = await embedResources(document, resolver);
+      const result = externalizeResources(embedded, { name: path.basename(target, path.extname(target)) });
+      
+      for (const file of result.files) {
+        fs.writeFileSync(path.join(path.dirname(target), decodeURIComponent(file.uri)), file.bytes);
+        console.log(`  Wrote ${decodeURIComponent(file.uri)} (${file.bytes.byteLength} bytes)`);
+      }
+      
+      const bytes = encodeDecodedDocument(result.document, options.compress);
+      fs.writeFileSync(target, bytes);
+      
+      console.log(`Unpacked ${input} to ${target}: ${data.byteLength} -> ${bytes.byteLength} bytes and ${result.files.length} file(s)`);
+    } catch (err) {
+      console.error(err.code ? `Unpack failed (${err.code}): ${err.message}` : `Unpack failed: ${err.message}`);
       process.exit(1);
     }
   });
@@ -247,6 +1294,8 @@ program
   .option('-f, --from <format>', 'Input format (gltf, usd, obj, ply, fbx)', 'auto')
   .option('-t, --to <format>', 'Output format (xrai, gltf, obj)', 'xrai')
   .option('-q, --quality <quality>', 'Conversion quality (0-1)', parseFloat, 1.0)
+  .option(...WORKERS_OPTION)
+  .option(...DETERMINISTIC_OPTION)
   .action(async (input, output, options) => {
     try {
       console.log(`Converting ${input} to ${output}...`);
@@ -305,8 +1354,8 @@ program
       }
       
       // Create encoder/decoder as needed
-      const encoder = new XRAIEncoder({ quality: options.quality });
-      const decoder = new XRAIDecoder();
+      const encoder = new XRAIEncoder({ quality: options.quality, deterministic: options.deterministic });
+      const decoder = new XRAIDecoder({ workers: options.workers });
       
       // Perform conversion
       if (inputFormat === 'xrai' && outputFormat !== 'xrai') {
@@ -414,6 +1463,16 @@ program
   <div id="xrai-container">
     <div class="loading">Loading XRAI scene...</div>
   </div>
+  <script src="https://cdnjs.cloudflare.com/ajax/libs/pako/2.1.0/pako.min.js"></script>
+  <script src="xrai-codecs.js"></script>
+  <script src="xrai-buffers.js"></script>
+  <script src="xrai-integrity.js"></script>
+  <script src="xrai-cache.js"></script>
+  <script src="xrai-extensions.js"></script>
+  <script src="xrai-container.js"></script>
+  <script src="xrai-sources.js"></script>
+  <script src="xrai-resolver.js"></script>
+  <script src="xrai-stream.js"></script>
   <script src="xrai-viewer.js"></script>
   <script src="splat-geometry.js"></script>
   <script src="nerf-renderer.js"></script>
@@ -520,6 +1579,11 @@ program
       const viewerFile = path.join(serverDir, 'index.html');
       fs.writeFileSync(viewerFile, viewerHTML);
       
+      // Copy the shared container library alongside the viewer JS files
+      for (const libraryFile of ['xrai-codecs.js', 'xrai-buffers.js', 'xrai-integrity.js', 'xrai-cache.js', 'xrai-extensions.js', 'xrai-container.js', 'xrai-sources.js', 'xrai-resolver.js', 'xrai-stream.js']) {
+        fs.copyFileSync(path.join(__dirname, libraryFile), path.join(serverDir, libraryFile));
+      }
+      
       // Copy viewer JS files
       const viewerJSPath = path.join(__dirname, '..', 'examples', 'web', 'xrai-viewer.js');
       const splatJSPath = path.join(__dirname, '..', 'examples', 'web', 'splat-geometry.js');
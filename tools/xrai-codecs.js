@@ -0,0 +1,471 @@
+/**
+ * XRAI Codecs
+ * Section compression codecs and the registry shared by every encoder and decoder
+ *
+ * Algorithm IDs follow the Compression table in spec/binary-format.md and are stored
+ * in bits 2-7 of the section flags. Built-in codecs:
+ *
+ *   0  store    - payload stored as-is
+ *   1  deflate  - zlib stream (RFC 1950); Node.js zlib, or pako in the browser
+ *   2  lz4      - uint32 uncompressed size followed by one LZ4 block; pure JavaScript
+ *
+ * A codec is a plain object:
+ *
+ *   {
+ *     id,                            // algorithm ID written to the section flags
+ *     name,                          // name used in compression specs ("deflate:9")
+ *     defaultLevel,                  // level used when a spec does not name one
+ *     compress(bytes, { level }),    // Uint8Array => Uint8Array
+ *     decompress(bytes, { maxSize }) // Uint8Array => Uint8Array
+ *   }
+ *
+ * Section bytes come from untrusted files, so decompress() must throw a RangeError
+ * instead of producing more than maxSize bytes (when given), and an Error for any
+ * input it cannot decode.
+ */
+
+(function (root) {
+  'use strict';
+  
+  const ALGORITHMS = {
+    store: 0,
+    deflate: 1,
+    lz4: 2,
+    draco: 3,
+    onnx: 4
+  };
+  
+  // Node.js zlib when available; browsers fall back to a global pako
+  let zlib = null;
+  let maxBufferLength = Infinity;
+  if (typeof module !== 'undefined' && module.exports) {
+    try {
+      zlib = require('zlib');
+      maxBufferLength = require('buffer').constants.MAX_LENGTH;
+    } catch (error) {
+      zlib = null;
+    }
+  }
+  
+  /**
+   * Holds the codecs available to a reader or writer, keyed by algorithm ID and name
+   */
+  class XRAICodecRegistry {
+    constructor() {
+      this.byId = new Map();
+      this.byName = new Map();
+    }
+    
+    /**
+     * Register a codec, replacing any codec with the same ID or name
+     * @param {Object} codec - Codec definition (see the top of this file)
+     * @returns {XRAICodecRegistry} - This registry, for chaining
+     */
+    register(codec) {
+      if (!codec || typeof codec.name !== 'string' || !Number.isInteger(codec.id)) {
+        throw new Error('Codec must have a numeric id and a string name');
+      }
+      if (codec.id < 0 || codec.id > 0x3F) {
+        throw new Error(`Codec ID out of range (0-63): ${codec.id}`);
+      }
+      
+      this.byId.set(codec.id, codec);
+      this.byName.set(codec.name, codec);
+      return this;
+    }
+    
+    /**
+     * Look up a codec
+     * @param {number|string} idOrName - Algorithm ID or codec name
+     * @returns {Object|undefined} - The codec
+     */
+    get(idOrName) {
+      return typeof idOrName === 'number' ? this.byId.get(idOrName) : this.byName.get(idOrName);
+    }
+    
+    /**
+     * Check whether a codec is registered
+     * @param {number|string} idOrName - Algorithm ID or codec name
+     * @returns {boolean} - True when the codec is available
+     */
+    has(idOrName) {
+      return this.get(idOrName) !== undefined;
+    }
+    
+    /**
+     * List the registered codecs
+     * @returns {Array<Object>} - Codecs ordered by algorithm ID
+     */
+    list() {
+      return [...this.byId.values()].sort((a, b) => a.id - b.id);
+    }
+    
+    /**
+     * Create a registry with the same codecs, for adding codecs locally
+     * @returns {XRAICodecRegistry} - The new registry
+     */
+    clone() {
+      const registry = new XRAICodecRegistry();
+      for (const codec of this.list()) {
+        registry.register(codec);
+      }
+      return registry;
+    }
+  }
+  
+  const storeCodec = {
+    id: ALGORITHMS.store,
+    name: 'store',
+    defaultLevel: 0,
+    compress: bytes => bytes,
+    decompress: bytes => bytes
+  };
+  
+  /**
+   * Get the pako library in the browser
+   * @returns {Object} - pako
+   */
+  function getPako() {
+    if (root.pako) {
+      return root.pako;
+    }
+    throw new Error('Deflate codec requires zlib (Node.js) or pako (browser)');
+  }
+  
+  const deflateCodec = {
+    id: ALGORITHMS.deflate,
+    name: 'deflate',
+    defaultLevel: 6,
+    compress(bytes, options = {}) {
+      const level = options.level !== undefined ? options.level : deflateCodec.defaultLevel;
+      return zlib ? zlib.deflateSync(bytes, { level }) : getPako().deflate(bytes, { level });
+    },
+    decompress(bytes, options = {}) {
+      const maxSize = options.maxSize !== undefined ? options.maxSize : Infinity;
+      
+      if (zlib) {
+        // inflateSync stops with a RangeError once the output passes maxOutputLength
+        return maxSize < maxBufferLength
+          ? zlib.inflateSync(bytes, { maxOutputLength: Math.max(maxSize, 1) })
+          : zlib.inflateSync(bytes);
+      }
+      
+      const inflator = new (getPako().Inflate)();
+      const onData = inflator.onData;
+      let size = 0;
+      inflator.onData = function (chunk) {
+        size += chunk.length;
+        if (size > maxSize) {
+          throw new RangeError(`Inflated data exceeds ${maxSize} bytes`);
+        }
+        onData.call(this, chunk);
+      };
+      
+      inflator.push(bytes, true);
+      if (inflator.err) {
+        throw new Error(inflator.msg || `inflate error ${inflator.err}`);
+      }
+      return inflator.result;
+    }
+  };
+  
+  const LZ4_MIN_MATCH = 4;
+  const LZ4_LAST_LITERALS = 5;
+  const LZ4_MF_LIMIT = 12;
+  const LZ4_MAX_DISTANCE = 65535;
+  const LZ4_HASH_BITS = 16;
+  
+  /**
+   * Read four bytes as a 32-bit integer
+   * @param {Uint8Array} bytes - Source bytes
+   * @param {number} offset - Byte offset
+   * @returns {number} - The value
+   */
+  function read32(bytes, offset) {
+    return bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24);
+  }
+  
+  /**
+   * Write an LZ4 length continuation (255-byte runs)
+   * @param {Uint8Array} out - Output bytes
+   * @param {number} offset - Write position
+   * @param {number} length - Remaining length after the 15 stored in the token
+   * @returns {number} - New write position
+   */
+  function writeLength(out, offset, length) {
+    while (length >= 255) {
+      out[offset++] = 255;
+      length -= 255;
+    }
+    out[offset++] = length;
+    return offset;
+  }
+  
+  /**
+   * Compress bytes into a single LZ4 block
+   * @param {Uint8Array} src - Uncompressed bytes
+   * @returns {Uint8Array} - LZ4 block
+   */
+  function lz4CompressBlock(src) {
+    const length = src.length;
+    const out = new Uint8Array(length + Math.ceil(length / 255) + 16);
+    const hashTable = new Int32Array(1 << LZ4_HASH_BITS).fill(-1);
+    const matchLimit = length - LZ4_LAST_LITERALS;
+    const lastMatchStart = length - LZ4_MF_LIMIT;
+    
+    let ip = 0;
+    let op = 0;
+    let anchor = 0;
+    
+    while (ip <= lastMatchStart) {
+      const sequence = read32(src, ip);
+      const hash = Math.imul(sequence, 2654435761) >>> (32 - LZ4_HASH_BITS);
+      const ref = hashTable[hash];
+      hashTable[hash] = ip;
+      
+      if (ref < 0 || ip - ref > LZ4_MAX_DISTANCE || read32(src, ref) !== sequence) {
+        ip++;
+        continue;
+      }
+      
+      let matchLength = LZ4_MIN_MATCH;
+      while (ip + matchLength < matchLimit && src[ref + matchLength] === src[ip + matchLength]) {
+        matchLength++;
+      }
+      
+      // Token, literals, offset, extra match length
+      const literalLength = ip - anchor;
+      const tokenOffset = op++;
+      out[tokenOffset] = (Math.min(literalLength, 15) << 4) | Math.min(matchLength - LZ4_MIN_MATCH, 15);
+      if (literalLength >= 15) {
+        op = writeLength(out, op, literalLength - 15);
+      }
+      out.set(src.subarray(anchor, ip), op);
+      op += literalLength;
+      
+      const distance = ip - ref;
+      out[op++] = distance & 0xFF;
+      out[op++] = distance >>> 8;
+      if (matchLength - LZ4_MIN_MATCH >= 15) {
+        op = writeLength(out, op, matchLength - LZ4_MIN_MATCH - 15);
+      }
+      
+      ip += matchLength;
+      anchor = ip;
+    }
+    
+    // The block always ends with a literals-only sequence
+    const literalLength = length - anchor;
+    out[op++] = Math.min(literalLength, 15) << 4;
+    if (literalLength >= 15) {
+      op = writeLength(out, op, literalLength - 15);
+    }
+    out.set(src.subarray(anchor), op);
+    op += literalLength;
+    
+    return out.slice(0, op);
+  }
+  
+  /**
+   * Decompress a single LZ4 block
+   * @param {Uint8Array} src - LZ4 block
+   * @param {number} outputSize - Expected uncompressed size
+   * @returns {Uint8Array} - Uncompressed bytes
+   */
+  function lz4DecompressBlock(src, outputSize) {
+    const out = new Uint8Array(outputSize);
+    let ip = 0;
+    let op = 0;
+    
+    while (ip < src.length) {
+      const token = src[ip++];
+      
+      let literalLength = token >>> 4;
+      if (literalLength === 15) {
+        let byte;
+        do {
+          if (ip >= src.length) {
+            throw new Error('Corrupt LZ4 block: truncated length');
+          }
+          byte = src[ip++];
+          literalLength += byte;
+        } while (byte === 255);
+      }
+      
+      if (ip + literalLength > src.length || op + literalLength > outputSize) {
+        throw new Error('Corrupt LZ4 block: literals run past the end of the data');
+      }
+      out.set(src.subarray(ip, ip + literalLength), op);
+      ip += literalLength;
+      op += literalLength;
+      
+      if (ip >= src.length) {
+        break;
+      }
+      
+      if (ip + 2 > src.length) {
+        throw new Error('Corrupt LZ4 block: truncated match offset');
+      }
+      const distance = src[ip] | (src[ip + 1] << 8);
+      ip += 2;
+      
+      if (distance === 0 || distance > op) {
+        throw new Error(`Corrupt LZ4 block: invalid match offset ${distance}`);
+      }
+      
+      let matchLength = token & 0x0F;
+      if (matchLength === 15) {
+        let byte;
+        do {
+          if (ip >= src.length) {
+            throw new Error('Corrupt LZ4 block: truncated length');
+          }
+          byte = src[ip++];
+          matchLength += byte;
+        } while (byte === 255);
+      }
+      matchLength += LZ4_MIN_MATCH;
+      
+      if (op + matchLength > outputSize) {
+        throw new Error('Corrupt LZ4 block: match runs past the expected size');
+      }
+      
+      // Byte by byte, because a match may overlap the bytes it produces
+      for (let i = 0; i < matchLength; i++, op++) {
+        out[op] = out[op - distance];
+      }
+    }
+    
+    if (op !== outputSize) {
+      throw new Error(`Corrupt LZ4 block: expected ${outputSize} bytes, got ${op}`);
+    }
+    
+    return out;
+  }
+  
+  const lz4Codec = {
+    id: ALGORITHMS.lz4,
+    name: 'lz4',
+    defaultLevel: 0,
+    compress(bytes) {
+      const block = lz4CompressBlock(bytes);
+      const out = new Uint8Array(4 + block.length);
+      new DataView(out.buffer).setUint32(0, bytes.length, true);
+      out.set(block, 4);
+      return out;
+    },
+    decompress(bytes, options = {}) {
+      if (bytes.length < 4) {
+        throw new Error('Corrupt LZ4 section: missing size prefix');
+      }
+      const size = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0, true);
+      // Checked before allocating: the prefix is read from the file
+      if (options.maxSize !== undefined && size > options.maxSize) {
+        throw new RangeError(`LZ4 section declares ${size} bytes, more than ${options.maxSize}`);
+      }
+      return lz4DecompressBlock(bytes.subarray(4), size);
+    }
+  };
+  
+  const defaultRegistry = new XRAICodecRegistry()
+    .register(storeCodec)
+    .register(deflateCodec)
+    .register(lz4Codec);
+  
+  /**
+   * Parse a codec spec such as "deflate", "deflate:9" or "lz4"
+   * @param {string|Object} spec - Codec spec, or an already parsed { codec, level }
+   * @param {XRAICodecRegistry} [registry] - Registry the codec must exist in
+   * @returns {Object} - { codec, level }
+   */
+  function parseCodecSpec(spec, registry = defaultRegistry) {
+    if (spec && typeof spec === 'object') {
+      return parseCodecSpec(spec.level !== undefined ? `${spec.codec}:${spec.level}` : spec.codec, registry);
+    }
+    
+    const [name, levelText] = String(spec).trim().split(':');
+    const codec = registry.get(name);
+    if (!codec) {
+      const available = registry.list().map(entry => entry.name).join(', ');
+      throw new Error(`Unknown compression codec "${name}" (available: ${available})`);
+    }
+    
+    let level = codec.defaultLevel;
+    if (levelText !== undefined && levelText !== '') {
+      level = Number(levelText);
+      if (!Number.isInteger(level) || level < 0) {
+        throw new Error(`Invalid compression level "${levelText}" for ${name}`);
+      }
+    }
+    
+    return { codec: codec.name, level };
+  }
+  
+  /**
+   * Normalize compression options into a per-section-type map
+   *
+   * Accepts a codec spec for every section ("deflate:9"), comma-separated or repeated
+   * "type=codec[:level]" entries ("geometry=lz4,buffers=deflate:9"), an object keyed
+   * by section type, or true for deflate at its default level. The "*" key holds the
+   * codec used for section types without an entry of their own.
+   *
+   * @param {string|Array|Object|boolean} compression - Compression options
+   * @param {XRAICodecRegistry} [registry] - Registry the codecs must exist in
+   * @returns {Object} - Map of section type (or "*") to { codec, level }
+   */
+  function parseCompressionOptions(compression, registry = defaultRegistry) {
+    const result = {};
+    
+    if (compression === undefined || compression === null || compression === false) {
+      return result;
+    }
+    if (compression === true) {
+      result['*'] = parseCodecSpec('deflate', registry);
+      return result;
+    }
+    
+    if (typeof compression === 'object' && !Array.isArray(compression)) {
+      for (const [type, spec] of Object.entries(compression)) {
+        result[type] = parseCodecSpec(spec, registry);
+      }
+      return result;
+    }
+    
+    const entries = (Array.isArray(compression) ? compression : [compression])
+      .flatMap(entry => String(entry).split(','))
+      .map(entry => entry.trim())
+      .filter(entry => entry !== '');
+    
+    for (const entry of entries) {
+      const separator = entry.indexOf('=');
+      if (separator === -1) {
+        result['*'] = parseCodecSpec(entry, registry);
+      } else {
+        result[entry.slice(0, separator).trim()] = parseCodecSpec(entry.slice(separator + 1), registry);
+      }
+    }
+    
+    return result;
+  }
+  
+  const XRAICodecs = {
+    ALGORITHMS,
+    XRAICodecRegistry,
+    defaultRegistry,
+    storeCodec,
+    deflateCodec,
+    lz4Codec,
+    lz4CompressBlock,
+    lz4DecompressBlock,
+    parseCodecSpec,
+    parseCompressionOptions
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAICodecs;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAICodecs = XRAICodecs;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
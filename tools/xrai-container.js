@@ -0,0 +1,2682 @@
+/**
+ * XRAI Container
+ * Reads and writes the XRAI binary container: header, table of contents and sections
+ *
+ * Implements the XRAI binary format specification as defined in spec/binary-format.md
+ * This module has no platform dependencies and runs unchanged in Node.js and the browser,
+ * apart from XRAIContainerWriter.update, which changes files in place with Node.js fs.
+ * Every encoder, decoder and viewer in this repository goes through it. Compressed sections
+ * are handled by the codec registry in tools/xrai-codecs.js, binary data by
+ * tools/xrai-buffers.js, checksums by tools/xrai-integrity.js and extensions by
+ * tools/xrai-extensions.js; in the browser these must be loaded first.
+ *
+ * Decoded result shape:
+ *
+ *   {
+ *     container: {
+ *       version: { major, minor },   // container format version from the header
+ *       flags,                       // header flags (see HEADER_FLAGS)
+ *       tocOffset,                   // byte offset of the table of contents
+ *       sections: [                  // table of contents, in file order
+ *         { index, typeId, type, name, offset, size, flags, value }   // corrupt: true instead of
+ *       ]                                                              // value when skipped
+ *     },
+ *     asset, metadata, ...           // document properties from the metadata section
+ *     geometry, materials, ...       // one property per section type, merged when the file has
+ *                                    // several sections of that type (see mergeSectionValues)
+ *   }
+ *
+ * A file may hold several sections of one type, e.g. geometry split into chunks or one
+ * geometry section per level of detail. The optional string table (section type 13) gives
+ * sections names; a name is unique among the sections of its type, and findSection looks
+ * sections up by type and name. Each entry of container.sections keeps its own value, and
+ * addDocument splits the array properties of a decoded result back into the same sections.
+ *
+ * The document properties follow schemas/xrai-core.json, so a decoded result can be
+ * handed to a viewer or passed back to XRAIContainerWriter#addDocument unchanged.
+ * Accessor references in geometry are resolved to typed arrays viewing the Buffers
+ * section bytes, and embedded images to their bytes (see tools/xrai-buffers.js); pass
+ * resolveAccessors: false to keep indices. Buffers and images with a uri are external and
+ * stay as they are; tools/xrai-resolver.js loads them.
+ *
+ * Files with an integrity section have each section checked against its CRC32 before it
+ * is decoded. The corruptSections option decides what happens to a damaged section:
+ * 'refuse' (default) throws, 'skip' leaves it out of the result and marks its entry
+ * corrupt, 'ignore' decodes without checking.
+ *
+ * Files are untrusted input. Readers check every offset and size against the file before
+ * using it, reject sections that overlap each other or the table of contents, and enforce
+ * the limits option (see DEFAULT_LIMITS). Malformed files throw an XRAIFormatError whose
+ * code is one of ERROR_CODES; the codes are stable, the messages are not.
+ *
+ * Files listing an extension in extensionsRequired are refused unless the extension is
+ * registered (the extensions option, defaulting to XRAIExtensions.defaultRegistry).
+ * Registered extensions can add section types and transform extension data; see
+ * tools/xrai-extensions.js. Sections of unknown types decode to bytes under unknown_<id>,
+ * and addDocument writes them back with their type ID.
+ */
+
+(function (root) {
+  'use strict';
+  
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const XRAICodecs = isNode ? require('./xrai-codecs') : root.XRAICodecs;
+  const XRAIBuffers = isNode ? require('./xrai-buffers') : root.XRAIBuffers;
+  const XRAIIntegrity = isNode ? require('./xrai-integrity') : root.XRAIIntegrity;
+  const XRAIExtensions = isNode ? require('./xrai-extensions') : root.XRAIExtensions;
+  
+  const MAGIC = 'XRAI';
+  const HEADER_SIZE = 16;
+  const TOC_HEADER_SIZE = 4;
+  const TOC_ENTRY_SIZE = 24;
+  const SECTION_ALIGNMENT = 4;
+  
+  const FORMAT_VERSION = { major: 1, minor: 0 };
+  
+  // Section type IDs from spec/binary-format.md
+  const SECTION_TYPES = {
+    metadata: 1,
+    geometry: 2,
+    materials: 3,
+    animations: 4,
+    audio: 5,
+    aiComponents: 6,
+    vfx: 7,
+    buffers: 8,
+    images: 9,
+    scene: 10,
+    extensions: 11,
+    integrity: 12,
+    strings: 13
+  };
+  
+  const SECTION_NAMES = {};
+  for (const [name, id] of Object.entries(SECTION_TYPES)) {
+    SECTION_NAMES[id] = name;
+  }
+  
+  // Sections whose payload is raw bytes; every other known section is UTF-8 JSON.
+  // Binary sections are not document properties: Buffers sections back the `buffers` entries.
+  const BINARY_SECTIONS = new Set(['buffers']);
+  
+  // Sections that describe the container rather than the document; writers generate them
+  const CONTAINER_SECTIONS = new Set(['integrity', 'strings']);
+  
+  // Sections whose values refer to Buffers section data through accessors or bufferViews
+  const BUFFER_DATA_SECTIONS = new Set(['geometry', 'images', 'audio']);
+  
+  // What decoding does with a section whose checksum does not match
+  const CORRUPT_SECTION_POLICIES = ['refuse', 'skip', 'ignore'];
+  
+  // Resource limits for reading untrusted files; override any of them with the limits option
+  const DEFAULT_LIMITS = {
+    maxSections: 4096,                       // entries in the table of contents
+    maxDecompressedSize: 512 * 1024 * 1024,  // bytes produced by decompressing one section
+    maxJsonDepth: 256                        // nesting of objects and arrays in a JSON section
+  };
+  
+  // Codes carried by XRAIFormatError
+  const ERROR_CODES = {
+    E_TRUNCATED_HEADER: 'The file is shorter than the 16-byte header',
+    E_BAD_MAGIC: 'The file does not start with "XRAI"',
+    E_UNSUPPORTED_VERSION: 'The container major version or asset.minVersion is newer than this reader',
+    E_OFFSET_TOO_LARGE: 'A 64-bit offset or size is above 2^53 - 1',
+    E_TOC_OUT_OF_RANGE: 'The table of contents overlaps the header or runs past the end of the file',
+    E_TOO_MANY_SECTIONS: 'The table of contents has more entries than limits.maxSections',
+    E_SECTION_OUT_OF_RANGE: 'A section overlaps the header or runs past the end of the file',
+    E_SECTION_OVERLAP: 'A section overlaps another section or the table of contents',
+    E_MISSING_METADATA: 'There is no metadata section',
+    E_UNSUPPORTED_CODEC: 'A section is compressed with an algorithm that is not registered',
+    E_DECOMPRESSION_FAILED: 'A compressed section could not be decompressed',
+    E_DECOMPRESSED_TOO_LARGE: 'A section decompresses to more than limits.maxDecompressedSize bytes',
+    E_INVALID_JSON: 'A JSON section is not valid UTF-8 JSON',
+    E_JSON_TOO_DEEP: 'A JSON section nests deeper than limits.maxJsonDepth',
+    E_INVALID_INTEGRITY_TABLE: 'The integrity section is not a valid integrity table',
+    E_INVALID_STRING_TABLE: 'The strings section is not a valid string table, or repeats a name within a section type',
+    E_CHECKSUM_MISMATCH: 'A section or the file does not match its checksum',
+    E_UNSUPPORTED_EXTENSION: 'The file requires an extension that is not registered',
+    E_EXTERNAL_REFERENCE: 'An external buffer or image cannot be loaded, is shorter than its byteLength, or is outside the base location',
+    E_SCHEMA_VIOLATION: 'A section does not match its part of schemas/xrai-core.json (reported by validate in strict schema mode)'
+  };
+  
+  const HEADER_FLAGS = {
+    COMPRESSED: 0x1,
+    EXTERNAL_REFERENCES: 0x2,
+    NEURAL_NETWORKS: 0x4,
+    STREAMING_OPTIMIZED: 0x8
+  };
+  
+  // Section order in streaming-optimized files: what a viewer needs first comes first.
+  // Buffers precede geometry so geometry can be resolved as soon as it arrives.
+  const STREAMING_PRIORITY = [
+    'metadata',
+    'scene',
+    'materials',
+    'images',
+    'buffers',
+    'geometry',
+    'animations',
+    'vfx',
+    'aiComponents',
+    'audio',
+    'extensions'
+  ];
+  
+  const SECTION_FLAGS = {
+    COMPRESSED: 0x1,
+    EXTERNAL_REFERENCES: 0x2,
+    ALGORITHM_MASK: 0xFC,
+    ALGORITHM_SHIFT: 2
+  };
+  
+  const textEncoder = new TextEncoder();
+  const textDecoder = new TextDecoder('utf-8', { fatal: true });
+  
+  /**
+   * Error thrown when a file is not a valid XRAI container
+   */
+  class XRAIFormatError extends Error {
+    /**
+     * @param {string} code - One of ERROR_CODES, e.g. E_TOC_OUT_OF_RANGE
+     * @param {string} message - Description of the problem
+     * @param {Object} [details] - Where the problem is
+     * @param {number} [details.section] - TOC index of the section at fault
+     */
+    constructor(code, message, details = {}) {
+      super(message);
+      this.name = 'XRAIFormatError';
+      this.code = code;
+      this.section = details.section !== undefined ? details.section : null;
+    }
+  }
+  
+  /**
+   * Check whether a value is an ArrayBuffer
+   * @param {*} value - Value to check
+   * @returns {boolean} - True for ArrayBuffers
+   */
+  function isArrayBuffer(value) {
+    // Tag check rather than instanceof so buffers from other realms (iframes, vm contexts) are accepted
+    return Object.prototype.toString.call(value) === '[object ArrayBuffer]';
+  }
+  
+  /**
+   * Get a Uint8Array view over any binary input without copying
+   * @param {ArrayBuffer|ArrayBufferView} data - Binary data (ArrayBuffer, TypedArray, DataView or Node.js Buffer)
+   * @returns {Uint8Array} - View over the same memory
+   */
+  function toUint8Array(data) {
+    if (data instanceof Uint8Array) {
+      return data;
+    }
+    if (ArrayBuffer.isView(data)) {
+      return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    if (isArrayBuffer(data)) {
+      return new Uint8Array(data);
+    }
+    throw new TypeError('Expected an ArrayBuffer, TypedArray or Buffer');
+  }
+  
+  /**
+   * Check whether a value is binary data rather than JSON
+   * @param {*} value - Value to check
+   * @returns {boolean} - True for ArrayBuffers and ArrayBuffer views
+   */
+  function isBinary(value) {
+    return isArrayBuffer(value) || ArrayBuffer.isView(value);
+  }
+  
+  /**
+   * Resolve a section type name or ID to its numeric ID
+   * @param {string|number} type - Section type name or ID
+   * @param {XRAIExtensionRegistry} [extensions] - Registry with custom section types
+   * @returns {number} - Section type ID
+   */
+  function getSectionTypeId(type, extensions) {
+    if (typeof type === 'number') {
+      return type;
+    }
+    if (SECTION_TYPES[type] !== undefined) {
+      return SECTION_TYPES[type];
+    }
+    
+    const custom = getCustomSectionType(type, extensions);
+    if (!custom) {
+      throw new Error(`Unknown section type: ${type}`);
+    }
+    return custom.id;
+  }
+  
+  /**
+   * Get the section type name for a type ID
+   * @param {number} typeId - Section type ID
+   * @param {XRAIExtensionRegistry} [extensions] - Registry with custom section types
+   * @returns {string|null} - Section type name, or null for unknown IDs
+   */
+  function getSectionTypeName(typeId, extensions) {
+    if (SECTION_NAMES[typeId]) {
+      return SECTION_NAMES[typeId];
+    }
+    const custom = getCustomSectionType(typeId, extensions);
+    return custom ? custom.type : null;
+  }
+  
+  /**
+   * Look up a section type registered by an extension
+   * @param {number|string} idOrType - Section type ID or name
+   * @param {XRAIExtensionRegistry} [extensions] - Registry (defaults to XRAIExtensions.defaultRegistry)
+   * @returns {Object|undefined} - The custom section type
+   */
+  function getCustomSectionType(idOrType, extensions) {
+    const registry = resolveExtensions(extensions);
+    return registry ? registry.getSectionType(idOrType) : undefined;
+  }
+  
+  /**
+   * Find a section entry by TOC index, or by type and optionally name
+   * @param {Array<Object>} sections - Section entries
+   * @param {number|string} indexOrType - TOC index, or section type name
+   * @param {string} [name] - Section name from the string table
+   * @returns {Object|undefined} - The first matching section entry
+   */
+  function findSectionEntry(sections, indexOrType, name) {
+    if (typeof indexOrType === 'number') {
+      return sections[indexOrType];
+    }
+    return sections.find(section => section.type === indexOrType && (name === undefined || section.name === name));
+  }
+  
+  /**
+   * Describe a section lookup for error messages
+   * @param {number|string} indexOrType - TOC index, or section type name
+   * @param {string} [name] - Section name
+   * @returns {string} - e.g. 'geometry "lod1"'
+   */
+  function describeSectionQuery(indexOrType, name) {
+    return name === undefined ? String(indexOrType) : `${indexOrType} "${name}"`;
+  }
+  
+  /**
+   * Get the compression algorithm ID stored in section flags
+   * @param {number} flags - Section flags
+   * @returns {number} - Algorithm ID (0 when the section is stored uncompressed)
+   */
+  function getCompressionAlgorithm(flags) {
+    if ((flags & SECTION_FLAGS.COMPRESSED) === 0) {
+      return 0;
+    }
+    
+    // Bits 2-7 as defined in the spec; older encoders wrote the algorithm into bits 8-15
+    const algorithm = (flags & SECTION_FLAGS.ALGORITHM_MASK) >> SECTION_FLAGS.ALGORITHM_SHIFT;
+    return algorithm !== 0 ? algorithm : (flags >> 8) & 0xFF;
+  }
+  
+  /**
+   * Store a compression algorithm ID in section flags
+   * @param {number} flags - Section flags
+   * @param {number} algorithm - Algorithm ID (0 clears the compressed bit)
+   * @returns {number} - Updated section flags
+   */
+  function setCompressionAlgorithm(flags, algorithm) {
+    const cleared = flags & ~(SECTION_FLAGS.COMPRESSED | SECTION_FLAGS.ALGORITHM_MASK);
+    if (algorithm === 0) {
+      return cleared;
+    }
+    return cleared | SECTION_FLAGS.COMPRESSED | (algorithm << SECTION_FLAGS.ALGORITHM_SHIFT);
+  }
+  
+  /**
+   * Get the buffers module, which browsers must load before this one
+   * @returns {Object} - XRAIBuffers
+   */
+  function getBuffersModule() {
+    if (!XRAIBuffers) {
+      throw new Error('XRAIBuffers is not loaded; include tools/xrai-buffers.js before tools/xrai-container.js');
+    }
+    return XRAIBuffers;
+  }
+  
+  /**
+   * Get the integrity module, which is required for checksums
+   * @returns {Object} - XRAIIntegrity
+   */
+  function getIntegrityModule() {
+    if (!XRAIIntegrity) {
+      throw new Error('XRAIIntegrity is not loaded; include tools/xrai-integrity.js before tools/xrai-container.js');
+    }
+    return XRAIIntegrity;
+  }
+  
+  /**
+   * Check a corruptSections option
+   * @param {string} policy - refuse, skip or ignore
+   * @returns {string} - The policy
+   */
+  function checkCorruptSectionPolicy(policy) {
+    if (!CORRUPT_SECTION_POLICIES.includes(policy)) {
+      throw new Error(`Unknown corruptSections policy: ${policy} (expected ${CORRUPT_SECTION_POLICIES.join(', ')})`);
+    }
+    return policy;
+  }
+  
+  /**
+   * Get the codec registry to use, defaulting to the shared one
+   * @param {XRAICodecRegistry} [codecs] - Registry passed in the options
+   * @returns {XRAICodecRegistry} - Codec registry
+   */
+  function resolveCodecs(codecs) {
+    if (codecs) {
+      return codecs;
+    }
+    if (!XRAICodecs) {
+      throw new Error('XRAICodecs is not loaded; include tools/xrai-codecs.js before tools/xrai-container.js');
+    }
+    return XRAICodecs.defaultRegistry;
+  }
+  
+  /**
+   * Get the extension registry to use, defaulting to the shared one
+   * @param {XRAIExtensionRegistry} [extensions] - Registry passed in the options
+   * @returns {XRAIExtensionRegistry|null} - Extension registry, or null when tools/xrai-extensions.js
+   *   is not loaded and no extension is available
+   */
+  function resolveExtensions(extensions) {
+    if (extensions) {
+      return extensions;
+    }
+    return XRAIExtensions ? XRAIExtensions.defaultRegistry : null;
+  }
+  
+  /**
+   * Parse a "major.minor" version string
+   * @param {string} version - Version string, e.g. asset.version or asset.minVersion
+   * @returns {Object|null} - { major, minor }, or null when the string is not a version
+   */
+  function parseVersion(version) {
+    const match = typeof version === 'string' ? /^(\d+)\.(\d+)$/.exec(version) : null;
+    return match ? { major: Number(match[1]), minor: Number(match[2]) } : null;
+  }
+  
+  /**
+   * Compare two versions
+   * @param {Object} a - { major, minor }
+   * @param {Object} b - { major, minor }
+   * @returns {number} - Negative when a is older than b, 0 when equal, positive when newer
+   */
+  function compareVersions(a, b) {
+    return a.major !== b.major ? a.major - b.major : a.minor - b.minor;
+  }
+  
+  /**
+   * Check that this reader supports the minimum version a document asks for
+   * @param {Object} documentRoot - Merged metadata sections (asset.minVersion)
+   * @returns {Object} - The document root
+   */
+  function checkMinVersion(documentRoot) {
+    const asset = documentRoot && documentRoot.asset;
+    if (!asset || typeof asset !== 'object' || asset.minVersion === undefined) {
+      return documentRoot;
+    }
+    
+    const minVersion = parseVersion(asset.minVersion);
+    if (!minVersion) {
+      throw new XRAIFormatError('E_UNSUPPORTED_VERSION', `Invalid asset.minVersion: ${JSON.stringify(asset.minVersion)} (expected "major.minor")`);
+    }
+    if (compareVersions(minVersion, FORMAT_VERSION) > 0) {
+      throw new XRAIFormatError(
+        'E_UNSUPPORTED_VERSION',
+        `The file requires XRAI ${asset.minVersion}; this reader supports ${FORMAT_VERSION.major}.${FORMAT_VERSION.minor}`
+      );
+    }
+    return documentRoot;
+  }
+  
+  /**
+   * Check that every extension a document requires is registered
+   * @param {Object} documentRoot - Merged metadata sections (extensionsRequired)
+   * @param {XRAIExtensionRegistry} [extensions] - Registry (defaults to XRAIExtensions.defaultRegistry)
+   * @returns {Object} - The document root
+   */
+  function checkRequiredExtensions(documentRoot, extensions) {
+    const required = documentRoot && Array.isArray(documentRoot.extensionsRequired) ? documentRoot.extensionsRequired : [];
+    const registry = resolveExtensions(extensions);
+    const missing = registry ? registry.getMissing(documentRoot) : required;
+    
+    if (missing.length > 0) {
+      throw new XRAIFormatError('E_UNSUPPORTED_EXTENSION', `Required extensions not registered: ${missing.join(', ')}`);
+    }
+    return documentRoot;
+  }
+  
+  /**
+   * Check that this reader can load a document: its minimum version and required extensions
+   * @param {Object} documentRoot - Merged metadata sections
+   * @param {XRAIExtensionRegistry} [extensions] - Registry (defaults to XRAIExtensions.defaultRegistry)
+   * @returns {Object} - The document root
+   */
+  function checkDocumentRequirements(documentRoot, extensions) {
+    checkMinVersion(documentRoot);
+    return checkRequiredExtensions(documentRoot, extensions);
+  }
+  
+  /**
+   * Fill in the limits not given in the options
+   * @param {Object} [limits] - Limits to override (see DEFAULT_LIMITS)
+   * @returns {Object} - Every limit
+   */
+  function resolveLimits(limits = {}) {
+    const resolved = { ...DEFAULT_LIMITS, ...limits };
+    for (const [name, value] of Object.entries(resolved)) {
+      if (DEFAULT_LIMITS[name] === undefined) {
+        throw new Error(`Unknown limit: ${name}`);
+      }
+      if (typeof value !== 'number' || !(value >= 0)) {
+        throw new Error(`Invalid limit ${name}: ${value} (expected a non-negative number or Infinity)`);
+      }
+    }
+    return resolved;
+  }
+  
+  /**
+   * Read an unsigned 64-bit little-endian integer as a JavaScript number
+   * @param {DataView} view - View to read from
+   * @param {number} offset - Byte offset within the view
+   * @param {string} field - What the value is, for the error message
+   * @returns {number} - The value
+   */
+  function readUint64(view, offset, field) {
+    const value = view.getBigUint64(offset, true);
+    if (value > BigInt(Number.MAX_SAFE_INTEGER)) {
+      throw new XRAIFormatError('E_OFFSET_TOO_LARGE', `${field} ${value} is larger than ${Number.MAX_SAFE_INTEGER}`);
+    }
+    return Number(value);
+  }
+  
+  /**
+   * Parse the 16-byte container header
+   * @param {ArrayBuffer|ArrayBufferView} data - Container bytes (at least the header)
+   * @returns {Object} - Header fields: magic, version, flags, tocOffset
+   */
+  function readHeader(data) {
+    const bytes = toUint8Array(data);
+    if (bytes.byteLength < HEADER_SIZE) {
+      throw new XRAIFormatError('E_TRUNCATED_HEADER', `File too small for an XRAI header: ${bytes.byteLength} bytes`);
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+    
+    // Checked first: the remaining fields mean nothing in other files
+    if (magic !== MAGIC) {
+      throw new XRAIFormatError('E_BAD_MAGIC', `Invalid XRAI file: incorrect magic number "${magic}"`);
+    }
+    
+    return {
+      magic,
+      version: {
+        major: view.getUint8(4),
+        minor: view.getUint8(5)
+      },
+      flags: view.getUint16(6, true),
+      tocOffset: readUint64(view, 8, 'TOC offset')
+    };
+  }
+  
+  /**
+   * Check that this reader supports the version in a header and that its TOC offset points into the file
+   * @param {Object} header - Header from readHeader
+   * @param {number|null} fileSize - File size in bytes, or null when not known yet
+   * @returns {Object} - The header
+   */
+  function checkHeader(header, fileSize) {
+    // A new major version may change anything after the header; a new minor version only adds
+    if (header.version.major > FORMAT_VERSION.major) {
+      throw new XRAIFormatError(
+        'E_UNSUPPORTED_VERSION',
+        `Unsupported version: ${header.version.major}.${header.version.minor} (this reader supports ${FORMAT_VERSION.major}.x)`
+      );
+    }
+    if (header.tocOffset < HEADER_SIZE) {
+      throw new XRAIFormatError('E_TOC_OUT_OF_RANGE', `Invalid TOC offset: ${header.tocOffset} is inside the header`);
+    }
+    if (fileSize !== null && header.tocOffset + TOC_HEADER_SIZE > fileSize) {
+      throw new XRAIFormatError('E_TOC_OUT_OF_RANGE', `Invalid TOC offset: ${header.tocOffset}, fileSize=${fileSize}`);
+    }
+    return header;
+  }
+  
+  /**
+   * Get the size of a table of contents from its section count
+   * @param {number} sectionCount - Section count from the first four bytes of the TOC
+   * @param {Object} [limits] - Limits (see DEFAULT_LIMITS)
+   * @returns {number} - TOC size in bytes, including the count
+   */
+  function getTOCSize(sectionCount, limits) {
+    const { maxSections } = resolveLimits(limits);
+    if (sectionCount > maxSections) {
+      throw new XRAIFormatError('E_TOO_MANY_SECTIONS', `Too many sections: ${sectionCount} (limit ${maxSections})`);
+    }
+    return TOC_HEADER_SIZE + sectionCount * TOC_ENTRY_SIZE;
+  }
+  
+  /**
+   * Parse the table of contents
+   * @param {ArrayBuffer|ArrayBufferView} data - Container bytes
+   * @param {number} tocOffset - Byte offset of the table of contents
+   * @param {Object} [limits] - Limits (see DEFAULT_LIMITS)
+   * @param {XRAIExtensionRegistry} [extensions] - Registry naming custom section types
+   * @returns {Array<Object>} - Section entries in file order
+   */
+  function readTOC(data, tocOffset, limits, extensions) {
+    const bytes = toUint8Array(data);
+    if (tocOffset + TOC_HEADER_SIZE > bytes.byteLength) {
+      throw new XRAIFormatError('E_TOC_OUT_OF_RANGE', `Invalid TOC offset: ${tocOffset}, fileSize=${bytes.byteLength}`);
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const sectionCount = view.getUint32(tocOffset, true);
+    
+    if (tocOffset + getTOCSize(sectionCount, limits) > bytes.byteLength) {
+      throw new XRAIFormatError('E_TOC_OUT_OF_RANGE', `Invalid TOC: not enough bytes to read ${sectionCount} section entries`);
+    }
+    
+    const sections = [];
+    let entryOffset = tocOffset + TOC_HEADER_SIZE;
+    
+    for (let i = 0; i < sectionCount; i++) {
+      const typeId = view.getUint32(entryOffset, true);
+      
+      sections.push({
+        index: i,
+        typeId,
+        type: getSectionTypeName(typeId, extensions),
+        name: null,
+        offset: readUint64(view, entryOffset + 4, `Section ${i} offset`),
+        size: readUint64(view, entryOffset + 12, `Section ${i} size`),
+        flags: view.getUint32(entryOffset + 20, true)
+      });
+      
+      entryOffset += TOC_ENTRY_SIZE;
+    }
+    
+    return sections;
+  }
+  
+  /**
+   * Check that sections lie inside the file and that no two of them share bytes
+   *
+   * Empty sections occupy no bytes and are exempt. The header, the table of contents
+   * and every section must be disjoint, so a section cannot alias another or change
+   * meaning depending on which entry it is read through.
+   *
+   * @param {Array<Object>} sections - Section entries from readTOC
+   * @param {number} tocOffset - Byte offset of the table of contents
+   * @param {number|null} fileSize - File size in bytes, or null when not known yet
+   * @returns {Array<Object>} - The sections
+   */
+  function checkSectionLayout(sections, tocOffset, fileSize) {
+    const tocEnd = tocOffset + TOC_HEADER_SIZE + sections.length * TOC_ENTRY_SIZE;
+    const describe = section => `section ${section.index}, offset=${section.offset}, size=${section.size}`;
+    
+    for (const section of sections) {
+      if (section.size === 0) {
+        continue;
+      }
+      
+      const end = section.offset + section.size;
+      if (section.offset < HEADER_SIZE) {
+        throw new XRAIFormatError('E_SECTION_OUT_OF_RANGE', `Invalid section bounds: ${describe(section)} overlaps the header`, { section: section.index });
+      }
+      if (fileSize !== null && end > fileSize) {
+        throw new XRAIFormatError('E_SECTION_OUT_OF_RANGE', `Invalid section bounds: ${describe(section)}, fileSize=${fileSize}`, { section: section.index });
+      }
+      if (section.offset < tocEnd && end > tocOffset) {
+        throw new XRAIFormatError('E_SECTION_OVERLAP', `Invalid section bounds: ${describe(section)} overlaps the TOC`, { section: section.index });
+      }
+    }
+    
+    const ordered = sections.filter(section => section.size > 0).sort((a, b) => a.offset - b.offset);
+    for (let i = 1; i < ordered.length; i++) {
+      const previous = ordered[i - 1];
+      if (ordered[i].offset < previous.offset + previous.size) {
+        throw new XRAIFormatError(
+          'E_SECTION_OVERLAP',
+          `Overlapping sections: ${describe(previous)} and ${describe(ordered[i])}`,
+          { section: ordered[i].index }
+        );
+      }
+    }
+    
+    return sections;
+  }
+  
+  /**
+   * Merge a decoded metadata section into a result object
+   * @param {Object} result - Result object to merge into
+   * @param {Object} value - Decoded metadata section
+   */
+  function mergeMetadata(result, value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      result.metadata = value;
+      return;
+    }
+    
+    // Early encoders stored the bare metadata object instead of the document root
+    if (value.asset === undefined && value.metadata === undefined) {
+      result.metadata = value;
+      return;
+    }
+    
+    for (const [key, property] of Object.entries(value)) {
+      // A JSON "__proto__" key is an own property; assigning it would replace the result's prototype
+      if (key !== '__proto__') {
+        result[key] = property;
+      }
+    }
+  }
+  
+  /**
+   * Check whether a section value refers to data outside the file
+   *
+   * Buffers are described in the metadata section, images in the Images section and audio
+   * clips in the Audio section. Data URIs hold their data inline and are not external.
+   *
+   * @param {string} type - Section type name
+   * @param {*} value - Section value
+   * @returns {boolean} - True when a buffer, image or clip has a uri other than a data URI
+   */
+  function hasExternalReferences(type, value) {
+    let entries = [];
+    if (type === 'metadata' && value && Array.isArray(value.buffers)) {
+      entries = value.buffers;
+    } else if ((type === 'images' || type === 'audio') && Array.isArray(value)) {
+      entries = value;
+    }
+    return entries.some(entry => entry && typeof entry.uri === 'string' && !/^data:/i.test(entry.uri));
+  }
+  
+  /**
+   * Check whether a value is a JSON object (not an array or binary data)
+   * @param {*} value - Value to check
+   * @returns {boolean} - True for objects
+   */
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !isBinary(value);
+  }
+  
+  /**
+   * Copy a JSON value with the keys of every object in sorted order
+   *
+   * Keys are compared by UTF-16 code units, as in RFC 8785. JavaScript lists integer-like
+   * keys ("0", "12") first whatever the insertion order, which is just as deterministic.
+   * Binary data is kept as it is, for the writer to pack into buffers.
+   *
+   * @param {*} value - JSON-serializable value
+   * @returns {*} - Copy with sorted keys
+   */
+  function canonicalizeJSON(value) {
+    if (isBinary(value)) {
+      return value;
+    }
+    if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+      return canonicalizeJSON(value.toJSON());
+    }
+    if (Array.isArray(value)) {
+      return value.map(canonicalizeJSON);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) {
+      sorted[key] = canonicalizeJSON(value[key]);
+    }
+    return sorted;
+  }
+  
+  /**
+   * Get the date encoders stamp into files
+   *
+   * Deterministic encoding uses SOURCE_DATE_EPOCH (seconds since the Unix epoch, as set by
+   * reproducible build tools) when the environment has it, and the Unix epoch otherwise.
+   *
+   * @param {boolean} deterministic - Whether encoding must be reproducible
+   * @returns {Date} - The current date, or the fixed date of a deterministic encode
+   */
+  function getEncodeDate(deterministic) {
+    if (!deterministic) {
+      return new Date();
+    }
+    
+    const epoch = typeof process !== 'undefined' && process.env ? process.env.SOURCE_DATE_EPOCH : undefined;
+    if (epoch === undefined || epoch === '') {
+      return new Date(0);
+    }
+    if (!/^\d+$/.test(epoch.trim())) {
+      throw new Error(`Invalid SOURCE_DATE_EPOCH: ${epoch} (expected seconds since the Unix epoch)`);
+    }
+    return new Date(Number(epoch) * 1000);
+  }
+  
+  /**
+   * Merge the values of several sections of one type into a single document property
+   *
+   * Arrays are concatenated in TOC order. Objects are merged key by key: arrays under the
+   * same key are concatenated and anything else is taken from the later section. Other
+   * values (binary and unknown sections) are returned as an array with one entry per section.
+   *
+   * @param {Array<*>} values - Decoded section values, in TOC order
+   * @returns {*} - Merged value; a single value is returned unchanged
+   */
+  function mergeSectionValues(values) {
+    if (values.length === 1) {
+      return values[0];
+    }
+    
+    if (values.every(Array.isArray)) {
+      return [].concat(...values);
+    }
+    
+    if (values.every(isPlainObject)) {
+      const merged = {};
+      for (const value of values) {
+        for (const [key, property] of Object.entries(value)) {
+          if (key === '__proto__') {
+            continue;
+          }
+          const previous = Object.prototype.hasOwnProperty.call(merged, key) ? merged[key] : undefined;
+          merged[key] = Array.isArray(previous) && Array.isArray(property) ? previous.concat(property) : property;
+        }
+      }
+      return merged;
+    }
+    
+    return values.slice();
+  }
+  
+  /**
+   * Decompress stored section bytes with the codec named in the section flags
+   *
+   * Codecs receive the size limit as options.maxSize and throw a RangeError rather
+   * than produce more; the output size is checked again for codecs that ignore it.
+   *
+   * @param {Uint8Array} bytes - Stored section bytes
+   * @param {Object} section - Section entry
+   * @param {XRAICodecRegistry} [codecs] - Codec registry (defaults to XRAICodecs.defaultRegistry)
+   * @param {Object} [limits] - Limits (see DEFAULT_LIMITS)
+   * @returns {Uint8Array} - Uncompressed bytes
+   */
+  function decompressSection(bytes, section, codecs, limits) {
+    const algorithm = getCompressionAlgorithm(section.flags);
+    if (algorithm === 0) {
+      return bytes;
+    }
+    
+    const name = `section ${section.index} (${section.type || section.typeId})`;
+    const codec = resolveCodecs(codecs).get(algorithm);
+    if (!codec) {
+      throw new XRAIFormatError('E_UNSUPPORTED_CODEC', `Section ${section.index} (${section.type || section.typeId}) uses unsupported compression algorithm ${algorithm}`, { section: section.index });
+    }
+    
+    const { maxDecompressedSize } = resolveLimits(limits);
+    const tooLarge = () => new XRAIFormatError(
+      'E_DECOMPRESSED_TOO_LARGE',
+      `Failed to decompress ${name} with ${codec.name}: output exceeds ${maxDecompressedSize} bytes`,
+      { section: section.index }
+    );
+    
+    let output;
+    try {
+      output = toUint8Array(codec.decompress(bytes, { maxSize: maxDecompressedSize }));
+    } catch (error) {
+      if (error instanceof RangeError) {
+        throw tooLarge();
+      }
+      throw new XRAIFormatError('E_DECOMPRESSION_FAILED', `Failed to decompress ${name} with ${codec.name}: ${error.message}`, { section: section.index });
+    }
+    
+    if (output.byteLength > maxDecompressedSize) {
+      throw tooLarge();
+    }
+    return output;
+  }
+  
+  /**
+   * Check a decoded integrity section
+   * @param {*} table - Decoded integrity section
+   * @param {number} sectionCount - Number of sections in the table of contents
+   * @returns {Object} - The table: crc32 (by TOC index) and sha256
+   */
+  function checkIntegrityTable(table, sectionCount) {
+    if (!table || !Array.isArray(table.crc32) || typeof table.sha256 !== 'string' || !/^[0-9a-f]{64}$/.test(table.sha256)) {
+      throw new XRAIFormatError('E_INVALID_INTEGRITY_TABLE', 'Invalid integrity table: expected a crc32 array and a sha256 hex string');
+    }
+    if (table.crc32.length !== sectionCount) {
+      throw new XRAIFormatError('E_INVALID_INTEGRITY_TABLE', `Invalid integrity table: ${table.crc32.length} checksums for ${sectionCount} sections`);
+    }
+    if (!table.crc32.every(crc => crc === null || (Number.isInteger(crc) && crc >= 0 && crc <= 0xFFFFFFFF))) {
+      throw new XRAIFormatError('E_INVALID_INTEGRITY_TABLE', 'Invalid integrity table: checksums must be unsigned 32-bit integers or null');
+    }
+    return table;
+  }
+  
+  /**
+   * Check a decoded string table
+   * @param {*} table - Decoded strings section
+   * @param {Array<Object>} sections - Section entries
+   * @returns {Object} - The table: names (by TOC index)
+   */
+  function checkStringTable(table, sections) {
+    if (!table || !Array.isArray(table.names) || table.names.length !== sections.length) {
+      throw new XRAIFormatError('E_INVALID_STRING_TABLE', `Invalid string table: expected a names array with ${sections.length} entries`);
+    }
+    
+    const seen = new Set();
+    table.names.forEach((name, index) => {
+      if (name === null) {
+        return;
+      }
+      if (typeof name !== 'string' || name === '') {
+        throw new XRAIFormatError('E_INVALID_STRING_TABLE', `Invalid string table: name of section ${index} must be a non-empty string or null`, { section: index });
+      }
+      
+      const key = `${sections[index].typeId}:${name}`;
+      if (seen.has(key)) {
+        throw new XRAIFormatError('E_INVALID_STRING_TABLE', `Invalid string table: two ${sections[index].type || sections[index].typeId} sections are named "${name}"`, { section: index });
+      }
+      seen.add(key);
+    });
+    
+    return table;
+  }
+  
+  /**
+   * Set the name of every section entry from a string table
+   * @param {Array<Object>} sections - Section entries, updated in place
+   * @param {Object|null} table - String table from checkStringTable, or null to clear the names
+   * @returns {Array<Object>} - The sections
+   */
+  function applySectionNames(sections, table) {
+    for (const section of sections) {
+      section.name = table ? table.names[section.index] : null;
+    }
+    return sections;
+  }
+  
+  /**
+   * Compare the stored bytes of a section with its CRC32 in the integrity table
+   * @param {Object} table - Integrity table
+   * @param {Object} section - Section entry
+   * @param {Uint8Array|number} bytes - Stored section bytes, or their CRC32 when already computed
+   * @returns {string|null} - Description of the mismatch, or null when the bytes match or have no checksum
+   */
+  function verifySectionChecksum(table, section, bytes) {
+    const expected = table.crc32[section.index];
+    if (expected === null || expected === undefined) {
+      return null;
+    }
+    
+    const actual = typeof bytes === 'number' ? bytes : getIntegrityModule().crc32(bytes);
+    if (actual === expected) {
+      return null;
+    }
+    
+    const hex = value => `0x${value.toString(16).padStart(8, '0')}`;
+    return `Checksum mismatch in section ${section.index} (${section.type || section.typeId}): expected ${hex(expected)}, got ${hex(actual)}`;
+  }
+  
+  /**
+   * Get the key a section is cached under
+   *
+   * Sections of extension types with their own decode function are not cached: their
+   * values need not survive being copied or stored.
+   *
+   * @param {XRAISectionCache|null} cache - Section cache (see tools/xrai-cache.js)
+   * @param {Object} section - Section entry
+   * @param {Uint8Array} bytes - Stored section bytes
+   * @param {XRAIExtensionRegistry} [extensions] - Registry naming custom section types
+   * @returns {string|null} - Cache key, or null when the section is not cached
+   */
+  function getSectionCacheKey(cache, section, bytes, extensions) {
+    if (!cache || CONTAINER_SECTIONS.has(section.type)) {
+      return null;
+    }
+    const custom = getCustomSectionType(section.typeId, extensions);
+    if (custom && typeof custom.decode === 'function') {
+      return null;
+    }
+    return cache.keyFor(section, bytes);
+  }
+  
+  /**
+   * Assemble decoded section values into the documented result shape
+   * @param {Object} header - Container header
+   * @param {Array<Object>} sections - Section entries
+   * @param {Array<*>} values - Decoded value of each section, by TOC index; undefined for sections
+   *   skipped as corrupt
+   * @param {Object} options - Decode options
+   * @param {boolean} [options.resolveAccessors=true] - Replace accessor indices in geometry with typed arrays,
+   *   and image bufferViews with image data
+   * @param {XRAIExtensionRegistry} [options.extensions] - Registered extensions (defaults to XRAIExtensions.defaultRegistry)
+   * @returns {Object} - Decoded XRAI content
+   */
+  function buildDocument(header, sections, values, options = {}) {
+    const result = {
+      container: {
+        version: { ...header.version },
+        flags: header.flags,
+        tocOffset: header.tocOffset,
+        sections: sections.map(section => (
+          values[section.index] === undefined ? { ...section, corrupt: true } : { ...section, value: values[section.index] }
+        ))
+      }
+    };
+    
+    // Metadata first, so dedicated sections take precedence over document properties
+    const ordered = [
+      ...sections.filter(section => section.type === 'metadata'),
+      ...sections.filter(section => section.type !== 'metadata')
+    ];
+    
+    const embeddedBuffers = [];
+    const valuesByType = new Map();
+    
+    for (const section of ordered) {
+      const value = values[section.index];
+      
+      if (section.type === 'buffers') {
+        // Keep the position of skipped buffers so later ones map to the right entries
+        embeddedBuffers.push(value);
+      } else if (value === undefined || CONTAINER_SECTIONS.has(section.type)) {
+        continue;
+      } else if (section.type === 'metadata') {
+        mergeMetadata(result, value);
+      } else {
+        const key = section.type || `unknown_${section.typeId}`;
+        if (!valuesByType.has(key)) {
+          valuesByType.set(key, []);
+        }
+        valuesByType.get(key).push(value);
+      }
+    }
+    
+    // Refuse before handing out data whose meaning depends on a newer format or a missing extension
+    checkDocumentRequirements(result, options.extensions);
+    
+    // Early encoders stored bare metadata with no asset; the header says which version wrote them
+    const metadataRead = sections.some(section => section.type === 'metadata' && values[section.index] !== undefined);
+    if (metadataRead && result.asset === undefined) {
+      result.asset = { version: `${header.version.major}.${header.version.minor}` };
+    }
+    
+    // Merged arrays share their elements with the section values, so resolving accessors updates both
+    for (const [key, typeValues] of valuesByType) {
+      result[key] = mergeSectionValues(typeValues);
+    }
+    
+    // Accessor tables live in the metadata section; without it geometry keeps its indices
+    const metadataSkipped = sections.some(section => section.type === 'metadata' && values[section.index] === undefined);
+    
+    if (options.resolveAccessors !== false && embeddedBuffers.length > 0 && !metadataSkipped) {
+      getBuffersModule().resolveDocument(result, embeddedBuffers);
+    }
+    
+    const registry = resolveExtensions(options.extensions);
+    return registry ? registry.transformDocument(result, 'decode') : result;
+  }
+  
+  /**
+   * Resolve the accessors of a geometry section decoded on its own
+   *
+   * Used by readers that decode sections one at a time (tools/xrai-sources.js,
+   * tools/xrai-stream.js), where the buffer tables live in the separately decoded
+   * metadata section.
+   *
+   * @param {Object} documentRoot - Merged metadata sections (buffers, bufferViews, accessors)
+   * @param {Array<Object>} geometry - Decoded geometry section, resolved in place
+   * @param {Array<Uint8Array>} embeddedBuffers - Buffers section payloads, in file order
+   * @returns {Array<Object>} - The geometry
+   */
+  function resolveGeometry(documentRoot, geometry, embeddedBuffers) {
+    return resolveSectionData(documentRoot, 'geometry', geometry, embeddedBuffers);
+  }
+  
+  /**
+   * Resolve the Buffers section data of a geometry, images or audio section decoded on its own
+   * @param {Object} documentRoot - Merged metadata sections (buffers, bufferViews, accessors)
+   * @param {string} type - Section type, one of BUFFER_DATA_SECTIONS
+   * @param {Array<Object>} value - Decoded section, resolved in place
+   * @param {Array<Uint8Array>} embeddedBuffers - Buffers section payloads, in file order
+   * @returns {Array<Object>} - The value
+   */
+  function resolveSectionData(documentRoot, type, value, embeddedBuffers) {
+    getBuffersModule().resolveDocument({
+      buffers: documentRoot.buffers,
+      bufferViews: documentRoot.bufferViews,
+      accessors: documentRoot.accessors,
+      [type]: value
+    }, embeddedBuffers);
+    
+    return value;
+  }
+  
+  /**
+   * Assemble the result of validating a container
+   *
+   * Shared by the in-memory reader and readers that check a file piece by piece
+   * (tools/xrai-sources.js). Checksum mismatches are errors, except with corruptSections:
+   * 'skip', where they are reported as warnings because decoding can still proceed.
+   *
+   * @param {Object} header - Container header
+   * @param {Array<Object>} sections - Section entries
+   * @param {Object|null} checks - Checksum results, or null when they were not run (corruptSections: 'ignore'):
+   *   table (integrity table, or null when the file has none), error (thrown reading the table),
+   *   problems (checksum mismatch or null, by TOC index) and digest (SHA-256 of the file)
+   * @param {string} corruptSections - corruptSections policy
+   * @param {Object|null} [schema] - Schema check results, or null when they were not run: mode
+   *   ('strict' or 'lenient'), issues (see tools/xrai-schema.js) and errors (thrown reading a
+   *   section, errors in either mode)
+   * @returns {Object} - Validation result: valid, errors, code (of the first error, or null),
+   *   warnings, corruptSections (TOC indices), schemaIssues, version, sections
+   */
+  function buildValidationResult(header, sections, checks, corruptSections, schema = null) {
+    const errors = [];
+    const warnings = [];
+    const corrupt = [];
+    const { version } = header;
+    let code = null;
+    
+    const fail = (errorCode, message) => {
+      errors.push(message);
+      code = code || errorCode;
+    };
+    
+    // Newer majors are refused when the header is read; newer minors only add to the format
+    if (compareVersions(version, FORMAT_VERSION) > 0) {
+      warnings.push(`File version ${version.major}.${version.minor} is newer than this reader (${FORMAT_VERSION.major}.${FORMAT_VERSION.minor}); features added since are ignored`);
+    }
+    
+    if (!sections.some(section => section.type === 'metadata')) {
+      fail('E_MISSING_METADATA', 'Missing required metadata section (type 1)');
+    }
+    
+    if (checks) {
+      const report = corruptSections === 'skip'
+        ? message => warnings.push(message)
+        : message => fail('E_CHECKSUM_MISMATCH', message);
+      
+      if (checks.error) {
+        fail(checks.error.code || 'E_INVALID_INTEGRITY_TABLE', checks.error.message);
+      }
+      
+      if (checks.table) {
+        checks.problems.forEach((problem, index) => {
+          if (problem) {
+            corrupt.push(index);
+            report(problem);
+          }
+        });
+        
+        if (checks.digest !== checks.table.sha256) {
+          // With every section intact, a digest mismatch means the header, TOC or padding changed
+          const message = `File digest mismatch: expected sha256 ${checks.table.sha256}, got ${checks.digest}`;
+          if (corrupt.length > 0) {
+            report(message);
+          } else {
+            fail('E_CHECKSUM_MISMATCH', message);
+          }
+        }
+      }
+    }
+    
+    if (schema) {
+      for (const error of schema.errors) {
+        fail(error.code || null, error.message);
+      }
+      
+      for (const issue of schema.issues) {
+        const name = issue.name ? ` "${issue.name}"` : '';
+        const message = `Section ${issue.section} (${issue.type}${name}): ${issue.pointer || '/'} ${issue.message}`;
+        if (schema.mode === 'strict') {
+          fail('E_SCHEMA_VIOLATION', message);
+        } else {
+          warnings.push(message);
+        }
+      }
+    }
+    
+    return {
+      valid: errors.length === 0,
+      errors,
+      code,
+      warnings,
+      corruptSections: corrupt,
+      schemaIssues: schema ? schema.issues : [],
+      version: `${version.major}.${version.minor}`,
+      sections: sections.map(section => ({
+        index: section.index,
+        type: section.type,
+        typeId: section.typeId,
+        name: section.name,
+        size: section.size
+      }))
+    };
+  }
+  
+  /**
+   * Reads sections from an in-memory XRAI container
+   */
+  class XRAIContainerReader {
+    /**
+     * @param {ArrayBuffer|ArrayBufferView} data - Container bytes
+     * @param {Object} options - Reader options
+     * @param {XRAICodecRegistry} [options.codecs] - Codecs for compressed sections (defaults to XRAICodecs.defaultRegistry)
+     * @param {boolean} [options.resolveAccessors=true] - Replace accessor indices in geometry with typed arrays,
+     *   and image bufferViews with image data
+     * @param {string} [options.corruptSections='refuse'] - What decode() does with sections that fail their
+     *   checksum: refuse (throw), skip (leave out) or ignore (decode anyway)
+     * @param {Object} [options.limits] - Resource limits, overriding DEFAULT_LIMITS
+     * @param {XRAIExtensionRegistry} [options.extensions] - Registered extensions (defaults to XRAIExtensions.defaultRegistry)
+     * @param {XRAISectionCache} [options.cache] - Cache of decoded sections (see tools/xrai-cache.js)
+     * @param {XRAISchemaValidator} [options.schema] - Checks sections against the schema in validate()
+     *   (see tools/xrai-schema.js)
+     */
+    constructor(data, options = {}) {
+      this.options = {
+        codecs: null,
+        resolveAccessors: true,
+        corruptSections: 'refuse',
+        extensions: null,
+        cache: null,
+        schema: null,
+        ...options
+      };
+      
+      checkCorruptSectionPolicy(this.options.corruptSections);
+      this.limits = resolveLimits(this.options.limits);
+      
+      this.bytes = toUint8Array(data);
+      this.header = checkHeader(readHeader(this.bytes), this.bytes.byteLength);
+      this.sections = checkSectionLayout(
+        readTOC(this.bytes, this.header.tocOffset, this.limits, this.options.extensions),
+        this.header.tocOffset,
+        this.bytes.byteLength
+      );
+      
+      // Integrity table (null when the file has none) and checksum results, filled on demand
+      this.integrity = undefined;
+      this.checksumErrors = new Map();
+      
+      // Cache keys of the sections, by TOC index
+      this.cacheKeys = new Map();
+      
+      this._readSectionNames();
+    }
+    
+    /**
+     * Find a section by index, or by type and optionally name
+     * @param {number|string} indexOrType - TOC index, or section type name
+     * @param {string} [name] - Section name from the string table
+     * @returns {Object|undefined} - The first matching section entry
+     */
+    findSection(indexOrType, name) {
+      return findSectionEntry(this.sections, indexOrType, name);
+    }
+    
+    /**
+     * Get the stored (possibly compressed) bytes of a section
+     * @param {number|string} indexOrType - TOC index, or section type name
+     * @param {string} [name] - Section name from the string table
+     * @returns {Uint8Array} - View over the section bytes
+     */
+    getSectionBytes(indexOrType, name) {
+      const section = this._requireSection(indexOrType, name);
+      
+      // Bounds were checked against the file when the TOC was read
+      return this.bytes.subarray(section.offset, section.offset + section.size);
+    }
+    
+    /**
+     * Read and decode a single section
+     * @param {number|string} indexOrType - TOC index, or section type name
+     * @param {string} [name] - Section name from the string table
+     * @returns {*} - Parsed JSON for JSON sections, Uint8Array for binary and unknown sections
+     */
+    readSection(indexOrType, name) {
+      const section = this._requireSection(indexOrType, name);
+      const bytes = this.getSectionBytes(section.index);
+      
+      if (this.options.corruptSections !== 'ignore') {
+        const problem = this.verifySection(section.index);
+        if (problem) {
+          throw new XRAIFormatError('E_CHECKSUM_MISMATCH', problem, { section: section.index });
+        }
+      }
+      
+      const key = this.getCacheKey(section.index);
+      if (key !== null) {
+        const cached = this.options.cache.get(key);
+        if (cached !== undefined) {
+          return cached;
+        }
+      }
+      
+      const payload = decompressSection(bytes, section, this.options.codecs, this.limits);
+      const value = decodeSectionPayload(section.type, payload, this.limits, section.index, this.options.extensions);
+      
+      if (key !== null) {
+        this.options.cache.set(key, value, payload.byteLength);
+      }
+      return value;
+    }
+    
+    /**
+     * Get the key a section is cached under
+     * @param {number|string} indexOrType - TOC index, or section type name
+     * @param {string} [name] - Section name from the string table
+     * @returns {string|null} - Cache key, or null when there is no cache or the section is not cached
+     */
+    getCacheKey(indexOrType, name) {
+      const section = this._requireSection(indexOrType, name);
+      if (!this.cacheKeys.has(section.index)) {
+        this.cacheKeys.set(section.index, getSectionCacheKey(this.options.cache, section, this.getSectionBytes(section.index), this.options.extensions));
+      }
+      return this.cacheKeys.get(section.index);
+    }
+    
+    /**
+     * Bring the sections of this file from the cache's store into memory, for a decode() that finds them
+     * @returns {Promise<number>} - Number of sections found in the store
+     */
+    async loadCached() {
+      if (!this.options.cache || !this.options.cache.options.store) {
+        return 0;
+      }
+      return this.options.cache.load(this.sections.map(section => this.getCacheKey(section.index)));
+    }
+    
+    /**
+     * Get the integrity table
+     * @returns {Object|null} - crc32 (by TOC index) and sha256, or null when the file has no integrity section
+     */
+    getIntegrityTable() {
+      if (this.integrity === undefined) {
+        const section = this.findSection('integrity');
+        this.integrity = section
+          ? checkIntegrityTable(decodeSectionPayload('integrity', this.getSectionBytes(section.index), this.limits, section.index), this.sections.length)
+          : null;
+      }
+      return this.integrity;
+    }
+    
+    /**
+     * Check a section against its checksum in the integrity table
+     * @param {number|string} indexOrType - TOC index, or section type name
+     * @returns {string|null} - Description of the mismatch, or null when the section is intact or unchecked
+     */
+    verifySection(indexOrType) {
+      const section = this.findSection(indexOrType);
+      if (!section) {
+        throw new Error(`Section not found: ${indexOrType}`);
+      }
+      
+      if (!this.checksumErrors.has(section.index)) {
+        const table = this.getIntegrityTable();
+        this.checksumErrors.set(section.index, table ? verifySectionChecksum(table, section, this.getSectionBytes(section.index)) : null);
+      }
+      return this.checksumErrors.get(section.index);
+    }
+    
+    /**
+     * Compute the SHA-256 of the file without its integrity section
+     * @returns {string|null} - Lowercase hex digest, or null when the file has no integrity section
+     */
+    computeDigest() {
+      const section = this.findSection('integrity');
+      if (!section) {
+        return null;
+      }
+      return getIntegrityModule().fileDigest(this.bytes, section.offset, section.size);
+    }
+    
+    /**
+     * Get the uncompressed payload of a section
+     * @param {number|string} indexOrType - TOC index, or section type name
+     * @param {string} [name] - Section name from the string table
+     * @returns {Uint8Array} - Uncompressed section bytes
+     */
+    getSectionPayload(indexOrType, name) {
+      const section = this._requireSection(indexOrType, name);
+      return decompressSection(this.getSectionBytes(section.index), section, this.options.codecs, this.limits);
+    }
+    
+    /**
+     * Decode every section into the documented result shape
+     * @returns {Object} - Decoded XRAI content
+     */
+    decode() {
+      const values = this.sections.map(section => {
+        if (this.options.corruptSections === 'skip' && this.verifySection(section.index)) {
+          return undefined;
+        }
+        return this.readSection(section.index);
+      });
+      return buildDocument(this.header, this.sections, values, this.options);
+    }
+    
+    /**
+     * Check the container structure and checksums
+     *
+     * Section bounds are checked when the reader is created. Checksum mismatches are
+     * errors, except with corruptSections: 'skip', where they are reported as warnings
+     * because decode() can still proceed.
+     *
+     * Section payloads are only decoded with the schema option (an XRAISchemaValidator, see
+     * tools/xrai-schema.js), which checks every intact section against its part of the schema.
+     *
+     * @returns {Object} - Validation result: valid, errors, code (of the first error, or null),
+     *   warnings, corruptSections (TOC indices), schemaIssues, version, sections
+     */
+    validate() {
+      let checks = null;
+      
+      if (this.options.corruptSections !== 'ignore') {
+        checks = { table: null, error: null, problems: [], digest: null };
+        try {
+          checks.table = this.getIntegrityTable();
+        } catch (error) {
+          checks.error = error;
+        }
+        
+        if (checks.table) {
+          checks.problems = this.sections.map(section => this.verifySection(section.index));
+          checks.digest = this.computeDigest();
+        }
+      }
+      
+      let schema = null;
+      const validator = this.options.schema;
+      if (validator) {
+        schema = { mode: validator.mode, issues: [], errors: [] };
+        for (const section of this.sections) {
+          if (!validator.covers(section.type) || (checks && checks.problems[section.index])) {
+            continue;
+          }
+          try {
+            schema.issues.push(...validator.validateSection(section, this.readSection(section.index)));
+          } catch (error) {
+            schema.errors.push(error);
+          }
+        }
+      }
+      
+      return buildValidationResult(this.header, this.sections, checks, this.options.corruptSections, schema);
+    }
+    
+    /**
+     * Find a section or throw
+     * @private
+     * @param {number|string} indexOrType - TOC index, or section type name
+     * @param {string} [name] - Section name
+     * @returns {Object} - Section entry
+     */
+    _requireSection(indexOrType, name) {
+      const section = this.findSection(indexOrType, name);
+      if (!section) {
+        throw new Error(`Section not found: ${describeSectionQuery(indexOrType, name)}`);
+      }
+      return section;
+    }
+    
+    /**
+     * Name the section entries from the string table, if the file has one
+     *
+     * A string table that fails its checksum is not used; decode() then handles the
+     * strings section like any other corrupt section.
+     *
+     * @private
+     */
+    _readSectionNames() {
+      const section = this.findSection('strings');
+      if (!section || (this.options.corruptSections !== 'ignore' && this.verifySection(section.index))) {
+        return;
+      }
+      applySectionNames(this.sections, checkStringTable(this.readSection(section.index), this.sections));
+    }
+  }
+  
+  /**
+   * Check how deeply the objects and arrays of a JSON text nest, without parsing it
+   * @param {Uint8Array} bytes - UTF-8 JSON
+   * @param {number} maxDepth - Deepest nesting allowed
+   * @returns {boolean} - True when the text stays within maxDepth
+   */
+  function isJsonDepthWithin(bytes, maxDepth) {
+    let depth = 0;
+    let inString = false;
+    
+    // Quotes, backslashes and brackets are ASCII, so they never occur inside multi-byte UTF-8 sequences
+    for (let i = 0; i < bytes.length; i++) {
+      const byte = bytes[i];
+      if (inString) {
+        if (byte === 0x5C) {
+          i++;
+        } else if (byte === 0x22) {
+          inString = false;
+        }
+      } else if (byte === 0x22) {
+        inString = true;
+      } else if (byte === 0x7B || byte === 0x5B) {
+        if (++depth > maxDepth) {
+          return false;
+        }
+      } else if (byte === 0x7D || byte === 0x5D) {
+        depth--;
+      }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Decode the payload of an uncompressed section
+   * @param {string|null} type - Section type name
+   * @param {Uint8Array} bytes - Section payload
+   * @param {Object} [limits] - Limits (see DEFAULT_LIMITS)
+   * @param {number} [index] - TOC index of the section, for errors
+   * @param {XRAIExtensionRegistry} [extensions] - Registry with custom section types
+   * @returns {*} - Parsed JSON, or the bytes for binary and unknown sections
+   */
+  function decodeSectionPayload(type, bytes, limits, index, extensions) {
+    const custom = type && SECTION_TYPES[type] === undefined ? getCustomSectionType(type, extensions) : undefined;
+    if (custom && typeof custom.decode === 'function') {
+      return custom.decode(bytes, { index, type });
+    }
+    
+    if (!type || BINARY_SECTIONS.has(type) || (custom && custom.binary)) {
+      return bytes;
+    }
+    
+    const { maxJsonDepth } = resolveLimits(limits);
+    if (!isJsonDepthWithin(bytes, maxJsonDepth)) {
+      throw new XRAIFormatError('E_JSON_TOO_DEEP', `JSON in ${type} section nests deeper than ${maxJsonDepth} levels`, { section: index });
+    }
+    
+    try {
+      return JSON.parse(textDecoder.decode(bytes));
+    } catch (error) {
+      throw new XRAIFormatError('E_INVALID_JSON', `Invalid JSON in ${type} section: ${error.message}`, { section: index });
+    }
+  }
+  
+  /**
+   * Encode a section payload to bytes
+   * @param {*} data - Section data: bytes, or a JSON-serializable value
+   * @param {Object} [custom] - Custom section type whose encode() produces the bytes
+   * @returns {Uint8Array} - Encoded payload
+   */
+  function encodeSectionPayload(data, custom) {
+    if (custom && typeof custom.encode === 'function') {
+      return toUint8Array(custom.encode(data));
+    }
+    if (isBinary(data)) {
+      return toUint8Array(data);
+    }
+    return textEncoder.encode(JSON.stringify(data));
+  }
+  
+  /**
+   * Builds an XRAI container from sections or a document
+   */
+  class XRAIContainerWriter {
+    /**
+     * @param {Object} options - Writer options
+     * @param {boolean} [options.alignSections=true] - Pad sections to 4-byte boundaries
+     * @param {Object} [options.version] - Container version to write ({ major, minor })
+     * @param {number} [options.flags=0] - Additional header flags
+     * @param {string|Array|Object|boolean} [options.compression] - Section compression, e.g. "deflate:9" or
+     *   "geometry=lz4,buffers=deflate:9" (see XRAICodecs.parseCompressionOptions)
+     * @param {XRAICodecRegistry} [options.codecs] - Codecs to compress with (defaults to XRAICodecs.defaultRegistry)
+     * @param {boolean} [options.streaming=false] - Order sections by STREAMING_PRIORITY and set the
+     *   streaming-optimized header flag
+     * @param {boolean} [options.integrity=true] - Write an integrity section with a CRC32 per section
+     *   and a SHA-256 of the file
+     * @param {XRAIExtensionRegistry} [options.extensions] - Registered extensions, for custom section types and
+     *   encode handlers (defaults to XRAIExtensions.defaultRegistry)
+     * @param {boolean} [options.deterministic=false] - Write the same bytes for equal content: JSON keys in
+     *   sorted order, and the sections of addDocument() in type ID order whatever the property order
+     */
+    constructor(options = {}) {
+      this.options = {
+        alignSections: true,
+        version: FORMAT_VERSION,
+        flags: 0,
+        compression: null,
+        codecs: null,
+        streaming: false,
+        integrity: true,
+        extensions: null,
+        deterministic: false,
+        ...options
+      };
+      
+      this.sections = [];
+      this.compression = {};
+      
+      if (this.options.compression) {
+        this.compression = XRAICodecs.parseCompressionOptions(this.options.compression, resolveCodecs(this.options.codecs));
+        for (const type of Object.keys(this.compression)) {
+          if (type !== '*' && SECTION_TYPES[type] === undefined && !getCustomSectionType(type, this.options.extensions)) {
+            throw new Error(`Unknown section type in compression options: ${type}`);
+          }
+        }
+      }
+    }
+    
+    /**
+     * Add a section
+     * @param {string|number} type - Section type name or ID
+     * @param {*} data - Section bytes, or a JSON-serializable value
+     * @param {Object} options - Section options
+     * @param {number} [options.flags=0] - Section flags, for payloads that are already compressed
+     * @param {string|Object|null} [options.compression] - Codec for this section ("lz4", "deflate:9"),
+     *   overriding the writer's compression options; null stores the section uncompressed
+     * @param {string|null} [options.name] - Section name, unique among sections of this type;
+     *   stored in the string table
+     * @returns {XRAIContainerWriter} - This writer, for chaining
+     */
+    addSection(type, data, options = {}) {
+      const typeId = getSectionTypeId(type, this.options.extensions);
+      const typeName = getSectionTypeName(typeId, this.options.extensions);
+      const name = options.name !== undefined ? options.name : null;
+      
+      if (CONTAINER_SECTIONS.has(typeName)) {
+        throw new Error(`${typeName} sections are generated by the writer and cannot be added`);
+      }
+      if (name !== null && (typeof name !== 'string' || name === '')) {
+        throw new Error(`Invalid section name: ${name} (expected a non-empty string)`);
+      }
+      if (name !== null && this.sections.some(section => section.typeId === typeId && section.name === name)) {
+        throw new Error(`Duplicate section name: ${typeName || typeId} "${name}"`);
+      }
+      
+      if (this.options.deterministic && !isBinary(data)) {
+        data = canonicalizeJSON(data);
+      }
+      
+      let bytes = encodeSectionPayload(data, getCustomSectionType(typeId, this.options.extensions));
+      let flags = options.flags || 0;
+      
+      if (!isBinary(data) && hasExternalReferences(typeName, data)) {
+        flags |= SECTION_FLAGS.EXTERNAL_REFERENCES;
+      }
+      
+      // Payloads passed with the compressed flag are already compressed
+      if ((flags & SECTION_FLAGS.COMPRESSED) === 0) {
+        const spec = this._compressionFor(typeName, options);
+        if (spec) {
+          const codec = resolveCodecs(this.options.codecs).get(spec.codec);
+          bytes = toUint8Array(codec.compress(bytes, { level: spec.level }));
+          flags = setCompressionAlgorithm(flags, codec.id);
+        }
+      }
+      
+      this.sections.push({
+        typeId,
+        type: typeName,
+        name,
+        data: bytes,
+        flags
+      });
+      
+      return this;
+    }
+    
+    /**
+     * Add a whole XRAI document, one section per top-level section property
+     *
+     * Properties that do not name a section (asset, metadata, extensionsUsed, ...)
+     * are written together as the metadata section. Typed arrays in geometry are moved
+     * into a Buffers section and replaced by accessor indices. For a decoded result,
+     * container.sections says how each property was split into named sections, and
+     * array properties are split the same way again. Sections of types this writer does not
+     * know (unknown_<id>, or custom types of unregistered extensions) are written back with
+     * the type ID they were read from.
+     *
+     * Registered extensions encode their extension data first; the document is not modified.
+     *
+     * @param {Object} document - XRAI document following schemas/xrai-core.json
+     * @returns {XRAIContainerWriter} - This writer, for chaining
+     */
+    addDocument(document) {
+      const registry = resolveExtensions(this.options.extensions);
+      let transformed = registry ? registry.transformDocument(document, 'encode') : document;
+      if (this.options.deterministic) {
+        // Sorted before packing, so buffers are packed in a fixed order too
+        const { container, ...rest } = transformed;
+        transformed = { ...canonicalizeJSON(rest), container };
+      }
+      
+      const packed = getBuffersModule().packDocument(transformed);
+      const decodedSections = document.container && Array.isArray(document.container.sections)
+        ? document.container.sections
+        : [];
+      const documentRoot = {};
+      const sections = [];
+      
+      for (const [key, value] of Object.entries(packed.document)) {
+        if (key === 'container') {
+          continue;
+        }
+        
+        const typeId = this._documentSectionTypeId(key, decodedSections);
+        if (key === 'metadata' || typeId === undefined || CONTAINER_SECTIONS.has(key)) {
+          documentRoot[key] = value;
+          continue;
+        }
+        
+        // buffers is both a binary section and a JSON array of buffer descriptors
+        if (BINARY_SECTIONS.has(key) && !isBinary(value)) {
+          documentRoot[key] = value;
+          continue;
+        }
+        
+        if (!value || (Array.isArray(value) && value.length === 0)) {
+          continue;
+        }
+        
+        sections.push([typeId, value]);
+      }
+      
+      if (this.options.deterministic) {
+        // Array.prototype.sort is stable, so properties of one type ID keep their order
+        sections.sort((a, b) => a[0] - b[0]);
+      }
+      
+      this.addSection('metadata', documentRoot);
+      for (const [typeId, value] of sections) {
+        for (const part of this._splitSection(typeId, value, decodedSections)) {
+          this.addSection(typeId, part.value, { name: part.name });
+        }
+      }
+      for (const bytes of packed.buffers) {
+        this.addSection('buffers', bytes);
+      }
+      
+      return this;
+    }
+    
+    /**
+     * Get the section type a document property is written to
+     *
+     * Built-in and registered section types are found by name. Properties of a decoded
+     * result that came from sections of other types go back to the type ID they were read from.
+     *
+     * @private
+     * @param {string} key - Document property
+     * @param {Array<Object>} decodedSections - container.sections of a decoded result, or empty
+     * @returns {number|undefined} - Section type ID, or undefined for properties of the metadata section
+     */
+    _documentSectionTypeId(key, decodedSections) {
+      if (SECTION_TYPES[key] !== undefined) {
+        return SECTION_TYPES[key];
+      }
+      
+      const custom = getCustomSectionType(key, this.options.extensions);
+      if (custom) {
+        return custom.id;
+      }
+      
+      const decoded = decodedSections.find(section => (section.type || `unknown_${section.typeId}`) === key);
+      return decoded ? decoded.typeId : undefined;
+    }
+    
+    /**
+     * Split a document property into the sections it was decoded from
+     *
+     * An array property is cut at the original section boundaries while its length still
+     * matches, and values that could not be merged (see mergeSectionValues) are written one
+     * per section; anything else is written as one section, keeping the name of a lone section.
+     *
+     * @private
+     * @param {number} typeId - Section type ID
+     * @param {*} value - Document property, with accessor indices
+     * @param {Array<Object>} decodedSections - container.sections of a decoded result, or empty
+     * @returns {Array<Object>} - { value, name } for each section to write
+     */
+    _splitSection(typeId, value, decodedSections) {
+      const parts = decodedSections.filter(section => section.typeId === typeId && section.value !== undefined);
+      
+      if (parts.length === 1) {
+        return [{ value, name: parts[0].name || null }];
+      }
+      
+      const mergeable = parts.every(part => Array.isArray(part.value)) || parts.every(part => isPlainObject(part.value));
+      if (parts.length > 1 && !mergeable && Array.isArray(value) && value.length === parts.length) {
+        return parts.map((part, index) => ({ value: value[index], name: part.name || null }));
+      }
+      
+      if (parts.length === 0 || !Array.isArray(value) || !parts.every(part => Array.isArray(part.value))) {
+        return [{ value, name: null }];
+      }
+      if (parts.reduce((length, part) => length + part.value.length, 0) !== value.length) {
+        return [{ value, name: null }];
+      }
+      
+      let start = 0;
+      return parts.map(part => {
+        const end = start + part.value.length;
+        const slice = value.slice(start, end);
+        start = end;
+        return { value: slice, name: part.name || null };
+      });
+    }
+    
+    /**
+     * Serialize the container
+     *
+     * The table of contents is written directly after the header so readers can
+     * locate every section before the section data arrives.
+     *
+     * @returns {Uint8Array} - The encoded container
+     */
+    toBytes() {
+      const chunks = Array.from(this.toChunks());
+      const bytes = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.byteLength, 0));
+      let offset = 0;
+      
+      for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+      }
+      
+      return bytes;
+    }
+    
+    /**
+     * Serialize the container piece by piece, for writing to a stream
+     *
+     * Yields the header and table of contents first, then each section with its
+     * padding, so the whole file is never held in one buffer.
+     *
+     * @returns {Iterator<Uint8Array>} - Consecutive pieces of the encoded container
+     */
+    *toChunks() {
+      const { layout, totalSize } = this._layout();
+      const head = this._headerAndTOC(layout);
+      const integrity = layout.find(section => section.type === 'integrity');
+      
+      if (integrity) {
+        // The integrity section is written first but covers the rest of the file, so hash ahead
+        const hash = getIntegrityModule().createSha256();
+        for (const piece of this._pieces(layout, head, totalSize)) {
+          if (piece !== integrity.data) {
+            hash.update(piece);
+          }
+        }
+        integrity.data = encodeSectionPayload({ crc32: integrity.checksums, sha256: hash.digest() });
+      }
+      
+      yield* this._pieces(layout, head, totalSize);
+    }
+    
+    /**
+     * Yield the bytes of a laid-out container in file order
+     * @private
+     * @param {Array<Object>} layout - Sections with offsets, in file order
+     * @param {Uint8Array} head - Header and table of contents
+     * @param {number} totalSize - File size including trailing padding
+     * @returns {Iterator<Uint8Array>} - Header, padding and section bytes
+     */
+    *_pieces(layout, head, totalSize) {
+      let position = head.byteLength;
+      
+      yield head;
+      
+      for (const section of layout) {
+        if (section.offset > position) {
+          yield new Uint8Array(section.offset - position);
+        }
+        yield section.data;
+        position = section.offset + section.data.byteLength;
+      }
+      
+      if (totalSize > position) {
+        yield new Uint8Array(totalSize - position);
+      }
+    }
+    
+    /**
+     * Assign an offset to every section
+     *
+     * The integrity section, when enabled, comes first so streaming readers can check
+     * each section as it arrives. Its digest is a placeholder of the final length until
+     * toChunks() fills it in. The string table, written when any section has a name,
+     * comes next so readers know the names before the named sections arrive.
+     *
+     * @private
+     * @returns {Object} - layout (sections with offsets, in file order) and totalSize
+     */
+    _layout() {
+      const sections = this._orderedSections();
+      
+      if (sections.some(section => section.name !== null)) {
+        const leading = this.options.integrity ? [null, null] : [null];
+        sections.unshift({
+          typeId: SECTION_TYPES.strings,
+          type: 'strings',
+          name: null,
+          data: encodeSectionPayload({ names: [...leading, ...sections.map(section => section.name)] }),
+          flags: 0
+        });
+      }
+      
+      if (this.options.integrity) {
+        const checksums = [null, ...sections.map(section => getIntegrityModule().crc32(section.data))];
+        sections.unshift({
+          typeId: SECTION_TYPES.integrity,
+          type: 'integrity',
+          data: encodeSectionPayload({ crc32: checksums, sha256: '0'.repeat(64) }),
+          flags: 0,
+          checksums
+        });
+      }
+      
+      const tocSize = TOC_HEADER_SIZE + sections.length * TOC_ENTRY_SIZE;
+      let currentOffset = HEADER_SIZE + tocSize;
+      
+      const layout = sections.map(section => {
+        currentOffset = this._align(currentOffset);
+        const offset = currentOffset;
+        currentOffset += section.data.byteLength;
+        return { ...section, offset };
+      });
+      
+      return { layout, totalSize: this._align(currentOffset) };
+    }
+    
+    /**
+     * Sections in the order they are written
+     * @private
+     * @returns {Array<Object>} - Sections, by priority in streaming mode, otherwise as added
+     */
+    _orderedSections() {
+      if (!this.options.streaming) {
+        return this.sections.slice();
+      }
+      
+      const priority = section => {
+        const rank = STREAMING_PRIORITY.indexOf(section.type);
+        return rank === -1 ? STREAMING_PRIORITY.length : rank;
+      };
+      
+      // Array.prototype.sort is stable, so sections of one type keep their order
+      return this.sections.slice().sort((a, b) => priority(a) - priority(b));
+    }
+    
+    /**
+     * Encode the header and table of contents
+     * @private
+     * @param {Array<Object>} layout - Sections with offsets, in file order
+     * @returns {Uint8Array} - Header followed by the table of contents
+     */
+    _headerAndTOC(layout) {
+      const bytes = new Uint8Array(HEADER_SIZE + TOC_HEADER_SIZE + layout.length * TOC_ENTRY_SIZE);
+      const view = new DataView(bytes.buffer);
+      
+      // Header
+      bytes.set(textEncoder.encode(MAGIC), 0);
+      view.setUint8(4, this.options.version.major);
+      view.setUint8(5, this.options.version.minor);
+      view.setUint16(6, this._headerFlags(), true);
+      view.setBigUint64(8, BigInt(HEADER_SIZE), true);
+      
+      // Table of contents
+      view.setUint32(HEADER_SIZE, layout.length, true);
+      let entryOffset = HEADER_SIZE + TOC_HEADER_SIZE;
+      
+      for (const section of layout) {
+        view.setUint32(entryOffset, section.typeId, true);
+        view.setBigUint64(entryOffset + 4, BigInt(section.offset), true);
+        view.setBigUint64(entryOffset + 12, BigInt(section.data.byteLength), true);
+        view.setUint32(entryOffset + 20, section.flags, true);
+        entryOffset += TOC_ENTRY_SIZE;
+      }
+      
+      return bytes;
+    }
+    
+    /**
+     * Pick the codec for a section
+     * @private
+     * @param {string|null} type - Section type name
+     * @param {Object} options - addSection options
+     * @returns {Object|null} - { codec, level }, or null to store uncompressed
+     */
+    _compressionFor(type, options) {
+      if (options.compression !== undefined) {
+        return options.compression ? XRAICodecs.parseCodecSpec(options.compression, resolveCodecs(this.options.codecs)) : null;
+      }
+      return this.compression[type] || this.compression['*'] || null;
+    }
+    
+    /**
+     * Compute header flags from the options and the added sections
+     * @private
+     * @returns {number} - Header flags
+     */
+    _headerFlags() {
+      let flags = this.options.flags;
+      
+      if (this.options.streaming) {
+        flags |= HEADER_FLAGS.STREAMING_OPTIMIZED;
+      }
+      
+      for (const section of this.sections) {
+        if (section.flags & SECTION_FLAGS.COMPRESSED) {
+          flags |= HEADER_FLAGS.COMPRESSED;
+        }
+        if (section.flags & SECTION_FLAGS.EXTERNAL_REFERENCES) {
+          flags |= HEADER_FLAGS.EXTERNAL_REFERENCES;
+        }
+      }
+      
+      return flags;
+    }
+    
+    /**
+     * Round an offset up to the section alignment
+     * @private
+     * @param {number} offset - Byte offset
+     * @returns {number} - Aligned offset
+     */
+    _align(offset) {
+      if (!this.options.alignSections) {
+        return offset;
+      }
+      return alignOffset(offset);
+    }
+    
+    /**
+     * Change sections of an existing file in place (Node.js)
+     * @param {string} path - XRAI file to update
+     * @param {Object} options - XRAIContainerUpdate options
+     * @returns {XRAIContainerUpdate} - Update to record changes in and commit()
+     */
+    static update(path, options = {}) {
+      return new XRAIContainerUpdate(path, options);
+    }
+  }
+  
+  /**
+   * Round an offset up to SECTION_ALIGNMENT
+   * @param {number} offset - Byte offset
+   * @returns {number} - Aligned offset
+   */
+  function alignOffset(offset) {
+    return offset + ((SECTION_ALIGNMENT - (offset % SECTION_ALIGNMENT)) % SECTION_ALIGNMENT);
+  }
+  
+  /**
+   * Load the Node.js fs module for XRAIContainerUpdate
+   * @returns {Object} - fs
+   */
+  function getFsModule() {
+    if (!isNode) {
+      throw new Error('Updating files in place needs Node.js; in the browser, decode and encode the file again');
+    }
+    return require('fs');
+  }
+  
+  /**
+   * Appends changes to an existing container file without rewriting it (Node.js)
+   *
+   * addSection, replaceSection, setMetadata and removeSection record changes in memory.
+   * commit() appends the new and replaced sections to the end of the file, followed by a
+   * new integrity section and string table when the file needs them and a new table of
+   * contents, and then points the header at the new TOC. Nothing before the old end of the
+   * file is written except the header, and the header is written last: a commit that is
+   * interrupted leaves the file as it was. Removed and replaced sections, and earlier
+   * tables of contents, stay in the file as dead bytes until compact() rewrites it.
+   *
+   * Example:
+   *
+   *   const update = XRAIContainerWriter.update('scene.xrai');
+   *   update.setMetadata({ title: 'Renamed' });
+   *   update.removeSection('geometry', 'lod2');
+   *   update.commit();
+   *   update.close();
+   */
+  class XRAIContainerUpdate {
+    /**
+     * @param {string} path - XRAI file to update
+     * @param {Object} options - Update options
+     * @param {string|Array|Object|boolean} [options.compression] - Compression for added and replaced
+     *   sections, as for XRAIContainerWriter
+     * @param {XRAICodecRegistry} [options.codecs] - Codecs (defaults to XRAICodecs.defaultRegistry)
+     * @param {Object} [options.limits] - Resource limits for reading the file, overriding DEFAULT_LIMITS
+     * @param {XRAIExtensionRegistry} [options.extensions] - Registered extensions (defaults to XRAIExtensions.defaultRegistry)
+     */
+    constructor(path, options = {}) {
+      this.options = {
+        compression: null,
+        codecs: null,
+        extensions: null,
+        ...options
+      };
+      
+      this.limits = resolveLimits(this.options.limits);
+      this.fs = getFsModule();
+      this.fd = this.fs.openSync(path, 'r+');
+      
+      try {
+        this._load();
+      } catch (error) {
+        this.close();
+        throw error;
+      }
+    }
+    
+    /**
+     * List the sections the file will have after commit(), without its integrity section and string table
+     * @returns {Array<Object>} - Section entries: index (in the current TOC, or null for uncommitted
+     *   sections), typeId, type, name, offset, size, flags
+     */
+    listSections() {
+      return this.sections.map(({ index, typeId, type, name, offset, size, flags }) => ({ index, typeId, type, name, offset, size, flags }));
+    }
+    
+    /**
+     * Find a section by TOC index, or by type and optionally name
+     * @param {number|string} indexOrType - Index in the current TOC, or section type name
+     * @param {string} [name] - Section name
+     * @returns {Object|undefined} - The first matching section entry
+     */
+    findSection(indexOrType, name) {
+      if (typeof indexOrType === 'number') {
+        return this.sections.find(section => section.index === indexOrType);
+      }
+      return this.sections.find(section => section.type === indexOrType && (name === undefined || section.name === name));
+    }
+    
+    /**
+     * Read and decode a section, checking it against the integrity section
+     * @param {number|string} indexOrType - Index in the current TOC, or section type name
+     * @param {string} [name] - Section name
+     * @returns {*} - Parsed JSON for JSON sections, Uint8Array for binary and unknown sections
+     */
+    readSection(indexOrType, name) {
+      return this._readEntry(this._requireSection(indexOrType, name));
+    }
+    
+    /**
+     * Add a section
+     * @param {string|number} type - Section type name or ID
+     * @param {*} data - Section bytes, or a JSON-serializable value
+     * @param {Object} options - Section options, as for XRAIContainerWriter#addSection
+     * @returns {XRAIContainerUpdate} - This update, for chaining
+     */
+    addSection(type, data, options = {}) {
+      const section = this._encode(type, data, options);
+      if (section.name !== null && this.sections.some(entry => entry.typeId === section.typeId && entry.name === section.name)) {
+        throw new Error(`Duplicate section name: ${section.type || section.typeId} "${section.name}"`);
+      }
+      
+      this.sections.push(section);
+      this.changed = true;
+      return this;
+    }
+    
+    /**
+     * Replace a section, keeping its type, name and place in the table of contents
+     * @param {number|string} indexOrType - Index in the current TOC, or section type name
+     * @param {*} data - New section bytes, or a JSON-serializable value
+     * @param {Object} options - Section options
+     * @param {string} [options.name] - Name of the section to replace, among sections of its type
+     * @param {number} [options.flags=0] - Section flags, for payloads that are already compressed
+     * @param {string|Object|null} [options.compression] - Codec for the new bytes; null stores them uncompressed
+     * @returns {XRAIContainerUpdate} - This update, for chaining
+     */
+    replaceSection(indexOrType, data, options = {}) {
+      return this._replaceEntry(this._requireSection(indexOrType, options.name), data, options);
+    }
+    
+    /**
+     * Replace the metadata object of the document root ({ title, creator, ... })
+     *
+     * The rest of the document root (asset, extensionsUsed, ...) is kept. A file without
+     * a metadata section gets one.
+     *
+     * @param {Object} metadata - New metadata
+     * @returns {XRAIContainerUpdate} - This update, for chaining
+     */
+    setMetadata(metadata) {
+      const current = this.findSection('metadata');
+      const value = current ? this._readEntry(current) : null;
+      
+      // Early encoders stored the bare metadata object instead of the document root
+      const documentRoot = isPlainObject(value) && (value.asset !== undefined || value.metadata !== undefined)
+        ? value
+        : { asset: { version: `${this.header.version.major}.${this.header.version.minor}` } };
+      
+      const updated = { ...documentRoot, metadata };
+      return current ? this._replaceEntry(current, updated, {}) : this.addSection('metadata', updated);
+    }
+    
+    /**
+     * Remove a section; its bytes stay in the file until compact()
+     * @param {number|string} indexOrType - Index in the current TOC, or section type name
+     * @param {string} [name] - Section name
+     * @returns {XRAIContainerUpdate} - This update, for chaining
+     */
+    removeSection(indexOrType, name) {
+      const section = this._requireSection(indexOrType, name);
+      if (section.type === 'metadata' && this.sections.filter(entry => entry.type === 'metadata').length === 1) {
+        throw new Error('The metadata section cannot be removed: every XRAI file needs one');
+      }
+      
+      this.sections.splice(this.sections.indexOf(section), 1);
+      this.changed = true;
+      return this;
+    }
+    
+    /**
+     * Append the changes and a new table of contents to the file
+     * @returns {Object} - tocOffset, fileSize, appendedBytes and deadBytes (bytes no section or the TOC uses)
+     */
+    commit() {
+      if (!this.changed) {
+        return this._summary(0);
+      }
+      
+      const sections = this.sections.slice();
+      
+      if (sections.some(section => section.name !== null)) {
+        const leading = this.hasIntegrity ? [null, null] : [null];
+        sections.unshift(this._containerSection('strings', { names: [...leading, ...sections.map(section => section.name)] }));
+      }
+      
+      let integrity = null;
+      if (this.hasIntegrity) {
+        // Sections already in the file keep their checksums; the digest is a placeholder of the final length
+        const checksums = [null, ...sections.map(section => (section.data ? getIntegrityModule().crc32(section.data) : section.crc))];
+        integrity = this._containerSection('integrity', { crc32: checksums, sha256: '0'.repeat(64) });
+        integrity.checksums = checksums;
+        sections.unshift(integrity);
+      }
+      
+      // New section bytes go after the current end of the file, then the TOC
+      const oldSize = this.fileSize;
+      let position = oldSize;
+      for (const section of sections.filter(entry => entry.data)) {
+        section.offset = alignOffset(position);
+        position = section.offset + section.size;
+      }
+      
+      const tocOffset = alignOffset(position);
+      const toc = encodeTOC(sections);
+      const header = this._header(tocOffset, sections);
+      const pieces = this._appendedPieces(sections, oldSize, tocOffset, toc);
+      
+      if (integrity) {
+        // The integrity section covers the whole file, so hash ahead
+        const hash = getIntegrityModule().createSha256();
+        hash.update(header);
+        this._hashRange(hash, HEADER_SIZE, oldSize);
+        for (const [, piece] of pieces) {
+          if (piece !== integrity.data) {
+            hash.update(piece);
+          }
+        }
+        integrity.data.set(encodeSectionPayload({ crc32: integrity.checksums, sha256: hash.digest() }));
+      }
+      
+      // Everything past the old end first; writing the header makes the new TOC current
+      for (const [offset, piece] of pieces) {
+        this._write(piece, offset);
+      }
+      this.fs.fsyncSync(this.fd);
+      this._write(header, 0);
+      this.fs.fsyncSync(this.fd);
+      
+      this._load();
+      return this._summary(this.fileSize - oldSize);
+    }
+    
+    /**
+     * Close the file; uncommitted changes are discarded
+     */
+    close() {
+      if (this.fd !== null) {
+        this.fs.closeSync(this.fd);
+        this.fd = null;
+      }
+    }
+    
+    /**
+     * Read the header, table of contents, integrity section and string table of the file
+     * @private
+     */
+    _load() {
+      this.fileSize = this.fs.fstatSync(this.fd).size;
+      this.header = checkHeader(readHeader(this._read(0, Math.min(HEADER_SIZE, this.fileSize))), this.fileSize);
+      
+      const { version } = this.header;
+      if (compareVersions(version, FORMAT_VERSION) > 0) {
+        throw new XRAIFormatError(
+          'E_UNSUPPORTED_VERSION',
+          `Cannot update a ${version.major}.${version.minor} file: it is newer than this writer (${FORMAT_VERSION.major}.${FORMAT_VERSION.minor})`
+        );
+      }
+      
+      const tocOffset = this.header.tocOffset;
+      const count = this._read(tocOffset, TOC_HEADER_SIZE);
+      const tocSize = getTOCSize(new DataView(count.buffer, count.byteOffset, 4).getUint32(0, true), this.limits);
+      if (tocOffset + tocSize > this.fileSize) {
+        throw new XRAIFormatError('E_TOC_OUT_OF_RANGE', 'Invalid TOC: not enough bytes to read its section entries');
+      }
+      
+      const toc = checkSectionLayout(readTOC(this._read(tocOffset, tocSize), 0, this.limits, this.options.extensions), tocOffset, this.fileSize);
+      this.tocSize = tocSize;
+      
+      const integrity = findSectionEntry(toc, 'integrity');
+      this.hasIntegrity = Boolean(integrity);
+      this.integrity = integrity
+        ? checkIntegrityTable(decodeSectionPayload('integrity', this._read(integrity.offset, integrity.size), this.limits, integrity.index), toc.length)
+        : null;
+      
+      const strings = findSectionEntry(toc, 'strings');
+      if (strings) {
+        applySectionNames(toc, checkStringTable(this._readEntry(strings), toc));
+      }
+      
+      this.containerBytes = toc.filter(section => CONTAINER_SECTIONS.has(section.type)).reduce((size, section) => size + section.size, 0);
+      this.sections = toc
+        .filter(section => !CONTAINER_SECTIONS.has(section.type))
+        .map(section => ({ ...section, crc: this.integrity ? this.integrity.crc32[section.index] : null, data: null }));
+      this.changed = false;
+    }
+    
+    /**
+     * Encode a new section the way XRAIContainerWriter#addSection does
+     * @private
+     * @param {string|number} type - Section type name or ID
+     * @param {*} data - Section bytes, or a JSON-serializable value
+     * @param {Object} options - addSection options
+     * @returns {Object} - Uncommitted section entry
+     */
+    _encode(type, data, options) {
+      const writer = new XRAIContainerWriter({
+        compression: this.options.compression,
+        codecs: this.options.codecs,
+        extensions: this.options.extensions
+      });
+      const { typeId, type: typeName, name, data: bytes, flags } = writer.addSection(type, data, options).sections[0];
+      return { index: null, typeId, type: typeName, name, offset: null, size: bytes.byteLength, flags, crc: null, data: bytes };
+    }
+    
+    /**
+     * Swap a section for new data
+     * @private
+     * @param {Object} current - Section entry to replace
+     * @param {*} data - New section bytes, or a JSON-serializable value
+     * @param {Object} options - Section options
+     * @returns {XRAIContainerUpdate} - This update, for chaining
+     */
+    _replaceEntry(current, data, options) {
+      this.sections[this.sections.indexOf(current)] = this._encode(current.typeId, data, { ...options, name: current.name });
+      this.changed = true;
+      return this;
+    }
+    
+    /**
+     * Build an integrity section or string table for the new TOC
+     * @private
+     * @param {string} type - 'integrity' or 'strings'
+     * @param {Object} value - Section value
+     * @returns {Object} - Uncommitted section entry
+     */
+    _containerSection(type, value) {
+      const data = encodeSectionPayload(value);
+      return { index: null, typeId: SECTION_TYPES[type], type, name: null, offset: null, size: data.byteLength, flags: 0, crc: null, data };
+    }
+    
+    /**
+     * Encode the header for a new TOC
+     * @private
+     * @param {number} tocOffset - Offset of the new TOC
+     * @param {Array<Object>} sections - Sections of the new TOC
+     * @returns {Uint8Array} - 16-byte header
+     */
+    _header(tocOffset, sections) {
+      // Appended sections are out of streaming order; compact() can restore it
+      let flags = this.header.flags & ~(HEADER_FLAGS.COMPRESSED | HEADER_FLAGS.EXTERNAL_REFERENCES | HEADER_FLAGS.STREAMING_OPTIMIZED);
+      for (const section of sections) {
+        if (section.flags & SECTION_FLAGS.COMPRESSED) {
+          flags |= HEADER_FLAGS.COMPRESSED;
+        }
+        if (section.flags & SECTION_FLAGS.EXTERNAL_REFERENCES) {
+          flags |= HEADER_FLAGS.EXTERNAL_REFERENCES;
+        }
+      }
+      
+      const bytes = new Uint8Array(HEADER_SIZE);
+      const view = new DataView(bytes.buffer);
+      bytes.set(textEncoder.encode(MAGIC), 0);
+      view.setUint8(4, this.header.version.major);
+      view.setUint8(5, this.header.version.minor);
+      view.setUint16(6, flags, true);
+      view.setBigUint64(8, BigInt(tocOffset), true);
+      return bytes;
+    }
+    
+    /**
+     * List the bytes to append, with their offsets: padding, new sections and the TOC
+     * @private
+     * @param {Array<Object>} sections - Sections of the new TOC, with offsets
+     * @param {number} position - Current end of the file
+     * @param {number} tocOffset - Offset of the new TOC
+     * @param {Uint8Array} toc - Encoded TOC
+     * @returns {Array<Array>} - [offset, bytes] pairs in file order
+     */
+    _appendedPieces(sections, position, tocOffset, toc) {
+      const pieces = [];
+      for (const section of sections.filter(entry => entry.data)) {
+        if (section.offset > position) {
+          pieces.push([position, new Uint8Array(section.offset - position)]);
+        }
+        pieces.push([section.offset, section.data]);
+        position = section.offset + section.size;
+      }
+      if (tocOffset > position) {
+        pieces.push([position, new Uint8Array(tocOffset - position)]);
+      }
+      pieces.push([tocOffset, toc]);
+      return pieces;
+    }
+    
+    /**
+     * Hash a range of the file, reading it in bounded windows
+     * @private
+     * @param {Object} hash - Incremental SHA-256
+     * @param {number} start - First byte
+     * @param {number} end - End of the range (exclusive)
+     */
+    _hashRange(hash, start, end) {
+      const windowSize = 64 * 1024 * 1024;
+      for (let offset = start; offset < end; offset += windowSize) {
+        hash.update(this._read(offset, Math.min(windowSize, end - offset)));
+      }
+    }
+    
+    /**
+     * Read, check and decode a section of the file or an uncommitted section
+     * @private
+     * @param {Object} section - Section entry
+     * @returns {*} - Decoded section value
+     */
+    _readEntry(section) {
+      let bytes = section.data;
+      if (!bytes) {
+        bytes = this._read(section.offset, section.size);
+        const problem = this.integrity ? verifySectionChecksum(this.integrity, section, bytes) : null;
+        if (problem) {
+          throw new XRAIFormatError('E_CHECKSUM_MISMATCH', problem, { section: section.index });
+        }
+      }
+      
+      const payload = decompressSection(bytes, section, this.options.codecs, this.limits);
+      return decodeSectionPayload(section.type, payload, this.limits, section.index, this.options.extensions);
+    }
+    
+    /**
+     * Find a section or throw
+     * @private
+     * @param {number|string} indexOrType - Index in the current TOC, or section type name
+     * @param {string} [name] - Section name
+     * @returns {Object} - Section entry
+     */
+    _requireSection(indexOrType, name) {
+      const section = this.findSection(indexOrType, name);
+      if (!section) {
+        throw new Error(`Section not found: ${describeSectionQuery(indexOrType, name)}`);
+      }
+      return section;
+    }
+    
+    /**
+     * Summarize the file after a commit
+     * @private
+     * @param {number} appendedBytes - Bytes the commit added
+     * @returns {Object} - tocOffset, fileSize, appendedBytes and deadBytes
+     */
+    _summary(appendedBytes) {
+      const liveBytes = HEADER_SIZE + this.tocSize + this.containerBytes + this.sections.reduce((size, section) => size + section.size, 0);
+      return {
+        tocOffset: this.header.tocOffset,
+        fileSize: this.fileSize,
+        appendedBytes,
+        deadBytes: this.fileSize - liveBytes
+      };
+    }
+    
+    /**
+     * Read bytes from the file
+     * @private
+     * @param {number} offset - First byte
+     * @param {number} length - Number of bytes
+     * @returns {Uint8Array} - The bytes
+     */
+    _read(offset, length) {
+      const bytes = new Uint8Array(length);
+      let total = 0;
+      while (total < length) {
+        const bytesRead = this.fs.readSync(this.fd, bytes, total, length - total, offset + total);
+        if (bytesRead === 0) {
+          throw new XRAIFormatError('E_SECTION_OUT_OF_RANGE', `Unexpected end of file at offset ${offset + total}`);
+        }
+        total += bytesRead;
+      }
+      return bytes;
+    }
+    
+    /**
+     * Write bytes to the file
+     * @private
+     * @param {Uint8Array} bytes - The bytes
+     * @param {number} offset - Where to write them
+     */
+    _write(bytes, offset) {
+      let total = 0;
+      while (total < bytes.byteLength) {
+        total += this.fs.writeSync(this.fd, bytes, total, bytes.byteLength - total, offset + total);
+      }
+    }
+  }
+  
+  /**
+   * Encode a table of contents
+   * @param {Array<Object>} sections - Sections with offsets and sizes, in TOC order
+   * @returns {Uint8Array} - Section count followed by the entries
+   */
+  function encodeTOC(sections) {
+    const toc = new Uint8Array(TOC_HEADER_SIZE + sections.length * TOC_ENTRY_SIZE);
+    const view = new DataView(toc.buffer);
+    view.setUint32(0, sections.length, true);
+    
+    let entryOffset = TOC_HEADER_SIZE;
+    for (const section of sections) {
+      view.setUint32(entryOffset, section.typeId, true);
+      view.setBigUint64(entryOffset + 4, BigInt(section.offset), true);
+      view.setBigUint64(entryOffset + 12, BigInt(section.size), true);
+      view.setUint32(entryOffset + 20, section.flags, true);
+      entryOffset += TOC_ENTRY_SIZE;
+    }
+    
+    return toc;
+  }
+  
+  /**
+   * Encode an XRAI document into a container
+   * @param {Object} document - XRAI document following schemas/xrai-core.json
+   * @param {Object} options - XRAIContainerWriter options
+   * @returns {Uint8Array} - The encoded container
+   */
+  function encode(document, options = {}) {
+    return new XRAIContainerWriter(options).addDocument(document).toBytes();
+  }
+  
+  /**
+   * Decode an XRAI container
+   * @param {ArrayBuffer|ArrayBufferView} data - Container bytes
+   * @param {Object} options - XRAIContainerReader options
+   * @returns {Object} - Decoded XRAI content (see the result shape at the top of this file)
+   */
+  function decode(data, options = {}) {
+    return new XRAIContainerReader(data, options).decode();
+  }
+  
+  /**
+   * Validate the structure of an XRAI container
+   * @param {ArrayBuffer|ArrayBufferView} data - Container bytes
+   * @param {Object} options - XRAIContainerReader options
+   * @returns {Object} - Validation result: valid, errors, code, warnings, corruptSections, schemaIssues,
+   *   version, sections
+   */
+  function validate(data, options = {}) {
+    try {
+      return new XRAIContainerReader(data, options).validate();
+    } catch (error) {
+      return {
+        valid: false,
+        errors: [`Validation failed: ${error.message}`],
+        code: error instanceof XRAIFormatError ? error.code : null,
+        warnings: [],
+        corruptSections: [],
+        schemaIssues: []
+      };
+    }
+  }
+  
+  /**
+   * Rewrite a container without the bytes its table of contents does not refer to
+   *
+   * Reclaims what XRAIContainerWriter.update leaves behind: removed and replaced sections
+   * and earlier tables of contents. Section bytes are copied as stored, after checking
+   * them against the integrity section, into the current layout with the TOC after the header.
+   * XRAIHandle#compact (tools/xrai-sources.js) writes the same bytes for files too large to
+   * read into memory.
+   *
+   * @param {ArrayBuffer|ArrayBufferView} data - Container bytes
+   * @param {Object} options - Compact options
+   * @param {boolean} [options.streaming] - Order sections for streaming (defaults to the header flag)
+   * @param {XRAICodecRegistry} [options.codecs] - Codecs (defaults to XRAICodecs.defaultRegistry)
+   * @param {Object} [options.limits] - Resource limits, overriding DEFAULT_LIMITS
+   * @returns {Uint8Array} - The compacted container
+   */
+  function compact(data, options = {}) {
+    const reader = new XRAIContainerReader(data, { codecs: options.codecs, limits: options.limits });
+    const { header } = reader;
+    
+    const writer = new XRAIContainerWriter({
+      version: header.version,
+      flags: header.flags & HEADER_FLAGS.NEURAL_NETWORKS,
+      streaming: options.streaming !== undefined ? options.streaming : (header.flags & HEADER_FLAGS.STREAMING_OPTIMIZED) !== 0,
+      integrity: Boolean(reader.findSection('integrity')),
+      codecs: options.codecs,
+      // Section bytes are copied as they are, so no extension may encode them again
+      extensions: XRAIExtensions ? new XRAIExtensions.XRAIExtensionRegistry() : null
+    });
+    
+    for (const section of reader.sections) {
+      // Generated again by the writer
+      if (CONTAINER_SECTIONS.has(section.type)) {
+        continue;
+      }
+      
+      const problem = reader.verifySection(section.index);
+      if (problem) {
+        throw new XRAIFormatError('E_CHECKSUM_MISMATCH', problem, { section: section.index });
+      }
+      writer.addSection(section.typeId, reader.getSectionBytes(section.index), { name: section.name, flags: section.flags, compression: null });
+    }
+    
+    return writer.toBytes();
+  }
+  
+  const XRAIContainer = {
+    MAGIC,
+    HEADER_SIZE,
+    TOC_HEADER_SIZE,
+    TOC_ENTRY_SIZE,
+    SECTION_ALIGNMENT,
+    FORMAT_VERSION,
+    SECTION_TYPES,
+    HEADER_FLAGS,
+    SECTION_FLAGS,
+    STREAMING_PRIORITY,
+    BUFFER_DATA_SECTIONS,
+    BINARY_SECTIONS,
+    CONTAINER_SECTIONS,
+    CORRUPT_SECTION_POLICIES,
+    DEFAULT_LIMITS,
+    ERROR_CODES,
+    XRAIFormatError,
+    XRAIContainerReader,
+    XRAIContainerWriter,
+    XRAIContainerUpdate,
+    encode,
+    decode,
+    validate,
+    compact,
+    readHeader,
+    checkHeader,
+    readTOC,
+    getTOCSize,
+    parseVersion,
+    compareVersions,
+    checkMinVersion,
+    checkRequiredExtensions,
+    checkDocumentRequirements,
+    checkSectionLayout,
+    resolveLimits,
+    resolveCodecs,
+    buildDocument,
+    buildValidationResult,
+    resolveGeometry,
+    resolveSectionData,
+    hasExternalReferences,
+    decompressSection,
+    checkIntegrityTable,
+    checkStringTable,
+    applySectionNames,
+    verifySectionChecksum,
+    getSectionCacheKey,
+    decodeSectionPayload,
+    encodeSectionPayload,
+    encodeTOC,
+    alignOffset,
+    mergeMetadata,
+    mergeSectionValues,
+    findSectionEntry,
+    canonicalizeJSON,
+    getEncodeDate,
+    getSectionTypeId,
+    getSectionTypeName,
+    getCustomSectionType,
+    getCompressionAlgorithm,
+    setCompressionAlgorithm,
+    toUint8Array,
+    isBinary
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIContainer;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIContainer = XRAIContainer;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
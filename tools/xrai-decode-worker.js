@@ -0,0 +1,33 @@
+/**
+ * XRAI Decode Worker
+ * Worker script run by XRAIWorkerPool (tools/xrai-workers.js) to decode sections
+ *
+ * Runs as a Web Worker, loading the container scripts from its own directory, or on a
+ * Node.js worker_threads thread. Scripts named in the pool's scripts option are loaded
+ * before the first section: with importScripts in the browser, and with require in Node.js,
+ * relative paths being resolved against the working directory.
+ */
+
+(function () {
+  'use strict';
+  
+  if (typeof importScripts === 'function') {
+    importScripts('xrai-codecs.js', 'xrai-buffers.js', 'xrai-integrity.js', 'xrai-extensions.js', 'xrai-container.js', 'xrai-workers.js');
+    
+    self.onmessage = event => XRAIWorkers.handleMessage(
+      event.data,
+      (message, transfer) => self.postMessage(message, transfer),
+      script => importScripts(script)
+    );
+  } else {
+    const path = require('path');
+    const { parentPort } = require('worker_threads');
+    const XRAIWorkers = require('./xrai-workers');
+    
+    parentPort.on('message', message => XRAIWorkers.handleMessage(
+      message,
+      (reply, transfer) => parentPort.postMessage(reply, transfer),
+      script => require(script.startsWith('.') ? path.resolve(script) : script)
+    ));
+  }
+})();
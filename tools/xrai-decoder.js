@@ -3,442 +3,199 @@
  * Parses XRAI format files and extracts their components
  */
 
+const XRAIContainer = require('./xrai-container');
+const XRAISources = require('./xrai-sources');
+const XRAIStream = require('./xrai-stream');
+const { XRAISectionCache } = require('./xrai-cache');
+const { XRAISchemaValidator } = require('./xrai-schema');
+const { XRAIWorkerPool } = require('./xrai-workers');
+
 class XRAIDecoder {
   constructor(options = {}) {
     this.options = {
       useCache: true,
+      cache: null, // Section cache, e.g. with an XRAIFileCacheStore (see tools/xrai-cache.js); in memory by default
+      corruptSections: 'refuse', // Sections failing their checksum: refuse, skip or ignore
+      limits: null, // Resource limits for untrusted files (see XRAIContainer.DEFAULT_LIMITS)
+      extensions: null, // Extension registry (defaults to XRAIExtensions.defaultRegistry)
+      schemaValidation: 'off', // Check sections against schemas/xrai-core.json in validate(): strict, lenient or off
+      workers: 0, // worker_threads decoding sections in parallel (see tools/xrai-workers.js); 0 decodes on this thread
       ...options
     };
     
-    this.cache = new Map();
+    // Decoded sections, keyed by a hash of their bytes, so files sharing sections decode them once
+    this.cache = this.options.useCache ? this.options.cache || new XRAISectionCache() : null;
+    this.options.cache = this.cache;
+    
+    if (!this.options.schema && this.options.schemaValidation !== 'off') {
+      this.options.schema = new XRAISchemaValidator({ mode: this.options.schemaValidation });
+    }
+    
+    // Workers start with the first section they are given and do not keep the process alive when idle
+    this.workerPool = this.options.workers > 0 ? new XRAIWorkerPool({ size: this.options.workers }) : null;
   }
   
   /**
    * Decode an XRAI file
-   * @param {ArrayBuffer} buffer - The binary XRAI data
-   * @returns {Object} - The decoded XRAI content
+   *
+   * Sections found in the cache are not decoded again, so decoding a file that differs
+   * from an earlier one in a few sections only decodes those. With the workers option,
+   * sections are decompressed and parsed on worker threads, in parallel.
+   *
+   * @param {ArrayBuffer|Buffer} buffer - The binary XRAI data
+   * @returns {Object} - The decoded XRAI content (see tools/xrai-container.js for the shape)
    */
   async decode(buffer) {
     try {
-      // Check cache if enabled
-      if (this.options.useCache) {
-        const cacheKey = this._getCacheKey(buffer);
-        if (this.cache.has(cacheKey)) {
-          return this.cache.get(cacheKey);
-        }
-      }
-      
-      // Parse header
-      const header = this._parseHeader(buffer);
-      
-      // Validate magic number
-      if (header.magic !== 'XRAI') {
-        throw new Error('Invalid XRAI file: incorrect magic number');
-      }
-      
-      // Extract sections
-      const sections = this._extractSections(buffer, header.tocOffset);
-      
-      // Construct result object
-      const result = {
-        version: header.version,
-        flags: header.flags,
-        ...sections
-      };
-      
-      // Cache result if enabled
-      if (this.options.useCache) {
-        const cacheKey = this._getCacheKey(buffer);
-        this.cache.set(cacheKey, result);
-      }
-      
+      const reader = new XRAIContainer.XRAIContainerReader(buffer, this.options);
+      await reader.loadCached();
+      const result = this.workerPool ? await this.workerPool.decodeContainer(reader) : reader.decode();
+      await this._flushCache();
       return result;
     } catch (error) {
-      throw new Error(`XRAI decoding failed: ${error.message}`);
+      throw this._decodingFailed(error);
     }
   }
   
   /**
-   * Validate an XRAI file
-   * @param {ArrayBuffer} buffer - The binary XRAI data
-   * @returns {Object} - Validation result
+   * Open an XRAI file for random access, reading only its header and table of contents
+   * @param {string|Buffer|Object} source - File path, URL, bytes or source object (see tools/xrai-sources.js)
+   * @returns {Promise<XRAIHandle>} - Handle with listSections(), getSection() and getSectionRaw()
    */
-  validate(buffer) {
-    try {
-      // Parse header
-      const header = this._parseHeader(buffer);
-      
-      // Check magic number
-      if (header.magic !== 'XRAI') {
-        return {
-          valid: false,
-          errors: ['Invalid magic number']
-        };
-      }
-      
-      // Check version compatibility
-      if (header.version.major > 1) {
-        return {
-          valid: false,
-          errors: [`Unsupported version: ${header.version.major}.${header.version.minor}`]
-        };
-      }
-      
-      // Check TOC
-      try {
-        const sections = this._extractSections(buffer, header.tocOffset, true);
-        
-        // Check required sections
-        const requiredSections = ['metadata'];
-        const missingSections = requiredSections.filter(section => !sections[section]);
-        
-        if (missingSections.length > 0) {
-          return {
-            valid: false,
-            errors: [`Missing required sections: ${missingSections.join(', ')}`]
-          };
-        }
-        
-        return {
-          valid: true,
-          version: header.version,
-          sections: Object.keys(sections)
-        };
-      } catch (error) {
-        return {
-          valid: false,
-          errors: [`Invalid table of contents: ${error.message}`]
-        };
-      }
-    } catch (error) {
-      return {
-        valid: false,
-        errors: [`Validation failed: ${error.message}`]
-      };
-    }
+  async open(source) {
+    return XRAISources.open(source, { ...this.options, workerPool: this.workerPool });
   }
   
   /**
-   * Parse the XRAI header
-   * @private
-   * @param {ArrayBuffer} buffer - The binary XRAI data
-   * @returns {Object} - The parsed header
+   * Decode an XRAI file without reading it into memory as a whole
+   *
+   * Sections are read one at a time from their byte ranges, so files larger than the
+   * largest Buffer (2-4 GB) can be decoded. Decoded sections go through the section cache
+   * like decode().
+   *
+   * @param {string|number|Object} source - File path or descriptor, URL or source object (see tools/xrai-sources.js)
+   * @returns {Promise<Object>} - The decoded XRAI content
    */
-  _parseHeader(buffer) {
-    const headerView = new DataView(buffer);
-    
-    // Read magic number (4 bytes)
-    const magic = String.fromCharCode(
-      headerView.getUint8(0),
-      headerView.getUint8(1),
-      headerView.getUint8(2),
-      headerView.getUint8(3)
-    );
-    
-    // Read version (2 bytes)
-    const version = {
-      major: headerView.getUint8(4),
-      minor: headerView.getUint8(5)
-    };
-    
-    // Read flags (2 bytes)
-    const flags = headerView.getUint16(6, true);
-    
-    // Read TOC offset (8 bytes)
-    const tocOffset = Number(headerView.getBigUint64(8, true));
-    
-    return { magic, version, flags, tocOffset };
-  }
-  
-  /**
-   * Extract sections from the XRAI file
-   * @private
-   * @param {ArrayBuffer} buffer - The binary XRAI data
-   * @param {number} tocOffset - Offset to the table of contents
-   * @param {boolean} validateOnly - If true, only validate without parsing section data
-   * @returns {Object} - The extracted sections
-   */
-  _extractSections(buffer, tocOffset, validateOnly = false) {
-    const tocView = new DataView(buffer, tocOffset);
-    const sectionCount = tocView.getUint32(0, true);
-    
-    // Check if section count is reasonable
-    if (sectionCount > 100) {
-      throw new Error(`Invalid section count: ${sectionCount}`);
-    }
-    
-    const sections = {};
-    let offset = 4;
-    
-    for (let i = 0; i < sectionCount; i++) {
-      const typeId = tocView.getUint32(offset, true);
-      const sectionOffset = Number(tocView.getBigUint64(offset + 4, true));
-      const sectionSize = Number(tocView.getBigUint64(offset + 12, true));
-      const sectionFlags = tocView.getUint32(offset + 20, true);
-      
-      // Check if section offset and size are valid
-      if (sectionOffset + sectionSize > buffer.byteLength) {
-        throw new Error(`Invalid section bounds: offset=${sectionOffset}, size=${sectionSize}`);
-      }
-      
-      const sectionType = this._getSectionTypeFromId(typeId);
-      
-      if (!validateOnly) {
-        const sectionData = buffer.slice(sectionOffset, sectionOffset + sectionSize);
-        sections[sectionType] = this._parseSection(sectionType, sectionData, sectionFlags);
-      } else {
-        sections[sectionType] = true; // Just mark as present for validation
+  async decodeFile(source) {
+    let handle = null;
+    try {
+      handle = await this.open(source);
+      const result = await handle.decode();
+      await this._flushCache();
+      return result;
+    } catch (error) {
+      throw this._decodingFailed(error);
+    } finally {
+      if (handle) {
+        await handle.close();
       }
-      
-      offset += 24;
     }
-    
-    return sections;
   }
   
   /**
-   * Parse a section based on its type
-   * @private
-   * @param {string} type - The section type
-   * @param {ArrayBuffer} data - The section data
-   * @param {number} flags - The section flags
-   * @returns {Object|Array} - The parsed section data
-   */
-  _parseSection(type, data, flags) {
-    // Check if data is compressed
-    const isCompressed = (flags & 0x1) !== 0;
-    
-    // Decompress if needed
-    const decompressedData = isCompressed ? this._decompressData(data, flags) : data;
-    
-    // Parse based on section type
-    switch (type) {
-      case 'metadata':
-        return this._parseMetadata(decompressedData);
-      case 'geometry':
-        return this._parseGeometry(decompressedData);
-      case 'materials':
-        return this._parseMaterials(decompressedData);
-      case 'animations':
-        return this._parseAnimations(decompressedData);
-      case 'audio':
-        return this._parseAudio(decompressedData);
-      case 'aiComponents':
-        return this._parseAIComponents(decompressedData);
-      case 'vfx':
-        return this._parseVFX(decompressedData);
-      default:
-        console.warn(`Unknown section type: ${type}`);
-        return decompressedData;
-    }
-  }
-  
-  /**
-   * Get section type from type ID
-   * @private
-   * @param {number} typeId - The section type ID
-   * @returns {string} - The section type name
+   * Decode an XRAI file incrementally as it is read from a stream
+   * @param {Readable|ReadableStream} stream - Node.js Readable (a file, process.stdin) or WHATWG ReadableStream
+   * @param {Object} options - Stream options
+   * @param {Object} [options.on] - Listeners for header, toc, section, progress and end (see tools/xrai-stream.js)
+   * @returns {Promise<Object>} - The decoded XRAI content
    */
-  _getSectionTypeFromId(typeId) {
-    const types = {
-      1: 'metadata',
-      2: 'geometry',
-      3: 'materials',
-      4: 'animations',
-      5: 'audio',
-      6: 'aiComponents',
-      7: 'vfx',
-      // Add more section types as needed
-    };
-    
-    return types[typeId] || `unknown_${typeId}`;
-  }
-  
-  /**
-   * Decompress data
-   * @private
-   * @param {ArrayBuffer} data - The compressed data
-   * @param {number} flags - The section flags
-   * @returns {ArrayBuffer} - The decompressed data
-   */
-  _decompressData(data, flags) {
-    // Extract compression algorithm from flags
-    const compressionAlgo = (flags >> 8) & 0xFF;
-    
-    // Implement decompression based on algorithm
-    // This is a placeholder - actual implementation would depend on the compression used
-    console.log(`Decompressing data with algorithm ${compressionAlgo}`);
-    
-    // For this example, just return the original data
-    return data;
-  }
-  
-  /**
-   * Parse metadata section
-   * @private
-   * @param {ArrayBuffer} data - The metadata section data
-   * @returns {Object} - The parsed metadata
-   */
-  _parseMetadata(data) {
-    // Convert ArrayBuffer to string
-    const decoder = new TextDecoder('utf-8');
-    const jsonString = decoder.decode(data);
-    
-    // Parse JSON
+  async decodeStream(stream, options = {}) {
     try {
-      return JSON.parse(jsonString);
-    } catch (e) {
-      console.error('Error parsing metadata JSON:', e);
-      return {};
+      return await XRAIStream.decodeStream(stream, { ...this.options, ...options });
+    } catch (error) {
+      throw this._decodingFailed(error);
     }
   }
   
   /**
-   * Parse geometry section
-   * @private
-   * @param {ArrayBuffer} data - The geometry section data
-   * @returns {Array} - The parsed geometry data
+   * Validate an XRAI file, including section checksums and the file digest when present
+   *
+   * With schemaValidation set to strict or lenient, every section is also decoded and
+   * checked against schemas/xrai-core.json; violations are errors or warnings respectively,
+   * and are listed in schemaIssues with JSON pointers to the offending values.
+   *
+   * @param {ArrayBuffer|Buffer} buffer - The binary XRAI data
+   * @returns {Object} - Validation result; corruptSections lists the TOC indices of damaged sections
    */
-  _parseGeometry(data) {
-    // This is a simplified placeholder
-    // Actual implementation would parse the binary geometry data
-    
-    // For this example, assume the geometry is stored as JSON
-    const decoder = new TextDecoder('utf-8');
-    const jsonString = decoder.decode(data);
-    
-    try {
-      return JSON.parse(jsonString);
-    } catch (e) {
-      console.error('Error parsing geometry data:', e);
-      return [];
-    }
+  validate(buffer) {
+    return XRAIContainer.validate(buffer, this.options);
   }
   
   /**
-   * Parse materials section
-   * @private
-   * @param {ArrayBuffer} data - The materials section data
-   * @returns {Array} - The parsed materials data
+   * Validate an XRAI file without reading it into memory as a whole
+   * @param {string|number|Object} source - File path or descriptor, URL or source object (see tools/xrai-sources.js)
+   * @returns {Promise<Object>} - Validation result, as returned by validate()
    */
-  _parseMaterials(data) {
-    // Similar to geometry parsing, this is a simplified placeholder
-    const decoder = new TextDecoder('utf-8');
-    const jsonString = decoder.decode(data);
-    
+  async validateFile(source) {
+    let handle;
     try {
-      return JSON.parse(jsonString);
-    } catch (e) {
-      console.error('Error parsing materials data:', e);
-      return [];
+      handle = await this.open(source);
+    } catch (error) {
+      // The header, TOC or integrity table is unreadable, reported as validate() reports it
+      return {
+        valid: false,
+        errors: [`Validation failed: ${error.message}`],
+        code: error instanceof XRAIContainer.XRAIFormatError ? error.code : null,
+        warnings: [],
+        corruptSections: [],
+        schemaIssues: []
+      };
     }
-  }
-  
-  /**
-   * Parse animations section
-   * @private
-   * @param {ArrayBuffer} data - The animations section data
-   * @returns {Array} - The parsed animations data
-   */
-  _parseAnimations(data) {
-    // Simplified placeholder
-    const decoder = new TextDecoder('utf-8');
-    const jsonString = decoder.decode(data);
     
     try {
-      return JSON.parse(jsonString);
-    } catch (e) {
-      console.error('Error parsing animations data:', e);
-      return [];
+      return await handle.validate();
+    } finally {
+      await handle.close();
     }
   }
   
   /**
-   * Parse audio section
+   * Wrap a decoding error, keeping the code of XRAIFormatErrors
    * @private
-   * @param {ArrayBuffer} data - The audio section data
-   * @returns {Object} - The parsed audio data
+   * @param {Error} error - Error thrown while decoding
+   * @returns {Error} - Error to throw
    */
-  _parseAudio(data) {
-    // Simplified placeholder
-    // In a real implementation, this would parse audio data and metadata
-    return {
-      clips: [],
-      spatial: {}
-    };
-  }
-  
-  /**
-   * Parse AI components section
-   * @private
-   * @param {ArrayBuffer} data - The AI components section data
-   * @returns {Object} - The parsed AI components data
-   */
-  _parseAIComponents(data) {
-    // Simplified placeholder
-    const decoder = new TextDecoder('utf-8');
-    const jsonString = decoder.decode(data);
-    
-    try {
-      return JSON.parse(jsonString);
-    } catch (e) {
-      console.error('Error parsing AI components data:', e);
-      return {
-        adaptationRules: [],
-        behaviorModels: []
-      };
+  _decodingFailed(error) {
+    const message = `XRAI decoding failed: ${error.message}`;
+    if (error instanceof XRAIContainer.XRAIFormatError) {
+      return new XRAIContainer.XRAIFormatError(error.code, message, error);
     }
+    return new Error(message);
   }
   
   /**
-   * Parse VFX section
+   * Wait for the cache's store to write the sections just decoded
    * @private
-   * @param {ArrayBuffer} data - The VFX section data
-   * @returns {Object} - The parsed VFX data
+   * @returns {Promise<void>}
    */
-  _parseVFX(data) {
-    // Simplified placeholder
-    const decoder = new TextDecoder('utf-8');
-    const jsonString = decoder.decode(data);
-    
-    try {
-      return JSON.parse(jsonString);
-    } catch (e) {
-      console.error('Error parsing VFX data:', e);
-      return {
-        particleSystems: [],
-        vfxGraphs: []
-      };
+  async _flushCache() {
+    if (this.cache) {
+      // The decode itself succeeded; a store that cannot be written only loses the cache entries
+      await this.cache.flush().catch(error => console.warn(`XRAI cache not written: ${error.message}`));
     }
   }
   
   /**
-   * Generate a cache key for a buffer
-   * @private
-   * @param {ArrayBuffer} buffer - The buffer to generate a key for
-   * @returns {string} - The cache key
+   * Clear the decoder cache
+   * @param {boolean} [clearStore=false] - Also clear the cache's store
+   * @returns {Promise<void>}
    */
-  _getCacheKey(buffer) {
-    // Simple hash function for ArrayBuffer
-    // In a real implementation, use a proper hash function
-    let hash = 0;
-    const view = new Uint8Array(buffer);
-    
-    // Sample the buffer at regular intervals
-    const step = Math.max(1, Math.floor(view.length / 100));
-    for (let i = 0; i < view.length; i += step) {
-      hash = ((hash << 5) - hash) + view[i];
-      hash |= 0; // Convert to 32-bit integer
+  async clearCache(clearStore = false) {
+    if (this.cache) {
+      await this.cache.clear(clearStore);
     }
-    
-    return `${hash}_${buffer.byteLength}`;
   }
   
   /**
-   * Clear the decoder cache
+   * Stop the worker threads, if any; decodes started afterwards run on this thread
+   * @returns {Promise<void>}
    */
-  clearCache() {
-    this.cache.clear();
+  async terminate() {
+    if (this.workerPool) {
+      const pool = this.workerPool;
+      this.workerPool = null;
+      await pool.terminate();
+    }
   }
 }
 
@@ -0,0 +1,499 @@
+/**
+ * XRAI Diff
+ * Compares two XRAI files: header, sections and the decoded document
+ *
+ * diffContainers() returns a report that `xrai diff --json` prints as it is; diffHandles() does
+ * the same for files opened with XRAISources.open:
+ *
+ *   {
+ *     equal,                     // no differences at all
+ *     header: [{ field, before, after }],                   // version, flags
+ *     sections: [{ change, type, name, before, after }],    // change: added, removed, resized or recompressed;
+ *                                                           // before/after: { index, size, flags, compression }
+ *     changes: [{ change, path, before, after, ... }]       // change: added, removed or changed
+ *   }
+ *
+ * Sections are matched by type and name, in file order among sections with the same type
+ * and name. The Integrity and String Table sections describe the others and are not
+ * compared. Changes are found in the decoded documents, so a section that was only
+ * recompressed or moved shows no content changes.
+ *
+ * Lists whose entries all have a distinct `id` (nodes, materials, geometry, rules, particle
+ * systems, ...) are compared entry by entry by id, so adding an entry at the front does not
+ * change every entry after it. Paths name entries by id:
+ *
+ *   scene.nodes[id="floor"].position[1]
+ *
+ * Typed arrays (decoded accessors) are compared as a whole and reported with the number of
+ * values that differ and the largest difference. Floating-point numbers, in JSON and in
+ * Float32Array/Float64Array data, are equal when they differ by at most `tolerance`; other
+ * numbers and bytes must match exactly. Quantized fields (colors, normals, texture coordinates,
+ * ... stored as normalized integers) are dequantized first, so a file and its copy from
+ * `xrai optimize --passes quantize` differ by no more than the quantization error.
+ *
+ * The accessors, bufferViews and buffer lengths only describe where those typed arrays are
+ * stored, so they are left out; the arrays they resolve to are compared instead.
+ */
+
+(function (root) {
+  'use strict';
+  
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const XRAIContainer = isNode ? require('./xrai-container') : root.XRAIContainer;
+  const XRAIInspect = isNode ? require('./xrai-inspect') : root.XRAIInspect;
+  const XRAIBuffers = isNode ? require('./xrai-buffers') : root.XRAIBuffers;
+  
+  const { XRAIContainerReader, HEADER_FLAGS, CONTAINER_SECTIONS } = XRAIContainer;
+  
+  const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+  
+  // Document properties describing how the decoded data is stored rather than what it is
+  const LAYOUT_PROPERTIES = new Set(['container', 'accessors', 'bufferViews']);
+  
+  /**
+   * Check whether a value is a JSON object
+   * @param {*} value - Value to check
+   * @returns {boolean} - True for objects that are not arrays or binary data
+   */
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !ArrayBuffer.isView(value);
+  }
+  
+  /**
+   * Check whether a value is a typed array
+   * @param {*} value - Value to check
+   * @returns {boolean} - True for typed arrays (not DataViews)
+   */
+  function isTypedArray(value) {
+    return ArrayBuffer.isView(value) && !(value instanceof DataView);
+  }
+  
+  /**
+   * Extend a path with an object key
+   * @param {string} path - Path so far
+   * @param {string} key - Property name
+   * @returns {string} - e.g. materials, scene.nodes or extras["my-key"]
+   */
+  function keyPath(path, key) {
+    if (!IDENTIFIER.test(key)) {
+      return `${path}[${JSON.stringify(key)}]`;
+    }
+    return path === '' ? key : `${path}.${key}`;
+  }
+  
+  /**
+   * Get the ids of a list when every entry has a distinct one
+   * @param {Array} list - List to check
+   * @returns {Array|null} - Ids in list order ([] for an empty list), or null when the list cannot be keyed by id
+   */
+  function getIds(list) {
+    if (!list.every(entry => isObject(entry) && (typeof entry.id === 'string' || typeof entry.id === 'number'))) {
+      return null;
+    }
+    const ids = list.map(entry => entry.id);
+    return new Set(ids).size === ids.length ? ids : null;
+  }
+  
+  /**
+   * Compare two numbers
+   * @param {number} a - Before
+   * @param {number} b - After
+   * @param {number} tolerance - Allowed difference for non-integers
+   * @returns {boolean} - True when they count as equal
+   */
+  function numbersEqual(a, b, tolerance) {
+    if (a === b || (Number.isNaN(a) && Number.isNaN(b))) {
+      return true;
+    }
+    return !(Number.isInteger(a) && Number.isInteger(b)) && Math.abs(a - b) <= tolerance;
+  }
+  
+  /**
+   * Compare two typed arrays
+   * @param {TypedArray} a - Before
+   * @param {TypedArray} b - After
+   * @param {number} tolerance - Allowed difference for float arrays
+   * @returns {Object|null} - { typeBefore, typeAfter, lengthBefore, lengthAfter, differing, firstIndex, maxDifference },
+   *   or null when equal
+   */
+  function compareArrays(a, b, tolerance) {
+    const float = array => array instanceof Float32Array || (typeof Float64Array !== 'undefined' && array instanceof Float64Array);
+    const allowed = float(a) && float(b) ? tolerance : 0;
+    const sameType = a.constructor === b.constructor;
+    const length = Math.min(a.length, b.length);
+    
+    let differing = Math.abs(a.length - b.length);
+    let firstIndex = a.length !== b.length ? length : -1;
+    let maxDifference = 0;
+    for (let i = 0; i < length; i++) {
+      const difference = Math.abs(Number(a[i]) - Number(b[i]));
+      if (difference > allowed || (Number.isNaN(difference) && !(Number.isNaN(a[i]) && Number.isNaN(b[i])))) {
+        differing++;
+        maxDifference = Math.max(maxDifference, difference);
+        if (firstIndex < 0 || i < firstIndex) {
+          firstIndex = i;
+        }
+      }
+    }
+    
+    if (differing === 0 && sameType) {
+      return null;
+    }
+    return {
+      typeBefore: a.constructor.name,
+      typeAfter: b.constructor.name,
+      lengthBefore: a.length,
+      lengthAfter: b.length,
+      differing,
+      firstIndex,
+      maxDifference
+    };
+  }
+  
+  /**
+   * Get the float values of a quantized field for comparison
+   * @param {TypedArray} a - Before
+   * @param {TypedArray} b - After
+   * @param {string} [key] - Property name of the values
+   * @returns {Array<TypedArray>} - Both arrays dequantized when the field is normalized and either
+   *   holds integers, otherwise both as they are
+   */
+  function dequantizeForComparison(a, b, key) {
+    const float = array => array instanceof Float32Array;
+    const quantized = array => !float(array) && XRAIBuffers.isNormalizedArray(array);
+    if (key === undefined || !XRAIBuffers.isNormalizedField(key) || !(quantized(a) || quantized(b)) ||
+      ![a, b].every(array => float(array) || quantized(array))) {
+      return [a, b];
+    }
+    return [XRAIBuffers.dequantize(a), XRAIBuffers.dequantize(b)];
+  }
+  
+  /**
+   * Compare two decoded values, adding their differences to a list
+   * @param {*} a - Before
+   * @param {*} b - After
+   * @param {string} path - Path of the values
+   * @param {Object} context - { changes, tolerance, ignore }
+   * @param {string} [key] - Property name of the values, when they are a property of an object
+   */
+  function compareValues(a, b, path, context, key) {
+    if (context.ignore.some(prefix => path === prefix || path.startsWith(`${prefix}.`) || path.startsWith(`${prefix}[`))) {
+      return;
+    }
+    
+    const { changes, tolerance } = context;
+    
+    if (isTypedArray(a) && isTypedArray(b)) {
+      const [valuesA, valuesB] = dequantizeForComparison(a, b, key);
+      const difference = compareArrays(valuesA, valuesB, tolerance);
+      if (difference) {
+        changes.push({ change: 'changed', path, ...difference, typeBefore: a.constructor.name, typeAfter: b.constructor.name });
+      }
+      return;
+    }
+    
+    if (Array.isArray(a) && Array.isArray(b)) {
+      const idsA = getIds(a);
+      const idsB = getIds(b);
+      if (idsA && idsB) {
+        const byIdB = new Map(b.map(entry => [entry.id, entry]));
+        const idsInA = new Set(idsA);
+        for (const entry of a) {
+          const entryPath = `${path}[id=${JSON.stringify(entry.id)}]`;
+          if (byIdB.has(entry.id)) {
+            compareValues(entry, byIdB.get(entry.id), entryPath, context);
+          } else {
+            changes.push({ change: 'removed', path: entryPath, before: entry });
+          }
+        }
+        for (const entry of b) {
+          if (!idsInA.has(entry.id)) {
+            changes.push({ change: 'added', path: `${path}[id=${JSON.stringify(entry.id)}]`, after: entry });
+          }
+        }
+        return;
+      }
+      
+      for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        if (i >= b.length) {
+          changes.push({ change: 'removed', path: `${path}[${i}]`, before: a[i] });
+        } else if (i >= a.length) {
+          changes.push({ change: 'added', path: `${path}[${i}]`, after: b[i] });
+        } else {
+          compareValues(a[i], b[i], `${path}[${i}]`, context);
+        }
+      }
+      return;
+    }
+    
+    if (isObject(a) && isObject(b)) {
+      for (const key of Object.keys(a)) {
+        if (Object.prototype.hasOwnProperty.call(b, key)) {
+          compareValues(a[key], b[key], keyPath(path, key), context, key);
+        } else if (a[key] !== undefined) {
+          changes.push({ change: 'removed', path: keyPath(path, key), before: a[key] });
+        }
+      }
+      for (const key of Object.keys(b)) {
+        if (!Object.prototype.hasOwnProperty.call(a, key) && b[key] !== undefined) {
+          changes.push({ change: 'added', path: keyPath(path, key), after: b[key] });
+        }
+      }
+      return;
+    }
+    
+    if (typeof a === 'number' && typeof b === 'number' ? !numbersEqual(a, b, tolerance) : a !== b) {
+      changes.push({ change: 'changed', path, before: a, after: b });
+    }
+  }
+  
+  /**
+   * Describe the sections of a file for matching
+   * @param {Array<Object>} entries - Section entries of the file
+   * @returns {Map<string, Object>} - Section entries by type, name and occurrence
+   */
+  function keySections(entries) {
+    const keyed = new Map();
+    const seen = new Map();
+    for (const section of entries) {
+      const type = section.type || `unknown_${section.typeId}`;
+      if (CONTAINER_SECTIONS.has(type)) {
+        continue;
+      }
+      const base = `${type}\u0000${section.name || ''}`;
+      const occurrence = seen.get(base) || 0;
+      seen.set(base, occurrence + 1);
+      keyed.set(`${base}\u0000${occurrence}`, { type, name: section.name || null, index: section.index, size: section.size, flags: section.flags });
+    }
+    return keyed;
+  }
+  
+  /**
+   * Leave out the parts of a decoded document that describe its storage layout
+   * @param {Object} decoded - Decoded document
+   * @returns {Object} - The document without LAYOUT_PROPERTIES, and buffers without their lengths
+   */
+  function getContent(decoded) {
+    const content = {};
+    for (const [key, value] of Object.entries(decoded)) {
+      if (LAYOUT_PROPERTIES.has(key)) {
+        continue;
+      }
+      content[key] = key === 'buffers' && Array.isArray(value)
+        ? value.map(buffer => (isObject(buffer) ? Object.fromEntries(Object.entries(buffer).filter(([name]) => name !== 'byteLength')) : buffer))
+        : value;
+    }
+    return content;
+  }
+  
+  /**
+   * Check the tolerance option
+   * @param {*} tolerance - Allowed difference between floating-point numbers
+   */
+  function checkTolerance(tolerance) {
+    if (typeof tolerance !== 'number' || !(tolerance >= 0)) {
+      throw new Error(`Tolerance must be a number of at least 0: ${tolerance}`);
+    }
+  }
+  
+  /**
+   * Compare two XRAI files
+   * @param {ArrayBuffer|Uint8Array} before - The earlier file
+   * @param {ArrayBuffer|Uint8Array} after - The later file
+   * @param {Object} options - Diff options, and reader options (limits, codecs, extensions)
+   * @param {number} [options.tolerance=0] - Allowed difference between floating-point numbers
+   * @param {Array<string>} [options.ignore] - Paths to leave out, with everything under them (e.g. metadata.created)
+   * @returns {Object} - The report (see the top of this file)
+   */
+  function diffContainers(before, after, options = {}) {
+    const { tolerance = 0, ignore = [], ...readerOptions } = options;
+    checkTolerance(tolerance);
+    
+    const readerA = new XRAIContainerReader(before, readerOptions);
+    const readerB = new XRAIContainerReader(after, readerOptions);
+    return compareFiles(readerA, readerB, readerA.decode(), readerB.decode(), { tolerance, ignore, codecs: readerOptions.codecs });
+  }
+  
+  /**
+   * Compare two XRAI files opened with XRAISources.open
+   *
+   * The files are decoded one section at a time, so they may be larger than a file that
+   * can be read into memory at once.
+   *
+   * @param {XRAIHandle} handleA - The earlier file
+   * @param {XRAIHandle} handleB - The later file
+   * @param {Object} options - Diff options, as for diffContainers (tolerance, ignore)
+   * @returns {Promise<Object>} - The report (see the top of this file)
+   */
+  async function diffHandles(handleA, handleB, options = {}) {
+    const { tolerance = 0, ignore = [] } = options;
+    checkTolerance(tolerance);
+    
+    const decodedA = await handleA.decode();
+    const decodedB = await handleB.decode();
+    return compareFiles(handleA, handleB, decodedA, decodedB, { tolerance, ignore, codecs: handleA.options.codecs });
+  }
+  
+  /**
+   * Compare the headers, sections and decoded documents of two files
+   * @param {Object} fileA - The earlier file: header and sections, of a reader or a handle
+   * @param {Object} fileB - The later file
+   * @param {Object} decodedA - The earlier file decoded
+   * @param {Object} decodedB - The later file decoded
+   * @param {Object} options - tolerance, ignore, and codecs for naming compression algorithms
+   * @returns {Object} - The report (see the top of this file)
+   */
+  function compareFiles(fileA, fileB, decodedA, decodedB, options) {
+    const { tolerance, ignore, codecs } = options;
+    
+    // Header
+    const header = [];
+    const versionA = `${fileA.header.version.major}.${fileA.header.version.minor}`;
+    const versionB = `${fileB.header.version.major}.${fileB.header.version.minor}`;
+    if (versionA !== versionB) {
+      header.push({ field: 'version', before: versionA, after: versionB });
+    }
+    if (fileA.header.flags !== fileB.header.flags) {
+      header.push({
+        field: 'flags',
+        before: fileA.header.flags,
+        after: fileB.header.flags,
+        added: XRAIInspect.getFlagNames(fileB.header.flags & ~fileA.header.flags, HEADER_FLAGS),
+        removed: XRAIInspect.getFlagNames(fileA.header.flags & ~fileB.header.flags, HEADER_FLAGS)
+      });
+    }
+    
+    // Sections
+    const sections = [];
+    const sectionsA = keySections(fileA.sections);
+    const sectionsB = keySections(fileB.sections);
+    const registry = XRAIContainer.resolveCodecs(codecs);
+    const describe = section => {
+      const algorithm = XRAIContainer.getCompressionAlgorithm(section.flags);
+      const codec = algorithm !== 0 ? registry.get(algorithm) : null;
+      return {
+        index: section.index,
+        size: section.size,
+        flags: section.flags,
+        compression: algorithm === 0 ? null : codec ? codec.name : `algorithm ${algorithm}`
+      };
+    };
+    for (const [key, section] of sectionsA) {
+      const other = sectionsB.get(key);
+      if (!other) {
+        sections.push({ change: 'removed', type: section.type, name: section.name, before: describe(section), after: null });
+      } else if (describe(section).compression !== describe(other).compression) {
+        sections.push({ change: 'recompressed', type: section.type, name: section.name, before: describe(section), after: describe(other) });
+      } else if (section.size !== other.size) {
+        sections.push({ change: 'resized', type: section.type, name: section.name, before: describe(section), after: describe(other) });
+      }
+    }
+    for (const [key, section] of sectionsB) {
+      if (!sectionsA.has(key)) {
+        sections.push({ change: 'added', type: section.type, name: section.name, before: null, after: describe(section) });
+      }
+    }
+    
+    // Document
+    const changes = [];
+    compareValues(getContent(decodedA), getContent(decodedB), '', { changes, tolerance, ignore });
+    
+    return {
+      equal: header.length === 0 && sections.length === 0 && changes.length === 0,
+      header,
+      sections,
+      changes
+    };
+  }
+  
+  /**
+   * Format a value for the text report
+   * @param {*} value - Value
+   * @returns {string} - Short description, e.g. 0.5, "red", [1,2,3] or Float32Array(12)
+   */
+  function formatValue(value) {
+    if (isTypedArray(value)) {
+      return `${value.constructor.name}(${value.length})`;
+    }
+    const text = JSON.stringify(value, (key, item) => (isTypedArray(item) ? `${item.constructor.name}(${item.length})` : item));
+    if (text === undefined) {
+      return String(value);
+    }
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+  }
+  
+  /**
+   * Format a diff report as text
+   * @param {Object} report - Result of diffContainers
+   * @returns {string} - One line per difference, grouped by header, sections and content
+   */
+  function formatDiff(report) {
+    const lines = [];
+    const hex = value => `0x${value.toString(16).padStart(4, '0')}`;
+    
+    if (report.header.length > 0) {
+      lines.push('Header:');
+      for (const entry of report.header) {
+        if (entry.field === 'flags') {
+          const names = [...entry.added.map(name => `+${name}`), ...entry.removed.map(name => `-${name}`)];
+          lines.push(`  ~ flags: ${hex(entry.before)} -> ${hex(entry.after)} (${names.join(', ')})`);
+        } else {
+          lines.push(`  ~ ${entry.field}: ${entry.before} -> ${entry.after}`);
+        }
+      }
+    }
+    
+    if (report.sections.length > 0) {
+      lines.push('Sections:');
+      for (const entry of report.sections) {
+        const label = `${entry.type}${entry.name ? ` "${entry.name}"` : ''}`;
+        if (entry.change === 'added') {
+          lines.push(`  + ${label} (${entry.after.size} bytes)`);
+        } else if (entry.change === 'removed') {
+          lines.push(`  - ${label} (${entry.before.size} bytes)`);
+        } else if (entry.change === 'resized') {
+          lines.push(`  ~ ${label}: ${entry.before.size} -> ${entry.after.size} bytes`);
+        } else {
+          lines.push(`  ~ ${label}: compression ${entry.before.compression || 'none'} -> ${entry.after.compression || 'none'}` +
+            ` (${entry.before.size} -> ${entry.after.size} bytes)`);
+        }
+      }
+    }
+    
+    if (report.changes.length > 0) {
+      lines.push('Content:');
+      for (const entry of report.changes) {
+        if (entry.change === 'added') {
+          lines.push(`  + ${entry.path}: ${formatValue(entry.after)}`);
+        } else if (entry.change === 'removed') {
+          lines.push(`  - ${entry.path}: ${formatValue(entry.before)}`);
+        } else if (entry.differing !== undefined) {
+          const type = entry.typeBefore === entry.typeAfter ? entry.typeBefore : `${entry.typeBefore} -> ${entry.typeAfter}`;
+          const length = entry.lengthBefore === entry.lengthAfter ? entry.lengthBefore : `${entry.lengthBefore} -> ${entry.lengthAfter}`;
+          lines.push(`  ~ ${entry.path}: ${type}(${length}), ${entry.differing} value(s) differ` +
+            (entry.differing > 0 ? `, first at ${entry.firstIndex}, largest difference ${entry.maxDifference}` : ''));
+        } else {
+          lines.push(`  ~ ${entry.path}: ${formatValue(entry.before)} -> ${formatValue(entry.after)}`);
+        }
+      }
+    }
+    
+    const count = report.header.length + report.sections.length + report.changes.length;
+    lines.push(count === 0 ? 'No differences' : `${count} difference(s)`);
+    return lines.join('\n');
+  }
+  
+  const XRAIDiff = {
+    diffContainers,
+    diffHandles,
+    formatDiff
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIDiff;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIDiff = XRAIDiff;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
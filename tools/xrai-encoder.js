@@ -6,11 +6,18 @@
  * Following best practices from glTF, WebXR, and OpenUSD standards
  */
 
+const { XRAIContainerWriter, FORMAT_VERSION, getEncodeDate } = require('./xrai-container');
+const { loadSceneDirectory, importFile } = require('./xrai-scene');
+
 class XRAIEncoder {
   constructor(options = {}) {
     this.options = {
       quality: 1.0,
-      compress: false,
+      compress: false, // true for deflate, or a compression spec such as "deflate:9" or "geometry=lz4"
+      codecs: null, // Codec registry (defaults to XRAICodecs.defaultRegistry)
+      streaming: false, // Write a streaming-optimized file (sections in priority order)
+      deterministic: false, // Same bytes for the same input: sorted keys, fixed or SOURCE_DATE_EPOCH timestamps
+      importers: null, // Importer registry for asset files (defaults to XRAIImporters.defaultRegistry)
       aiEnhancement: false,
       aiMode: 'none',
       ...options
@@ -19,56 +26,61 @@ class XRAIEncoder {
   
   /**
    * Encode a scene directory into an XRAI file
-   * @param {string} sourcePath - Path to the scene directory
-   * @param {Object} metadata - Additional metadata
+   *
+   * The directory holds scene.json and the meshes/, splats/, textures/ and audio/ folders;
+   * every asset is imported and references to it are rewritten (see tools/xrai-scene.js).
+   *
+   * @param {string} sourcePath - Path to the scene directory, or its scene.json
+   * @param {Object} metadata - Additional metadata, merged over the scene's metadata
    * @returns {ArrayBuffer} - The encoded XRAI data
    */
   async encodeScene(sourcePath, metadata = {}) {
     console.log(`Encoding scene from ${sourcePath}`);
     
-    // This is a simplified implementation
-    // In a real implementation, this would:
-    // 1. Scan the directory for assets
-    // 2. Process each asset type (models, textures, etc.)
-    // 3. Apply AI enhancement if enabled
+    const document = await loadSceneDirectory(sourcePath, { importers: this.options.importers });
     
     const sceneData = {
-      metadata: this._processMetadata(metadata),
-      geometry: [],
-      materials: [],
-      animations: [],
-      aiComponents: this._createAIComponents()
+      ...document,
+      metadata: this._processMetadata({ ...document.metadata, ...metadata })
     };
     
+    // Scenes without AI components get no AI Components section, rather than an empty one
+    const aiComponents = { ...this._createAIComponents(), ...document.aiComponents };
+    if (Object.keys(aiComponents).length > 0) {
+      sceneData.aiComponents = aiComponents;
+    } else {
+      delete sceneData.aiComponents;
+    }
+    
     // Create binary container
     return this._createContainer(sceneData);
   }
   
+  /**
+   * Encode an XRAI document given as JSON (e.g. read from a .json file or stdin)
+   * @param {Object} document - XRAI document following schemas/xrai-core.json
+   * @param {Object} metadata - Additional metadata, merged over the document's metadata
+   * @returns {ArrayBuffer} - The encoded XRAI data
+   */
+  async encodeDocument(document, metadata = {}) {
+    return this._createContainer({
+      ...document,
+      metadata: this._processMetadata({ ...document.metadata, ...metadata })
+    });
+  }
+  
   /**
    * Encode a 3D model into an XRAI file
-   * @param {string} sourcePath - Path to the model file
+   * @param {string} sourcePath - Path to the model file (.obj, .ply or a geometry .json)
    * @param {Object} metadata - Additional metadata
    * @returns {ArrayBuffer} - The encoded XRAI data
    */
   async encodeModel(sourcePath, metadata = {}) {
     console.log(`Encoding model from ${sourcePath}`);
     
-    // This is a simplified implementation
-    // In a real implementation, this would:
-    // 1. Load the model file
-    // 2. Extract geometry, materials, etc.
-    // 3. Apply AI enhancement if enabled
-    
     const modelData = {
       metadata: this._processMetadata(metadata),
-      geometry: [{
-        id: 'main_model',
-        type: 'mesh',
-        vertices: [],
-        triangles: []
-      }],
-      materials: [],
-      animations: []
+      geometry: [await importFile(sourcePath, 'meshes', { importers: this.options.importers })]
     };
     
     // Create binary container
@@ -77,30 +89,16 @@ class XRAIEncoder {
   
   /**
    * Encode Gaussian splat data into an XRAI file
-   * @param {string} sourcePath - Path to the splat file
+   * @param {string} sourcePath - Path to the splat file (.ply or .splat)
    * @param {Object} metadata - Additional metadata
    * @returns {ArrayBuffer} - The encoded XRAI data
    */
   async encodeSplat(sourcePath, metadata = {}) {
     console.log(`Encoding splat from ${sourcePath}`);
     
-    // This is a simplified implementation
-    // In a real implementation, this would:
-    // 1. Load the splat file
-    // 2. Process the splat data
-    // 3. Apply AI enhancement if enabled
-    
     const splatData = {
       metadata: this._processMetadata(metadata),
-      geometry: [{
-        id: 'main_splat',
-        type: 'splat',
-        splatCount: 0,
-        positions: new Float32Array(),
-        colors: new Uint8Array(),
-        scales: new Float32Array(),
-        rotations: new Float32Array()
-      }]
+      geometry: [await importFile(sourcePath, 'splats', { importers: this.options.importers })]
     };
     
     // Create binary container
@@ -159,7 +157,7 @@ class XRAIEncoder {
       metadata: {
         title: 'Converted from GLTF',
         creator: 'XRAI Encoder',
-        created: new Date().toISOString(),
+        created: this._timestamp(),
         sourceFormat: 'gltf'
       },
       geometry: [],
@@ -189,7 +187,7 @@ class XRAIEncoder {
       metadata: {
         title: 'Converted from OBJ',
         creator: 'XRAI Encoder',
-        created: new Date().toISOString(),
+        created: this._timestamp(),
         sourceFormat: 'obj'
       },
       geometry: [],
@@ -218,7 +216,7 @@ class XRAIEncoder {
       metadata: {
         title: 'Converted from PLY',
         creator: 'XRAI Encoder',
-        created: new Date().toISOString(),
+        created: this._timestamp(),
         sourceFormat: 'ply'
       },
       geometry: [{
@@ -292,12 +290,21 @@ class XRAIEncoder {
       title: 'Untitled XRAI Scene',
       creator: 'XRAI Encoder',
       version: '1.0',
-      created: new Date().toISOString(),
+      created: this._timestamp(),
       description: '',
       ...metadata
     };
   }
   
+  /**
+   * Get the creation time written into metadata
+   * @private
+   * @returns {string} - ISO 8601 timestamp, fixed when encoding deterministically (see getEncodeDate)
+   */
+  _timestamp() {
+    return getEncodeDate(this.options.deterministic).toISOString();
+  }
+  
   /**
    * Create AI components based on options
    * @private
@@ -353,130 +360,27 @@ class XRAIEncoder {
   /**
    * Create a binary container for XRAI data
    * @private
-   * @param {Object} data - The data to encode
+   * @param {Object} data - The XRAI document to encode
    * @returns {ArrayBuffer} - The binary container
    */
   _createContainer(data) {
-    // Calculate total size
-    const sections = [];
-    let totalSize = 16; // Header size
-    
-    // Process each section
-    for (const [key, value] of Object.entries(data)) {
-      if (!value || (Array.isArray(value) && value.length === 0)) {
-        continue;
-      }
-      
-      const sectionData = this._encodeSection(key, value);
-      const sectionId = this._getSectionIdFromType(key);
-      const sectionFlags = this.options.compress ? 0x1 : 0x0;
-      
-      sections.push({
-        id: sectionId,
-        data: sectionData,
-        flags: sectionFlags
-      });
-      
-      totalSize += sectionData.byteLength;
-    }
-    
-    // Calculate TOC size
-    const tocSize = 4 + (sections.length * 24); // 4 bytes for count + 24 bytes per entry
-    totalSize += tocSize;
-    
-    // Create buffer
-    const buffer = new ArrayBuffer(totalSize);
-    const headerView = new DataView(buffer);
-    
-    // Write header
-    const encoder = new TextEncoder();
-    const magicBytes = encoder.encode('XRAI');
-    headerView.setUint8(0, magicBytes[0]);
-    headerView.setUint8(1, magicBytes[1]);
-    headerView.setUint8(2, magicBytes[2]);
-    headerView.setUint8(3, magicBytes[3]);
-    
-    // Write version
-    headerView.setUint8(4, 1); // Major version
-    headerView.setUint8(5, 0); // Minor version
-    
-    // Write flags
-    const flags = 0; // No flags for now
-    headerView.setUint16(6, flags, true);
-    
-    // Write TOC offset
-    const tocOffset = totalSize - tocSize;
-    headerView.setBigUint64(8, BigInt(tocOffset), true);
-    
-    // Write sections
-    let currentOffset = 16; // Start after header
-    
-    for (const section of sections) {
-      const sectionSize = section.data.byteLength;
-      
-      // Copy section data
-      new Uint8Array(buffer, currentOffset, sectionSize).set(new Uint8Array(section.data));
-      
-      currentOffset += sectionSize;
-    }
-    
-    // Write TOC
-    const tocView = new DataView(buffer, tocOffset);
-    tocView.setUint32(0, sections.length, true);
-    
-    let tocEntryOffset = 4;
-    currentOffset = 16; // Reset to start of sections
-    
-    for (const section of sections) {
-      const sectionSize = section.data.byteLength;
-      
-      // Write section entry
-      tocView.setUint32(tocEntryOffset, section.id, true);
-      tocView.setBigUint64(tocEntryOffset + 4, BigInt(currentOffset), true);
-      tocView.setBigUint64(tocEntryOffset + 12, BigInt(sectionSize), true);
-      tocView.setUint32(tocEntryOffset + 20, section.flags, true);
-      
-      tocEntryOffset += 24;
-      currentOffset += sectionSize;
-    }
-    
-    return buffer;
-  }
-  
-  /**
-   * Encode a section based on its type
-   * @private
-   * @param {string} type - The section type
-   * @param {Object|Array} data - The section data
-   * @returns {ArrayBuffer} - The encoded section data
-   */
-  _encodeSection(type, data) {
-    // For this simplified implementation, just JSON stringify everything
-    const encoder = new TextEncoder();
-    const jsonString = JSON.stringify(data);
-    
-    return encoder.encode(jsonString).buffer;
-  }
-  
-  /**
-   * Get section ID from type name
-   * @private
-   * @param {string} type - The section type name
-   * @returns {number} - The section type ID
-   */
-  _getSectionIdFromType(type) {
-    const types = {
-      'metadata': 1,
-      'geometry': 2,
-      'materials': 3,
-      'animations': 4,
-      'audio': 5,
-      'aiComponents': 6,
-      'vfx': 7,
-      // Add more section types as needed
+    const document = {
+      asset: {
+        version: `${FORMAT_VERSION.major}.${FORMAT_VERSION.minor}`,
+        generator: 'XRAI Encoder'
+      },
+      ...data
     };
     
-    return types[type] || 0;
+    const writer = new XRAIContainerWriter({
+      compression: this.options.compress,
+      codecs: this.options.codecs,
+      streaming: this.options.streaming,
+      deterministic: this.options.deterministic
+    });
+    
+    const bytes = writer.addDocument(document).toBytes();
+    return bytes.buffer;
   }
 }
 
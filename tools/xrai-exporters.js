@@ -0,0 +1,418 @@
+/**
+ * XRAI Exporters
+ * Write geometry entries of a decoded document as files other tools read: the reverse of
+ * tools/xrai-importers.js
+ *
+ *   mesh    .glb (binary glTF 2.0, one mesh with a primitive per XRAI primitive) or .obj
+ *   splat   .ply in the 3D Gaussian splatting layout (f_dc_*, opacity, scale_*, rot_*)
+ *   points  .ply with positions, and normals and RGBA colors when the entry has them
+ *
+ * Exporters take geometry holding typed arrays, as XRAIContainer.decode returns it; entries
+ * whose accessors are still indices (external buffers that were not loaded) and other
+ * geometry types (procedural shapes, NeRF) have no file form. Quantized fields are turned
+ * into floats where a file format needs them. Meshes are also read in the
+ * { vertices, triangles } form of the samples in demos/browser/samples.
+ *
+ * The files import back to the same geometry: splat colors, opacity and scales are written
+ * as the spherical harmonic, logit and log values the splat importer converts, and OBJ
+ * texture coordinates are flipped back to a bottom-left origin.
+ */
+
+(function (root) {
+  'use strict';
+  
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const XRAIBuffers = isNode ? require('./xrai-buffers') : root.XRAIBuffers;
+  const XRAIImporters = isNode ? require('./xrai-importers') : root.XRAIImporters;
+  
+  const { TYPE_SIZES, isTypedArray, isNormalizedField, dequantize } = XRAIBuffers;
+  
+  // Zeroth order spherical harmonic coefficient, as in xrai-importers.js
+  const SH_C0 = 0.28209479177387814;
+  
+  // Primitive mode for triangle lists (as in glTF)
+  const TRIANGLES = 4;
+  
+  const GLB_MAGIC = 0x46546C67;
+  const GLB_VERSION = 2;
+  const GLB_CHUNK_JSON = 0x4E4F534A;
+  const GLB_CHUNK_BIN = 0x004E4942;
+  
+  // bufferView targets for vertex attributes and indices
+  const ARRAY_BUFFER = 34962;
+  const ELEMENT_ARRAY_BUFFER = 34963;
+  
+  const textEncoder = new TextEncoder();
+  
+  /**
+   * Round a byte count up to a multiple of 4
+   * @param {number} length - Byte count
+   * @returns {number} - Padded count
+   */
+  function pad4(length) {
+    return (length + 3) & ~3;
+  }
+  
+  /**
+   * Get the primitives of a mesh entry with typed array attributes
+   * @param {Object} geometry - Mesh geometry entry
+   * @returns {Array<Object>|null} - { attributes, indices, mode } of each primitive, or null
+   *   when the vertex data is not loaded
+   */
+  function getMeshPrimitives(geometry) {
+    if (Array.isArray(geometry.vertices)) {
+      const triangles = Array.isArray(geometry.triangles) ? geometry.triangles : [];
+      const indices = triangles.flatMap(triangle => (Array.isArray(triangle) ? triangle.slice(0, 3) : [triangle]));
+      const vertexCount = geometry.vertices.length / 3;
+      return [{
+        attributes: { POSITION: new Float32Array(geometry.vertices) },
+        indices: indices.length > 0 ? (vertexCount > 0xFFFF ? new Uint32Array(indices) : new Uint16Array(indices)) : undefined,
+        mode: TRIANGLES
+      }];
+    }
+    
+    const primitives = Array.isArray(geometry.primitives) ? geometry.primitives : [];
+    const loaded = primitives.every(primitive => primitive && primitive.attributes &&
+      isTypedArray(primitive.attributes.POSITION) &&
+      Object.values(primitive.attributes).every(isTypedArray) &&
+      (primitive.indices === undefined || isTypedArray(primitive.indices)));
+    if (primitives.length === 0 || !loaded) {
+      return null;
+    }
+    return primitives.map(primitive => ({
+      attributes: primitive.attributes,
+      indices: primitive.indices,
+      mode: primitive.mode !== undefined ? primitive.mode : TRIANGLES
+    }));
+  }
+  
+  /**
+   * Get the accessor type of a mesh attribute from its component count
+   * @param {string} name - Attribute name
+   * @param {TypedArray} array - Attribute data
+   * @param {number} vertexCount - Vertices in the primitive
+   * @returns {string} - SCALAR, VEC2, VEC3 or VEC4
+   */
+  function getElementType(name, array, vertexCount) {
+    const components = vertexCount > 0 ? array.length / vertexCount : 1;
+    const type = Object.keys(TYPE_SIZES).find(key => key.startsWith(components === 1 ? 'SCALAR' : 'VEC') && TYPE_SIZES[key] === components);
+    if (!type) {
+      throw new Error(`Attribute ${name} has ${array.length} values for ${vertexCount} vertices`);
+    }
+    return type;
+  }
+  
+  /**
+   * Write a mesh as binary glTF
+   * @param {Object} geometry - Mesh geometry entry holding typed arrays
+   * @returns {Uint8Array|null} - GLB file, or null when the vertex data is not loaded
+   */
+  function exportGLB(geometry) {
+    const primitives = getMeshPrimitives(geometry);
+    if (!primitives) {
+      return null;
+    }
+    
+    const chunks = [];
+    const bufferViews = [];
+    const accessors = [];
+    let byteLength = 0;
+    
+    const addAccessor = (array, type, target, extra = {}) => {
+      const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+      bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.byteLength, target });
+      chunks.push({ offset: byteLength, bytes });
+      byteLength = pad4(byteLength + bytes.byteLength);
+      
+      accessors.push({
+        bufferView: bufferViews.length - 1,
+        componentType: XRAIBuffers.getComponentType(array),
+        count: array.length / TYPE_SIZES[type],
+        type,
+        ...extra
+      });
+      return accessors.length - 1;
+    };
+    
+    const gltfPrimitives = primitives.map(primitive => {
+      const vertexCount = primitive.attributes.POSITION.length / 3;
+      const attributes = {};
+      for (const [name, value] of Object.entries(primitive.attributes)) {
+        // glTF stores quantized texture coordinates and colors only as unsigned integers, and
+        // normals and tangents as floats
+        const quantized = isNormalizedField(name) && !(value instanceof Float32Array);
+        const keep = quantized && (name.startsWith('TEXCOORD_') || name.startsWith('COLOR_')) &&
+          (value instanceof Uint8Array || value instanceof Uint16Array);
+        const array = quantized && !keep ? dequantize(value) : value;
+        const type = getElementType(name, array, vertexCount);
+        const extra = {};
+        if (name === 'POSITION') {
+          // glTF requires bounds on positions
+          extra.min = [Infinity, Infinity, Infinity];
+          extra.max = [-Infinity, -Infinity, -Infinity];
+          for (let i = 0; i < array.length; i++) {
+            extra.min[i % 3] = Math.min(extra.min[i % 3], array[i]);
+            extra.max[i % 3] = Math.max(extra.max[i % 3], array[i]);
+          }
+          if (array.length === 0) {
+            extra.min = [0, 0, 0];
+            extra.max = [0, 0, 0];
+          }
+        }
+        if (keep) {
+          extra.normalized = true;
+        }
+        attributes[name] = addAccessor(array, type, ARRAY_BUFFER, extra);
+      }
+      
+      const result = { attributes, mode: primitive.mode };
+      if (primitive.indices !== undefined) {
+        result.indices = addAccessor(primitive.indices, 'SCALAR', ELEMENT_ARRAY_BUFFER);
+      }
+      return result;
+    });
+    
+    const name = geometry.id !== undefined ? String(geometry.id) : undefined;
+    const gltf = {
+      asset: { version: '2.0', generator: 'XRAI exporter' },
+      scene: 0,
+      scenes: [{ nodes: [0] }],
+      nodes: [{ mesh: 0, name }],
+      meshes: [{ name, primitives: gltfPrimitives }],
+      buffers: [{ byteLength }],
+      bufferViews,
+      accessors
+    };
+    
+    const json = textEncoder.encode(JSON.stringify(gltf));
+    const jsonLength = pad4(json.byteLength);
+    const total = 12 + 8 + jsonLength + 8 + byteLength;
+    
+    const bytes = new Uint8Array(total);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, GLB_VERSION, true);
+    view.setUint32(8, total, true);
+    
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, GLB_CHUNK_JSON, true);
+    bytes.set(json, 20);
+    bytes.fill(0x20, 20 + json.byteLength, 20 + jsonLength);
+    
+    const binStart = 20 + jsonLength;
+    view.setUint32(binStart, byteLength, true);
+    view.setUint32(binStart + 4, GLB_CHUNK_BIN, true);
+    for (const chunk of chunks) {
+      bytes.set(chunk.bytes, binStart + 8 + chunk.offset);
+    }
+    return bytes;
+  }
+  
+  /**
+   * Write a mesh as Wavefront OBJ
+   * @param {Object} geometry - Mesh geometry entry holding typed arrays
+   * @returns {Uint8Array|null} - OBJ file, or null when the vertex data is not loaded
+   */
+  function exportOBJ(geometry) {
+    const primitives = getMeshPrimitives(geometry);
+    if (!primitives) {
+      return null;
+    }
+    
+    const lines = [];
+    if (geometry.id !== undefined) {
+      lines.push(`o ${geometry.id}`);
+    }
+    
+    let vertexOffset = 1;
+    primitives.forEach((primitive, primitiveIndex) => {
+      if (primitive.mode !== TRIANGLES) {
+        return;
+      }
+      const { POSITION: positions } = primitive.attributes;
+      const normals = primitive.attributes.NORMAL && dequantize(primitive.attributes.NORMAL);
+      const uvs = primitive.attributes.TEXCOORD_0 && dequantize(primitive.attributes.TEXCOORD_0);
+      const vertexCount = positions.length / 3;
+      if (primitives.length > 1) {
+        lines.push(`g primitive${primitiveIndex}`);
+      }
+      
+      for (let i = 0; i < vertexCount; i++) {
+        lines.push(`v ${positions[i * 3]} ${positions[i * 3 + 1]} ${positions[i * 3 + 2]}`);
+      }
+      if (uvs) {
+        for (let i = 0; i < vertexCount; i++) {
+          lines.push(`vt ${uvs[i * 2]} ${1 - uvs[i * 2 + 1]}`);
+        }
+      }
+      if (normals) {
+        for (let i = 0; i < vertexCount; i++) {
+          lines.push(`vn ${normals[i * 3]} ${normals[i * 3 + 1]} ${normals[i * 3 + 2]}`);
+        }
+      }
+      
+      const corner = index => {
+        const n = index + vertexOffset;
+        return uvs && normals ? `${n}/${n}/${n}` : uvs ? `${n}/${n}` : normals ? `${n}//${n}` : `${n}`;
+      };
+      const indices = primitive.indices || Array.from({ length: vertexCount }, (value, index) => index);
+      for (let i = 0; i + 2 < indices.length; i += 3) {
+        lines.push(`f ${corner(indices[i])} ${corner(indices[i + 1])} ${corner(indices[i + 2])}`);
+      }
+      vertexOffset += vertexCount;
+    });
+    
+    return textEncoder.encode(`${lines.join('\n')}\n`);
+  }
+  
+  /**
+   * Write binary little-endian PLY with float and uchar vertex properties
+   * @param {number} count - Vertex count
+   * @param {Array<Array>} properties - [name, 'float' or 'uchar', (index) => value] of each property
+   * @returns {Uint8Array} - PLY file
+   */
+  function writePLY(count, properties) {
+    const header = [
+      'ply',
+      'format binary_little_endian 1.0',
+      'comment Written by the XRAI exporter',
+      `element vertex ${count}`,
+      ...properties.map(([name, type]) => `property ${type} ${name}`),
+      'end_header',
+      ''
+    ].join('\n');
+    const headerBytes = textEncoder.encode(header);
+    const stride = properties.reduce((size, [, type]) => size + (type === 'float' ? 4 : 1), 0);
+    
+    const bytes = new Uint8Array(headerBytes.byteLength + count * stride);
+    bytes.set(headerBytes);
+    const view = new DataView(bytes.buffer);
+    let offset = headerBytes.byteLength;
+    for (let i = 0; i < count; i++) {
+      for (const [, type, read] of properties) {
+        if (type === 'float') {
+          view.setFloat32(offset, read(i), true);
+          offset += 4;
+        } else {
+          view.setUint8(offset, Math.max(0, Math.min(255, Math.round(read(i)))));
+          offset += 1;
+        }
+      }
+    }
+    return bytes;
+  }
+  
+  /**
+   * Write splats or a point cloud as PLY
+   * @param {Object} geometry - Splat or points geometry entry holding typed arrays
+   * @returns {Uint8Array|null} - PLY file, or null when the positions are not loaded
+   */
+  function exportPLY(geometry) {
+    const { positions } = geometry;
+    if (!isTypedArray(positions)) {
+      return null;
+    }
+    // Quantized fields as floats
+    const read = key => (isTypedArray(geometry[key]) ? dequantize(geometry[key]) : null);
+    const colors = read('colors');
+    const normals = read('normals');
+    const count = positions.length / 3;
+    const properties = ['x', 'y', 'z'].map((name, c) => [name, 'float', i => positions[i * 3 + c]]);
+    const components = colors && count > 0 ? colors.length / count : 0;
+    
+    if (geometry.type === 'splat') {
+      const { scales } = geometry;
+      const rotations = read('rotations');
+      const opacities = read('opacities');
+      const logit = value => {
+        const clamped = Math.min(Math.max(value, 1e-6), 1 - 1e-6);
+        return Math.log(clamped / (1 - clamped));
+      };
+      const alpha = i => {
+        if (opacities) {
+          return opacities[i];
+        }
+        return components === 4 ? colors[i * 4 + 3] : 1;
+      };
+      
+      properties.push(...['nx', 'ny', 'nz'].map(name => [name, 'float', () => 0]));
+      for (let c = 0; c < 3; c++) {
+        properties.push([`f_dc_${c}`, 'float', i => (components >= 3 ? (colors[i * components + c] - 0.5) / SH_C0 : 0)]);
+      }
+      properties.push(['opacity', 'float', i => logit(alpha(i))]);
+      for (let c = 0; c < 3; c++) {
+        properties.push([`scale_${c}`, 'float', i => (isTypedArray(scales) ? Math.log(Math.max(scales[i * 3 + c], 1e-12)) : 0)]);
+      }
+      // Stored as (x, y, z, w); rot_0 is w
+      [3, 0, 1, 2].forEach((component, c) => {
+        properties.push([`rot_${c}`, 'float', i => (rotations ? rotations[i * 4 + component] : component === 3 ? 1 : 0)]);
+      });
+      return writePLY(count, properties);
+    }
+    
+    if (normals) {
+      properties.push(...['nx', 'ny', 'nz'].map((name, c) => [name, 'float', i => normals[i * 3 + c]]));
+    }
+    if (components >= 3) {
+      ['red', 'green', 'blue', 'alpha'].slice(0, components === 4 ? 4 : 3).forEach((name, c) => {
+        properties.push([name, 'uchar', i => colors[i * components + c] * 255]);
+      });
+    }
+    return writePLY(count, properties);
+  }
+  
+  /**
+   * Write a geometry entry in the file format for its type
+   * @param {Object} geometry - Geometry entry holding typed arrays
+   * @param {Object} options - Export options
+   * @param {string} [options.meshFormat='glb'] - glb or obj
+   * @returns {Object|null} - { folder, extension, bytes }: folder is meshes or splats, as in
+   *   scene directories; null for geometry without a file form
+   */
+  function exportGeometry(geometry, options = {}) {
+    options = { meshFormat: 'glb', ...options };
+    if (!geometry || typeof geometry !== 'object') {
+      return null;
+    }
+    
+    let result = null;
+    if (geometry.type === 'mesh') {
+      if (options.meshFormat !== 'glb' && options.meshFormat !== 'obj') {
+        throw new Error(`Unknown mesh format: ${options.meshFormat} (expected glb or obj)`);
+      }
+      const bytes = options.meshFormat === 'obj' ? exportOBJ(geometry) : exportGLB(geometry);
+      result = bytes && { folder: 'meshes', extension: `.${options.meshFormat}`, bytes };
+    } else if (geometry.type === 'splat' || geometry.type === 'points') {
+      const bytes = exportPLY(geometry);
+      result = bytes && { folder: geometry.type === 'splat' ? 'splats' : 'meshes', extension: '.ply', bytes };
+    }
+    return result;
+  }
+  
+  /**
+   * Get the file name extension for an image or audio clip
+   * @param {Object} entry - Image or audio clip with a mimeType
+   * @returns {string} - e.g. '.png', or '.bin' for unknown media types
+   */
+  function getMediaExtension(entry) {
+    const types = { ...XRAIImporters.IMAGE_TYPES, ...XRAIImporters.AUDIO_TYPES };
+    const mimeType = entry && typeof entry.mimeType === 'string' ? entry.mimeType.toLowerCase() : null;
+    return Object.keys(types).find(extension => types[extension] === mimeType) || '.bin';
+  }
+  
+  const XRAIExporters = {
+    exportGLB,
+    exportOBJ,
+    exportPLY,
+    exportGeometry,
+    getMediaExtension
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIExporters;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIExporters = XRAIExporters;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,258 @@
+/**
+ * XRAI Extensions
+ * Extension handlers and the registry shared by every encoder and decoder
+ *
+ * Extensions work as in glTF. A document lists the extensions it uses in extensionsUsed,
+ * and the ones it cannot be displayed correctly without in extensionsRequired. Extension
+ * data lives in an `extensions` object, keyed by extension name, on the document root
+ * (stored in the Extensions section, type 11), on geometry and materials, and on scene nodes:
+ *
+ *   { id: 'rock', type: 'mesh', primitives: [...], extensions: { XRAI_lod: { levels: [...] } } }
+ *
+ * Readers refuse files whose required extensions are not registered, with
+ * XRAIFormatError code E_UNSUPPORTED_EXTENSION. The data of optional extensions that are
+ * not registered is left as it is, so re-encoding a decoded file writes it back unchanged.
+ *
+ * An extension handler is a plain object:
+ *
+ *   {
+ *     name,                     // extension name, as listed in extensionsUsed
+ *     decode(data, context),    // optional: stored extension data => runtime value
+ *     encode(data, context),    // optional: runtime value => stored extension data
+ *     merge(values, context),   // optional: document-level data of several documents => one
+ *                               //   value, for xrai merge (tools/xrai-merge.js)
+ *     sections: [{              // optional: custom section types owned by the extension
+ *       id,                     // section type ID, 64 and up (1-63 are reserved for the spec)
+ *       type,                   // section type name, also the document property it decodes to
+ *       binary,                 // true to keep the payload as bytes rather than parse UTF-8 JSON
+ *       decode(bytes, section), // optional: payload bytes => value
+ *       encode(value)           // optional: value => payload bytes
+ *     }]
+ *   }
+ *
+ * decode and encode receive { owner, document }: the object carrying the extension data and
+ * the whole document. They run over the whole document in XRAIContainer.decode and
+ * XRAIContainerWriter#addDocument; reading a single section returns the stored data.
+ */
+
+(function (root) {
+  'use strict';
+  
+  // Section type IDs below this are reserved for spec/binary-format.md
+  const MIN_CUSTOM_SECTION_TYPE = 64;
+  const MAX_CUSTOM_SECTION_TYPE = 0xFFFFFFFF;
+  
+  // Section type names defined by the spec, which custom section types cannot take
+  const RESERVED_SECTION_TYPES = [
+    'metadata', 'geometry', 'materials', 'animations', 'audio', 'aiComponents', 'vfx',
+    'buffers', 'images', 'scene', 'extensions', 'integrity', 'strings'
+  ];
+  
+  /**
+   * Holds the extensions available to a reader or writer, keyed by name, and their
+   * section types, keyed by ID and type name
+   */
+  class XRAIExtensionRegistry {
+    constructor() {
+      this.byName = new Map();
+      this.sectionsById = new Map();
+      this.sectionsByType = new Map();
+    }
+    
+    /**
+     * Register an extension, replacing any extension with the same name
+     * @param {Object} extension - Extension handler (see the top of this file)
+     * @returns {XRAIExtensionRegistry} - This registry, for chaining
+     */
+    register(extension) {
+      if (!extension || typeof extension.name !== 'string' || extension.name === '') {
+        throw new Error('Extension must have a string name');
+      }
+      
+      const sections = extension.sections || [];
+      for (const section of sections) {
+        if (!Number.isInteger(section.id) || section.id < MIN_CUSTOM_SECTION_TYPE || section.id > MAX_CUSTOM_SECTION_TYPE) {
+          throw new Error(`Section type ID of ${extension.name} out of range (${MIN_CUSTOM_SECTION_TYPE}-${MAX_CUSTOM_SECTION_TYPE}): ${section.id}`);
+        }
+        if (typeof section.type !== 'string' || section.type === '' || RESERVED_SECTION_TYPES.includes(section.type)) {
+          throw new Error(`Invalid section type name in ${extension.name}: ${section.type}`);
+        }
+        
+        const owner = this.sectionsById.get(section.id) || this.sectionsByType.get(section.type);
+        if (owner && owner.extension !== extension.name) {
+          throw new Error(`Section type ${section.id} (${section.type}) of ${extension.name} is already registered by ${owner.extension}`);
+        }
+      }
+      
+      this.unregister(extension.name);
+      this.byName.set(extension.name, extension);
+      for (const section of sections) {
+        const entry = { ...section, extension: extension.name };
+        this.sectionsById.set(section.id, entry);
+        this.sectionsByType.set(section.type, entry);
+      }
+      
+      return this;
+    }
+    
+    /**
+     * Remove an extension and its section types
+     * @param {string} name - Extension name
+     * @returns {XRAIExtensionRegistry} - This registry, for chaining
+     */
+    unregister(name) {
+      const extension = this.byName.get(name);
+      if (extension) {
+        for (const section of extension.sections || []) {
+          this.sectionsById.delete(section.id);
+          this.sectionsByType.delete(section.type);
+        }
+        this.byName.delete(name);
+      }
+      return this;
+    }
+    
+    /**
+     * Look up an extension
+     * @param {string} name - Extension name
+     * @returns {Object|undefined} - The extension handler
+     */
+    get(name) {
+      return this.byName.get(name);
+    }
+    
+    /**
+     * Check whether an extension is registered
+     * @param {string} name - Extension name
+     * @returns {boolean} - True when the extension is available
+     */
+    has(name) {
+      return this.byName.has(name);
+    }
+    
+    /**
+     * List the registered extensions
+     * @returns {Array<Object>} - Extension handlers in registration order
+     */
+    list() {
+      return [...this.byName.values()];
+    }
+    
+    /**
+     * Look up a custom section type
+     * @param {number|string} idOrType - Section type ID or name
+     * @returns {Object|undefined} - The section type, with the name of its extension as `extension`
+     */
+    getSectionType(idOrType) {
+      return typeof idOrType === 'number' ? this.sectionsById.get(idOrType) : this.sectionsByType.get(idOrType);
+    }
+    
+    /**
+     * List the required extensions of a document that are not registered
+     * @param {Object} document - Document root with extensionsRequired
+     * @returns {Array<string>} - Names of the missing extensions
+     */
+    getMissing(document) {
+      const required = document && Array.isArray(document.extensionsRequired) ? document.extensionsRequired : [];
+      return required.filter(name => !this.has(name));
+    }
+    
+    /**
+     * Run the decode or encode handler of every registered extension over a document
+     *
+     * Objects whose extension data changes are copied rather than modified, so the
+     * document passed in is left as it was.
+     *
+     * @param {Object} document - XRAI document
+     * @param {string} direction - 'decode' or 'encode'
+     * @returns {Object} - The document with extension data transformed
+     */
+    transformDocument(document, direction) {
+      const handlers = this.list().filter(extension => typeof extension[direction] === 'function');
+      if (handlers.length === 0 || !document || typeof document !== 'object') {
+        return document;
+      }
+      
+      const transformOwner = owner => {
+        if (!owner || typeof owner !== 'object' || !owner.extensions || typeof owner.extensions !== 'object') {
+          return owner;
+        }
+        
+        let extensions = null;
+        for (const extension of handlers) {
+          if (Object.prototype.hasOwnProperty.call(owner.extensions, extension.name)) {
+            extensions = extensions || { ...owner.extensions };
+            extensions[extension.name] = extension[direction](owner.extensions[extension.name], { owner, document });
+          }
+        }
+        return extensions ? { ...owner, extensions } : owner;
+      };
+      
+      const transformList = (parent, key) => {
+        const list = parent[key];
+        if (!Array.isArray(list)) {
+          return parent;
+        }
+        const transformed = list.map(transformOwner);
+        return transformed.some((entry, index) => entry !== list[index]) ? { ...parent, [key]: transformed } : parent;
+      };
+      
+      let result = transformOwner(document);
+      for (const key of ['geometry', 'materials', 'nodes']) {
+        result = transformList(result, key);
+      }
+      if (result.scene && typeof result.scene === 'object') {
+        const scene = transformList(result.scene, 'nodes');
+        if (scene !== result.scene) {
+          result = { ...result, scene };
+        }
+      }
+      
+      return result;
+    }
+    
+    /**
+     * Create a registry with the same extensions, for adding extensions locally
+     * @returns {XRAIExtensionRegistry} - The new registry
+     */
+    clone() {
+      const registry = new XRAIExtensionRegistry();
+      for (const extension of this.list()) {
+        registry.register(extension);
+      }
+      return registry;
+    }
+  }
+  
+  // Registry used when no extensions option is given; applications register their handlers here
+  const defaultRegistry = new XRAIExtensionRegistry();
+  
+  /**
+   * Get the data of an extension on an object
+   * @param {Object} object - Document root, geometry, material or node
+   * @param {string} name - Extension name
+   * @returns {*} - The extension data, or undefined when the object does not use the extension
+   */
+  function getExtension(object, name) {
+    const extensions = object && object.extensions;
+    if (!extensions || typeof extensions !== 'object' || !Object.prototype.hasOwnProperty.call(extensions, name)) {
+      return undefined;
+    }
+    return extensions[name];
+  }
+  
+  const XRAIExtensions = {
+    MIN_CUSTOM_SECTION_TYPE,
+    XRAIExtensionRegistry,
+    defaultRegistry,
+    getExtension
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIExtensions;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIExtensions = XRAIExtensions;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,178 @@
+/**
+ * XRAI Extract
+ * Unpack a container into a directory of files, and a manifest to pack it back
+ *
+ * The manifest is the JSON form of tools/xrai-text.js with every section in a file of its
+ * own, so containerFromJSON() rebuilds the exact bytes from the directory:
+ *
+ *   manifest.json
+ *   sections/metadata.json        JSON sections, indented; edit them and pack again
+ *   sections/geometry.lod0.json   sections of a repeated type are named after the section
+ *   sections/buffers.bin          binary sections as they are
+ *   meshes/<id>.glb               mesh geometry as binary glTF (or .obj), point clouds as .ply
+ *   splats/<id>.ply               splats in the 3D Gaussian splatting layout
+ *   textures/<name>.png           embedded images in their own format
+ *   audio/<name>.wav              embedded audio clips in their own format
+ *
+ * The files outside sections/ are exports for other tools (see tools/xrai-exporters.js),
+ * listed in manifest.assets; packing reads only the sections, so editing an export does
+ * not change the container. Export folders are named as in scene directories.
+ *
+ * Files from early encoders and files changed in place do not round-trip through JSON. Their
+ * sections are extracted as upgraded and compacted, so packing the directory gives the
+ * rewritten file; a file that cannot be rewritten gets its exports and no manifest.
+ */
+
+(function (root) {
+  'use strict';
+  
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const XRAIContainer = isNode ? require('./xrai-container') : root.XRAIContainer;
+  const XRAIBuffers = isNode ? require('./xrai-buffers') : root.XRAIBuffers;
+  const XRAIText = isNode ? require('./xrai-text') : root.XRAIText;
+  const XRAIMigrations = isNode ? require('./xrai-migrations') : root.XRAIMigrations;
+  const XRAIExporters = isNode ? require('./xrai-exporters') : root.XRAIExporters;
+  
+  const textEncoder = new TextEncoder();
+  
+  // Export folders of embedded media
+  const MEDIA_FOLDERS = {
+    images: { folder: 'textures', label: 'image' },
+    audio: { folder: 'audio', label: 'clip' }
+  };
+  
+  /**
+   * Make a string safe to use in a file name
+   * @param {string} text - Section name, id, ...
+   * @returns {string} - The text with other characters than letters, digits, '.', '-' and '_'
+   *   replaced by '_'
+   */
+  function sanitize(text) {
+    return String(text).replace(/[^\w.-]+/g, '_').replace(/^\.+/, '_');
+  }
+  
+  /**
+   * Collect files to write, giving each a path no other file in the list has
+   * @returns {Object} - { files, add(folder, base, extension, bytes) }; add returns the path
+   */
+  function createFileList() {
+    const files = [];
+    const used = new Set();
+    
+    const add = (folder, base, extension, bytes) => {
+      let candidate = `${folder}/${base}${extension}`;
+      for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+        candidate = `${folder}/${base}-${n}${extension}`;
+      }
+      used.add(candidate.toLowerCase());
+      files.push({ path: candidate, bytes });
+      return candidate;
+    };
+    
+    return { files, add };
+  }
+  
+  /**
+   * Write the manifest of a container, with every section in a file of its own
+   * @param {ArrayBuffer|ArrayBufferView} data - Container bytes
+   * @param {Object} options - codecs and limits
+   * @returns {Object} - { manifest, files }
+   */
+  function extractSections(data, options) {
+    const sections = createFileList();
+    const manifest = XRAIText.containerToJSON(data, {
+      codecs: options.codecs,
+      limits: options.limits,
+      sidecarJSON: true,
+      sidecar: (section, bytes, value) => {
+        let base = section.type || `section-${section.typeId}`;
+        if (section.name) {
+          base += `.${sanitize(section.name)}`;
+        }
+        if (value !== undefined) {
+          return sections.add('sections', base, '.json', textEncoder.encode(`${JSON.stringify(value, null, 2)}\n`));
+        }
+        return sections.add('sections', base, '.bin', bytes);
+      }
+    });
+    return { manifest, files: sections.files };
+  }
+  
+  /**
+   * Unpack a container into files
+   * @param {ArrayBuffer|ArrayBufferView} data - Container bytes
+   * @param {Object} options - Extraction options
+   * @param {Object} [options.document] - The container decoded already (e.g. with external
+   *   resources loaded); decoded from data when not given
+   * @param {string} [options.meshFormat='glb'] - glb or obj
+   * @param {XRAICodecRegistry} [options.codecs] - Codecs for compressed sections
+   * @param {Object} [options.limits] - Resource limits, overriding DEFAULT_LIMITS
+   * @returns {Object} - { manifest, files, warnings }: the manifest to write as manifest.json
+   *   (null when the file could not be rewritten to round-trip), [{ path, bytes }] to write
+   *   next to it, with '/' separated paths, and messages about a rewritten or missing manifest
+   */
+  function extractContainer(data, options = {}) {
+    options = { document: null, meshFormat: 'glb', codecs: undefined, limits: undefined, ...options };
+    if (options.meshFormat !== 'glb' && options.meshFormat !== 'obj') {
+      throw new Error(`Unknown mesh format: ${options.meshFormat} (expected glb or obj)`);
+    }
+    
+    const readerOptions = { codecs: options.codecs, limits: options.limits };
+    const warnings = [];
+    let sections = { manifest: null, files: [] };
+    try {
+      sections = extractSections(data, readerOptions);
+    } catch (error) {
+      try {
+        const rewritten = XRAIContainer.compact(XRAIMigrations.upgrade(data, readerOptions).bytes, readerOptions);
+        sections = extractSections(rewritten, readerOptions);
+        warnings.push('The file does not round-trip through JSON as it is; extracted its sections upgraded and compacted, which pack writes back');
+      } catch (rewriteError) {
+        warnings.push(`No manifest: ${rewriteError.message}`);
+      }
+    }
+    
+    const document = options.document || XRAIContainer.decode(data, readerOptions);
+    const exports = createFileList();
+    const assets = [];
+    
+    (Array.isArray(document.geometry) ? document.geometry : []).forEach((geometry, index) => {
+      const exported = XRAIExporters.exportGeometry(geometry, { meshFormat: options.meshFormat });
+      if (exported) {
+        const base = geometry.id !== undefined ? sanitize(geometry.id) : `geometry${index}`;
+        const file = exports.add(exported.folder, base, exported.extension, exported.bytes);
+        assets.push({ file, source: 'geometry', index, id: geometry.id });
+      }
+    });
+    
+    for (const [property, { folder, label }] of Object.entries(MEDIA_FOLDERS)) {
+      (Array.isArray(document[property]) ? document[property] : []).forEach((entry, index) => {
+        if (!entry || !XRAIBuffers.isTypedArray(entry.data)) {
+          return;
+        }
+        const base = typeof entry.name === 'string' && entry.name ? sanitize(entry.name) : `${label}${index}`;
+        const bytes = new Uint8Array(entry.data.buffer, entry.data.byteOffset, entry.data.byteLength);
+        const file = exports.add(folder, base, XRAIExporters.getMediaExtension(entry), bytes);
+        assets.push({ file, source: property, index, mimeType: entry.mimeType });
+      });
+    }
+    
+    const { manifest } = sections;
+    if (manifest) {
+      manifest.assets = assets;
+    }
+    return { manifest, files: [...sections.files, ...exports.files], warnings };
+  }
+  
+  const XRAIExtract = {
+    extractContainer
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIExtract;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIExtract = XRAIExtract;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
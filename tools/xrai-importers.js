@@ -0,0 +1,667 @@
+/**
+ * XRAI Importers
+ * Turn asset files (meshes, splats, textures, audio) into XRAI document entries
+ *
+ * An importer is a plain object:
+ *
+ *   {
+ *     name,                      // e.g. 'obj'
+ *     folders,                   // scene directory folders it reads: meshes, splats, textures, audio
+ *     extensions,                // file name extensions, lower case with the dot: ['.obj']
+ *     import(bytes, { id, path }) // Uint8Array => document entry
+ *   }
+ *
+ * Meshes and splats become geometry entries holding typed arrays, which the writer packs
+ * into accessors (see tools/xrai-buffers.js); textures become images and audio files audio
+ * clips, holding their encoded bytes in `data`. Built-in importers:
+ *
+ *   meshes    .obj (polygons are triangulated), .ply (faces make a mesh, no faces a point
+ *             cloud), .json (one XRAI geometry entry)
+ *   splats    .ply (3D Gaussian splatting: f_dc_*, opacity, scale_*, rot_*), .splat (32 bytes
+ *             per splat: position, scale, RGBA, rotation)
+ *   textures  .png, .jpg, .jpeg, .webp, .ktx2, .hdr
+ *   audio     .mp3, .ogg, .wav, .m4a, .flac
+ *
+ * Splats are stored with RGBA byte colors (opacity in alpha), linear scales and rotations
+ * as normalized (x, y, z, w) quaternions.
+ */
+
+(function (root) {
+  'use strict';
+  
+  // Media types by file name extension
+  const IMAGE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.ktx2': 'image/ktx2',
+    '.hdr': 'image/vnd.radiance'
+  };
+  
+  const AUDIO_TYPES = {
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+    '.wav': 'audio/wav',
+    '.m4a': 'audio/mp4',
+    '.flac': 'audio/flac'
+  };
+  
+  // PLY property types: byte size and DataView getter
+  const PLY_TYPES = {
+    char: [1, 'getInt8'], int8: [1, 'getInt8'],
+    uchar: [1, 'getUint8'], uint8: [1, 'getUint8'],
+    short: [2, 'getInt16'], int16: [2, 'getInt16'],
+    ushort: [2, 'getUint16'], uint16: [2, 'getUint16'],
+    int: [4, 'getInt32'], int32: [4, 'getInt32'],
+    uint: [4, 'getUint32'], uint32: [4, 'getUint32'],
+    float: [4, 'getFloat32'], float32: [4, 'getFloat32'],
+    double: [8, 'getFloat64'], float64: [8, 'getFloat64']
+  };
+  
+  // Zeroth order spherical harmonic coefficient, for the base color of splats
+  const SH_C0 = 0.28209479177387814;
+  
+  const SPLAT_RECORD_SIZE = 32;
+  
+  // Primitive mode for triangle lists (as in glTF)
+  const TRIANGLES = 4;
+  
+  const textDecoder = new TextDecoder();
+  
+  /**
+   * Holds the importers available to an encoder, keyed by folder and extension
+   */
+  class XRAIImporterRegistry {
+    constructor() {
+      this.importers = new Map();
+    }
+    
+    /**
+     * Register an importer, replacing any importer for the same folders and extensions
+     * @param {Object} importer - Importer definition (see the top of this file)
+     * @returns {XRAIImporterRegistry} - This registry, for chaining
+     */
+    register(importer) {
+      if (!importer || typeof importer.name !== 'string' || typeof importer.import !== 'function' ||
+          !Array.isArray(importer.folders) || !Array.isArray(importer.extensions)) {
+        throw new Error('Importer must have a name, folders, extensions and an import function');
+      }
+      
+      for (const folder of importer.folders) {
+        for (const extension of importer.extensions) {
+          this.importers.set(`${folder}:${extension.toLowerCase()}`, importer);
+        }
+      }
+      return this;
+    }
+    
+    /**
+     * Look up the importer for a file
+     * @param {string} folder - Scene directory folder (meshes, splats, textures, audio)
+     * @param {string} extension - File name extension with the dot, e.g. '.obj'
+     * @returns {Object|undefined} - The importer
+     */
+    get(folder, extension) {
+      return this.importers.get(`${folder}:${extension.toLowerCase()}`);
+    }
+    
+    /**
+     * List the extensions a folder has importers for
+     * @param {string} folder - Scene directory folder
+     * @returns {Array<string>} - Extensions, sorted
+     */
+    listExtensions(folder) {
+      return [...this.importers.keys()]
+        .filter(key => key.startsWith(`${folder}:`))
+        .map(key => key.slice(folder.length + 1))
+        .sort();
+    }
+    
+    /**
+     * Create a registry with the same importers, for adding importers locally
+     * @returns {XRAIImporterRegistry} - The new registry
+     */
+    clone() {
+      const registry = new XRAIImporterRegistry();
+      for (const [key, importer] of this.importers) {
+        registry.importers.set(key, importer);
+      }
+      return registry;
+    }
+  }
+  
+  /**
+   * Get the file name extension of a path
+   * @param {string} path - File path
+   * @returns {string} - Lower case extension with the dot, or '' when there is none
+   */
+  function getExtension(path) {
+    const match = /(\.[^./\\]+)$/.exec(path);
+    return match ? match[1].toLowerCase() : '';
+  }
+  
+  /**
+   * Pick an index array type wide enough for a vertex count
+   * @param {Array<number>} indices - Vertex indices
+   * @param {number} vertexCount - Number of vertices
+   * @returns {Uint16Array|Uint32Array} - The indices
+   */
+  function toIndexArray(indices, vertexCount) {
+    return vertexCount <= 0xFFFF ? Uint16Array.from(indices) : Uint32Array.from(indices);
+  }
+  
+  /**
+   * Parse a Wavefront OBJ file into a mesh
+   *
+   * Vertices are shared between faces that use the same position, texture coordinate and
+   * normal. Texture coordinates are flipped to a top-left origin, as in glTF.
+   *
+   * @param {string} text - OBJ source
+   * @param {string} [path='OBJ'] - File name, for error messages
+   * @returns {Object} - { attributes: { POSITION, NORMAL?, TEXCOORD_0? }, indices }
+   */
+  function parseOBJ(text, path = 'OBJ') {
+    const positions = [];
+    const texcoords = [];
+    const normals = [];
+    const faces = [];
+    
+    text.split(/\r?\n/).forEach((rawLine, lineIndex) => {
+      const line = rawLine.replace(/#.*/, '').trim();
+      if (line === '') {
+        return;
+      }
+      
+      const [keyword, ...values] = line.split(/\s+/);
+      const numbers = () => values.map(Number);
+      
+      switch (keyword) {
+        case 'v':
+          positions.push(numbers().slice(0, 3));
+          break;
+        case 'vt':
+          texcoords.push(numbers().slice(0, 2));
+          break;
+        case 'vn':
+          normals.push(numbers().slice(0, 3));
+          break;
+        case 'f':
+          if (values.length < 3) {
+            throw new Error(`${path} line ${lineIndex + 1}: a face needs at least 3 vertices`);
+          }
+          // Negative indices count back from the vertices defined so far
+          faces.push({ line: lineIndex + 1, vertices: values, counts: [positions.length, texcoords.length, normals.length] });
+          break;
+        default:
+          // Groups, objects, smoothing groups and materials are not imported
+          break;
+      }
+    });
+    
+    if (faces.length === 0) {
+      throw new Error(`${path} has no faces`);
+    }
+    
+    // Resolve a 1-based (or negative, relative) OBJ index
+    const resolve = (reference, list, count, kind, line) => {
+      if (reference === undefined || reference === '') {
+        return -1;
+      }
+      const number = Number(reference);
+      const index = number < 0 ? count + number : number - 1;
+      if (!Number.isInteger(number) || number === 0 || index < 0 || index >= list.length) {
+        throw new Error(`${path} line ${line}: face refers to ${kind} ${reference}, which does not exist`);
+      }
+      return index;
+    };
+    
+    const hasTexcoords = texcoords.length > 0 && faces.some(face => face.vertices.some(vertex => (vertex.split('/')[1] || '') !== ''));
+    const hasNormals = normals.length > 0 && faces.some(face => face.vertices.some(vertex => (vertex.split('/')[2] || '') !== ''));
+    
+    const vertexMap = new Map();
+    const position = [];
+    const normal = [];
+    const texcoord = [];
+    const indices = [];
+    
+    for (const face of faces) {
+      const corners = face.vertices.map(vertex => {
+        const [p, t, n] = vertex.split('/');
+        const [positionCount, texcoordCount, normalCount] = face.counts;
+        if (p === '') {
+          throw new Error(`${path} line ${face.line}: face vertex ${vertex} has no position`);
+        }
+        const resolved = [
+          resolve(p, positions, positionCount, 'vertex', face.line),
+          hasTexcoords ? resolve(t, texcoords, texcoordCount, 'texture coordinate', face.line) : -1,
+          hasNormals ? resolve(n, normals, normalCount, 'normal', face.line) : -1
+        ];
+        
+        const key = resolved.join('/');
+        if (vertexMap.has(key)) {
+          return vertexMap.get(key);
+        }
+        
+        position.push(...positions[resolved[0]]);
+        if (hasTexcoords) {
+          const uv = texcoords[resolved[1]] || [0, 0];
+          texcoord.push(uv[0], 1 - uv[1]);
+        }
+        if (hasNormals) {
+          normal.push(...(normals[resolved[2]] || [0, 0, 0]));
+        }
+        vertexMap.set(key, vertexMap.size);
+        return vertexMap.get(key);
+      });
+      
+      // Convex polygons become triangle fans
+      for (let i = 1; i < corners.length - 1; i++) {
+        indices.push(corners[0], corners[i], corners[i + 1]);
+      }
+    }
+    
+    const attributes = { POSITION: Float32Array.from(position) };
+    if (hasNormals) {
+      attributes.NORMAL = Float32Array.from(normal);
+    }
+    if (hasTexcoords) {
+      attributes.TEXCOORD_0 = Float32Array.from(texcoord);
+    }
+    
+    return { attributes, indices: toIndexArray(indices, vertexMap.size) };
+  }
+  
+  /**
+   * Parse a PLY file (ASCII or binary) into its elements
+   * @param {Uint8Array} bytes - PLY file
+   * @param {string} [path='PLY'] - File name, for error messages
+   * @returns {Object} - { elementName: { count, properties: { name: Array<number> | Array<Array<number>> } } }
+   */
+  function parsePLY(bytes, path = 'PLY') {
+    // The header is ASCII and ends with the end_header line
+    const headerText = textDecoder.decode(bytes.subarray(0, Math.min(bytes.byteLength, 65536)));
+    const headerEnd = /end_header\r?\n/.exec(headerText);
+    if (!headerText.startsWith('ply') || !headerEnd) {
+      throw new Error(`${path} is not a PLY file`);
+    }
+    
+    let format = null;
+    const elements = [];
+    for (const line of headerText.slice(0, headerEnd.index).split(/\r?\n/)) {
+      const [keyword, ...values] = line.trim().split(/\s+/);
+      if (keyword === 'format') {
+        format = values[0];
+      } else if (keyword === 'element') {
+        const count = Number(values[1]);
+        if (!Number.isInteger(count) || count < 0) {
+          throw new Error(`${path}: element ${values[0]} has an invalid count ${values[1]}`);
+        }
+        elements.push({ name: values[0], count, properties: [] });
+      } else if (keyword === 'property') {
+        const element = elements[elements.length - 1];
+        const property = values[0] === 'list'
+          ? { countType: values[1], type: values[2], name: values[3] }
+          : { type: values[0], name: values[1] };
+        for (const type of [property.countType, property.type]) {
+          if (type !== undefined && !PLY_TYPES[type]) {
+            throw new Error(`${path}: unknown property type ${type}`);
+          }
+        }
+        if (!element) {
+          throw new Error(`${path}: property ${property.name} comes before any element`);
+        }
+        element.properties.push(property);
+      }
+    }
+    
+    if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(format)) {
+      throw new Error(`${path}: unsupported PLY format ${format}`);
+    }
+    
+    const result = {};
+    for (const element of elements) {
+      result[element.name] = { count: element.count, properties: {} };
+      for (const property of element.properties) {
+        result[element.name].properties[property.name] = new Array(element.count);
+      }
+    }
+    
+    // Byte offset of the body, counting the header in bytes rather than characters
+    const bodyOffset = new TextEncoder().encode(headerText.slice(0, headerEnd.index + headerEnd[0].length)).byteLength;
+    
+    if (format === 'ascii') {
+      const tokens = textDecoder.decode(bytes.subarray(bodyOffset)).split(/\s+/).filter(token => token !== '');
+      let position = 0;
+      const next = () => {
+        if (position >= tokens.length) {
+          throw new Error(`${path} ends before all its elements were read`);
+        }
+        return Number(tokens[position++]);
+      };
+      
+      for (const element of elements) {
+        const values = result[element.name].properties;
+        for (let i = 0; i < element.count; i++) {
+          for (const property of element.properties) {
+            if (property.countType) {
+              const count = next();
+              values[property.name][i] = Array.from({ length: count }, next);
+            } else {
+              values[property.name][i] = next();
+            }
+          }
+        }
+      }
+      return result;
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const littleEndian = format === 'binary_little_endian';
+    let offset = bodyOffset;
+    const read = type => {
+      const [size, getter] = PLY_TYPES[type];
+      if (offset + size > bytes.byteLength) {
+        throw new Error(`${path} ends before all its elements were read`);
+      }
+      const value = view[getter](offset, littleEndian);
+      offset += size;
+      return value;
+    };
+    
+    for (const element of elements) {
+      const values = result[element.name].properties;
+      for (let i = 0; i < element.count; i++) {
+        for (const property of element.properties) {
+          if (property.countType) {
+            const count = read(property.countType);
+            const list = new Array(count);
+            for (let j = 0; j < count; j++) {
+              list[j] = read(property.type);
+            }
+            values[property.name][i] = list;
+          } else {
+            values[property.name][i] = read(property.type);
+          }
+        }
+      }
+    }
+    return result;
+  }
+  
+  /**
+   * Interleave PLY vertex properties into one array
+   * @param {Object} properties - Vertex properties from parsePLY
+   * @param {Array<string>} names - Property names, one per component
+   * @param {Function} ArrayType - Typed array constructor
+   * @param {Function} [convert] - (value, component) => stored value
+   * @returns {TypedArray|null} - The array, or null when a property is missing
+   */
+  function interleave(properties, names, ArrayType, convert = value => value) {
+    if (!names.every(name => properties[name])) {
+      return null;
+    }
+    const count = properties[names[0]].length;
+    const array = new ArrayType(count * names.length);
+    for (let i = 0; i < count; i++) {
+      names.forEach((name, component) => {
+        array[i * names.length + component] = convert(properties[name][i], component);
+      });
+    }
+    return array;
+  }
+  
+  /**
+   * Find the first set of property names a PLY vertex element has
+   * @param {Object} properties - Vertex properties from parsePLY
+   * @param {Array<Array<string>>} candidates - Property name sets, in order of preference
+   * @returns {Array<string>|null} - The names
+   */
+  function findProperties(properties, candidates) {
+    return candidates.find(names => names.every(name => properties[name])) || null;
+  }
+  
+  /**
+   * Get the byte RGBA colors of PLY vertices
+   * @param {Object} properties - Vertex properties from parsePLY
+   * @returns {Uint8Array|null} - Colors, with alpha 255 when the file has none
+   */
+  function getVertexColors(properties) {
+    const names = findProperties(properties, [['red', 'green', 'blue', 'alpha'], ['red', 'green', 'blue']]);
+    if (!names) {
+      return null;
+    }
+    const colors = interleave(properties, ['red', 'green', 'blue', names[3] || 'red'], Uint8Array);
+    if (!names[3]) {
+      for (let i = 3; i < colors.length; i += 4) {
+        colors[i] = 255;
+      }
+    }
+    return colors;
+  }
+  
+  /**
+   * Convert the vertices of a 3D Gaussian splatting PLY file into a splat geometry entry
+   * @param {Object} properties - Vertex properties from parsePLY
+   * @param {string} id - Geometry id
+   * @returns {Object} - Splat geometry entry
+   */
+  function convertGaussianPLY(properties, id) {
+    const count = properties.x.length;
+    const clampByte = value => Math.max(0, Math.min(255, Math.round(value * 255)));
+    
+    const colors = new Uint8Array(count * 4);
+    const scales = new Float32Array(count * 3);
+    const rotations = new Float32Array(count * 4);
+    for (let i = 0; i < count; i++) {
+      for (let c = 0; c < 3; c++) {
+        colors[i * 4 + c] = clampByte(0.5 + SH_C0 * properties[`f_dc_${c}`][i]);
+        scales[i * 3 + c] = Math.exp(properties[`scale_${c}`][i]);
+      }
+      colors[i * 4 + 3] = clampByte(1 / (1 + Math.exp(-properties.opacity[i])));
+      
+      // rot_0 is w; stored as (x, y, z, w)
+      const [w, x, y, z] = [0, 1, 2, 3].map(c => properties[`rot_${c}`][i]);
+      const length = Math.hypot(x, y, z, w) || 1;
+      rotations.set([x / length, y / length, z / length, w / length], i * 4);
+    }
+    
+    return {
+      id,
+      type: 'splat',
+      splatCount: count,
+      positions: interleave(properties, ['x', 'y', 'z'], Float32Array),
+      colors,
+      scales,
+      rotations
+    };
+  }
+  
+  /**
+   * Import a PLY file as a mesh, a point cloud or Gaussian splats
+   * @param {Uint8Array} bytes - PLY file
+   * @param {Object} context - { id, path }
+   * @returns {Object} - Geometry entry
+   */
+  function importPLY(bytes, context) {
+    const ply = parsePLY(bytes, context.path);
+    const vertex = ply.vertex;
+    if (!vertex || !['x', 'y', 'z'].every(name => vertex.properties[name])) {
+      throw new Error(`${context.path} has no vertex positions (x, y, z)`);
+    }
+    const properties = vertex.properties;
+    
+    const gaussian = ['f_dc_0', 'f_dc_1', 'f_dc_2', 'opacity', 'scale_0', 'scale_1', 'scale_2', 'rot_0', 'rot_1', 'rot_2', 'rot_3'];
+    if (gaussian.every(name => properties[name])) {
+      return convertGaussianPLY(properties, context.id);
+    }
+    
+    const positions = interleave(properties, ['x', 'y', 'z'], Float32Array);
+    const normals = interleave(properties, ['nx', 'ny', 'nz'], Float32Array);
+    const colors = getVertexColors(properties);
+    const faces = ply.face && (ply.face.properties.vertex_indices || ply.face.properties.vertex_index);
+    
+    if (!faces || faces.length === 0) {
+      const entry = { id: context.id, type: 'points', pointCount: vertex.count, positions };
+      if (colors) {
+        entry.colors = colors;
+      }
+      if (normals) {
+        entry.normals = normals;
+      }
+      return entry;
+    }
+    
+    const indices = [];
+    faces.forEach((face, faceIndex) => {
+      for (const index of face) {
+        if (!Number.isInteger(index) || index < 0 || index >= vertex.count) {
+          throw new Error(`${context.path}: face ${faceIndex} refers to vertex ${index}, which does not exist`);
+        }
+      }
+      for (let i = 1; i < face.length - 1; i++) {
+        indices.push(face[0], face[i], face[i + 1]);
+      }
+    });
+    
+    const attributes = { POSITION: positions };
+    if (normals) {
+      attributes.NORMAL = normals;
+    }
+    const uvNames = findProperties(properties, [['s', 't'], ['u', 'v'], ['texture_u', 'texture_v']]);
+    if (uvNames) {
+      attributes.TEXCOORD_0 = interleave(properties, uvNames, Float32Array, (value, component) => (component === 1 ? 1 - value : value));
+    }
+    if (colors) {
+      attributes.COLOR_0 = colors;
+    }
+    
+    return {
+      id: context.id,
+      type: 'mesh',
+      primitives: [{ attributes, indices: toIndexArray(indices, vertex.count), mode: TRIANGLES }]
+    };
+  }
+  
+  /**
+   * Import a .splat file: 32-byte records of position (3 floats), scale (3 floats),
+   * RGBA (4 bytes) and rotation (4 bytes, w first, mapped from 0-255 to -1-1)
+   * @param {Uint8Array} bytes - .splat file
+   * @param {Object} context - { id, path }
+   * @returns {Object} - Splat geometry entry
+   */
+  function importSplat(bytes, context) {
+    if (bytes.byteLength % SPLAT_RECORD_SIZE !== 0) {
+      throw new Error(`${context.path} is ${bytes.byteLength} bytes, not a multiple of the ${SPLAT_RECORD_SIZE}-byte splat record`);
+    }
+    
+    const count = bytes.byteLength / SPLAT_RECORD_SIZE;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const positions = new Float32Array(count * 3);
+    const scales = new Float32Array(count * 3);
+    const colors = new Uint8Array(count * 4);
+    const rotations = new Float32Array(count * 4);
+    
+    for (let i = 0; i < count; i++) {
+      const offset = i * SPLAT_RECORD_SIZE;
+      for (let c = 0; c < 3; c++) {
+        positions[i * 3 + c] = view.getFloat32(offset + c * 4, true);
+        scales[i * 3 + c] = view.getFloat32(offset + 12 + c * 4, true);
+      }
+      colors.set(bytes.subarray(offset + 24, offset + 28), i * 4);
+      
+      const [w, x, y, z] = [0, 1, 2, 3].map(c => (bytes[offset + 28 + c] - 128) / 128);
+      const length = Math.hypot(x, y, z, w) || 1;
+      rotations.set([x / length, y / length, z / length, w / length], i * 4);
+    }
+    
+    return { id: context.id, type: 'splat', splatCount: count, positions, colors, scales, rotations };
+  }
+  
+  const objImporter = {
+    name: 'obj',
+    folders: ['meshes'],
+    extensions: ['.obj'],
+    import(bytes, context) {
+      const { attributes, indices } = parseOBJ(textDecoder.decode(bytes), context.path);
+      return {
+        id: context.id,
+        type: 'mesh',
+        primitives: [{ attributes, indices, mode: TRIANGLES }]
+      };
+    }
+  };
+  
+  const plyImporter = {
+    name: 'ply',
+    folders: ['meshes', 'splats'],
+    extensions: ['.ply'],
+    import: importPLY
+  };
+  
+  const splatImporter = {
+    name: 'splat',
+    folders: ['splats'],
+    extensions: ['.splat'],
+    import: importSplat
+  };
+  
+  const geometryJSONImporter = {
+    name: 'json',
+    folders: ['meshes'],
+    extensions: ['.json'],
+    import(bytes, context) {
+      const entry = JSON.parse(textDecoder.decode(bytes));
+      if (entry === null || typeof entry !== 'object' || Array.isArray(entry) || typeof entry.type !== 'string') {
+        throw new Error(`${context.path} must hold one geometry entry, an object with a type`);
+      }
+      return { ...entry, id: context.id };
+    }
+  };
+  
+  const imageImporter = {
+    name: 'image',
+    folders: ['textures'],
+    extensions: Object.keys(IMAGE_TYPES),
+    import(bytes, context) {
+      return { name: context.id, mimeType: IMAGE_TYPES[getExtension(context.path)], data: bytes };
+    }
+  };
+  
+  const audioImporter = {
+    name: 'audio',
+    folders: ['audio'],
+    extensions: Object.keys(AUDIO_TYPES),
+    import(bytes, context) {
+      return { name: context.id, mimeType: AUDIO_TYPES[getExtension(context.path)], data: bytes };
+    }
+  };
+  
+  const defaultRegistry = new XRAIImporterRegistry()
+    .register(objImporter)
+    .register(plyImporter)
+    .register(splatImporter)
+    .register(geometryJSONImporter)
+    .register(imageImporter)
+    .register(audioImporter);
+  
+  const XRAIImporters = {
+    IMAGE_TYPES,
+    AUDIO_TYPES,
+    XRAIImporterRegistry,
+    defaultRegistry,
+    getExtension,
+    parseOBJ,
+    parsePLY,
+    importPLY,
+    importSplat
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIImporters;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIImporters = XRAIImporters;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
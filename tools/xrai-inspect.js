@@ -0,0 +1,574 @@
+/**
+ * XRAI Inspect
+ * Describes the container structure of an XRAI file: header, table of contents and sections
+ *
+ * inspectContainer() returns a report that `xrai inspect --json` prints as it is:
+ *
+ *   {
+ *     fileSize,
+ *     header: { magic, version, flags, flagNames, tocOffset },
+ *     toc: { offset, size, count },
+ *     digest,                  // 'ok', 'mismatch' or 'none' (no integrity section)
+ *     unusedBytes,             // bytes no header, TOC or section covers, less alignment padding
+ *     sections: [{
+ *       index, type, typeId, name,
+ *       offset, size,
+ *       padding,               // bytes between the end of the section and whatever comes next
+ *       aligned,               // offset is a multiple of SECTION_ALIGNMENT
+ *       flags, flagNames,
+ *       compression,           // null, or { algorithm, codec, uncompressedSize, ratio }
+ *       checksum,              // 'ok', 'mismatch' or 'none'
+ *       summary,               // per type, e.g. { count, types, items } for geometry; null for unknown types
+ *       error                  // why the section could not be read, or null
+ *     }]
+ *   }
+ *
+ * Sections are read one at a time and summarized without building the decoded document,
+ * so a section that fails to decompress or parse is reported and the others still are.
+ * inspectHandle() gives the same report for a file opened with tools/xrai-sources.js,
+ * without reading it into memory. formatReport() gives the text form and hexDump() the
+ * bytes of one section.
+ */
+
+(function (root) {
+  'use strict';
+  
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const XRAIContainer = isNode ? require('./xrai-container') : root.XRAIContainer;
+  const XRAICodecs = isNode ? require('./xrai-codecs') : root.XRAICodecs;
+  
+  const {
+    HEADER_SIZE,
+    TOC_HEADER_SIZE,
+    TOC_ENTRY_SIZE,
+    SECTION_ALIGNMENT,
+    HEADER_FLAGS,
+    SECTION_FLAGS,
+    XRAIContainerReader
+  } = XRAIContainer;
+  
+  /**
+   * Name the bits set in a flags field
+   * @param {number} flags - Flags value
+   * @param {Object} names - Bit values by name
+   * @returns {Array<string>} - Names of the set bits, then BIT_<n> for bits without a name
+   */
+  function getFlagNames(flags, names) {
+    const result = [];
+    let known = 0;
+    
+    for (const [name, bit] of Object.entries(names)) {
+      known |= bit;
+      if (flags & bit) {
+        result.push(name);
+      }
+    }
+    for (let bit = 0; bit < 32; bit++) {
+      if ((flags & ~known) & (1 << bit)) {
+        result.push(`BIT_${bit}`);
+      }
+    }
+    return result;
+  }
+  
+  /**
+   * Get the name of a compression algorithm ID
+   * @param {number} algorithm - Algorithm ID from the section flags
+   * @param {XRAICodecRegistry} codecs - Registered codecs
+   * @returns {string} - Codec name, e.g. deflate or "algorithm 9"
+   */
+  function getCodecName(algorithm, codecs) {
+    if (codecs.has(algorithm)) {
+      return codecs.get(algorithm).name;
+    }
+    const name = Object.keys(XRAICodecs.ALGORITHMS).find(key => XRAICodecs.ALGORITHMS[key] === algorithm);
+    return name || `algorithm ${algorithm}`;
+  }
+  
+  /**
+   * Count the entries of a list by a property
+   * @param {Array<Object>} list - Entries
+   * @param {string} key - Property to count by
+   * @returns {Object} - Count by property value
+   */
+  function countBy(list, key) {
+    const counts = {};
+    for (const entry of list) {
+      const value = entry && entry[key] !== undefined ? String(entry[key]) : 'unknown';
+      counts[value] = (counts[value] || 0) + 1;
+    }
+    return counts;
+  }
+  
+  /**
+   * Get the ids of a list of entries
+   * @param {Array<Object>} list - Entries
+   * @returns {Array<string|null>} - id, or name, of each entry
+   */
+  function listIds(list) {
+    return list.map(entry => (entry && (entry.id !== undefined ? entry.id : entry.name)) || null);
+  }
+  
+  /**
+   * Describe the size of one geometry entry
+   * @param {Object} geometry - Geometry entry
+   * @returns {Object} - id, type and the counts that apply to the type
+   */
+  function summarizeGeometry(geometry) {
+    const item = { id: geometry.id !== undefined ? geometry.id : null, type: geometry.type || null };
+    
+    if (Array.isArray(geometry.primitives)) {
+      item.primitives = geometry.primitives.length;
+    }
+    if (Number.isInteger(geometry.splatCount)) {
+      item.splats = geometry.splatCount;
+    }
+    if (Number.isInteger(geometry.pointCount)) {
+      item.points = geometry.pointCount;
+    }
+    if (Array.isArray(geometry.resolution)) {
+      item.resolution = geometry.resolution;
+    }
+    if (geometry.networkArchitecture !== undefined) {
+      item.network = geometry.networkArchitecture;
+    }
+    return item;
+  }
+  
+  // Summaries of section values by type; other types get summarizeValue
+  const SECTION_SUMMARIES = {
+    metadata: value => ({
+      keys: Object.keys(value),
+      title: (value.metadata && value.metadata.title) || value.title || null,
+      generator: (value.asset && value.asset.generator) || null
+    }),
+    geometry: list => ({
+      count: list.length,
+      types: countBy(list, 'type'),
+      items: list.map(summarizeGeometry)
+    }),
+    materials: list => ({ count: list.length, ids: listIds(list) }),
+    animations: list => ({ count: list.length, ids: listIds(list) }),
+    aiComponents: value => {
+      const counts = {};
+      for (const [key, entry] of Object.entries(value)) {
+        counts[key] = Array.isArray(entry) ? entry.length : 1;
+      }
+      return { counts };
+    },
+    images: list => ({
+      count: list.length,
+      external: list.filter(image => image && typeof image.uri === 'string' && !/^data:/i.test(image.uri)).length,
+      mimeTypes: countBy(list, 'mimeType')
+    }),
+    integrity: value => ({
+      checksums: Array.isArray(value.crc32) ? value.crc32.filter(crc => crc !== null).length : 0,
+      sha256: value.sha256 || null
+    }),
+    strings: value => ({ names: Array.isArray(value.names) ? value.names.filter(name => name !== null).length : 0 })
+  };
+  
+  // Types whose summary takes a list; the others take an object
+  const LIST_SUMMARIES = new Set(['geometry', 'materials', 'animations', 'images']);
+  
+  /**
+   * Summarize a section value of a type without its own summary
+   * @param {*} value - Section value
+   * @returns {Object} - count and ids of a list, keys of an object, bytes of binary data
+   */
+  function summarizeValue(value) {
+    if (ArrayBuffer.isView(value)) {
+      return { bytes: value.byteLength };
+    }
+    if (Array.isArray(value)) {
+      return { count: value.length, ids: listIds(value) };
+    }
+    if (value !== null && typeof value === 'object') {
+      return { keys: Object.keys(value) };
+    }
+    return { value };
+  }
+  
+  /**
+   * Summarize a section
+   * @param {Object} section - Section entry
+   * @param {*} value - Section value, as returned by XRAIContainerReader#readSection
+   * @returns {Object|null} - Summary, or null for sections of unknown types
+   */
+  function summarizeSection(section, value) {
+    if (!section.type) {
+      return null;
+    }
+    const summarize = SECTION_SUMMARIES[section.type];
+    const shaped = LIST_SUMMARIES.has(section.type)
+      ? Array.isArray(value)
+      : value !== null && typeof value === 'object' && !Array.isArray(value) && !ArrayBuffer.isView(value);
+    return summarize && shaped ? summarize(value) : summarizeValue(value);
+  }
+  
+  /**
+   * Work out the padding after each section and the bytes nothing covers
+   * @param {Object} header - Parsed header
+   * @param {Array<Object>} sections - Section entries
+   * @param {number} fileSize - File size
+   * @returns {Object} - tocSize, paddingAfter (Map of padding by TOC index) and unusedBytes
+   */
+  function describeLayout(header, sections, fileSize) {
+    const tocSize = TOC_HEADER_SIZE + sections.length * TOC_ENTRY_SIZE;
+    const regions = [
+      { start: 0, end: HEADER_SIZE },
+      { start: header.tocOffset, end: header.tocOffset + tocSize },
+      ...sections.map(section => ({ start: section.offset, end: section.offset + section.size, section }))
+    ].sort((a, b) => a.start - b.start || a.end - b.end);
+    
+    // Bytes up to the next region, or the end of the file
+    const paddingAfter = new Map();
+    let unusedBytes = 0;
+    regions.forEach((region, index) => {
+      const next = index + 1 < regions.length ? regions[index + 1].start : fileSize;
+      const gap = Math.max(0, next - region.end);
+      if (region.section) {
+        paddingAfter.set(region.section.index, gap);
+      }
+      if (gap >= SECTION_ALIGNMENT) {
+        unusedBytes += gap;
+      }
+    });
+    
+    return { tocSize, paddingAfter, unusedBytes };
+  }
+  
+  /**
+   * Describe one section from its stored bytes
+   * @param {Object} section - Section entry
+   * @param {number} padding - Bytes after the section
+   * @param {Function} getStored - () => stored bytes of the section; called once, and may throw
+   * @param {Object|null} table - Integrity table, or null
+   * @param {Object} options - inspectContainer options
+   * @returns {Object} - Section entry of the report
+   */
+  function describeSection(section, padding, getStored, table, options) {
+    const entry = {
+      index: section.index,
+      type: section.type,
+      typeId: section.typeId,
+      name: section.name || null,
+      offset: section.offset,
+      size: section.size,
+      padding,
+      aligned: section.offset % SECTION_ALIGNMENT === 0,
+      flags: section.flags,
+      flagNames: getFlagNames(section.flags & ~SECTION_FLAGS.ALGORITHM_MASK, {
+        COMPRESSED: SECTION_FLAGS.COMPRESSED,
+        EXTERNAL_REFERENCES: SECTION_FLAGS.EXTERNAL_REFERENCES
+      }),
+      compression: null,
+      checksum: 'none',
+      summary: null,
+      error: null
+    };
+    
+    // Early encoders wrote the algorithm into bits 8-15, which are then not flag bits
+    if (XRAIContainer.getCompressionAlgorithm(section.flags) !== 0 && (section.flags & SECTION_FLAGS.ALGORITHM_MASK) === 0) {
+      entry.flagNames = entry.flagNames.filter(name => !/^BIT_(8|9|1[0-5])$/.test(name));
+    }
+    
+    try {
+      const stored = getStored();
+      
+      if (table && table.crc32[section.index] !== null && table.crc32[section.index] !== undefined) {
+        entry.checksum = XRAIContainer.verifySectionChecksum(table, section, stored) ? 'mismatch' : 'ok';
+      }
+      
+      // Early encoders set the compressed bit on stored sections too
+      const algorithm = XRAIContainer.getCompressionAlgorithm(section.flags);
+      let payload = stored;
+      if (algorithm !== 0) {
+        entry.compression = { algorithm, codec: getCodecName(algorithm, options.codecs), uncompressedSize: null, ratio: null };
+        payload = XRAIContainer.decompressSection(stored, section, options.codecs, options.limits);
+        entry.compression.uncompressedSize = payload.byteLength;
+        entry.compression.ratio = section.size > 0 ? payload.byteLength / section.size : null;
+      }
+      if (options.summaries) {
+        const value = XRAIContainer.decodeSectionPayload(section.type, payload, options.limits, section.index, options.extensions);
+        entry.summary = summarizeSection(section, value);
+      }
+    } catch (error) {
+      entry.error = error.code ? `${error.code}: ${error.message}` : error.message;
+    }
+    
+    return entry;
+  }
+  
+  /**
+   * Put a report together
+   * @param {Object} header - Parsed header
+   * @param {Object} layout - From describeLayout
+   * @param {number} fileSize - File size
+   * @param {string} digest - 'ok', 'mismatch' or 'none'
+   * @param {Array<Object>} sections - Section entries of the report
+   * @returns {Object} - Report (see the top of this file)
+   */
+  function buildReport(header, layout, fileSize, digest, sections) {
+    return {
+      fileSize,
+      header: {
+        magic: header.magic,
+        version: header.version,
+        flags: header.flags,
+        flagNames: getFlagNames(header.flags, HEADER_FLAGS),
+        tocOffset: header.tocOffset
+      },
+      toc: { offset: header.tocOffset, size: layout.tocSize, count: sections.length },
+      digest,
+      unusedBytes: layout.unusedBytes,
+      sections
+    };
+  }
+  
+  /**
+   * Describe the structure of a container
+   * @param {ArrayBuffer|ArrayBufferView} data - Container bytes
+   * @param {Object} options - Reader options (codecs, limits, extensions)
+   * @param {boolean} [options.summaries=true] - Read every section to summarize it
+   * @returns {Object} - Report (see the top of this file)
+   */
+  function inspectContainer(data, options = {}) {
+    const { summaries = true, ...readerOptions } = options;
+    const reader = new XRAIContainerReader(data, { ...readerOptions, corruptSections: 'ignore' });
+    const sectionOptions = {
+      summaries,
+      codecs: XRAIContainer.resolveCodecs(readerOptions.codecs),
+      limits: reader.limits,
+      extensions: readerOptions.extensions
+    };
+    const { header } = reader;
+    
+    let table = null;
+    try {
+      table = reader.getIntegrityTable();
+    } catch (error) {
+      table = null;
+    }
+    
+    const fileSize = reader.bytes.byteLength;
+    const layout = describeLayout(header, reader.sections, fileSize);
+    const sections = reader.sections.map(section => describeSection(
+      section,
+      layout.paddingAfter.get(section.index),
+      () => reader.getSectionBytes(section.index),
+      table,
+      sectionOptions
+    ));
+    
+    let digest = 'none';
+    if (table) {
+      digest = reader.computeDigest() === table.sha256 ? 'ok' : 'mismatch';
+    }
+    
+    return buildReport(header, layout, fileSize, digest, sections);
+  }
+  
+  /**
+   * Describe the structure of a file opened with XRAISources.open (tools/xrai-sources.js)
+   *
+   * The same report as inspectContainer, for files of any size: the header and table of
+   * contents come from the handle, sections are read one at a time and the digest is
+   * computed window by window. Open the handle with corruptSections: 'ignore', so sections
+   * failing their checksum are still summarized.
+   *
+   * @param {XRAIHandle} handle - Handle to the file
+   * @param {Object} options - Options
+   * @param {boolean} [options.summaries=true] - Read every section to summarize it
+   * @returns {Promise<Object>} - Report (see the top of this file)
+   */
+  async function inspectHandle(handle, options = {}) {
+    const { summaries = true } = options;
+    const sectionOptions = {
+      summaries,
+      codecs: XRAIContainer.resolveCodecs(handle.options.codecs),
+      limits: handle.limits,
+      extensions: handle.options.extensions
+    };
+    const { header } = handle;
+    
+    let table = null;
+    const integrity = handle.findSection('integrity');
+    if (integrity) {
+      try {
+        const bytes = await handle.getSectionRaw(integrity.index);
+        table = XRAIContainer.checkIntegrityTable(
+          XRAIContainer.decodeSectionPayload('integrity', bytes, handle.limits, integrity.index),
+          handle.sections.length
+        );
+      } catch (error) {
+        table = null;
+      }
+    }
+    
+    const fileSize = handle.fileSize;
+    const layout = describeLayout(header, handle.sections, fileSize);
+    const sections = [];
+    for (const section of handle.sections) {
+      let stored = null;
+      let readError = null;
+      try {
+        stored = await handle.getSectionRaw(section.index);
+      } catch (error) {
+        readError = error;
+      }
+      sections.push(describeSection(
+        section,
+        layout.paddingAfter.get(section.index),
+        () => {
+          if (readError) {
+            throw readError;
+          }
+          return stored;
+        },
+        table,
+        sectionOptions
+      ));
+    }
+    
+    let digest = 'none';
+    if (table) {
+      digest = (await handle.computeDigest()) === table.sha256 ? 'ok' : 'mismatch';
+    }
+    
+    return buildReport(header, layout, fileSize, digest, sections);
+  }
+  
+  /**
+   * Describe a section summary in one line
+   * @param {Object} summary - Section summary
+   * @returns {Array<string>} - The summary line, then one line per geometry item
+   */
+  function formatSummary(summary) {
+    const parts = [];
+    const lines = [];
+    
+    for (const [key, value] of Object.entries(summary)) {
+      if (key === 'items') {
+        for (const item of value) {
+          const details = Object.entries(item)
+            .filter(([name]) => name !== 'id' && name !== 'type')
+            .map(([name, count]) => `${Array.isArray(count) ? count.join('x') : count} ${name}`);
+          lines.push(`      ${item.id || '(no id)'} (${item.type || 'unknown'})${details.length > 0 ? `: ${details.join(', ')}` : ''}`);
+        }
+      } else if (Array.isArray(value)) {
+        const shown = value.slice(0, 8).map(entry => (entry === null ? '-' : entry)).join(', ');
+        parts.push(`${key} ${shown}${value.length > 8 ? `, ... (${value.length})` : ''}`);
+      } else if (value !== null && typeof value === 'object' && Object.keys(value).length > 0) {
+        parts.push(`${key} ${Object.entries(value).map(([name, count]) => `${name} ${count}`).join(', ')}`);
+      } else if (value !== null && typeof value !== 'object') {
+        parts.push(`${key} ${typeof value === 'string' ? JSON.stringify(value) : value}`);
+      }
+    }
+    
+    return [parts.length > 0 ? parts.join('; ') : 'empty', ...lines];
+  }
+  
+  /**
+   * Pad the columns of a table
+   * @param {Array<Array<string>>} rows - Cells, the first row being the column titles
+   * @returns {Array<string>} - Lines
+   */
+  function formatTable(rows) {
+    const widths = rows[0].map((title, column) => Math.max(...rows.map(row => row[column].length)));
+    return rows.map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+  }
+  
+  /**
+   * Format a report as text
+   * @param {Object} report - Report from inspectContainer
+   * @returns {string} - Header, table of contents and section summaries
+   */
+  function formatReport(report) {
+    const { header } = report;
+    const hex = (value, digits) => `0x${value.toString(16).padStart(digits, '0')}`;
+    const lines = [
+      'Header:',
+      `  Magic: ${header.magic}`,
+      `  Version: ${header.version.major}.${header.version.minor}`,
+      `  Flags: ${hex(header.flags, 4)}${header.flagNames.length > 0 ? ` (${header.flagNames.join(', ')})` : ''}`,
+      `  TOC: offset ${report.toc.offset}, ${report.toc.size} bytes, ${report.toc.count} sections`,
+      `  File: ${report.fileSize} bytes, ${report.unusedBytes} unused, digest ${report.digest}`,
+      '',
+      'Table of Contents:'
+    ];
+    
+    const rows = [['#', 'Type', 'Name', 'Offset', 'Size', 'Pad', 'Flags', 'Compression', 'Checksum']];
+    for (const section of report.sections) {
+      const compression = section.compression;
+      rows.push([
+        String(section.index),
+        section.type || `unknown_${section.typeId}`,
+        section.name || '-',
+        `${section.offset}${section.aligned ? '' : '*'}`,
+        String(section.size),
+        String(section.padding),
+        `${hex(section.flags, 2)}${section.flagNames.length > 0 ? ` ${section.flagNames.join('|')}` : ''}`,
+        compression
+          ? `${compression.codec}${compression.ratio !== null ? ` ${compression.ratio.toFixed(2)}x (${compression.uncompressedSize} bytes)` : ''}`
+          : '-',
+        section.checksum
+      ]);
+    }
+    lines.push(...formatTable(rows).map(line => `  ${line}`));
+    if (report.sections.some(section => !section.aligned)) {
+      lines.push(`  * not aligned to ${SECTION_ALIGNMENT} bytes`);
+    }
+    
+    lines.push('', 'Sections:');
+    for (const section of report.sections) {
+      const label = `  ${section.index} ${section.type || `unknown_${section.typeId}`}${section.name ? ` "${section.name}"` : ''}`;
+      if (section.error) {
+        lines.push(`${label}: error: ${section.error}`);
+      } else if (section.summary) {
+        const [summary, ...items] = formatSummary(section.summary);
+        lines.push(`${label}: ${summary}`, ...items);
+      } else {
+        lines.push(`${label}: ${section.size} bytes`);
+      }
+    }
+    
+    return lines.join('\n');
+  }
+  
+  /**
+   * Format bytes as a hex dump, 16 bytes per line with their offset and printable characters
+   * @param {Uint8Array} bytes - Bytes to dump
+   * @param {number} [offset=0] - Offset of the first byte, as shown in the first column
+   * @returns {string} - Hex dump
+   */
+  function hexDump(bytes, offset = 0) {
+    const lines = [];
+    
+    for (let start = 0; start < bytes.byteLength; start += 16) {
+      const row = bytes.subarray(start, Math.min(start + 16, bytes.byteLength));
+      const hex = Array.from(row, byte => byte.toString(16).padStart(2, '0'));
+      const text = Array.from(row, byte => (byte >= 0x20 && byte < 0x7F ? String.fromCharCode(byte) : '.')).join('');
+      lines.push(`${(offset + start).toString(16).padStart(8, '0')}  ${hex.slice(0, 8).join(' ').padEnd(23)}  ${hex.slice(8).join(' ').padEnd(23)}  |${text}|`);
+    }
+    
+    return lines.join('\n');
+  }
+  
+  const XRAIInspect = {
+    inspectContainer,
+    inspectHandle,
+    formatReport,
+    getFlagNames,
+    hexDump,
+    summarizeSection
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIInspect;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIInspect = XRAIInspect;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
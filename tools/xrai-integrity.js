@@ -0,0 +1,222 @@
+/**
+ * XRAI Integrity
+ * Checksums for the integrity table: CRC32 per section and SHA-256 of the whole file
+ *
+ * The integrity section (type 12) holds a JSON table:
+ *
+ *   {
+ *     "crc32": [3735928559, null, ...],   // CRC32 of each section's stored bytes, by TOC index
+ *     "sha256": "9f86d0..."                // SHA-256 of the file without the integrity section
+ *   }
+ *
+ * The integrity section's own entry is null. The digest covers every byte of the file
+ * except the integrity section itself: the bytes before it followed by the bytes after it.
+ * See spec/binary-format.md.
+ *
+ * CRC32 is the IEEE polynomial used by zlib, gzip and PNG. SHA-256 uses Node.js crypto
+ * when available and a built-in implementation in browsers, so both run synchronously.
+ */
+
+(function (root) {
+  'use strict';
+  
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const nodeCrypto = isNode ? require('crypto') : null;
+  
+  // CRC32 lookup table for the reversed IEEE polynomial 0xEDB88320
+  const CRC_TABLE = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    CRC_TABLE[n] = c;
+  }
+  
+  /**
+   * Compute the CRC32 of some bytes
+   * @param {Uint8Array} bytes - Input bytes
+   * @param {number} [crc=0] - CRC of preceding bytes, to continue a running checksum
+   * @returns {number} - Unsigned 32-bit CRC
+   */
+  function crc32(bytes, crc = 0) {
+    let c = ~crc;
+    for (let i = 0; i < bytes.length; i++) {
+      c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return ~c >>> 0;
+  }
+  
+  // SHA-256 round constants (FIPS 180-4)
+  const K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ]);
+  
+  /**
+   * Incremental SHA-256 for environments without Node.js crypto
+   */
+  class SHA256 {
+    constructor() {
+      this.state = new Uint32Array([
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+      ]);
+      this.block = new Uint8Array(64);
+      this.blockLength = 0;
+      this.totalLength = 0;
+      this.words = new Uint32Array(64);
+    }
+    
+    /**
+     * Add bytes to the hash
+     * @param {Uint8Array} bytes - Input bytes
+     * @returns {SHA256} - This hash, for chaining
+     */
+    update(bytes) {
+      let offset = 0;
+      this.totalLength += bytes.length;
+      
+      while (offset < bytes.length) {
+        const count = Math.min(64 - this.blockLength, bytes.length - offset);
+        this.block.set(bytes.subarray(offset, offset + count), this.blockLength);
+        this.blockLength += count;
+        offset += count;
+        
+        if (this.blockLength === 64) {
+          this._compress();
+          this.blockLength = 0;
+        }
+      }
+      
+      return this;
+    }
+    
+    /**
+     * Finish the hash
+     * @returns {string} - Lowercase hex digest
+     */
+    digest() {
+      const bitLength = this.totalLength * 8;
+      
+      this.block[this.blockLength++] = 0x80;
+      if (this.blockLength > 56) {
+        this.block.fill(0, this.blockLength);
+        this._compress();
+        this.blockLength = 0;
+      }
+      this.block.fill(0, this.blockLength);
+      
+      const view = new DataView(this.block.buffer);
+      view.setUint32(56, Math.floor(bitLength / 0x100000000));
+      view.setUint32(60, bitLength >>> 0);
+      this._compress();
+      
+      return Array.from(this.state, word => word.toString(16).padStart(8, '0')).join('');
+    }
+    
+    /**
+     * Process one 64-byte block
+     * @private
+     */
+    _compress() {
+      const w = this.words;
+      const block = this.block;
+      const s = this.state;
+      
+      for (let i = 0; i < 16; i++) {
+        w[i] = (block[i * 4] << 24) | (block[i * 4 + 1] << 16) | (block[i * 4 + 2] << 8) | block[i * 4 + 3];
+      }
+      for (let i = 16; i < 64; i++) {
+        const x = w[i - 15];
+        const y = w[i - 2];
+        const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+        const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+      }
+      
+      let a = s[0], b = s[1], c = s[2], d = s[3], e = s[4], f = s[5], g = s[6], h = s[7];
+      
+      for (let i = 0; i < 64; i++) {
+        const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+        const ch = (e & f) ^ (~e & g);
+        const t1 = (h + S1 + ch + K[i] + w[i]) | 0;
+        const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const t2 = (S0 + maj) | 0;
+        
+        h = g;
+        g = f;
+        f = e;
+        e = (d + t1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + t2) | 0;
+      }
+      
+      s[0] += a;
+      s[1] += b;
+      s[2] += c;
+      s[3] += d;
+      s[4] += e;
+      s[5] += f;
+      s[6] += g;
+      s[7] += h;
+    }
+  }
+  
+  /**
+   * Create an incremental SHA-256 hash
+   * @returns {Object} - Hash with update(bytes) and digest() returning lowercase hex
+   */
+  function createSha256() {
+    if (nodeCrypto) {
+      const hash = nodeCrypto.createHash('sha256');
+      return {
+        update(bytes) {
+          hash.update(bytes);
+          return this;
+        },
+        digest() {
+          return hash.digest('hex');
+        }
+      };
+    }
+    return new SHA256();
+  }
+  
+  /**
+   * Compute the SHA-256 of a file, leaving out one byte range
+   * @param {Uint8Array} bytes - File bytes
+   * @param {number} excludeOffset - Start of the excluded range (the integrity section)
+   * @param {number} excludeSize - Length of the excluded range
+   * @returns {string} - Lowercase hex digest
+   */
+  function fileDigest(bytes, excludeOffset, excludeSize) {
+    return createSha256()
+      .update(bytes.subarray(0, excludeOffset))
+      .update(bytes.subarray(excludeOffset + excludeSize))
+      .digest();
+  }
+  
+  const XRAIIntegrity = {
+    crc32,
+    createSha256,
+    fileDigest,
+    SHA256
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIIntegrity;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIIntegrity = XRAIIntegrity;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
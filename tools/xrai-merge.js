@@ -0,0 +1,595 @@
+/**
+ * XRAI Merge
+ * Composes several XRAI documents into one scene, such as a room scan, furniture meshes
+ * and a VFX pack authored separately
+ *
+ * Each input is placed under its own group node, named after the input, with an optional
+ * transform:
+ *
+ *   mergeDocuments([
+ *     { name: 'room', document: room },
+ *     { name: 'chair', document: chair, position: [1, 0, 2], rotation: [0, 90, 0] }
+ *   ])
+ *
+ *   scene.nodes: [
+ *     { id: 'room', name: 'room', type: 'group', children: [...room nodes] },
+ *     { id: 'chair', name: 'chair', type: 'group', position: [1, 0, 2], rotation: [0, 90, 0], children: [...] }
+ *   ]
+ *
+ * An input without scene nodes (a splat or a mesh file) gets a mesh node for each of its
+ * geometry entries, since it would otherwise not be shown once the scene has nodes.
+ *
+ * Ids used by more than one input are namespaced with the input name in every input that
+ * uses them: two materials "wood" become "room/wood" and "chair/wood". The group nodes
+ * take part, so a node with the id of an input name is namespaced as well. Ids are
+ * namespaced per kind of entry (geometry, materials, vfx.textures, nodes, animations,
+ * neural networks, rules, ...), and every reference to a renamed id follows it: node
+ * geometry and material, primitive materials, material texture maps, node children,
+ * animation targets, adaptive objects and their networks, particle system textures.
+ * References by index (geometry, materials, images, audio clips, textures, and accessors
+ * and bufferViews of external data) are offset by the entries of the inputs before.
+ * Node children given by index refer to the input's root nodes and become references
+ * by id; a root node without an id gets `<input>/<index>`.
+ *
+ * The lists of aiComponents and vfx (rules, behavior models, particle systems, shaders, ...)
+ * are concatenated, as are the lists of other properties; other values are taken from the
+ * last input that has them, as when a file holds several sections of one type. The
+ * metadata and asset are those of the first input that has them, with the highest
+ * asset.minVersion of all.
+ *
+ * extensionsUsed and extensionsRequired are combined. Merging fails when an input requires
+ * an extension that is not registered, or when inputs hold different document-level data
+ * for the same extension, unless its handler has a merge hook:
+ *
+ *   { name: 'XRAI_lighting', merge(values, context) { ... } }   // values: data of each input
+ *
+ * External buffers and images keep their uri, which is relative to the input file; embed
+ * them first (XRAIResolver.embedResources) when the inputs are in other directories.
+ */
+
+(function (root) {
+  'use strict';
+  
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const XRAIContainer = isNode ? require('./xrai-container') : root.XRAIContainer;
+  const XRAIBuffers = isNode ? require('./xrai-buffers') : root.XRAIBuffers;
+  const XRAIExtensions = isNode ? require('./xrai-extensions') : root.XRAIExtensions;
+  
+  const { XRAIFormatError } = XRAIContainer;
+  
+  // Lists of entries with ids, by kind: [property of the document holding the list, or null for the root, list property]
+  const ID_LISTS = {
+    geometry: [null, 'geometry'],
+    materials: [null, 'materials'],
+    animations: [null, 'animations'],
+    textures: ['vfx', 'textures'],
+    particleSystems: ['vfx', 'particleSystems'],
+    effects: ['vfx', 'effects'],
+    shaders: ['vfx', 'shaders'],
+    neuralNetworks: ['aiComponents', 'neuralNetworks'],
+    adaptationRules: ['aiComponents', 'adaptationRules'],
+    behaviorModels: ['aiComponents', 'behaviorModels'],
+    adaptiveObjects: ['aiComponents', 'adaptiveObjects']
+  };
+  
+  // Root properties whose entries are referred to by index, in the order offsets are kept
+  const INDEXED_LISTS = ['geometry', 'materials', 'images', 'audio', 'buffers', 'bufferViews', 'accessors'];
+  
+  // Root properties holding media and buffer descriptions rather than references to them
+  const DATA_LISTS = ['images', 'audio', 'buffers', 'bufferViews', 'accessors'];
+  
+  // Root properties merged on their own; the rest are combined as several sections of one type are
+  const MERGED_PROPERTIES = [
+    'container', 'asset', 'metadata', 'extensionsUsed', 'extensionsRequired', 'extensions',
+    'animations', 'aiComponents', 'vfx', 'scene', ...INDEXED_LISTS
+  ];
+  
+  /**
+   * Check whether a value is a JSON object
+   * @param {*} value - Value to check
+   * @returns {boolean} - True for objects that are not arrays or binary data
+   */
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !ArrayBuffer.isView(value);
+  }
+  
+  /**
+   * Get a list property, or an empty list
+   * @param {Object} owner - Object holding the list
+   * @param {string} key - Property name
+   * @returns {Array} - The list, or [] when the property is missing or not a list
+   */
+  function listOf(owner, key) {
+    return isObject(owner) && Array.isArray(owner[key]) ? owner[key] : [];
+  }
+  
+  /**
+   * Copy the JSON part of a value, sharing typed arrays
+   * @param {*} value - Value to copy
+   * @returns {*} - Copy whose objects and arrays can be changed without touching the value
+   */
+  function cloneValue(value) {
+    if (Array.isArray(value)) {
+      return value.map(cloneValue);
+    }
+    if (!isObject(value)) {
+      return value;
+    }
+    const copy = {};
+    for (const [key, property] of Object.entries(value)) {
+      if (key !== '__proto__') {
+        copy[key] = cloneValue(property);
+      }
+    }
+    return copy;
+  }
+  
+  /**
+   * Compare two JSON values
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {boolean} - True when they serialize the same, whatever their key order
+   */
+  function sameJSON(a, b) {
+    return JSON.stringify(XRAIContainer.canonicalizeJSON(a)) === JSON.stringify(XRAIContainer.canonicalizeJSON(b));
+  }
+  
+  /**
+   * Call a function for every object in a value, nested objects included
+   * @param {*} value - Value to walk
+   * @param {Function} callback - Called with each object
+   */
+  function forEachObject(value, callback) {
+    if (Array.isArray(value)) {
+      value.forEach(item => forEachObject(item, callback));
+    } else if (isObject(value)) {
+      callback(value);
+      Object.values(value).forEach(item => forEachObject(item, callback));
+    }
+  }
+  
+  /**
+   * Collect the nodes under a list of root nodes
+   * @param {Array} roots - Root nodes
+   * @returns {Array<Object>} - Every node object, each followed by its nested children
+   */
+  function collectNodes(roots) {
+    const nodes = [];
+    const visit = node => {
+      nodes.push(node);
+      listOf(node, 'children').filter(isObject).forEach(visit);
+    };
+    roots.filter(isObject).forEach(visit);
+    return nodes;
+  }
+  
+  /**
+   * Copy an input and gather what merging needs from it: its root nodes, every node and
+   * the properties of its scene
+   * @param {Object} input - { document, name, position, rotation, scale }
+   * @param {number} index - Position of the input
+   * @returns {Object} - { name, document, roots, nodes, sceneProperties, transform }
+   */
+  function prepareInput(input, index) {
+    if (!input || !isObject(input.document)) {
+      throw new Error(`Input ${index + 1} has no document`);
+    }
+    const name = input.name !== undefined ? String(input.name) : `input-${index + 1}`;
+    const document = cloneValue(input.document);
+    
+    const scenes = Array.isArray(document.scene) ? document.scene.filter(isObject) : isObject(document.scene) ? [document.scene] : [];
+    let roots = scenes.flatMap(scene => listOf(scene, 'nodes'));
+    const sceneProperties = scenes.map(scene => {
+      const properties = { ...scene };
+      delete properties.nodes;
+      return properties;
+    });
+    
+    // Geometry of a document without nodes is shown by viewers on its own; give it nodes
+    if (roots.length === 0) {
+      roots = listOf(document, 'geometry').map((geometry, geometryIndex) => {
+        const id = isObject(geometry) ? geometry.id : undefined;
+        return id !== undefined ? { id, type: 'mesh', geometry: id } : { type: 'mesh', geometry: geometryIndex };
+      });
+    }
+    
+    // Children by index refer to the root nodes, which are no longer roots once merged
+    const nodes = collectNodes(roots);
+    for (const node of nodes) {
+      if (!Array.isArray(node.children)) {
+        continue;
+      }
+      node.children = node.children.map(child => {
+        if (!Number.isInteger(child)) {
+          return child;
+        }
+        const target = roots[child];
+        if (!isObject(target)) {
+          throw new Error(`${name}: node ${node.id !== undefined ? `"${node.id}"` : '(no id)'} has child node ${child}, which does not exist`);
+        }
+        if (target.id === undefined) {
+          target.id = `${name}/${child}`;
+        }
+        return target.id;
+      });
+    }
+    
+    const transform = {};
+    for (const key of ['position', 'rotation', 'scale']) {
+      if (input[key] !== undefined) {
+        transform[key] = input[key];
+      }
+    }
+    
+    return { name, document, roots, nodes, sceneProperties, transform };
+  }
+  
+  /**
+   * Get the entries of one kind in a prepared input
+   * @param {Object} input - Prepared input
+   * @param {string} kind - 'nodes' or a key of ID_LISTS
+   * @returns {Array} - The entries
+   */
+  function getEntries(input, kind) {
+    if (kind === 'nodes') {
+      return input.nodes;
+    }
+    const [owner, key] = ID_LISTS[kind];
+    return listOf(owner ? input.document[owner] : input.document, key);
+  }
+  
+  /**
+   * Work out the ids each input has to namespace
+   * @param {Array<Object>} inputs - Prepared inputs
+   * @returns {Array<Object>} - For each input, a Map from old to new id by kind
+   */
+  function planRenames(inputs) {
+    const plans = inputs.map(() => ({}));
+    
+    for (const kind of ['nodes', ...Object.keys(ID_LISTS)]) {
+      // Inputs using each id; the group nodes are owned by no input (-1)
+      const owners = new Map();
+      const own = (id, owner) => {
+        if (!owners.has(id)) {
+          owners.set(id, new Set());
+        }
+        owners.get(id).add(owner);
+      };
+      if (kind === 'nodes') {
+        inputs.forEach(input => own(input.name, -1));
+      }
+      inputs.forEach((input, index) => {
+        for (const entry of getEntries(input, kind)) {
+          if (isObject(entry) && entry.id !== undefined) {
+            own(entry.id, index);
+          }
+        }
+      });
+      
+      const finalIds = new Map();
+      inputs.forEach((input, index) => {
+        const renames = new Map();
+        for (const [id, users] of owners) {
+          if (users.has(index) && users.size > 1) {
+            renames.set(id, `${input.name}/${id}`);
+          }
+        }
+        plans[index][kind] = renames;
+        
+        for (const [id, users] of owners) {
+          if (!users.has(index)) {
+            continue;
+          }
+          const finalId = renames.has(id) ? renames.get(id) : id;
+          if (finalIds.has(finalId) && finalIds.get(finalId) !== index) {
+            throw new Error(`Namespacing ${kind} id "${id}" of ${input.name} gives "${finalId}", which ${inputs[finalIds.get(finalId)].name} already uses`);
+          }
+          finalIds.set(finalId, index);
+        }
+      });
+      if (kind === 'nodes') {
+        for (const input of inputs) {
+          if (finalIds.has(input.name)) {
+            throw new Error(`Namespacing nodes of ${inputs[finalIds.get(input.name)].name} gives "${input.name}", the id of the group node of ${input.name}`);
+          }
+        }
+      }
+    }
+    
+    return plans;
+  }
+  
+  /**
+   * Rename ids and offset index references in a prepared input, in place
+   * @param {Object} input - Prepared input
+   * @param {Object} plan - Map from old to new id by kind
+   * @param {Object} offsets - Entries before this input in each of INDEXED_LISTS, and vfx textures
+   * @returns {Array<Object>} - { input, kind, from, to } of each renamed entry
+   */
+  function remapInput(input, plan, offsets) {
+    const { document } = input;
+    const renamed = [];
+    const rename = (kind, id) => (plan[kind].has(id) ? plan[kind].get(id) : id);
+    const reference = (kind, value, offset) => {
+      if (Number.isInteger(value)) {
+        return value + offset;
+      }
+      return value === undefined || value === null ? value : rename(kind, value);
+    };
+    
+    const nodeIds = new Set(input.nodes.filter(node => node.id !== undefined).map(node => node.id));
+    
+    // Ids of the entries themselves; adaptive objects naming a node follow the node
+    for (const kind of ['nodes', ...Object.keys(ID_LISTS)]) {
+      for (const entry of getEntries(input, kind)) {
+        if (!isObject(entry) || entry.id === undefined) {
+          continue;
+        }
+        const id = kind === 'adaptiveObjects' && nodeIds.has(entry.id) ? rename('nodes', entry.id) : rename(kind, entry.id);
+        if (id !== entry.id) {
+          renamed.push({ input: input.name, kind, from: entry.id, to: id });
+          entry.id = id;
+        }
+      }
+    }
+    
+    // Image and audio clip indices, wherever a scene refers to them
+    for (const [key, value] of Object.entries(document)) {
+      if (!DATA_LISTS.includes(key)) {
+        forEachObject(value, object => {
+          for (const [property, list] of [['image', 'images'], ['audio', 'audio']]) {
+            if (Number.isInteger(object[property])) {
+              object[property] += offsets[list];
+            }
+          }
+        });
+      }
+    }
+    
+    for (const node of input.nodes) {
+      if (node.geometry !== undefined) {
+        node.geometry = reference('geometry', node.geometry, offsets.geometry);
+      }
+      if (node.material !== undefined) {
+        node.material = reference('materials', node.material, offsets.materials);
+      }
+      if (Array.isArray(node.children)) {
+        node.children = node.children.map(child => (isObject(child) ? child : rename('nodes', child)));
+      }
+    }
+    
+    for (const geometry of listOf(document, 'geometry')) {
+      listOf(geometry, 'primitives').filter(isObject).forEach(primitive => {
+        if (primitive.material !== undefined) {
+          primitive.material = reference('materials', primitive.material, offsets.materials);
+        }
+      });
+      if (isObject(geometry)) {
+        XRAIBuffers.forEachAccessorField(geometry, (holder, key) => {
+          if (typeof holder[key] === 'number') {
+            holder[key] += offsets.accessors;
+          }
+        });
+      }
+    }
+    
+    // Texture maps: vfx.textures ids, or image indices as written for scene directories
+    for (const material of listOf(document, 'materials').filter(isObject)) {
+      for (const [key, value] of Object.entries(material)) {
+        if (/Map$|^map$/.test(key)) {
+          material[key] = Number.isInteger(value) ? value + offsets.images : reference('textures', value, 0);
+        }
+      }
+    }
+    
+    for (const animation of listOf(document, 'animations').filter(isObject)) {
+      if (animation.targetId !== undefined) {
+        animation.targetId = rename('nodes', animation.targetId);
+      }
+    }
+    
+    for (const entry of listOf(document.aiComponents, 'adaptiveObjects').filter(isObject)) {
+      if (Array.isArray(entry.networks)) {
+        entry.networks = entry.networks.map(network => rename('neuralNetworks', network));
+      }
+      listOf(entry, 'adaptiveProperties').filter(isObject).forEach(property => {
+        if (property.network !== undefined) {
+          property.network = rename('neuralNetworks', property.network);
+        }
+      });
+    }
+    
+    for (const system of listOf(document.vfx, 'particleSystems').filter(isObject)) {
+      for (const emitter of [system, ...listOf(system, 'subEmitters').filter(isObject)]) {
+        if (emitter.texture !== undefined) {
+          emitter.texture = reference('textures', emitter.texture, offsets.textures);
+        }
+      }
+    }
+    
+    // External data: accessors, bufferViews and the media that use them
+    listOf(document, 'bufferViews').filter(isObject).forEach(bufferView => {
+      if (Number.isInteger(bufferView.buffer)) {
+        bufferView.buffer += offsets.buffers;
+      }
+    });
+    listOf(document, 'accessors').filter(isObject).forEach(accessor => {
+      if (Number.isInteger(accessor.bufferView)) {
+        accessor.bufferView += offsets.bufferViews;
+      }
+    });
+    for (const key of XRAIBuffers.MEDIA_PROPERTIES) {
+      listOf(document, key).filter(isObject).forEach(entry => {
+        if (Number.isInteger(entry.bufferView)) {
+          entry.bufferView += offsets.bufferViews;
+        }
+      });
+    }
+    
+    return renamed;
+  }
+  
+  /**
+   * Combine the document-level extension data of the inputs
+   * @param {Array<Object>} inputs - Prepared inputs
+   * @param {XRAIExtensionRegistry} registry - Registered extensions, for merge hooks
+   * @returns {Object|undefined} - The extensions object, or undefined when no input has one
+   */
+  function mergeExtensionData(inputs, registry) {
+    const holders = inputs.filter(input => isObject(input.document.extensions));
+    if (holders.length === 0) {
+      return undefined;
+    }
+    
+    const merged = {};
+    const names = [...new Set(holders.flatMap(input => Object.keys(input.document.extensions)))];
+    for (const name of names) {
+      const owners = holders.filter(input => Object.prototype.hasOwnProperty.call(input.document.extensions, name));
+      const values = owners.map(input => input.document.extensions[name]);
+      if (values.every(value => sameJSON(value, values[0]))) {
+        merged[name] = values[0];
+        continue;
+      }
+      
+      const handler = registry ? registry.get(name) : undefined;
+      if (!handler || typeof handler.merge !== 'function') {
+        throw new Error(`Cannot merge the ${name} data of ${owners.map(input => input.name).join(', ')}: it differs, and the extension has no merge hook`);
+      }
+      merged[name] = handler.merge(values, { documents: owners.map(input => input.document) });
+    }
+    return merged;
+  }
+  
+  /**
+   * Merge XRAI documents into one scene
+   * @param {Array<Object>} inputs - { document, name, position, rotation, scale } of each input; the
+   *   document is a decoded or authored XRAI document, and is not changed. name (default input-<n>)
+   *   names the group node and namespaces ids; the transform is set on the group node
+   *   (rotation in degrees, as the viewer reads it)
+   * @param {Object} options - Merge options
+   * @param {XRAIExtensionRegistry} [options.extensions] - Registry (defaults to XRAIExtensions.defaultRegistry)
+   * @returns {Object} - { document, renamed }: the merged document, holding the typed arrays and
+   *   media of the inputs, and { input, kind, from, to } of each namespaced id
+   */
+  function mergeDocuments(inputs, options = {}) {
+    options = {
+      extensions: XRAIExtensions ? XRAIExtensions.defaultRegistry : null,
+      ...options
+    };
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+      throw new Error('Nothing to merge');
+    }
+    
+    const prepared = inputs.map(prepareInput);
+    const names = new Set();
+    for (const input of prepared) {
+      if (names.has(input.name)) {
+        throw new Error(`Two inputs are named ${input.name}; give them different names`);
+      }
+      names.add(input.name);
+    }
+    
+    // Every input has to be readable by the readers the merged file is for
+    for (const input of prepared) {
+      const missing = options.extensions
+        ? options.extensions.getMissing(input.document)
+        : listOf(input.document, 'extensionsRequired');
+      if (missing.length > 0) {
+        throw new XRAIFormatError('E_UNSUPPORTED_EXTENSION', `${input.name} requires extensions that are not registered: ${missing.join(', ')}`);
+      }
+    }
+    const extensions = mergeExtensionData(prepared, options.extensions);
+    
+    const plans = planRenames(prepared);
+    const offsets = { textures: 0 };
+    INDEXED_LISTS.forEach(key => {
+      offsets[key] = 0;
+    });
+    
+    const renamed = [];
+    prepared.forEach((input, index) => {
+      renamed.push(...remapInput(input, plans[index], { ...offsets }));
+      for (const key of INDEXED_LISTS) {
+        offsets[key] += listOf(input.document, key).length;
+      }
+      offsets.textures += listOf(input.document.vfx, 'textures').length;
+    });
+    
+    const document = {};
+    
+    // Asset and metadata of the first input with them; the merged file needs what the newest input needs
+    const assetInput = prepared.find(input => isObject(input.document.asset));
+    const { FORMAT_VERSION } = XRAIContainer;
+    document.asset = assetInput ? assetInput.document.asset : { version: `${FORMAT_VERSION.major}.${FORMAT_VERSION.minor}` };
+    let minVersion = null;
+    for (const input of prepared) {
+      const version = isObject(input.document.asset) ? XRAIContainer.parseVersion(input.document.asset.minVersion) : null;
+      if (version && (!minVersion || XRAIContainer.compareVersions(version, minVersion.version) > 0)) {
+        minVersion = { version, text: input.document.asset.minVersion };
+      }
+    }
+    if (minVersion) {
+      document.asset = { ...document.asset, minVersion: minVersion.text };
+    }
+    const metadataInput = prepared.find(input => input.document.metadata !== undefined);
+    if (metadataInput) {
+      document.metadata = metadataInput.document.metadata;
+    }
+    
+    for (const key of ['extensionsUsed', 'extensionsRequired']) {
+      const names = [...new Set(prepared.flatMap(input => listOf(input.document, key)))];
+      if (names.length > 0) {
+        document[key] = names;
+      }
+    }
+    if (extensions !== undefined) {
+      document.extensions = extensions;
+    }
+    
+    for (const key of [...INDEXED_LISTS, 'animations']) {
+      if (prepared.some(input => Array.isArray(input.document[key]))) {
+        document[key] = prepared.flatMap(input => listOf(input.document, key));
+      }
+    }
+    
+    for (const key of ['aiComponents', 'vfx']) {
+      const values = prepared.map(input => input.document[key]).filter(isObject);
+      if (values.length > 0) {
+        document[key] = XRAIContainer.mergeSectionValues(values);
+      }
+    }
+    
+    const sceneProperties = prepared.flatMap(input => input.sceneProperties);
+    document.scene = {
+      ...(sceneProperties.length > 0 ? XRAIContainer.mergeSectionValues(sceneProperties) : {}),
+      nodes: prepared.map(input => ({
+        id: input.name,
+        name: input.name,
+        type: 'group',
+        ...input.transform,
+        children: input.roots
+      }))
+    };
+    
+    // Properties of custom sections and others are combined as several sections of one type
+    const otherKeys = [...new Set(prepared.flatMap(input => Object.keys(input.document)))].filter(key => !MERGED_PROPERTIES.includes(key));
+    for (const key of otherKeys) {
+      const values = prepared.filter(input => input.document[key] !== undefined).map(input => input.document[key]);
+      document[key] = values.every(value => sameJSON(value, values[0])) ? values[0] : XRAIContainer.mergeSectionValues(values);
+    }
+    
+    return { document, renamed };
+  }
+  
+  const XRAIMerge = {
+    mergeDocuments
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIMerge;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIMerge = XRAIMerge;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
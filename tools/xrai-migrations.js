@@ -0,0 +1,283 @@
+/**
+ * XRAI Migrations
+ * Detects the version and layout of an XRAI file and rewrites older files in the current layout
+ *
+ * Every reader loads the layouts below as they are; upgrade() is for files that should be
+ * stored in the current layout. Upgraded files also get an integrity section.
+ *
+ *   current            header, TOC, then sections aligned to 4 bytes;
+ *                      the compression algorithm in section flag bits 2-7; the metadata
+ *                      section holds the document root ({ asset, metadata, ... })
+ *   early XRAIEncoder  sections right after the header and the TOC at the end of the file;
+ *                      the compressed bit set on sections that are stored uncompressed; the
+ *                      metadata section holds the bare metadata object ({ title, creator, ... })
+ *   early XRAIOptimizedEncoder
+ *                      TOC after the header and unaligned sections; the compression algorithm
+ *                      in section flag bits 8-15
+ *
+ * Files changed with XRAIContainerWriter.update also have their TOC at the end; upgrading
+ * them rewrites them as XRAIContainer.compact does.
+ *
+ * detectFormat() describes a file and lists the migrations it needs; detectHandleFormat() does
+ * the same for a file opened with XRAISources.open, reading only its metadata section:
+ *
+ *   {
+ *     version: { major, minor },      // container version from the header
+ *     layout,                         // 'toc-after-header', 'toc-at-end' or 'toc-between-sections'
+ *     aligned,                        // every section starts on a 4-byte boundary
+ *     legacyCompressionFlags,         // some section has the compressed bit but no algorithm in bits 2-7
+ *     documentRoot,                   // the metadata section holds the document root
+ *     migrations: [id, ...],          // MIGRATIONS that apply, in order
+ *     current                         // true when no migration applies
+ *   }
+ *
+ * upgrade() copies the stored bytes of every section, so compressed sections are not
+ * recompressed, changing only the section flags and the metadata section as the
+ * migrations require. The writer produces the current layout, so the layout migrations
+ * have nothing to do per section.
+ */
+
+(function (root) {
+  'use strict';
+  
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const XRAIContainer = isNode ? require('./xrai-container') : root.XRAIContainer;
+  const XRAIExtensions = isNode ? require('./xrai-extensions') : root.XRAIExtensions;
+  
+  const {
+    FORMAT_VERSION,
+    HEADER_SIZE,
+    SECTION_ALIGNMENT,
+    HEADER_FLAGS,
+    SECTION_FLAGS,
+    XRAIFormatError,
+    XRAIContainerReader,
+    XRAIContainerWriter
+  } = XRAIContainer;
+  
+  // Bits 8-15 of the section flags, where early encoders wrote the compression algorithm
+  const LEGACY_ALGORITHM_MASK = 0xFF00;
+  
+  /**
+   * Check whether section flags use the early compression flag layout
+   * @param {number} flags - Section flags
+   * @returns {boolean} - True when the compressed bit is set without an algorithm in bits 2-7
+   */
+  function hasLegacyCompressionFlags(flags) {
+    return (flags & SECTION_FLAGS.COMPRESSED) !== 0 && (flags & SECTION_FLAGS.ALGORITHM_MASK) === 0;
+  }
+  
+  /**
+   * Check whether a metadata section value is a document root rather than bare metadata
+   * @param {*} value - Decoded metadata section
+   * @returns {boolean} - True for a document root
+   */
+  function isDocumentRoot(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      (value.asset !== undefined || value.metadata !== undefined);
+  }
+  
+  // Migrations from earlier layouts, in the order upgrade() applies them. applies(format) says
+  // whether a file needs the migration; migrateFlags and migrateMetadata change a section.
+  const MIGRATIONS = [
+    {
+      id: 'toc-after-header',
+      description: 'Move the table of contents to directly after the header',
+      applies: format => format.layout !== 'toc-after-header'
+    },
+    {
+      id: 'section-alignment',
+      description: 'Align sections to 4-byte boundaries',
+      applies: format => !format.aligned
+    },
+    {
+      id: 'compression-flags',
+      description: 'Store the compression algorithm in section flag bits 2-7, clearing the compressed bit of stored sections',
+      applies: format => format.legacyCompressionFlags,
+      migrateFlags: flags => {
+        if (!hasLegacyCompressionFlags(flags)) {
+          return flags;
+        }
+        // A section with the compressed bit and no algorithm anywhere was stored uncompressed
+        const algorithm = XRAIContainer.getCompressionAlgorithm(flags);
+        return XRAIContainer.setCompressionAlgorithm(flags & ~LEGACY_ALGORITHM_MASK, algorithm);
+      }
+    },
+    {
+      id: 'document-root',
+      description: 'Store the document root, with an asset, in the metadata section instead of bare metadata',
+      applies: format => !format.documentRoot,
+      migrateMetadata: value => (isDocumentRoot(value) ? value : {
+        asset: { version: `${FORMAT_VERSION.major}.${FORMAT_VERSION.minor}` },
+        metadata: value
+      })
+    },
+    {
+      id: 'version',
+      description: `Set the header version to ${FORMAT_VERSION.major}.${FORMAT_VERSION.minor}`,
+      applies: format => XRAIContainer.compareVersions(format.version, FORMAT_VERSION) < 0
+    }
+  ];
+  
+  /**
+   * Get a reader for a file
+   * @param {ArrayBuffer|ArrayBufferView|XRAIContainerReader} data - Container bytes, or a reader over them
+   * @param {Object} options - XRAIContainerReader options
+   * @returns {XRAIContainerReader} - The reader
+   */
+  function toReader(data, options) {
+    return data instanceof XRAIContainerReader ? data : new XRAIContainerReader(data, options);
+  }
+  
+  /**
+   * Describe the version and layout of a file and list the migrations it needs
+   * @param {ArrayBuffer|ArrayBufferView|XRAIContainerReader} data - Container bytes, or a reader over them
+   * @param {Object} options - XRAIContainerReader options (codecs, limits)
+   * @returns {Object} - Format description (see the top of this file)
+   */
+  function detectFormat(data, options = {}) {
+    const reader = toReader(data, options);
+    const metadata = reader.findSection('metadata');
+    return describeFormat(reader.header, reader.sections, metadata ? reader.readSection(metadata.index) : undefined);
+  }
+  
+  /**
+   * Describe the version and layout of a file opened with XRAISources.open
+   *
+   * Only the header, the TOC and the metadata section are read, so files of any size can be
+   * checked without loading them.
+   *
+   * @param {XRAIHandle} handle - Handle to the file
+   * @returns {Promise<Object>} - Format description (see the top of this file)
+   */
+  async function detectHandleFormat(handle) {
+    const metadata = handle.findSection('metadata');
+    let value;
+    if (metadata) {
+      const bytes = await handle.getSectionRaw(metadata.index);
+      const problem = handle.integrity ? XRAIContainer.verifySectionChecksum(handle.integrity, metadata, bytes) : null;
+      if (problem) {
+        throw new XRAIFormatError('E_CHECKSUM_MISMATCH', problem, { section: metadata.index });
+      }
+      const payload = XRAIContainer.decompressSection(bytes, metadata, handle.options.codecs, handle.limits);
+      value = XRAIContainer.decodeSectionPayload('metadata', payload, handle.limits, metadata.index, handle.options.extensions);
+    }
+    return describeFormat(handle.header, handle.sections, value);
+  }
+  
+  /**
+   * Describe a file from its header, its sections and its metadata section
+   * @param {Object} header - Parsed header
+   * @param {Array<Object>} sections - Section entries
+   * @param {*} metadata - Decoded metadata section; undefined when the file has none
+   * @returns {Object} - Format description (see the top of this file)
+   */
+  function describeFormat(header, sections, metadata) {
+    const stored = sections.filter(section => section.size > 0);
+    
+    let layout = 'toc-after-header';
+    if (header.tocOffset !== HEADER_SIZE) {
+      layout = stored.every(section => section.offset + section.size <= header.tocOffset) ? 'toc-at-end' : 'toc-between-sections';
+    }
+    
+    const format = {
+      version: { ...header.version },
+      layout,
+      aligned: stored.every(section => section.offset % SECTION_ALIGNMENT === 0),
+      legacyCompressionFlags: sections.some(section => hasLegacyCompressionFlags(section.flags)),
+      documentRoot: metadata !== undefined ? isDocumentRoot(metadata) : true
+    };
+    
+    format.migrations = MIGRATIONS.filter(migration => migration.applies(format)).map(migration => migration.id);
+    format.current = format.migrations.length === 0;
+    return format;
+  }
+  
+  /**
+   * Rewrite a file in the current layout
+   *
+   * Sections are checked against the integrity section, when the file has one, before
+   * they are copied. Files that already use the current layout are returned unchanged.
+   *
+   * @param {ArrayBuffer|ArrayBufferView} data - Container bytes
+   * @param {Object} options - Upgrade options
+   * @param {XRAICodecRegistry} [options.codecs] - Codecs for reading compressed metadata sections
+   * @param {Object} [options.limits] - Resource limits, overriding XRAIContainer.DEFAULT_LIMITS
+   * @returns {Object} - bytes (Uint8Array), format (as detected before the upgrade) and migrations
+   *   (the MIGRATIONS applied)
+   */
+  function upgrade(data, options = {}) {
+    const reader = toReader(data, { codecs: options.codecs, limits: options.limits });
+    const format = detectFormat(reader);
+    const { version } = reader.header;
+    
+    if (XRAIContainer.compareVersions(version, FORMAT_VERSION) > 0) {
+      throw new XRAIFormatError(
+        'E_UNSUPPORTED_VERSION',
+        `Cannot upgrade a ${version.major}.${version.minor} file: it is newer than this tool (${FORMAT_VERSION.major}.${FORMAT_VERSION.minor})`
+      );
+    }
+    
+    const migrations = MIGRATIONS.filter(migration => format.migrations.includes(migration.id));
+    if (migrations.length === 0) {
+      return { bytes: reader.bytes, format, migrations };
+    }
+    
+    const writer = new XRAIContainerWriter({
+      flags: reader.header.flags & HEADER_FLAGS.NEURAL_NETWORKS,
+      streaming: (reader.header.flags & HEADER_FLAGS.STREAMING_OPTIMIZED) !== 0,
+      codecs: options.codecs,
+      // Section bytes are copied as they are, so no extension may encode them again
+      extensions: XRAIExtensions ? new XRAIExtensions.XRAIExtensionRegistry() : null
+    });
+    
+    for (const section of reader.sections) {
+      // Generated again by the writer
+      if (section.type === 'integrity' || section.type === 'strings') {
+        continue;
+      }
+      
+      const problem = reader.verifySection(section.index);
+      if (problem) {
+        throw new XRAIFormatError('E_CHECKSUM_MISMATCH', problem, { section: section.index });
+      }
+      
+      let flags = section.flags;
+      for (const migration of migrations.filter(entry => entry.migrateFlags)) {
+        flags = migration.migrateFlags(flags);
+      }
+      
+      const metadataMigrations = section.type === 'metadata' ? migrations.filter(entry => entry.migrateMetadata) : [];
+      if (metadataMigrations.length > 0) {
+        let value = reader.readSection(section.index);
+        for (const migration of metadataMigrations) {
+          value = migration.migrateMetadata(value);
+        }
+        
+        // Compressed again with the codec it was stored with
+        const algorithm = XRAIContainer.getCompressionAlgorithm(flags);
+        const codec = algorithm !== 0 ? XRAIContainer.resolveCodecs(options.codecs).get(algorithm) : null;
+        writer.addSection(section.typeId, value, { name: section.name, compression: codec ? codec.name : null });
+      } else {
+        writer.addSection(section.typeId, reader.getSectionBytes(section.index), { name: section.name, flags });
+      }
+    }
+    
+    return { bytes: writer.toBytes(), format, migrations };
+  }
+  
+  const XRAIMigrations = {
+    MIGRATIONS,
+    detectFormat,
+    detectHandleFormat,
+    upgrade
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIMigrations;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIMigrations = XRAIMigrations;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,632 @@
+/**
+ * XRAI Optimize
+ * Prepares an authored XRAI file for delivery to mobile devices, in passes that can be run
+ * on their own:
+ *
+ *   prune     drop geometry and materials no scene node uses (as `xrai validate` reports them)
+ *   dedupe    store typed arrays, images and audio clips with identical bytes once
+ *   quantize  store float colors and opacities as bytes, and normals, tangents, rotations and
+ *             texture coordinates in [0, 1] as 16-bit integers, normalized as in glTF
+ *   compress  choose the smallest codec for each section, deflate at compressionLevel
+ *   stream    order sections for streaming (metadata first, buffers before geometry)
+ *   align     align sections to 4 bytes, so typed arrays view the file without copies
+ *
+ * Passes run in this order, whichever are chosen. Each is measured against the result of
+ * the passes before it (the first against the input file): the file size, and the time to
+ * decode the file, the best of a few runs. Sections the passes do not change keep the
+ * compression, order and alignment of the input, and the integrity section is written
+ * when the input has one.
+ *
+ *   const { bytes, input, report } = XRAIOptimize.optimizeContainer(data, { passes: ['prune', 'compress'] });
+ *   // report: [{ pass, size, saved, decodeTime, timeSaved, duration, summary }]
+ *
+ * Quantized fields hold integer arrays once decoded; XRAIBuffers.dequantize() converts them
+ * back to floats. Positions and splat scales stay floats. The quantize summary gives the
+ * largest difference to the original values, rounded up: `xrai diff --tolerance` with it
+ * finds no content changes between the input and the output.
+ */
+
+(function (root) {
+  'use strict';
+  
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const XRAIContainer = isNode ? require('./xrai-container') : root.XRAIContainer;
+  const XRAIBuffers = isNode ? require('./xrai-buffers') : root.XRAIBuffers;
+  const XRAIIntegrity = isNode ? require('./xrai-integrity') : root.XRAIIntegrity;
+  const XRAIReferences = isNode ? require('./xrai-references') : root.XRAIReferences;
+  const XRAIExtensions = isNode ? require('./xrai-extensions') : root.XRAIExtensions;
+  
+  const {
+    HEADER_FLAGS,
+    SECTION_FLAGS,
+    SECTION_ALIGNMENT,
+    CONTAINER_SECTIONS,
+    XRAIContainerReader,
+    XRAIContainerWriter
+  } = XRAIContainer;
+  const { isTypedArray, isNormalizedField } = XRAIBuffers;
+  
+  const PASSES = ['prune', 'dedupe', 'quantize', 'compress', 'stream', 'align'];
+  
+  // Computed by the writer from the sections and options
+  const DERIVED_HEADER_FLAGS = HEADER_FLAGS.COMPRESSED | HEADER_FLAGS.EXTERNAL_REFERENCES | HEADER_FLAGS.STREAMING_OPTIMIZED;
+  
+  // Sections this small are not compressed, as in XRAIOptimizedEncoder
+  const MIN_COMPRESSED_SIZE = 1024;
+  
+  /**
+   * Get the current time
+   * @returns {number} - Milliseconds, with sub-millisecond precision where available
+   */
+  function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+  
+  /**
+   * Check whether a value is a JSON object
+   * @param {*} value - Value to check
+   * @returns {boolean} - True for objects that are not arrays or typed arrays
+   */
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !ArrayBuffer.isView(value);
+  }
+  
+  /**
+   * Copy the JSON part of a value, sharing typed arrays
+   * @param {*} value - Value to copy
+   * @returns {*} - Copy whose objects and arrays can be changed without touching the value
+   */
+  function cloneValue(value) {
+    if (Array.isArray(value)) {
+      return value.map(cloneValue);
+    }
+    if (!isObject(value)) {
+      return value;
+    }
+    const copy = {};
+    for (const [key, property] of Object.entries(value)) {
+      if (key !== '__proto__') {
+        copy[key] = cloneValue(property);
+      }
+    }
+    return copy;
+  }
+  
+  /**
+   * View the bytes of a typed array
+   * @param {TypedArray} array - Typed array
+   * @returns {Uint8Array} - Its bytes
+   */
+  function bytesOf(array) {
+    return new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+  }
+  
+  /**
+   * Check whether two byte arrays are equal
+   * @param {Uint8Array} a - First array
+   * @param {Uint8Array} b - Second array
+   * @returns {boolean} - True when they hold the same bytes
+   */
+  function bytesEqual(a, b) {
+    if (a.byteLength !== b.byteLength) {
+      return false;
+    }
+    for (let i = 0; i < a.byteLength; i++) {
+      if (a[i] !== b[i]) {
+        return false;
+      }
+    }
+    return true;
+  }
+  
+  /**
+   * Format a byte count for summaries
+   * @param {number} bytes - Byte count
+   * @returns {string} - e.g. "12.3 KB"
+   */
+  function formatBytes(bytes) {
+    const size = Math.abs(bytes);
+    const text = size < 1024 ? `${size} B` : size < 1024 * 1024 ? `${(size / 1024).toFixed(1)} KB` : `${(size / 1024 / 1024).toFixed(2)} MB`;
+    return bytes < 0 ? `-${text}` : text;
+  }
+  
+  /**
+   * Collect the node objects of a scene, nested children included
+   * @param {*} scene - Document scene property
+   * @returns {Array<Object>} - Every node object
+   */
+  function collectNodes(scene) {
+    const nodes = [];
+    const visit = node => {
+      nodes.push(node);
+      (Array.isArray(node.children) ? node.children : []).filter(isObject).forEach(visit);
+    };
+    for (const entry of Array.isArray(scene) ? scene : [scene]) {
+      if (isObject(entry) && Array.isArray(entry.nodes)) {
+        entry.nodes.filter(isObject).forEach(visit);
+      }
+    }
+    return nodes;
+  }
+  
+  /**
+   * Remove geometry and materials no scene node uses
+   * @param {Object} document - Decoded document
+   * @returns {Object} - { document, summary }
+   */
+  function prunePass(document) {
+    const removed = { geometry: [], materials: [] };
+    const dropped = new Set();
+    let current = document;
+    
+    // Materials used only by geometry that is removed are unused once it is gone
+    for (;;) {
+      const { diagnostics } = XRAIReferences.checkReferences(current, {
+        severities: { DANGLING_REFERENCE: 'off', DUPLICATE_ID: 'off', NODE_CYCLE: 'off' }
+      });
+      const unused = { geometry: new Set(), materials: new Set() };
+      for (const { pointer } of diagnostics) {
+        const match = /^\/(geometry|materials)\/(\d+)$/.exec(pointer);
+        if (match) {
+          unused[match[1]].add(Number(match[2]));
+        }
+      }
+      if (unused.geometry.size === 0 && unused.materials.size === 0) {
+        break;
+      }
+      
+      // Index references move down past the removed entries
+      const remap = (kind, value) => {
+        if (!Number.isInteger(value)) {
+          return value;
+        }
+        let below = 0;
+        for (const index of unused[kind]) {
+          below += index < value ? 1 : 0;
+        }
+        return value - below;
+      };
+      
+      const next = { ...current };
+      for (const kind of ['geometry', 'materials']) {
+        if (unused[kind].size > 0) {
+          next[kind] = current[kind].filter((entry, index) => {
+            if (unused[kind].has(index)) {
+              removed[kind].push(isObject(entry) && entry.id !== undefined ? entry.id : `#${index}`);
+              dropped.add(entry);
+              return false;
+            }
+            return true;
+          });
+        }
+      }
+      
+      next.scene = cloneValue(current.scene);
+      for (const node of collectNodes(next.scene)) {
+        if (node.geometry !== undefined) {
+          node.geometry = remap('geometry', node.geometry);
+        }
+        if (node.material !== undefined) {
+          node.material = remap('materials', node.material);
+        }
+      }
+      if (unused.materials.size > 0 && Array.isArray(next.geometry)) {
+        next.geometry = next.geometry.map(entry => {
+          if (!isObject(entry) || !Array.isArray(entry.primitives)) {
+            return entry;
+          }
+          const copy = XRAIBuffers.cloneAccessorHolders(entry);
+          copy.primitives.forEach(primitive => {
+            if (primitive.material !== undefined) {
+              primitive.material = remap('materials', primitive.material);
+            }
+          });
+          return copy;
+        });
+      }
+      current = next;
+    }
+    
+    if (dropped.size === 0) {
+      return { document, summary: 'nothing to remove' };
+    }
+    
+    // The writer splits the lists into the sections they were read from by length
+    if (current.container && Array.isArray(current.container.sections)) {
+      current.container = {
+        ...current.container,
+        sections: current.container.sections
+          .map(section => (Array.isArray(section.value) && section.value.some(entry => dropped.has(entry))
+            ? { ...section, value: section.value.filter(entry => !dropped.has(entry)) }
+            : section))
+          .filter(section => !Array.isArray(section.value) || section.value.length > 0)
+      };
+    }
+    
+    const parts = [];
+    if (removed.geometry.length > 0) {
+      parts.push(`${removed.geometry.length} geometry (${removed.geometry.join(', ')})`);
+    }
+    if (removed.materials.length > 0) {
+      parts.push(`${removed.materials.length} material${removed.materials.length === 1 ? '' : 's'} (${removed.materials.join(', ')})`);
+    }
+    return { document: current, summary: `removed ${parts.join(' and ')}` };
+  }
+  
+  /**
+   * Share typed arrays and media data with identical bytes, so the writer stores them once
+   * @param {Object} document - Decoded document
+   * @returns {Object} - { document, summary }
+   */
+  function dedupePass(document) {
+    // Candidates by content hash; arrays are only shared within one field and element type,
+    // since the first use decides the accessor written for all of them
+    const seen = new Map();
+    let shared = 0;
+    let savedBytes = 0;
+    
+    const findCopy = (group, array) => {
+      const bytes = bytesOf(array);
+      const key = `${group}/${array.constructor.name}/${bytes.byteLength}/${XRAIIntegrity.crc32(bytes)}`;
+      const candidates = seen.get(key) || [];
+      const match = candidates.find(candidate => candidate === array || bytesEqual(bytesOf(candidate), bytes));
+      if (!match) {
+        candidates.push(array);
+        seen.set(key, candidates);
+        return array;
+      }
+      if (match !== array) {
+        shared++;
+        savedBytes += bytes.byteLength;
+      }
+      return match;
+    };
+    
+    const result = { ...document };
+    if (Array.isArray(document.geometry)) {
+      result.geometry = document.geometry.map(entry => {
+        const copy = XRAIBuffers.cloneAccessorHolders(entry);
+        XRAIBuffers.forEachAccessorField(copy, (holder, key, elementType) => {
+          if (isTypedArray(holder[key]) && holder[key].length > 0) {
+            holder[key] = findCopy(`${key}/${elementType}`, holder[key]);
+          }
+        });
+        return copy;
+      });
+    }
+    for (const key of XRAIBuffers.MEDIA_PROPERTIES) {
+      if (Array.isArray(document[key])) {
+        result[key] = document[key].map(entry => (isObject(entry) && isTypedArray(entry.data)
+          ? { ...entry, data: findCopy('media', entry.data) }
+          : entry));
+      }
+    }
+    
+    return {
+      document: result,
+      summary: shared > 0 ? `shared ${shared} cop${shared === 1 ? 'y' : 'ies'} of identical data (${formatBytes(savedBytes)})` : 'no identical data'
+    };
+  }
+  
+  /**
+   * Convert floats to normalized integers
+   * @param {Float32Array} array - Values in [0, 1] (unsigned) or [-1, 1] (signed)
+   * @param {Function} ArrayType - Uint8Array, Uint16Array or Int16Array
+   * @returns {TypedArray} - Quantized values
+   */
+  function quantize(array, ArrayType) {
+    const signed = ArrayType === Int16Array;
+    const range = ArrayType === Uint8Array ? 255 : signed ? 32767 : 65535;
+    const result = new ArrayType(array.length);
+    for (let i = 0; i < array.length; i++) {
+      const value = Math.min(Math.max(array[i], signed ? -1 : 0), 1);
+      result[i] = Math.round(value * range);
+    }
+    return result;
+  }
+  
+  /**
+   * Get the integer type a float field is quantized to
+   * @param {string} key - Geometry field or mesh attribute name
+   * @param {Float32Array} array - Field values
+   * @returns {Function|null} - Integer array type, or null to keep floats
+   */
+  function getQuantizedType(key, array) {
+    if (key === 'colors' || key === 'opacities' || key.startsWith('COLOR_')) {
+      return Uint8Array;
+    }
+    if (key.startsWith('TEXCOORD_')) {
+      // Coordinates outside [0, 1] repeat the texture, which integers cannot hold
+      return array.every(value => value >= 0 && value <= 1) ? Uint16Array : null;
+    }
+    return Int16Array;
+  }
+  
+  /**
+   * Store colors, opacities, normals, tangents, rotations and texture coordinates as integers
+   * @param {Object} document - Decoded document
+   * @returns {Object} - { document, summary }
+   */
+  function quantizePass(document) {
+    let fields = 0;
+    let savedBytes = 0;
+    let maxError = 0;
+    const quantized = new Map();
+    
+    const geometry = (Array.isArray(document.geometry) ? document.geometry : []).map(entry => {
+      const copy = XRAIBuffers.cloneAccessorHolders(entry);
+      XRAIBuffers.forEachAccessorField(copy, (holder, key) => {
+        const value = holder[key];
+        if (!(value instanceof Float32Array) || !isNormalizedField(key)) {
+          return;
+        }
+        // Arrays shared between fields are quantized once
+        if (!quantized.has(value)) {
+          const ArrayType = getQuantizedType(key, value);
+          quantized.set(value, ArrayType ? quantize(value, ArrayType) : value);
+          if (ArrayType) {
+            fields++;
+            savedBytes += value.byteLength - value.length * ArrayType.BYTES_PER_ELEMENT;
+            
+            // Measured as xrai diff compares them
+            const restored = XRAIBuffers.dequantize(quantized.get(value));
+            for (let i = 0; i < value.length; i++) {
+              const error = Math.abs(restored[i] - value[i]);
+              if (error > maxError) {
+                maxError = error;
+              }
+            }
+          }
+        }
+        holder[key] = quantized.get(value);
+      });
+      return copy;
+    });
+    
+    if (fields === 0) {
+      return { document, summary: 'no float fields to quantize' };
+    }
+    return {
+      document: { ...document, geometry },
+      summary: `quantized ${fields} field${fields === 1 ? '' : 's'} (${formatBytes(savedBytes)}), ` +
+        `values within ${Math.ceil(maxError * 1e6) / 1e6} of the originals`
+    };
+  }
+  
+  const DOCUMENT_PASSES = {
+    prune: prunePass,
+    dedupe: dedupePass,
+    quantize: quantizePass
+  };
+  
+  /**
+   * Find the codec that compresses a section payload the most
+   * @param {Uint8Array} payload - Uncompressed section bytes
+   * @param {XRAICodecRegistry} codecs - Available codecs
+   * @param {number} compressionLevel - Deflate level
+   * @returns {string|null} - Codec spec, or null to store the section uncompressed
+   */
+  function chooseCodec(payload, codecs, compressionLevel) {
+    if (payload.byteLength <= MIN_COMPRESSED_SIZE) {
+      return null;
+    }
+    
+    let best = null;
+    let bestSize = payload.byteLength;
+    for (const codec of codecs.list()) {
+      if (codec.id === 0) {
+        continue;
+      }
+      // compressionLevel is a deflate level, as for XRAIOptimizedEncoder
+      const level = codec.name === 'deflate' ? compressionLevel : codec.defaultLevel;
+      const spec = codec.name === 'deflate' ? `deflate:${level}` : codec.name;
+      try {
+        const size = XRAIContainer.toUint8Array(codec.compress(payload, { level })).byteLength;
+        if (size < bestSize) {
+          best = spec;
+          bestSize = size;
+        }
+      } catch (error) {
+        // Codecs that cannot compress (decoders registered by extensions) are skipped
+      }
+    }
+    return best;
+  }
+  
+  /**
+   * Write a document with a layout: the compression of each section, streaming order,
+   * alignment and integrity
+   * @param {Object} document - Decoded document
+   * @param {Object} layout - { flags, compression(section, payload), streaming, alignSections, integrity }
+   * @param {Object} options - optimizeContainer options
+   * @returns {Uint8Array} - Container bytes
+   */
+  function writeLayout(document, layout, options) {
+    // Sections as the writer splits the document, uncompressed
+    const plain = new XRAIContainerWriter({ flags: layout.flags, alignSections: false, integrity: false, codecs: options.codecs })
+      .addDocument(document)
+      .toBytes();
+    const reader = new XRAIContainerReader(plain, { codecs: options.codecs });
+    
+    const writer = new XRAIContainerWriter({
+      flags: layout.flags,
+      streaming: layout.streaming,
+      alignSections: layout.alignSections,
+      integrity: layout.integrity,
+      codecs: options.codecs,
+      // Payloads are encoded already, so no extension may encode them again
+      extensions: XRAIExtensions ? new XRAIExtensions.XRAIExtensionRegistry() : null
+    });
+    for (const section of reader.sections) {
+      if (CONTAINER_SECTIONS.has(section.type)) {
+        continue;
+      }
+      const payload = reader.getSectionPayload(section.index);
+      writer.addSection(section.typeId, payload, {
+        name: section.name || null,
+        flags: section.flags,
+        compression: layout.compression(section, payload)
+      });
+    }
+    return writer.toBytes();
+  }
+  
+  /**
+   * Measure the time to decode a container
+   * @param {Uint8Array} bytes - Container bytes
+   * @param {Object} options - optimizeContainer options
+   * @returns {number} - Milliseconds, the best of options.timingRuns decodes
+   */
+  function measureDecode(bytes, options) {
+    let best = Infinity;
+    for (let run = 0; run < options.timingRuns; run++) {
+      const start = now();
+      XRAIContainer.decode(bytes, { codecs: options.codecs, limits: options.limits });
+      best = Math.min(best, now() - start);
+    }
+    return best;
+  }
+  
+  /**
+   * Optimize a container for delivery
+   * @param {ArrayBuffer|ArrayBufferView} data - Container bytes
+   * @param {Object} options - Optimize options
+   * @param {Array<string>} [options.passes] - Passes to run (see PASSES); all by default
+   * @param {number} [options.compressionLevel=6] - Deflate level tried by the compress pass
+   * @param {number} [options.timingRuns=3] - Decodes timed for each result
+   * @param {XRAICodecRegistry} [options.codecs] - Codecs (defaults to XRAICodecs.defaultRegistry)
+   * @param {Object} [options.limits] - Resource limits, overriding DEFAULT_LIMITS
+   * @returns {Object} - { bytes, input: { size, decodeTime }, report }: report holds { pass, size,
+   *   saved, decodeTime, timeSaved, duration, summary } for each pass, sizes in bytes and times in
+   *   milliseconds
+   */
+  function optimizeContainer(data, options = {}) {
+    options = { passes: PASSES, compressionLevel: 6, timingRuns: 3, codecs: undefined, limits: undefined, ...options };
+    
+    const passes = new Set(options.passes);
+    for (const pass of passes) {
+      if (!PASSES.includes(pass)) {
+        throw new Error(`Unknown optimize pass: ${pass} (expected ${PASSES.join(', ')})`);
+      }
+    }
+    if (passes.size === 0) {
+      throw new Error(`No optimize passes given (expected ${PASSES.join(', ')})`);
+    }
+    
+    const bytes = XRAIContainer.toUint8Array(data);
+    const reader = new XRAIContainerReader(bytes, { codecs: options.codecs, limits: options.limits });
+    const codecs = XRAIContainer.resolveCodecs(options.codecs);
+    let document = reader.decode();
+    
+    // The layout of the input, until a pass changes it
+    const inputCompression = new Map();
+    for (const section of reader.sections) {
+      if ((section.flags & SECTION_FLAGS.COMPRESSED) && !inputCompression.has(section.type)) {
+        const algorithm = XRAIContainer.getCompressionAlgorithm(section.flags);
+        inputCompression.set(section.type, codecs.has(algorithm) ? codecs.get(algorithm).name : null);
+      }
+    }
+    const layout = {
+      flags: reader.header.flags & ~DERIVED_HEADER_FLAGS,
+      compression: section => inputCompression.get(section.type) || null,
+      streaming: (reader.header.flags & HEADER_FLAGS.STREAMING_OPTIMIZED) !== 0,
+      alignSections: reader.sections.every(section => section.offset % SECTION_ALIGNMENT === 0),
+      integrity: reader.sections.some(section => section.type === 'integrity')
+    };
+    
+    const input = { size: bytes.byteLength, decodeTime: measureDecode(bytes, options) };
+    let previous = input;
+    let output = bytes;
+    const report = [];
+    
+    for (const pass of PASSES.filter(name => passes.has(name))) {
+      const start = now();
+      let summary;
+      
+      if (DOCUMENT_PASSES[pass]) {
+        ({ document, summary } = DOCUMENT_PASSES[pass](document));
+      } else if (pass === 'compress') {
+        // Chosen once per section: the later passes do not change the payloads
+        const chosen = new Map();
+        layout.compression = (section, payload) => {
+          if (!chosen.has(section.index)) {
+            chosen.set(section.index, chooseCodec(payload, codecs, options.compressionLevel));
+          }
+          return chosen.get(section.index);
+        };
+      } else if (pass === 'stream') {
+        layout.streaming = true;
+        summary = 'sections in streaming order';
+      } else {
+        layout.alignSections = true;
+        summary = `sections aligned to ${SECTION_ALIGNMENT} bytes`;
+      }
+      
+      output = writeLayout(document, layout, options);
+      if (pass === 'compress') {
+        const choices = new XRAIContainerReader(output, { codecs: options.codecs }).sections
+          .filter(section => !CONTAINER_SECTIONS.has(section.type))
+          .map(section => {
+            const compressed = (section.flags & SECTION_FLAGS.COMPRESSED) !== 0;
+            const codec = compressed ? codecs.get(XRAIContainer.getCompressionAlgorithm(section.flags)).name : 'store';
+            return `${section.type || section.typeId}${section.name ? `:${section.name}` : ''} ${codec}`;
+          });
+        summary = choices.join(', ');
+      }
+      const duration = now() - start;
+      
+      const decodeTime = measureDecode(output, options);
+      report.push({
+        pass,
+        size: output.byteLength,
+        saved: previous.size - output.byteLength,
+        decodeTime,
+        timeSaved: previous.decodeTime - decodeTime,
+        duration,
+        summary
+      });
+      previous = { size: output.byteLength, decodeTime };
+    }
+    
+    return { bytes: output, input, report };
+  }
+  
+  /**
+   * Format an optimize result for the terminal
+   * @param {Object} result - optimizeContainer result
+   * @returns {string} - One line per pass, and the total
+   */
+  function formatReport(result) {
+    const { input, report } = result;
+    const lines = [`input     ${formatBytes(input.size)}, decodes in ${input.decodeTime.toFixed(1)} ms`];
+    for (const entry of report) {
+      lines.push(
+        `${entry.pass.padEnd(9)} ${formatBytes(entry.size)} (${entry.saved >= 0 ? 'saved' : 'added'} ${formatBytes(Math.abs(entry.saved))}), ` +
+        `decodes in ${entry.decodeTime.toFixed(1)} ms (${entry.timeSaved >= 0 ? '-' : '+'}${Math.abs(entry.timeSaved).toFixed(1)} ms), ` +
+        `pass took ${entry.duration.toFixed(1)} ms: ${entry.summary}`
+      );
+    }
+    const last = report.length > 0 ? report[report.length - 1] : { size: input.size, decodeTime: input.decodeTime };
+    const percent = input.size > 0 ? ((input.size - last.size) / input.size) * 100 : 0;
+    lines.push(`total     ${formatBytes(input.size)} -> ${formatBytes(last.size)} (${percent.toFixed(1)}% smaller), ` +
+      `decode ${input.decodeTime.toFixed(1)} -> ${last.decodeTime.toFixed(1)} ms`);
+    return lines.join('\n');
+  }
+  
+  const XRAIOptimize = {
+    PASSES,
+    optimizeContainer,
+    formatReport,
+    prunePass,
+    dedupePass,
+    quantizePass
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIOptimize;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIOptimize = XRAIOptimize;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -7,38 +7,35 @@
  */
 
 const fs = require('fs');
-const zlib = require('zlib');
+const { XRAIContainerWriter, SECTION_TYPES, setCompressionAlgorithm, canonicalizeJSON, getEncodeDate } = require('./xrai-container');
+const XRAICodecs = require('./xrai-codecs');
+const XRAIBuffers = require('./xrai-buffers');
+const XRAIOptimize = require('./xrai-optimize');
+const XRAISources = require('./xrai-sources');
 
 class XRAIOptimizedEncoder {
   constructor(options = {}) {
     this.options = {
       compress: options.compress || false,
       compressionLevel: options.compressionLevel || 6,
+      compression: null, // Per-section codecs, e.g. "geometry=lz4,deflate:9"; overrides compress/compressionLevel
+      codecs: XRAICodecs.defaultRegistry,
       useTypedArrays: options.useTypedArrays !== false,
       chunkSize: options.chunkSize || 16384, // 16KB chunks for streaming
       alignSections: options.alignSections !== false,
+      deterministic: false, // Same bytes for the same input: sorted keys and sections, fixed or SOURCE_DATE_EPOCH dates
+      passes: null, // Passes of optimize(), e.g. ['prune', 'compress']; all by default
       ...options
     };
     
-    // Pre-allocate buffers for better performance
-    this.headerBuffer = Buffer.alloc(16);
-    this.tocHeaderBuffer = Buffer.alloc(4);
-    this.tocEntryBuffer = Buffer.alloc(24);
-    
     // Section type ID mapping for faster lookups
-    this.sectionTypeIds = {
-      metadata: 1,
-      geometry: 2,
-      materials: 3,
-      animations: 4,
-      audio: 5,
-      aiComponents: 6,
-      vfx: 7,
-      buffers: 8,
-      images: 9,
-      scene: 10,
-      extensions: 11
-    };
+    this.sectionTypeIds = SECTION_TYPES;
+    
+    // Codec per section type ("*" for the rest)
+    this.compression = XRAICodecs.parseCompressionOptions(
+      this.options.compression || (this.options.compress ? `deflate:${this.options.compressionLevel}` : null),
+      this.options.codecs
+    );
   }
   
   /**
@@ -110,11 +107,11 @@ class XRAIOptimizedEncoder {
       data.asset = {
         version: '1.0',
         generator: 'XRAI Optimized Encoder',
-        copyright: `Copyright ${new Date().getFullYear()}`
+        copyright: `Copyright ${getEncodeDate(this.options.deterministic).getUTCFullYear()}`
       };
     }
     
-    return data;
+    return this.options.deterministic ? canonicalizeJSON(data) : data;
   }
   
   /**
@@ -125,20 +122,24 @@ class XRAIOptimizedEncoder {
    */
   _createSections(data) {
     const sections = [];
-    const encoder = new TextEncoder();
+    
+    // Move typed arrays into embedded buffers, leaving accessor indices in the JSON
+    const packed = XRAIBuffers.packDocument(data);
+    data = packed.document;
     
     // Create metadata section (required)
     const metadataBytes = Buffer.from(JSON.stringify(data), 'utf8');
-    sections.push({
-      typeId: this.sectionTypeIds.metadata,
-      data: metadataBytes,
-      flags: this.options.compress ? 0x1 : 0x0
-    });
+    sections.push(this._compressSection('metadata', metadataBytes));
     
-    // Add other sections if present in data
-    for (const [key, value] of Object.entries(data)) {
-      if (key === 'asset' || key === 'metadata') {
-        continue; // Already included in metadata section
+    // Add other sections if present in data, in type ID order when the output must be reproducible
+    const entries = Object.entries(data);
+    if (this.options.deterministic) {
+      entries.sort(([a], [b]) => (this.sectionTypeIds[a] || 0) - (this.sectionTypeIds[b] || 0));
+    }
+    
+    for (const [key, value] of entries) {
+      if (key === 'asset' || key === 'metadata' || key === 'buffers') {
+        continue; // Already included in metadata section; buffer bytes are added below
       }
       
       if (!value || (Array.isArray(value) && value.length === 0)) {
@@ -163,131 +164,102 @@ class XRAIOptimizedEncoder {
         sectionData = Buffer.from(JSON.stringify(value), 'utf8');
       }
       
-      // Compress if enabled
-      let flags = 0;
-      if (this.options.compress && sectionData.length > 1024) {
-        try {
-          const compressedData = zlib.deflateSync(sectionData, {
-            level: this.options.compressionLevel
-          });
-          
-          // Only use compression if it actually reduces size
-          if (compressedData.length < sectionData.length) {
-            sectionData = compressedData;
-            flags = 0x1; // Compression flag (bit 0)
-            flags |= (1 << 8); // Deflate algorithm (bits 8-15)
-            console.log(`Compressed ${key} section: ${sectionData.length} bytes, flags: ${flags.toString(16)}`);
-          }
-        } catch (error) {
-          console.warn(`Compression failed for section ${key}: ${error.message}`);
-        }
-      }
-      
-      sections.push({
-        typeId,
-        data: sectionData,
-        flags
-      });
+      sections.push(this._compressSection(key, sectionData));
+    }
+    
+    for (const bytes of packed.buffers) {
+      sections.push(this._compressSection('buffers', Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength)));
     }
     
     return sections;
   }
   
   /**
-   * Create binary data from sections
+   * Compress a section with the codec configured for its type
    * @private
-   * @param {Array} sections - Array of section objects
-   * @returns {Buffer} - The binary data
+   * @param {string} type - Section type name
+   * @param {Buffer} sectionData - Uncompressed section bytes
+   * @returns {Object} - Section object: typeId, data, flags
    */
-  _createBinaryData(sections) {
-    // Calculate sizes
-    const headerSize = 16; // Fixed header size
+  _compressSection(type, sectionData) {
+    const section = {
+      typeId: this.sectionTypeIds[type],
+      data: sectionData,
+      flags: 0
+    };
     
-    // Calculate TOC size
-    const tocEntrySize = 24; // Each TOC entry is 24 bytes
-    const tocHeaderSize = 4; // 4 bytes for section count
-    const tocSize = tocHeaderSize + (sections.length * tocEntrySize);
+    const spec = this.compression[type] || this.compression['*'];
+    if (!spec || sectionData.length <= 1024) {
+      return section;
+    }
     
-    // Calculate section data size and offsets
-    let currentOffset = headerSize + tocSize;
-    let totalSize = currentOffset;
+    const codec = this.options.codecs.get(spec.codec);
+    if (codec.id === 0) {
+      return section;
+    }
     
-    for (const section of sections) {
-      // Align to 4-byte boundary if enabled
-      if (this.options.alignSections) {
-        const padding = (4 - (currentOffset % 4)) % 4;
-        currentOffset += padding;
-      }
+    try {
+      const compressedData = codec.compress(sectionData, { level: spec.level });
       
-      section.offset = currentOffset;
-      currentOffset += section.data.length;
-      
-      // Add padding to align to 4-byte boundary if enabled
-      if (this.options.alignSections) {
-        const padding = (4 - (section.data.length % 4)) % 4;
-        currentOffset += padding;
+      // Only use compression if it actually reduces size
+      if (compressedData.length < sectionData.length) {
+        section.data = compressedData;
+        section.flags = setCompressionAlgorithm(0, codec.id);
+        console.log(`Compressed ${type} section with ${codec.name}: ${compressedData.length} bytes, flags: ${section.flags.toString(16)}`);
       }
+    } catch (error) {
+      console.warn(`Compression failed for section ${type}: ${error.message}`);
     }
     
-    totalSize = currentOffset;
-    
-    // Create buffer
-    const buffer = Buffer.alloc(totalSize);
-    
-    // Write header
-    // Magic number "XRAI"
-    buffer.write('XRAI', 0, 4, 'ascii');
-    
-    // Version (1.0)
-    buffer[4] = 1; // Major
-    buffer[5] = 0; // Minor
-    
-    // Flags
-    buffer.writeUInt16LE(0, 6); // No flags set
-    
-    // TOC offset
-    buffer.writeBigUInt64LE(BigInt(headerSize), 8);
-    
-    // Write TOC
-    const tocOffset = headerSize;
-    buffer.writeUInt32LE(sections.length, tocOffset); // Number of sections
-    
-    let tocEntryOffset = tocOffset + tocHeaderSize;
-    for (const section of sections) {
-      // Write section entry
-      buffer.writeUInt32LE(section.typeId, tocEntryOffset); // Section type
-      buffer.writeBigUInt64LE(BigInt(section.offset), tocEntryOffset + 4); // Section offset
-      buffer.writeBigUInt64LE(BigInt(section.data.length), tocEntryOffset + 12); // Section size
-      buffer.writeUInt32LE(section.flags, tocEntryOffset + 20); // Section flags
-      
-      tocEntryOffset += tocEntrySize;
-    }
+    return section;
+  }
+  
+  /**
+   * Create binary data from sections
+   * @private
+   * @param {Array} sections - Array of section objects
+   * @returns {Buffer} - The binary data
+   */
+  _createBinaryData(sections) {
+    const bytes = this._createWriter(sections).toBytes();
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+  
+  /**
+   * Create a container writer holding the sections
+   * @private
+   * @param {Array} sections - Array of section objects
+   * @param {Object} options - XRAIContainerWriter options
+   * @returns {XRAIContainerWriter} - The writer
+   */
+  _createWriter(sections, options = {}) {
+    const writer = new XRAIContainerWriter({
+      alignSections: this.options.alignSections,
+      ...options
+    });
     
-    // Write section data
     for (const section of sections) {
-      // Copy section data
-      section.data.copy(buffer, section.offset);
-      
-      // Add padding if needed and enabled
-      if (this.options.alignSections) {
-        const padding = (4 - (section.data.length % 4)) % 4;
-        if (padding > 0) {
-          // Padding bytes are zeros (already set by Buffer.alloc)
-        }
-      }
+      writer.addSection(section.typeId, section.data, { flags: section.flags });
     }
     
-    return buffer;
+    return writer;
   }
   
   /**
    * Stream encode a file into XRAI format
+   *
+   * Writes a streaming-optimized file: the TOC follows the header, sections are
+   * ordered by STREAMING_PRIORITY (metadata first, buffers before geometry) and the
+   * STREAMING_OPTIMIZED header flag is set, so XRAIStreamParser can decode each
+   * section as soon as it arrives.
+   *
    * @param {string} inputPath - Path to input file
-   * @param {string} outputPath - Path to output XRAI file
+   * @param {string|Writable} output - Path to output XRAI file, or a writable stream (e.g. process.stdout)
    * @returns {Promise<void>} - Promise that resolves when encoding is complete
    */
-  async streamEncode(inputPath, outputPath) {
-    console.log(`Stream encoding ${inputPath} to ${outputPath}...`);
+  async streamEncode(inputPath, output) {
+    const outputName = typeof output === 'string' ? output : 'stream';
+    console.log(`Stream encoding ${inputPath} to ${outputName}...`);
     
     // Read input file
     const inputData = this._readInputFile(inputPath);
@@ -298,89 +270,74 @@ class XRAIOptimizedEncoder {
     // Create sections
     const sections = this._createSections(processedData);
     
-    // Create output stream
-    const outputStream = fs.createWriteStream(outputPath);
+    // Lay out the container in streaming order
+    const writer = this._createWriter(sections, { streaming: true });
     
-    // Write header
-    const headerBuffer = Buffer.alloc(16);
-    headerBuffer.write('XRAI', 0, 4, 'ascii');
-    headerBuffer[4] = 1; // Major version
-    headerBuffer[5] = 0; // Minor version
-    headerBuffer.writeUInt16LE(0, 6); // Flags
-    headerBuffer.writeBigUInt64LE(BigInt(16), 8); // TOC offset
+    await this._writeChunks(writer.toChunks(), output);
     
-    outputStream.write(headerBuffer);
+    console.log(`Successfully stream encoded to ${outputName}`);
+    console.log(`Sections: ${sections.length}`);
+  }
+  
+  /**
+   * Optimize an XRAI file for delivery
+   *
+   * Runs the passes of tools/xrai-optimize.js named in the passes option: all of them by
+   * default, except align when alignSections is false. The compress pass tries deflate at
+   * compressionLevel, and the result is written in chunkSize pieces.
+   *
+   * @param {string} inputPath - Path to input XRAI file
+   * @param {string|Writable} output - Path to output XRAI file, or a writable stream (e.g. process.stdout)
+   * @returns {Promise<Object>} - optimizeContainer result: bytes, input, report
+   */
+  async optimize(inputPath, output) {
+    const outputName = typeof output === 'string' ? output : 'stream';
+    console.log(`Optimizing ${inputPath} to ${outputName}...`);
+    
+    const passes = this.options.passes ||
+      XRAIOptimize.PASSES.filter(pass => pass !== 'align' || this.options.alignSections);
+    const result = XRAIOptimize.optimizeContainer(await XRAISources.readAll(inputPath), {
+      passes,
+      compressionLevel: this.options.compressionLevel,
+      codecs: this.options.codecs
+    });
     
-    // Write TOC
-    const tocHeaderBuffer = Buffer.alloc(4);
-    tocHeaderBuffer.writeUInt32LE(sections.length, 0);
-    outputStream.write(tocHeaderBuffer);
+    await this._writeChunks([result.bytes], output);
     
-    // Calculate section offsets
-    let currentOffset = 16 + 4 + (sections.length * 24);
-    for (const section of sections) {
-      // Align to 4-byte boundary if enabled
-      if (this.options.alignSections) {
-        const padding = (4 - (currentOffset % 4)) % 4;
-        currentOffset += padding;
-      }
-      
-      section.offset = currentOffset;
-      currentOffset += section.data.length;
-      
-      // Add padding to align to 4-byte boundary if enabled
-      if (this.options.alignSections) {
-        const padding = (4 - (section.data.length % 4)) % 4;
-        currentOffset += padding;
-      }
-    }
-    
-    // Write TOC entries
-    for (const section of sections) {
-      const tocEntryBuffer = Buffer.alloc(24);
-      tocEntryBuffer.writeUInt32LE(section.typeId, 0);
-      tocEntryBuffer.writeBigUInt64LE(BigInt(section.offset), 4);
-      tocEntryBuffer.writeBigUInt64LE(BigInt(section.data.length), 12);
-      tocEntryBuffer.writeUInt32LE(section.flags, 20);
-      outputStream.write(tocEntryBuffer);
-    }
+    console.log(`Successfully optimized to ${outputName}`);
+    return result;
+  }
+  
+  /**
+   * Write bytes to a file or stream in chunkSize pieces
+   * @private
+   * @param {Iterable<Uint8Array>} pieces - Bytes to write, in order
+   * @param {string|Writable} output - Path to output file, or a writable stream
+   * @returns {Promise<void>} - Promise that resolves when the bytes are written
+   */
+  async _writeChunks(pieces, output) {
+    // Create output stream
+    const outputStream = typeof output === 'string' ? fs.createWriteStream(output) : output;
     
-    // Write section data
-    for (const section of sections) {
-      // Add padding if needed and enabled
-      if (this.options.alignSections) {
-        const padding = (4 - (currentOffset % 4)) % 4;
-        if (padding > 0) {
-          outputStream.write(Buffer.alloc(padding));
-        }
-      }
-      
-      // Write section data in chunks
-      const chunkSize = this.options.chunkSize;
-      for (let i = 0; i < section.data.length; i += chunkSize) {
-        const end = Math.min(i + chunkSize, section.data.length);
-        const chunk = section.data.slice(i, end);
+    // Write data in chunks, waiting for the stream to drain when its buffer is full
+    const chunkSize = this.options.chunkSize;
+    for (const piece of pieces) {
+      for (let i = 0; i < piece.byteLength; i += chunkSize) {
+        const chunk = piece.subarray(i, Math.min(i + chunkSize, piece.byteLength));
         
-        // Use await to avoid overwhelming the stream
-        await new Promise(resolve => {
-          outputStream.write(chunk, resolve);
-        });
-      }
-      
-      // Add padding if needed and enabled
-      if (this.options.alignSections) {
-        const padding = (4 - (section.data.length % 4)) % 4;
-        if (padding > 0) {
-          outputStream.write(Buffer.alloc(padding));
+        if (!outputStream.write(chunk)) {
+          await new Promise(resolve => outputStream.once('drain', resolve));
         }
       }
     }
     
-    // Close stream
-    await new Promise(resolve => outputStream.end(resolve));
-    
-    console.log(`Successfully stream encoded to ${outputPath}`);
-    console.log(`Sections: ${sections.length}`);
+    // Close the stream we opened; streams passed in stay open
+    if (typeof output === 'string') {
+      await new Promise((resolve, reject) => {
+        outputStream.on('error', reject);
+        outputStream.end(resolve);
+      });
+    }
   }
 }
 
@@ -0,0 +1,422 @@
+/**
+ * XRAI References
+ * Checks the references between the parts of a scene: ids that point nowhere, ids used
+ * twice, assets nothing uses and node hierarchies that loop
+ *
+ * The schema checks the shape of each section (tools/xrai-schema.js); these checks need the
+ * whole document, since a node in the scene section refers to geometry and materials in
+ * their own sections. References checked:
+ *
+ *   scene.nodes[].geometry, .material          geometry and material ids (or array indices)
+ *   scene.nodes[].children[]                   child nodes, nested or referred to by id or index
+ *   geometry[].primitives[].material           material indices (or ids)
+ *   materials[].<name>Map                      vfx.textures ids (map, normalMap, roughnessMap, ...),
+ *                                              or images indices
+ *   <any object>.image, .audio                 images and audio indices, as scene directories
+ *                                              write them (see tools/xrai-scene.js)
+ *   animations[].targetId, .targetName         node ids and names
+ *   aiComponents.adaptiveObjects[]             nodes, by name or id
+ *   aiComponents.adaptiveObjects[].networks[]  aiComponents.neuralNetworks ids, and
+ *     .adaptiveProperties[].network
+ *   vfx.particleSystems[].texture              vfx.textures ids, and for subEmitters[]
+ *
+ * Each problem is a diagnostic:
+ *
+ *   {
+ *     severity,  // 'error' or 'warning'
+ *     code,      // DANGLING_REFERENCE, DUPLICATE_ID, NODE_CYCLE or UNUSED_ASSET
+ *     pointer,   // JSON pointer to the offending value, e.g. /scene/nodes/2/geometry
+ *     message
+ *   }
+ *
+ * Geometry and materials no node uses are reported only for documents with scene nodes,
+ * since viewers show the geometry of documents without a scene on their own. Textures,
+ * images and audio clips are reported whenever nothing refers to them.
+ */
+
+(function (root) {
+  'use strict';
+  
+  // Default severity of each diagnostic code
+  const DIAGNOSTIC_CODES = {
+    DANGLING_REFERENCE: 'error',
+    DUPLICATE_ID: 'error',
+    NODE_CYCLE: 'error',
+    UNUSED_ASSET: 'warning'
+  };
+  
+  const SEVERITIES = ['error', 'warning', 'off'];
+  
+  /**
+   * Check whether a value is a JSON object
+   * @param {*} value - Value to check
+   * @returns {boolean} - True for objects that are not arrays
+   */
+  function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !ArrayBuffer.isView(value);
+  }
+  
+  /**
+   * Get a list property, or an empty list
+   * @param {Object} owner - Object holding the list
+   * @param {string} key - Property name
+   * @returns {Array} - The list, or [] when the property is missing or not a list
+   */
+  function listOf(owner, key) {
+    return isObject(owner) && Array.isArray(owner[key]) ? owner[key] : [];
+  }
+  
+  /**
+   * Describe an entry for messages
+   * @param {string} kind - Kind of entry, e.g. node
+   * @param {Object} entry - The entry
+   * @param {string} pointer - JSON pointer to it
+   * @returns {string} - e.g. 'node "floor"', or 'node /scene/nodes/3' for entries without an id
+   */
+  function describe(kind, entry, pointer) {
+    return isObject(entry) && entry.id !== undefined ? `${kind} "${entry.id}"` : `${kind} ${pointer}`;
+  }
+  
+  /**
+   * Assets of one kind, looked up by id or array index
+   */
+  class AssetTable {
+    /**
+     * @param {string} kind - Kind of asset, for messages
+     * @param {Array<Object>} entries - { entry, pointer } of each asset
+     * @param {boolean} indexed - Whether integer references are array indices
+     */
+    constructor(kind, entries, indexed) {
+      this.kind = kind;
+      this.entries = entries;
+      this.indexed = indexed;
+      this.byId = new Map();
+      this.used = new Set();
+      this.duplicates = [];
+      
+      for (const item of entries) {
+        const id = isObject(item.entry) ? item.entry.id : undefined;
+        if (id === undefined) {
+          continue;
+        }
+        if (this.byId.has(id)) {
+          this.duplicates.push({ item, first: this.byId.get(id) });
+        } else {
+          this.byId.set(id, item);
+        }
+      }
+    }
+    
+    /**
+     * Resolve a reference and mark the asset as used
+     * @param {string|number} reference - Id, or array index for indexed tables
+     * @returns {Object|undefined} - { entry, pointer } of the asset
+     */
+    resolve(reference) {
+      const item = this.indexed && Number.isInteger(reference) ? this.entries[reference] : this.byId.get(reference);
+      if (item) {
+        this.used.add(item);
+      }
+      return item;
+    }
+  }
+  
+  /**
+   * Collect the nodes of a scene, nested children included
+   * @param {*} scene - Document scene property
+   * @returns {Array<Object>} - { entry, pointer, parent } of every node object, roots first
+   */
+  function collectNodes(scene) {
+    const nodes = [];
+    const visit = (node, pointer) => {
+      nodes.push({ entry: node, pointer });
+      listOf(node, 'children').forEach((child, index) => {
+        if (isObject(child)) {
+          visit(child, `${pointer}/children/${index}`);
+        }
+      });
+    };
+    
+    const scenes = Array.isArray(scene) ? scene.map((entry, index) => [entry, `/scene/${index}`]) : [[scene, '/scene']];
+    for (const [entry, pointer] of scenes) {
+      listOf(entry, 'nodes').forEach((node, index) => {
+        if (isObject(node)) {
+          visit(node, `${pointer}/nodes/${index}`);
+        }
+      });
+    }
+    return nodes;
+  }
+  
+  /**
+   * Check the references of a document
+   * @param {Object} document - Decoded XRAI document, or an XRAI JSON document
+   * @param {Object} options - Check options
+   * @param {boolean} [options.unused=true] - Report assets nothing refers to
+   * @param {Object} [options.severities] - Severity by code ('error', 'warning' or 'off'), overriding DIAGNOSTIC_CODES
+   * @returns {Object} - valid (no errors), errors and warnings (counts), diagnostics
+   */
+  function checkReferences(document, options = {}) {
+    options = { unused: true, severities: {}, ...options };
+    
+    const severities = { ...DIAGNOSTIC_CODES, ...options.severities };
+    for (const [code, severity] of Object.entries(severities)) {
+      if (!DIAGNOSTIC_CODES[code]) {
+        throw new Error(`Unknown diagnostic code: ${code}`);
+      }
+      if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Unknown severity for ${code}: ${severity} (expected ${SEVERITIES.join(', ')})`);
+      }
+    }
+    
+    const diagnostics = [];
+    const report = (code, pointer, message) => {
+      if (severities[code] !== 'off') {
+        diagnostics.push({ severity: severities[code], code, pointer, message });
+      }
+    };
+    
+    const aiComponents = isObject(document.aiComponents) ? document.aiComponents : {};
+    const vfx = isObject(document.vfx) ? document.vfx : {};
+    const listed = (owner, key, prefix) => listOf(owner, key).map((entry, index) => ({ entry, pointer: `${prefix}/${key}/${index}` }));
+    
+    const nodeItems = collectNodes(document.scene);
+    const tables = {
+      geometry: new AssetTable('geometry', listed(document, 'geometry', ''), true),
+      materials: new AssetTable('material', listed(document, 'materials', ''), true),
+      textures: new AssetTable('texture', listed(vfx, 'textures', '/vfx'), false),
+      images: new AssetTable('image', listed(document, 'images', ''), true),
+      audio: new AssetTable('audio clip', listed(document, 'audio', ''), true),
+      networks: new AssetTable('neural network', listed(aiComponents, 'neuralNetworks', '/aiComponents'), false),
+      nodes: new AssetTable('node', nodeItems, false)
+    };
+    
+    // Entries that are only checked for duplicate ids
+    const others = [
+      new AssetTable('animation', listed(document, 'animations', ''), false),
+      new AssetTable('adaptation rule', listed(aiComponents, 'adaptationRules', '/aiComponents'), false),
+      new AssetTable('behavior model', listed(aiComponents, 'behaviorModels', '/aiComponents'), false),
+      new AssetTable('adaptive object', listed(aiComponents, 'adaptiveObjects', '/aiComponents'), false),
+      new AssetTable('particle system', listed(vfx, 'particleSystems', '/vfx'), false),
+      new AssetTable('effect', listed(vfx, 'effects', '/vfx'), false),
+      new AssetTable('shader', listed(vfx, 'shaders', '/vfx'), false)
+    ];
+    
+    for (const table of [...Object.values(tables), ...others]) {
+      for (const { item, first } of table.duplicates) {
+        report('DUPLICATE_ID', `${item.pointer}/id`, `${table.kind} id "${item.entry.id}" is also used by ${first.pointer}`);
+      }
+    }
+    
+    const check = (table, reference, pointer, owner) => {
+      if (reference === undefined || reference === null) {
+        return undefined;
+      }
+      const item = table.resolve(reference);
+      if (!item) {
+        const target = typeof reference === 'string' ? `"${reference}"` : reference;
+        const count = table.entries.length;
+        const range = !table.indexed || typeof reference !== 'number' ? ''
+          : count === 0 ? ' (there are none)' : ` (indices run from 0 to ${count - 1})`;
+        report('DANGLING_REFERENCE', pointer, `${owner} refers to ${table.kind} ${target}, which does not exist${range}`);
+      }
+      return item;
+    };
+    
+    // Scene nodes
+    const nodeNames = new Map();
+    for (const { entry } of nodeItems) {
+      if (entry.name !== undefined && !nodeNames.has(entry.name)) {
+        nodeNames.set(entry.name, entry);
+      }
+    }
+    
+    const rootNodes = Array.isArray(document.scene)
+      ? document.scene.flatMap(scene => listOf(scene, 'nodes'))
+      : listOf(document.scene, 'nodes');
+    const childEdges = new Map();
+    
+    for (const { entry, pointer } of nodeItems) {
+      const owner = describe('node', entry, pointer);
+      check(tables.geometry, entry.geometry, `${pointer}/geometry`, owner);
+      check(tables.materials, entry.material, `${pointer}/material`, owner);
+      
+      const children = [];
+      listOf(entry, 'children').forEach((child, index) => {
+        if (isObject(child)) {
+          children.push({ node: child, pointer: `${pointer}/children/${index}` });
+          return;
+        }
+        
+        // Children given by index refer to the nodes listed in the scene
+        const target = Number.isInteger(child) ? rootNodes[child] : (tables.nodes.resolve(child) || {}).entry;
+        if (!isObject(target)) {
+          const shown = typeof child === 'string' ? `"${child}"` : child;
+          report('DANGLING_REFERENCE', `${pointer}/children/${index}`, `${owner} has child node ${shown}, which does not exist`);
+          return;
+        }
+        children.push({ node: target, pointer: `${pointer}/children/${index}` });
+      });
+      childEdges.set(entry, children);
+    }
+    
+    // Hierarchy cycles: a node reached again while its own subtree is being walked
+    const state = new Map();
+    const path = [];
+    const walk = node => {
+      state.set(node, 'active');
+      path.push(node);
+      
+      for (const child of childEdges.get(node) || []) {
+        if (state.get(child.node) === 'active') {
+          const loop = path.slice(path.indexOf(child.node)).concat(child.node)
+            .map(entry => (entry.id !== undefined ? `"${entry.id}"` : '(no id)'));
+          report('NODE_CYCLE', child.pointer, `Node hierarchy loops: ${loop.join(' -> ')}`);
+        } else if (!state.has(child.node)) {
+          walk(child.node);
+        }
+      }
+      
+      path.pop();
+      state.set(node, 'done');
+    };
+    for (const { entry } of nodeItems) {
+      if (!state.has(entry)) {
+        walk(entry);
+      }
+    }
+    
+    // Geometry primitives
+    for (const { entry, pointer } of tables.geometry.entries) {
+      listOf(entry, 'primitives').forEach((primitive, index) => {
+        if (isObject(primitive)) {
+          check(tables.materials, primitive.material, `${pointer}/primitives/${index}/material`, describe('geometry', entry, pointer));
+        }
+      });
+    }
+    
+    // Texture maps of materials: texture ids, or image indices
+    for (const { entry, pointer } of tables.materials.entries) {
+      for (const [key, value] of Object.entries(isObject(entry) ? entry : {})) {
+        if (/Map$|^map$/.test(key) && (typeof value === 'string' || typeof value === 'number')) {
+          check(typeof value === 'number' ? tables.images : tables.textures, value, `${pointer}/${key}`, describe('material', entry, pointer));
+        }
+      }
+    }
+    
+    // Image and audio indices, which scene directories write wherever a url or uri named a file
+    const kinds = new Map();
+    for (const table of [...Object.values(tables), ...others]) {
+      for (const { entry } of table.entries) {
+        kinds.set(entry, table.kind);
+      }
+    }
+    const visit = (value, pointer) => {
+      if (Array.isArray(value)) {
+        value.forEach((item, index) => visit(item, `${pointer}/${index}`));
+        return;
+      }
+      if (!isObject(value)) {
+        return;
+      }
+      for (const [key, item] of Object.entries(value)) {
+        if ((key === 'image' || key === 'audio') && typeof item === 'number') {
+          const owner = describe(kinds.get(value) || 'object', value, pointer);
+          check(key === 'image' ? tables.images : tables.audio, item, `${pointer}/${key}`, owner);
+        } else {
+          visit(item, `${pointer}/${key}`);
+        }
+      }
+    };
+    for (const [key, value] of Object.entries(document)) {
+      // The container description of a decoded file holds no references
+      if (key !== 'container') {
+        visit(value, `/${key}`);
+      }
+    }
+    
+    // Animation targets
+    listed(document, 'animations', '').forEach(({ entry, pointer }) => {
+      if (!isObject(entry)) {
+        return;
+      }
+      const owner = describe('animation', entry, pointer);
+      check(tables.nodes, entry.targetId, `${pointer}/targetId`, owner);
+      if (entry.targetName !== undefined && !nodeNames.has(entry.targetName)) {
+        report('DANGLING_REFERENCE', `${pointer}/targetName`, `${owner} targets node name "${entry.targetName}", which no node has`);
+      }
+    });
+    
+    // Adaptive objects: viewers look for a node with the name, then with the id
+    listed(aiComponents, 'adaptiveObjects', '/aiComponents').forEach(({ entry, pointer }) => {
+      if (!isObject(entry)) {
+        return;
+      }
+      const owner = describe('adaptive object', entry, pointer);
+      const byName = entry.name !== undefined && nodeNames.has(entry.name);
+      const byId = entry.id !== undefined && tables.nodes.resolve(entry.id);
+      if (!byName && !byId && (entry.name !== undefined || entry.id !== undefined)) {
+        const key = entry.name !== undefined ? 'name' : 'id';
+        report('DANGLING_REFERENCE', `${pointer}/${key}`, `${owner} applies to no node: no node has ${key} "${entry[key]}"`);
+      }
+      
+      listOf(entry, 'networks').forEach((network, index) => {
+        check(tables.networks, network, `${pointer}/networks/${index}`, owner);
+      });
+      listOf(entry, 'adaptiveProperties').forEach((property, index) => {
+        if (isObject(property)) {
+          check(tables.networks, property.network, `${pointer}/adaptiveProperties/${index}/network`, owner);
+        }
+      });
+    });
+    
+    // Particle system textures, sub-emitters included
+    listed(vfx, 'particleSystems', '/vfx').forEach(({ entry, pointer }) => {
+      if (!isObject(entry)) {
+        return;
+      }
+      const owner = describe('particle system', entry, pointer);
+      check(tables.textures, entry.texture, `${pointer}/texture`, owner);
+      listOf(entry, 'subEmitters').forEach((emitter, index) => {
+        if (isObject(emitter)) {
+          check(tables.textures, emitter.texture, `${pointer}/subEmitters/${index}/texture`, owner);
+        }
+      });
+    });
+    
+    // Unused assets
+    if (options.unused) {
+      const media = [tables.textures, tables.images, tables.audio];
+      const unused = nodeItems.length > 0 ? [tables.geometry, tables.materials, ...media] : media;
+      for (const table of unused) {
+        for (const item of table.entries) {
+          if (!table.used.has(item)) {
+            report('UNUSED_ASSET', item.pointer, `${describe(table.kind, item.entry, item.pointer)} is not used`);
+          }
+        }
+      }
+    }
+    
+    const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+    return {
+      valid: errors === 0,
+      errors,
+      warnings: diagnostics.length - errors,
+      diagnostics
+    };
+  }
+  
+  const XRAIReferences = {
+    DIAGNOSTIC_CODES,
+    SEVERITIES,
+    checkReferences
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIReferences;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIReferences = XRAIReferences;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
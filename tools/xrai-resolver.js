@@ -0,0 +1,559 @@
+/**
+ * XRAI Resolver
+ * Loads external buffers and images: buffers and images whose data lives outside the file
+ *
+ * A buffer or image with a `uri` is external. The uri is resolved against the location
+ * of the .xrai file (baseUri): relative file paths in Node.js, relative URLs in the browser.
+ * Data URIs hold their data inline and need no base. Writers set header and section flag
+ * bit 1 (external references) on files with external buffers or images.
+ *
+ * Nothing is loaded when a file is decoded: external accessors stay as indices and external
+ * images keep their uri. The resolver loads a buffer or image the first time it is asked
+ * for, and keeps it for later requests:
+ *
+ *   const resolver = new XRAIResourceResolver({ baseUri: 'scenes/city.xrai' });
+ *   const positions = await resolver.getAccessor(document, 3);     // loads city-splats.bin
+ *   const bark = await resolver.getImage(document, 0);             // loads textures/bark.png
+ *   await resolver.resolveDocument(document);                      // everything, in place
+ *
+ * Loaders are chosen by URI scheme ('data', 'file', 'http', 'https', 'blob' and any other
+ * scheme passed in options.loaders). A loader receives the resolved location (a file path
+ * for 'file' in Node.js, a URL otherwise) and returns the bytes or a Promise of them.
+ *
+ * Files are untrusted input, so relative paths may not leave the directory of the base
+ * file, and absolute paths and file: URLs are refused unless options.allowOutsideBase is set.
+ * Failures throw XRAIFormatError code E_EXTERNAL_REFERENCE, after options.onError had a
+ * chance to supply replacement bytes.
+ *
+ * embedResources() and externalizeResources() switch a document between external and
+ * embedded storage; `xrai pack` and `xrai unpack` use them.
+ */
+
+(function (root) {
+  'use strict';
+  
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const XRAIContainer = isNode ? require('./xrai-container') : root.XRAIContainer;
+  const XRAIBuffers = isNode ? require('./xrai-buffers') : root.XRAIBuffers;
+  
+  const { XRAIFormatError } = XRAIContainer;
+  
+  // File name extensions for image MIME types, used when images are written out as files
+  const IMAGE_EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/webp': '.webp',
+    'image/ktx2': '.ktx2',
+    'image/vnd.radiance': '.hdr'
+  };
+  
+  const SCHEME_PATTERN = /^([a-z][a-z0-9+.-]*):/i;
+  
+  /**
+   * Check whether a URI is a data URI
+   * @param {string} uri - URI
+   * @returns {boolean} - True for data: URIs
+   */
+  function isDataUri(uri) {
+    return /^data:/i.test(uri);
+  }
+  
+  /**
+   * Decode the bytes of a data URI
+   * @param {string} uri - data:[<mediatype>][;base64],<data>
+   * @returns {Uint8Array} - Data
+   */
+  function decodeDataUri(uri) {
+    const comma = uri.indexOf(',');
+    if (!isDataUri(uri) || comma === -1) {
+      throw new Error(`Not a data URI: ${uri.slice(0, 32)}`);
+    }
+    
+    const data = uri.slice(comma + 1);
+    if (!/;base64$/i.test(uri.slice(0, comma))) {
+      return new TextEncoder().encode(decodeURIComponent(data));
+    }
+    
+    return XRAIBuffers.decodeBase64(data);
+  }
+  
+  /**
+   * Check whether a buffer or image entry refers to data outside the document
+   * @param {Object} entry - Buffer or image entry
+   * @returns {boolean} - True when it has a uri
+   */
+  function hasUri(entry) {
+    return entry !== null && typeof entry === 'object' && typeof entry.uri === 'string';
+  }
+  
+  /**
+   * Loads external buffers and images, resolving URIs against the location of the file
+   */
+  class XRAIResourceResolver {
+    /**
+     * @param {Object} options - Resolver options
+     * @param {string} [options.baseUri] - Location of the .xrai file: a file path in Node.js, a URL in the browser
+     *   (defaults to the working directory, or the page URL)
+     * @param {Object} [options.loaders] - Loaders by URI scheme, (location, reference) => bytes or a Promise of them;
+     *   they replace the built-in ones
+     * @param {boolean|Map} [options.cache=true] - Keep loaded data for later requests; a Map shares it between resolvers
+     * @param {Function} [options.onError] - (error, reference) called when a reference cannot be loaded; return bytes
+     *   (or a Promise of them) to use instead, or nothing to let the error through
+     * @param {boolean} [options.allowOutsideBase=false] - Allow absolute paths, file: URLs and paths leaving the base directory
+     */
+    constructor(options = {}) {
+      this.options = {
+        baseUri: null,
+        loaders: {},
+        cache: true,
+        onError: null,
+        allowOutsideBase: false,
+        ...options
+      };
+      
+      // Promises of loaded bytes, by resolved location
+      this.cache = this.options.cache instanceof Map ? this.options.cache : new Map();
+    }
+    
+    /**
+     * Resolve a URI against the base
+     * @param {string} uri - URI from a buffer or image
+     * @returns {Object} - { scheme, location }: the loader scheme and the file path or URL to load
+     */
+    resolveUri(uri) {
+      if (typeof uri !== 'string' || uri === '') {
+        throw new XRAIFormatError('E_EXTERNAL_REFERENCE', `Invalid external reference: ${uri}`);
+      }
+      if (isDataUri(uri)) {
+        return { scheme: 'data', location: uri };
+      }
+      
+      if (isNode && !this._baseIsUrl() && !SCHEME_PATTERN.test(uri)) {
+        return { scheme: 'file', location: this._resolvePath(uri) };
+      }
+      
+      const baseUrl = this._baseUrl();
+      let url;
+      try {
+        url = new URL(uri, baseUrl);
+      } catch (error) {
+        throw new XRAIFormatError('E_EXTERNAL_REFERENCE', `Cannot resolve ${uri} against ${baseUrl || 'no base'}: ${error.message}`);
+      }
+      
+      // file: URLs reach the whole disk, so they must stay in the directory of the base
+      const scheme = url.protocol.slice(0, -1);
+      if (scheme === 'file' && !this.options.allowOutsideBase) {
+        const directory = baseUrl ? new URL('.', baseUrl) : null;
+        if (!directory || directory.protocol !== url.protocol || directory.host !== url.host || !url.pathname.startsWith(directory.pathname)) {
+          throw new XRAIFormatError('E_EXTERNAL_REFERENCE', `${uri} is outside the directory of ${baseUrl || 'the document'}`);
+        }
+      }
+      
+      if (isNode && scheme === 'file') {
+        return { scheme, location: require('url').fileURLToPath(url) };
+      }
+      return { scheme, location: url.href };
+    }
+    
+    /**
+     * Load the bytes a URI refers to
+     * @param {string} uri - URI from a buffer or image
+     * @param {Object} [reference] - What refers to it, passed to loaders and onError, e.g. { buffer: 2 }
+     * @returns {Promise<Uint8Array>} - The bytes
+     */
+    async load(uri, reference = {}) {
+      const details = { ...reference, uri };
+      
+      try {
+        const resolved = this.resolveUri(uri);
+        const { location } = resolved;
+        details.location = location;
+        
+        if (this.options.cache && this.cache.has(location)) {
+          return await this.cache.get(location);
+        }
+        
+        const loading = Promise.resolve(this._loader(resolved.scheme)(location, details)).then(XRAIContainer.toUint8Array);
+        if (this.options.cache) {
+          this.cache.set(location, loading);
+          // Failures are not kept, so a later request tries again
+          loading.catch(() => this.cache.delete(location));
+        }
+        return await loading;
+      } catch (error) {
+        const failure = error instanceof XRAIFormatError
+          ? error
+          : new XRAIFormatError('E_EXTERNAL_REFERENCE', `Cannot load ${uri}: ${error.message}`, details);
+        
+        if (typeof this.options.onError === 'function') {
+          const replacement = await this.options.onError(failure, details);
+          if (replacement !== undefined && replacement !== null) {
+            return XRAIContainer.toUint8Array(replacement);
+          }
+        }
+        throw failure;
+      }
+    }
+    
+    /**
+     * Get the bytes of a buffer, loading it when it is external
+     * @param {Object} document - Decoded XRAI document
+     * @param {number} index - Buffer index
+     * @returns {Promise<Uint8Array>} - Buffer bytes
+     */
+    async getBuffer(document, index) {
+      const buffer = (document.buffers || [])[index];
+      if (!buffer) {
+        throw new Error(`Buffer ${index} does not exist`);
+      }
+      
+      if (!hasUri(buffer)) {
+        const embedded = this._embeddedBuffers(document)[index];
+        if (!embedded) {
+          throw new Error(`Buffer ${index} is embedded, but the document has no Buffers section data for it`);
+        }
+        return embedded;
+      }
+      
+      const bytes = await this.load(buffer.uri, { buffer: index });
+      if (bytes.byteLength < buffer.byteLength) {
+        throw new XRAIFormatError(
+          'E_EXTERNAL_REFERENCE',
+          `Buffer ${index} (${buffer.uri}) has ${bytes.byteLength} bytes, fewer than its byteLength of ${buffer.byteLength}`,
+          { buffer: index, uri: buffer.uri }
+        );
+      }
+      return bytes;
+    }
+    
+    /**
+     * Get the typed array of an accessor, loading its buffer when it is external
+     * @param {Object} document - Decoded XRAI document
+     * @param {number} index - Accessor index
+     * @returns {Promise<TypedArray>} - The data
+     */
+    async getAccessor(document, index) {
+      const accessor = (document.accessors || [])[index];
+      if (!accessor) {
+        throw new Error(`Accessor ${index} does not exist`);
+      }
+      
+      const bufferData = [];
+      if (accessor.bufferView !== undefined) {
+        const bufferView = (document.bufferViews || [])[accessor.bufferView];
+        if (!bufferView) {
+          throw new Error(`Accessor ${index} refers to missing bufferView ${accessor.bufferView}`);
+        }
+        bufferData[bufferView.buffer] = await this.getBuffer(document, bufferView.buffer);
+      }
+      
+      return XRAIBuffers.resolveAccessor(document, index, bufferData);
+    }
+    
+    /**
+     * Get the encoded bytes of an image (PNG, JPEG, ...), loading them when they are external
+     * @param {Object} document - Decoded XRAI document
+     * @param {number} index - Image index
+     * @returns {Promise<Uint8Array>} - Image bytes
+     */
+    async getImage(document, index) {
+      const image = (document.images || [])[index];
+      if (!image) {
+        throw new Error(`Image ${index} does not exist`);
+      }
+      
+      if (XRAIBuffers.isTypedArray(image.data)) {
+        return image.data;
+      }
+      if (hasUri(image)) {
+        return this.load(image.uri, { image: index });
+      }
+      if (typeof image.bufferView === 'number') {
+        const bufferView = (document.bufferViews || [])[image.bufferView];
+        if (!bufferView) {
+          throw new Error(`Image ${index} refers to missing bufferView ${image.bufferView}`);
+        }
+        const bufferData = [];
+        bufferData[bufferView.buffer] = await this.getBuffer(document, bufferView.buffer);
+        return XRAIBuffers.resolveBufferView(document, image.bufferView, bufferData);
+      }
+      throw new Error(`Image ${index} has no data, uri or bufferView`);
+    }
+    
+    /**
+     * Replace the accessor indices of one geometry entry with typed arrays, in place
+     * @param {Object} document - Decoded XRAI document
+     * @param {Object} geometry - Geometry entry of the document
+     * @returns {Promise<Object>} - The geometry
+     */
+    async resolveGeometry(document, geometry) {
+      const fields = [];
+      XRAIBuffers.forEachAccessorField(geometry, (holder, key) => {
+        if (typeof holder[key] === 'number') {
+          fields.push([holder, key]);
+        }
+      });
+      
+      for (const [holder, key] of fields) {
+        holder[key] = await this.getAccessor(document, holder[key]);
+      }
+      return geometry;
+    }
+    
+    /**
+     * Load every external buffer and image of a document, in place
+     *
+     * Geometry accessors become typed arrays and images get their bytes in `data`, so
+     * writing the document again embeds them; write the document as decoded to keep them
+     * external, or use embedResources to embed them without changing the document.
+     *
+     * @param {Object} document - Decoded XRAI document
+     * @returns {Promise<Object>} - The document
+     */
+    async resolveDocument(document) {
+      // Accessors shared by several fields resolve to one array, as when decoding
+      const accessors = new Map();
+      for (const geometry of document.geometry || []) {
+        const fields = [];
+        XRAIBuffers.forEachAccessorField(geometry, (holder, key) => {
+          if (typeof holder[key] === 'number') {
+            fields.push([holder, key]);
+          }
+        });
+        for (const [holder, key] of fields) {
+          if (!accessors.has(holder[key])) {
+            accessors.set(holder[key], this.getAccessor(document, holder[key]));
+          }
+          holder[key] = await accessors.get(holder[key]);
+        }
+      }
+      
+      for (const [index, image] of (document.images || []).entries()) {
+        if (image && !XRAIBuffers.isTypedArray(image.data)) {
+          image.data = await this.getImage(document, index);
+        }
+      }
+      
+      return document;
+    }
+    
+    /**
+     * Forget loaded data
+     */
+    clear() {
+      this.cache.clear();
+    }
+    
+    /**
+     * Check whether the base is a URL rather than a file path
+     * @private
+     * @returns {boolean} - True for a base with a URI scheme (not a Windows drive letter)
+     */
+    _baseIsUrl() {
+      const base = this.options.baseUri;
+      return typeof base === 'string' && SCHEME_PATTERN.test(base) && !/^[a-z]:[\\/]/i.test(base);
+    }
+    
+    /**
+     * Get the base as a URL
+     * @private
+     * @returns {string|undefined} - Base URL: the base itself, the file: URL of a base path or of the
+     *   working directory in Node.js, or the page URL in the browser
+     */
+    _baseUrl() {
+      if (this._baseIsUrl()) {
+        return this.options.baseUri;
+      }
+      if (isNode) {
+        const path = require('path');
+        const base = this.options.baseUri ? path.resolve(this.options.baseUri) : path.join(process.cwd(), path.sep);
+        return require('url').pathToFileURL(base).href;
+      }
+      return root.location ? root.location.href : undefined;
+    }
+    
+    /**
+     * Resolve a relative file path against the directory of the base file (Node.js)
+     * @private
+     * @param {string} uri - Relative or absolute path, percent-encoded as in a URI
+     * @returns {string} - Absolute path
+     */
+    _resolvePath(uri) {
+      const path = require('path');
+      const base = this.options.baseUri ? path.dirname(path.resolve(this.options.baseUri)) : process.cwd();
+      
+      let decoded;
+      try {
+        decoded = decodeURIComponent(uri);
+      } catch (error) {
+        throw new XRAIFormatError('E_EXTERNAL_REFERENCE', `Invalid percent-encoding in ${uri}`);
+      }
+      
+      const location = path.resolve(base, decoded);
+      if (!this.options.allowOutsideBase) {
+        const relative = path.relative(base, location);
+        if (path.isAbsolute(decoded) || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+          throw new XRAIFormatError('E_EXTERNAL_REFERENCE', `${uri} is outside ${base}`);
+        }
+      }
+      return location;
+    }
+    
+    /**
+     * Get the loader for a URI scheme
+     * @private
+     * @param {string} scheme - URI scheme without the colon
+     * @returns {Function} - (location, reference) => bytes or a Promise of them
+     */
+    _loader(scheme) {
+      if (typeof this.options.loaders[scheme] === 'function') {
+        return this.options.loaders[scheme];
+      }
+      
+      if (scheme === 'data') {
+        return decodeDataUri;
+      }
+      if (scheme === 'file' && isNode) {
+        return location => require('fs').promises.readFile(location);
+      }
+      if (typeof root.fetch === 'function' && scheme !== 'file') {
+        return async location => {
+          const response = await root.fetch(location);
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status} ${response.statusText}`);
+          }
+          return new Uint8Array(await response.arrayBuffer());
+        };
+      }
+      
+      throw new Error(`No loader for ${scheme}: URIs`);
+    }
+    
+    /**
+     * Get the embedded buffer bytes of a decoded document, by buffer index
+     * @private
+     * @param {Object} document - Decoded XRAI document, with container.sections
+     * @returns {Array<Uint8Array>} - Bytes by buffer index
+     */
+    _embeddedBuffers(document) {
+      const sections = document.container && Array.isArray(document.container.sections) ? document.container.sections : [];
+      const embedded = sections.filter(section => section.type === 'buffers').map(section => section.value);
+      return XRAIBuffers.getEmbeddedBufferData(document, embedded);
+    }
+  }
+  
+  /**
+   * Copy a document with every buffer and image embedded
+   *
+   * External data is loaded with the resolver. Geometry accessors become typed arrays and
+   * images get their bytes in `data`, so writing the copy stores all of it in Buffers
+   * sections. The document passed in is left as it was.
+   *
+   * @param {Object} document - Decoded XRAI document
+   * @param {XRAIResourceResolver} resolver - Resolver for the document's location
+   * @returns {Promise<Object>} - The copy, without buffers, bufferViews or accessors
+   */
+  async function embedResources(document, resolver) {
+    const copy = {
+      ...document,
+      geometry: document.geometry !== undefined ? document.geometry.map(XRAIBuffers.cloneAccessorHolders) : undefined,
+      images: document.images !== undefined ? document.images.map(image => ({ ...image })) : undefined
+    };
+    
+    await resolver.resolveDocument(copy);
+    
+    // Embedded images keep the media type a data URI gave them
+    for (const image of copy.images || []) {
+      const mediaType = hasUri(image) && isDataUri(image.uri) ? /^data:([^;,]+)/i.exec(image.uri) : null;
+      if (image.mimeType === undefined && mediaType) {
+        image.mimeType = mediaType[1];
+      }
+    }
+    
+    // Rebuilt from the typed arrays when the copy is written
+    delete copy.buffers;
+    delete copy.bufferViews;
+    delete copy.accessors;
+    for (const key of ['geometry', 'images']) {
+      if (copy[key] === undefined) {
+        delete copy[key];
+      }
+    }
+    return copy;
+  }
+  
+  /**
+   * Move the binary data of a document into external files
+   *
+   * Images with data become one file each, named after their name or index; the typed arrays
+   * of geometry become one buffer file. Data already external is left as it is, so resolve it
+   * first (embedResources) when the files are written somewhere other than where it was.
+   *
+   * @param {Object} document - XRAI document with typed arrays and image data
+   * @param {Object} options - Options
+   * @param {string} [options.name='scene'] - Base of the file names: <name>.bin, <name>-<image>.png, ...
+   * @returns {Object} - { document, files }: the document to write, and [{ uri, bytes }] to write next to it
+   */
+  function externalizeResources(document, options = {}) {
+    const name = options.name || 'scene';
+    const files = [];
+    const used = new Set();
+    
+    const fileName = (base, extension) => {
+      let candidate = `${base}${extension}`;
+      for (let n = 2; used.has(candidate); n++) {
+        candidate = `${base}-${n}${extension}`;
+      }
+      used.add(candidate);
+      return candidate;
+    };
+    
+    let result = document;
+    if (Array.isArray(document.images)) {
+      result = {
+        ...document,
+        images: document.images.map((image, index) => {
+          if (!image || !XRAIBuffers.isTypedArray(image.data)) {
+            return image;
+          }
+          const { data, ...copy } = image;
+          const label = typeof image.name === 'string' && /^[\w.-]+$/.test(image.name) ? image.name : `image${index}`;
+          copy.uri = encodeURIComponent(fileName(`${name}-${label}`, IMAGE_EXTENSIONS[image.mimeType] || '.bin'));
+          files.push({ uri: copy.uri, bytes: new Uint8Array(data.buffer, data.byteOffset, data.byteLength) });
+          return copy;
+        })
+      };
+    }
+    
+    const packed = XRAIBuffers.packDocument(result);
+    if (packed.buffers.length > 0) {
+      // packDocument appends the buffer it built after the external ones
+      const buffers = packed.document.buffers.slice();
+      const index = buffers.length - 1;
+      buffers[index] = { ...buffers[index], uri: encodeURIComponent(fileName(name, '.bin')) };
+      files.push({ uri: buffers[index].uri, bytes: packed.buffers[0] });
+      result = { ...packed.document, buffers };
+    } else {
+      result = packed.document;
+    }
+    
+    return { document: result, files };
+  }
+  
+  const XRAIResolver = {
+    IMAGE_EXTENSIONS,
+    XRAIResourceResolver,
+    isDataUri,
+    decodeDataUri,
+    embedResources,
+    externalizeResources
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIResolver;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIResolver = XRAIResolver;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,315 @@
+/**
+ * XRAI Scene Directories
+ * Reads a scene directory into one XRAI document, importing its asset files
+ *
+ * A scene directory holds:
+ *
+ *   scene.json     the document, in the shape of demos/browser/samples/*.json (optional; a
+ *                  scene may also be given as another JSON file next to the folders)
+ *   meshes/        mesh and point cloud files, imported as geometry
+ *   splats/        Gaussian splat files, imported as geometry
+ *   textures/      images
+ *   audio/         audio clips
+ *
+ * Every file in the asset folders (subfolders included, dot files left out) is imported with
+ * the importer for its folder and extension (see tools/xrai-importers.js); a file without
+ * one is an error. Geometry gets the file's path inside its folder, without the extension,
+ * as its id: meshes/props/chair.obj becomes "props/chair". A geometry entry in scene.json
+ * with the same id adds to or overrides the imported properties. Images and audio clips are
+ * appended to `images` and `audio`, named the same way.
+ *
+ * scene.json refers to assets by their path in the directory ("meshes/props/chair.obj" or
+ * "./meshes/props/chair.obj"). Each such string is replaced by the asset's reference in the
+ * container: the geometry id, or the index of the image or audio clip. A `url` or `uri`
+ * property naming an asset becomes `geometry`, `image` or `audio`, so
+ * { id: 'smoke', url: 'textures/smoke.png' } is written as { id: 'smoke', image: 2 }.
+ * A path into an asset folder that names no file is an error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const XRAIImporters = require('./xrai-importers');
+
+const SCENE_FILE = 'scene.json';
+
+// Asset folders, with the document property their files are added to
+const ASSET_FOLDERS = {
+  meshes: 'geometry',
+  splats: 'geometry',
+  textures: 'images',
+  audio: 'audio'
+};
+
+// Property a `url` or `uri` naming an asset is replaced with
+const REFERENCE_KEYS = {
+  geometry: 'geometry',
+  images: 'image',
+  audio: 'audio'
+};
+
+/**
+ * Check whether a value is a JSON object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for objects that are not arrays
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Find the directory and scene file of a scene
+ * @param {string} source - Scene directory, or the JSON file holding its document
+ * @returns {Object} - { directory, sceneFile }
+ */
+function resolveScene(source) {
+  if (fs.statSync(source).isFile()) {
+    return { directory: path.dirname(source), sceneFile: path.basename(source) };
+  }
+  return { directory: source, sceneFile: SCENE_FILE };
+}
+
+/**
+ * Check whether a path inside a scene directory is the scene file or in an asset folder
+ * @param {string} file - Path relative to the scene directory, with / separators
+ * @param {string} [sceneFile='scene.json'] - Name of the scene file
+ * @returns {boolean} - True when a change to it changes the encoded scene
+ */
+function isSceneFile(file, sceneFile = SCENE_FILE) {
+  return file === sceneFile || Object.keys(ASSET_FOLDERS).some(folder => file === folder || file.startsWith(`${folder}/`));
+}
+
+/**
+ * List the asset files of a scene directory
+ * @param {string} directory - Scene directory
+ * @returns {Promise<Array<Object>>} - { folder, path, id } of each file, sorted by path;
+ *   path is relative to the directory, with / separators
+ */
+async function listAssets(directory) {
+  const assets = [];
+  
+  const walk = async (folder, relative) => {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(path.join(directory, relative), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' && relative === folder) {
+        return;
+      }
+      throw error;
+    }
+    
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+      const file = `${relative}/${entry.name}`;
+      if (entry.isDirectory()) {
+        await walk(folder, file);
+      } else if (entry.isFile()) {
+        const inFolder = file.slice(folder.length + 1);
+        assets.push({ folder, path: file, id: inFolder.slice(0, inFolder.length - XRAIImporters.getExtension(inFolder).length) });
+      }
+    }
+  };
+  
+  for (const folder of Object.keys(ASSET_FOLDERS)) {
+    await walk(folder, folder);
+  }
+  
+  return assets.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+/**
+ * Import one asset file
+ * @param {string} file - File path
+ * @param {string} folder - Asset folder whose importers to use (meshes, splats, textures, audio)
+ * @param {Object} options - Options
+ * @param {string} [options.id] - Id (or name) of the entry; defaults to the file name without its extension
+ * @param {string} [options.path] - Path for error messages; defaults to the file path
+ * @param {XRAIImporterRegistry} [options.importers] - Importers (defaults to XRAIImporters.defaultRegistry)
+ * @returns {Promise<Object>} - Document entry: geometry, image or audio clip
+ */
+async function importFile(file, folder, options = {}) {
+  const importers = options.importers || XRAIImporters.defaultRegistry;
+  const extension = XRAIImporters.getExtension(file);
+  const label = options.path || file;
+  
+  const importer = importers.get(folder, extension);
+  if (!importer) {
+    const supported = importers.listExtensions(folder);
+    throw new Error(`No importer for ${label} (${folder}: ${supported.length > 0 ? supported.join(', ') : 'none'})`);
+  }
+  
+  const id = options.id !== undefined ? options.id : path.basename(file, path.extname(file));
+  const bytes = new Uint8Array(await fs.promises.readFile(file));
+  try {
+    return await importer.import(bytes, { id, path: label });
+  } catch (error) {
+    error.message = error.message.includes(label) ? error.message : `${label}: ${error.message}`;
+    throw error;
+  }
+}
+
+/**
+ * Read a scene directory into an XRAI document
+ * @param {string} source - Scene directory, or the JSON file holding its document
+ * @param {Object} options - Options
+ * @param {XRAIImporterRegistry} [options.importers] - Importers (defaults to XRAIImporters.defaultRegistry)
+ * @returns {Promise<Object>} - The document, holding typed arrays and media bytes for the writer to pack
+ */
+async function loadSceneDirectory(source, options = {}) {
+  const { directory, sceneFile } = resolveScene(source);
+  const scenePath = path.join(directory, sceneFile);
+  let scene = {};
+  if (fs.existsSync(scenePath)) {
+    try {
+      scene = JSON.parse(await fs.promises.readFile(scenePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`${sceneFile}: ${error.message}`);
+    }
+  }
+  if (!isObject(scene)) {
+    throw new Error(`${sceneFile} must hold an XRAI document (a JSON object)`);
+  }
+  
+  // Import the assets and work out their references
+  const imported = { geometry: [], images: [], audio: [] };
+  const references = new Map();
+  const geometryIds = new Map();
+  
+  for (const asset of await listAssets(directory)) {
+    const property = ASSET_FOLDERS[asset.folder];
+    const entry = await importFile(path.join(directory, asset.path), asset.folder, {
+      id: asset.id,
+      path: asset.path,
+      importers: options.importers
+    });
+    
+    if (property === 'geometry') {
+      if (geometryIds.has(asset.id)) {
+        throw new Error(`${geometryIds.get(asset.id)} and ${asset.path} would both have the geometry id "${asset.id}"`);
+      }
+      geometryIds.set(asset.id, asset.path);
+      references.set(asset.path, { property, reference: entry.id });
+    } else {
+      const existing = scene[property];
+      if (existing !== undefined && !Array.isArray(existing)) {
+        throw new Error(`${sceneFile} ${property} must be a list for the files in ${asset.folder}/ to be added to it`);
+      }
+      references.set(asset.path, { property, reference: (existing || []).length + imported[property].length });
+    }
+    imported[property].push(entry);
+  }
+  
+  const findAsset = (text, pointer) => {
+    const file = text.replace(/^\.\//, '');
+    if (!Object.keys(ASSET_FOLDERS).some(folder => file.startsWith(`${folder}/`))) {
+      return null;
+    }
+    if (!references.has(file)) {
+      throw new Error(`${sceneFile} ${pointer} refers to ${text}, which is not in the scene directory`);
+    }
+    return references.get(file);
+  };
+  
+  const rewrite = (value, pointer) => {
+    if (typeof value === 'string') {
+      const asset = findAsset(value, pointer);
+      return asset ? asset.reference : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => rewrite(item, `${pointer}/${index}`));
+    }
+    if (!isObject(value)) {
+      return value;
+    }
+    
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      const asset = (key === 'url' || key === 'uri') && typeof item === 'string' ? findAsset(item, `${pointer}/${key}`) : null;
+      if (asset) {
+        result[REFERENCE_KEYS[asset.property]] = asset.reference;
+      } else {
+        result[key] = rewrite(item, `${pointer}/${key}`);
+      }
+    }
+    return result;
+  };
+  
+  const document = rewrite(scene, '');
+  
+  if (imported.geometry.length > 0) {
+    const geometry = Array.isArray(document.geometry) ? document.geometry.slice() : [];
+    for (const entry of imported.geometry) {
+      const index = geometry.findIndex(existing => isObject(existing) && existing.id === entry.id);
+      if (index >= 0) {
+        geometry[index] = { ...entry, ...geometry[index] };
+      } else {
+        geometry.push(entry);
+      }
+    }
+    document.geometry = geometry;
+  }
+  for (const property of ['images', 'audio']) {
+    if (imported[property].length > 0) {
+      document[property] = [...(document[property] || []), ...imported[property]];
+    }
+  }
+  
+  return document;
+}
+
+/**
+ * Watch a scene directory for changes to its scene file and asset folders
+ *
+ * Changes are collected until none has come for `delay` milliseconds, so saving several
+ * files at once, or an editor writing a file in steps, calls onChange once.
+ *
+ * @param {string} source - Scene directory, or the JSON file holding its document
+ * @param {Function} onChange - Called with the changed paths, relative to the directory
+ * @param {Object} options - Options
+ * @param {number} [options.delay=200] - Milliseconds to wait for further changes
+ * @returns {Object} - Watcher with close()
+ */
+function watchSceneDirectory(source, onChange, options = {}) {
+  options = { delay: 200, ...options };
+  const { directory, sceneFile } = resolveScene(source);
+  
+  const changed = new Set();
+  let timer = null;
+  
+  const watcher = fs.watch(directory, { recursive: true }, (event, filename) => {
+    const file = filename ? filename.toString().split(path.sep).join('/') : null;
+    if (file && !isSceneFile(file, sceneFile)) {
+      return;
+    }
+    if (file) {
+      changed.add(file);
+    }
+    
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const files = [...changed].sort();
+      changed.clear();
+      onChange(files);
+    }, options.delay);
+  });
+  
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    }
+  };
+}
+
+module.exports = {
+  SCENE_FILE,
+  ASSET_FOLDERS,
+  isSceneFile,
+  resolveScene,
+  listAssets,
+  importFile,
+  loadSceneDirectory,
+  watchSceneDirectory
+};
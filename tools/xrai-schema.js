@@ -0,0 +1,146 @@
+/**
+ * XRAI Schema
+ * Checks decoded sections against the JSON Schema in schemas/xrai-core.json
+ *
+ * Each section is checked against the sub-schema of the document property it decodes to:
+ * a Geometry section against properties.geometry, a Materials section against
+ * properties.materials, and so on. The metadata section holds the document root and is
+ * checked against the whole schema; in files from early encoders, where it holds the bare
+ * metadata object, against properties.metadata. Sections the schema has no property for
+ * (animations, audio, scene, binary sections and extension sections) are not checked.
+ *
+ * Schema violations are reported as issues:
+ *
+ *   {
+ *     section,   // TOC index
+ *     type,      // section type name
+ *     name,      // section name, or null
+ *     pointer,   // JSON pointer into the document, e.g. /geometry/0/type
+ *     keyword,   // schema keyword that failed, e.g. required or type
+ *     message    // e.g. 'should be string'
+ *   }
+ *
+ * Pointers into a section start with the document property it decodes to, so /geometry/0
+ * is the first entry of the section named by `section`, not of the merged document.
+ *
+ * In strict mode XRAIContainerReader#validate reports issues as errors, with code
+ * E_SCHEMA_VIOLATION; in lenient mode as warnings. In Node, ajv and the schema are loaded
+ * with require(). In the browser, load ajv first (ajv/dist/ajv.min.js defines Ajv) and pass
+ * the parsed schema as options.schema.
+ */
+
+(function (root) {
+  'use strict';
+  
+  const isNode = typeof module !== 'undefined' && module.exports;
+  
+  const SCHEMA_MODES = ['strict', 'lenient'];
+  
+  /**
+   * Check whether a metadata section value is a document root rather than bare metadata
+   * @param {*} value - Decoded metadata section
+   * @returns {boolean} - True for a document root
+   */
+  function isDocumentRoot(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      (value.asset !== undefined || value.metadata !== undefined);
+  }
+  
+  /**
+   * Checks section values against schemas/xrai-core.json, compiling each sub-schema once
+   */
+  class XRAISchemaValidator {
+    constructor(options = {}) {
+      this.options = {
+        mode: 'lenient', // Schema violations as errors (strict) or warnings (lenient)
+        schema: null, // Parsed schema (defaults to schemas/xrai-core.json in Node)
+        ajv: null, // Ajv constructor (defaults to the ajv package in Node, or the Ajv global)
+        ...options
+      };
+      
+      if (!SCHEMA_MODES.includes(this.options.mode)) {
+        throw new Error(`Unknown schema validation mode: ${this.options.mode} (expected ${SCHEMA_MODES.join(' or ')})`);
+      }
+      
+      const Ajv = this.options.ajv || (isNode ? require('ajv') : root.Ajv);
+      const schema = this.options.schema || (isNode ? require('../schemas/xrai-core.json') : null);
+      if (!Ajv || !schema) {
+        throw new Error('Schema validation needs ajv and schemas/xrai-core.json; in the browser, load ajv and pass options.schema');
+      }
+      
+      this.mode = this.options.mode;
+      this.schema = schema;
+      this.ajv = new Ajv({ allErrors: true, jsonPointers: true });
+      this.compiled = new Map();
+    }
+    
+    /**
+     * Check whether sections of a type are checked
+     * @param {string} type - Section type name
+     * @returns {boolean} - True for the metadata section and types the schema has a property for
+     */
+    covers(type) {
+      return type === 'metadata' || Boolean(this.schema.properties && this.schema.properties[type]);
+    }
+    
+    /**
+     * Check a decoded section against its sub-schema
+     * @param {Object} section - Section entry (index, type, name)
+     * @param {*} value - Section value, as returned by XRAIContainerReader#readSection
+     * @returns {Array<Object>} - Issues (see the top of this file), empty when the value is valid
+     */
+    validateSection(section, value) {
+      if (!this.covers(section.type) || ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+        return [];
+      }
+      
+      let key = section.type;
+      let prefix = `/${section.type}`;
+      if (section.type === 'metadata') {
+        // The document root is checked at the root; bare metadata where the root keeps it
+        key = isDocumentRoot(value) ? '' : 'metadata';
+        prefix = key ? '/metadata' : '';
+      }
+      
+      const validate = this._compile(key);
+      if (validate(value)) {
+        return [];
+      }
+      
+      return validate.errors.map(error => ({
+        section: section.index,
+        type: section.type,
+        name: section.name || null,
+        pointer: prefix + error.dataPath,
+        keyword: error.keyword,
+        message: error.keyword === 'enum' ? `${error.message}: ${error.params.allowedValues.join(', ')}` : error.message
+      }));
+    }
+    
+    /**
+     * Compile the schema, or one of its properties, on first use
+     * @private
+     * @param {string} key - Property name, or '' for the whole schema
+     * @returns {Function} - The ajv validate function
+     */
+    _compile(key) {
+      if (!this.compiled.has(key)) {
+        this.compiled.set(key, this.ajv.compile(key ? this.schema.properties[key] : this.schema));
+      }
+      return this.compiled.get(key);
+    }
+  }
+  
+  const XRAISchema = {
+    SCHEMA_MODES,
+    XRAISchemaValidator
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAISchema;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAISchema = XRAISchema;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
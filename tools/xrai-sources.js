@@ -0,0 +1,941 @@
+/**
+ * XRAI Sources
+ * Random access to XRAI files: reads the header and table of contents first, then sections on demand
+ *
+ * `open(source)` accepts a file path or descriptor (Node.js), a URL (fetched with HTTP Range
+ * requests), a Blob or File (browser), in-memory bytes, or any object implementing the source interface:
+ *
+ *   {
+ *     read(offset, length),   // Promise<Uint8Array> with up to `length` bytes (fewer only at end of file)
+ *     getSize(),              // Promise<number|null>, total size in bytes when known
+ *     close()                 // optional, Promise<void>
+ *   }
+ *
+ * Example:
+ *
+ *   const handle = await XRAISources.open('https://example.com/scene.xrai');
+ *   const root = await handle.getSection('metadata');     // small request
+ *   showTitle(root.metadata.title);
+ *   const geometry = await handle.getSection('geometry'); // fetched when needed
+ *
+ * Files never have to fit in memory as a whole, so files larger than the largest
+ * ArrayBuffer or Buffer (2-4 GB) can be read. A section is read from its own byte range,
+ * in windows of READ_WINDOW_SIZE, and decoded straight from those bytes. decode() and
+ * readSections() handle one section at a time, and validate() checksums the file window
+ * by window, so the memory they need beyond their results is bounded by the largest section.
+ */
+
+(function (root) {
+  'use strict';
+  
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const XRAIContainer = isNode ? require('./xrai-container') : root.XRAIContainer;
+  const XRAIIntegrity = isNode ? require('./xrai-integrity') : root.XRAIIntegrity;
+  
+  // First read covers the header and, for files written with the TOC up front, the whole TOC
+  const INITIAL_READ_SIZE = 4096;
+  
+  // Largest single read from a file or Blob. Node.js reads at most 2 GB per call and browsers
+  // limit the size of one ArrayBuffer, so longer ranges are read in windows of this size.
+  const READ_WINDOW_SIZE = 64 * 1024 * 1024;
+  
+  /**
+   * Call a callback-style Node.js fs function
+   * @param {string} method - fs function name, e.g. 'read'
+   * @param {...*} args - Arguments before the callback
+   * @returns {Promise<*>} - The first result passed to the callback
+   */
+  function callFs(method, ...args) {
+    return new Promise((resolve, reject) => {
+      require('fs')[method](...args, (error, result) => (error ? reject(error) : resolve(result)));
+    });
+  }
+  
+  /**
+   * Source over bytes already in memory
+   */
+  class BufferSource {
+    /**
+     * @param {ArrayBuffer|ArrayBufferView} data - File bytes
+     */
+    constructor(data) {
+      this.bytes = XRAIContainer.toUint8Array(data);
+    }
+    
+    async read(offset, length) {
+      return this.bytes.subarray(offset, Math.min(offset + length, this.bytes.byteLength));
+    }
+    
+    async getSize() {
+      return this.bytes.byteLength;
+    }
+    
+    async close() {}
+  }
+  
+  /**
+   * Source over a local file, read with positioned reads (Node.js)
+   */
+  class FileSource {
+    /**
+     * @param {string|number} file - Path to the file, or a file descriptor open for reading
+     *   (left open by close())
+     */
+    constructor(file) {
+      this.filePath = typeof file === 'string' ? file : null;
+      this.fd = typeof file === 'number' ? file : null;
+      this.ownsFd = false;
+    }
+    
+    /**
+     * Open the file on first use
+     * @private
+     * @returns {Promise<number>} - File descriptor
+     */
+    async _open() {
+      if (this.fd === null) {
+        this.fd = await callFs('open', this.filePath, 'r');
+        this.ownsFd = true;
+      }
+      return this.fd;
+    }
+    
+    async read(offset, length) {
+      const fd = await this._open();
+      const bytes = new Uint8Array(length);
+      let total = 0;
+      
+      while (total < length) {
+        const bytesRead = await callFs('read', fd, bytes, total, Math.min(length - total, READ_WINDOW_SIZE), offset + total);
+        if (bytesRead === 0) {
+          break;
+        }
+        total += bytesRead;
+      }
+      
+      return total === length ? bytes : bytes.subarray(0, total);
+    }
+    
+    async getSize() {
+      const fd = await this._open();
+      return (await callFs('fstat', fd)).size;
+    }
+    
+    async close() {
+      if (this.ownsFd) {
+        await callFs('close', this.fd);
+        this.fd = null;
+        this.ownsFd = false;
+      }
+    }
+  }
+  
+  /**
+   * Source over a Blob or File (browser)
+   */
+  class BlobSource {
+    /**
+     * @param {Blob} blob - Blob or File
+     */
+    constructor(blob) {
+      this.blob = blob;
+    }
+    
+    async read(offset, length) {
+      const end = Math.min(offset + length, this.blob.size);
+      if (end - offset <= READ_WINDOW_SIZE) {
+        return new Uint8Array(await this.blob.slice(offset, end).arrayBuffer());
+      }
+      
+      const bytes = new Uint8Array(end - offset);
+      for (let position = offset; position < end; position += READ_WINDOW_SIZE) {
+        const window = await this.blob.slice(position, Math.min(position + READ_WINDOW_SIZE, end)).arrayBuffer();
+        bytes.set(new Uint8Array(window), position - offset);
+      }
+      return bytes;
+    }
+    
+    async getSize() {
+      return this.blob.size;
+    }
+    
+    async close() {}
+  }
+  
+  /**
+   * Source over a URL, read with HTTP Range requests
+   *
+   * Servers that ignore the Range header answer with the whole file; it is then kept in
+   * memory and later reads are served from it.
+   */
+  class HttpRangeSource {
+    /**
+     * @param {string} url - File URL
+     * @param {Object} options - Source options
+     * @param {Function} [options.fetch] - fetch implementation (defaults to the global fetch)
+     * @param {Object} [options.headers] - Extra request headers
+     */
+    constructor(url, options = {}) {
+      this.url = url;
+      this.options = {
+        fetch: null,
+        headers: {},
+        ...options
+      };
+      
+      this.size = null;
+      this.fullBody = null;
+    }
+    
+    async read(offset, length) {
+      if (this.fullBody) {
+        return this.fullBody.read(offset, length);
+      }
+      
+      const fetchImpl = this.options.fetch || root.fetch;
+      if (!fetchImpl) {
+        throw new Error('HTTP sources need fetch (Node.js 18+ or a browser), or options.fetch');
+      }
+      
+      const response = await fetchImpl(this.url, {
+        headers: {
+          ...this.options.headers,
+          Range: `bytes=${offset}-${offset + length - 1}`
+        }
+      });
+      
+      if (response.status === 416) {
+        // Requested range starts past the end of the file
+        return new Uint8Array(0);
+      }
+      if (!response.ok) {
+        throw new Error(`Failed to fetch ${this.url}: HTTP ${response.status}`);
+      }
+      
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      
+      if (response.status !== 206) {
+        this.fullBody = new BufferSource(bytes);
+        this.size = bytes.byteLength;
+        return this.fullBody.read(offset, length);
+      }
+      
+      // Content-Range: bytes start-end/total
+      const contentRange = response.headers.get('Content-Range') || '';
+      const match = /\/(\d+)\s*$/.exec(contentRange);
+      if (match) {
+        this.size = Number(match[1]);
+      }
+      
+      return bytes.byteLength > length ? bytes.subarray(0, length) : bytes;
+    }
+    
+    async getSize() {
+      if (this.size === null && !this.fullBody) {
+        await this.read(0, 1);
+      }
+      return this.size;
+    }
+    
+    async close() {
+      this.fullBody = null;
+    }
+  }
+  
+  /**
+   * Wrap a path, file descriptor, URL, Blob, bytes or source object in a source
+   * @param {string|number|Blob|ArrayBuffer|ArrayBufferView|Object} source - What to read from
+   * @param {Object} options - Options passed to HttpRangeSource
+   * @returns {Object} - Source
+   */
+  function createSource(source, options = {}) {
+    if (typeof source === 'string') {
+      if (/^https?:\/\//i.test(source) || !isNode) {
+        return new HttpRangeSource(source, options);
+      }
+      return new FileSource(source);
+    }
+    if (typeof source === 'number' && isNode) {
+      return new FileSource(source);
+    }
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+      return new BlobSource(source);
+    }
+    if (XRAIContainer.isBinary(source)) {
+      return new BufferSource(source);
+    }
+    if (source && typeof source.read === 'function') {
+      return source;
+    }
+    throw new TypeError('Expected a file path or descriptor, URL, Blob, bytes or an object with read(offset, length)');
+  }
+  
+  /**
+   * Handle to an XRAI file whose header and table of contents have been read
+   */
+  class XRAIHandle {
+    /**
+     * @param {Object} source - Source to read sections from
+     * @param {Object} header - Parsed header
+     * @param {Array<Object>} sections - Section entries
+     * @param {number|null} fileSize - File size, when known
+     * @param {Object} options - Decode options (codecs, resolveAccessors, corruptSections, limits, extensions, cache)
+     */
+    constructor(source, header, sections, fileSize, options = {}) {
+      this.options = {
+        codecs: null,
+        resolveAccessors: true,
+        corruptSections: 'refuse',
+        extensions: null,
+        cache: null,
+        workerPool: null,
+        ...options
+      };
+      
+      this.limits = XRAIContainer.resolveLimits(this.options.limits);
+      this.source = source;
+      this.header = header;
+      this.sections = sections;
+      this.fileSize = fileSize;
+      
+      // Decoded section values, by TOC index
+      this.cache = new Map();
+      
+      // Bytes open() read from the start of the file; sections within them are not read again
+      this.head = new Uint8Array(0);
+      
+      // Integrity table, loaded by open() when the file has one
+      this.integrity = null;
+      
+      // Checksum mismatches of skipped sections, by TOC index
+      this.corrupt = new Map();
+    }
+    
+    /**
+     * List the sections without reading them
+     * @returns {Array<Object>} - Section entries: index, typeId, type, name, offset, size, flags
+     */
+    listSections() {
+      return this.sections.map(section => ({ ...section }));
+    }
+    
+    /**
+     * Find a section by index, or by type and optionally name
+     * @param {number|string} indexOrType - TOC index, or section type name
+     * @param {string} [name] - Section name from the string table
+     * @returns {Object|undefined} - The first matching section entry
+     */
+    findSection(indexOrType, name) {
+      return XRAIContainer.findSectionEntry(this.sections, indexOrType, name);
+    }
+    
+    /**
+     * Read the stored bytes of a section, still compressed if the section is
+     * @param {number|string} indexOrType - TOC index, or section type name
+     * @param {string} [name] - Section name from the string table
+     * @returns {Promise<Uint8Array>} - Section bytes as stored in the file
+     */
+    async getSectionRaw(indexOrType, name) {
+      const section = this._requireSection(indexOrType, name);
+      
+      // Bounds were checked by open() when the file size is known; otherwise a short read shows them
+      return readRange(this.source, this.head, section.offset, section.size, 'E_SECTION_OUT_OF_RANGE', { section: section.index });
+    }
+    
+    /**
+     * Read and decode a section
+     *
+     * Geometry accessors are resolved to typed arrays, which also loads the metadata
+     * and Buffers sections. The metadata sections are always read first, to refuse files
+     * that require a newer format version (asset.minVersion) or an extension that is not registered.
+     *
+     * @param {number|string} indexOrType - TOC index, or section type name
+     * @param {string} [name] - Section name from the string table, e.g. getSection('geometry', 'lod1')
+     * @returns {Promise<*>} - Parsed JSON for JSON sections, Uint8Array for binary and unknown sections
+     */
+    async getSection(indexOrType, name) {
+      const section = this._requireSection(indexOrType, name);
+      await this._checkDocumentRequirements();
+      const value = await this._readValue(section);
+      
+      if (value === undefined) {
+        throw new XRAIContainer.XRAIFormatError('E_CHECKSUM_MISMATCH', this.corrupt.get(section.index), { section: section.index });
+      }
+      
+      if (XRAIContainer.BUFFER_DATA_SECTIONS.has(section.type) && this.options.resolveAccessors) {
+        await this._resolveSectionData(section.type, value);
+      }
+      
+      return value;
+    }
+    
+    /**
+     * Read every section and decode the whole file
+     *
+     * Sections are read one at a time, so the stored bytes of only one section are in
+     * memory at once; with a workerPool, one per worker, decoded in parallel. With
+     * corruptSections: 'skip', sections failing their checksum are left out and marked
+     * corrupt in result.container.sections.
+     *
+     * @returns {Promise<Object>} - Decoded XRAI content, as returned by XRAIContainer.decode
+     */
+    async decode() {
+      const values = new Array(this.sections.length);
+      let next = 0;
+      
+      const readNext = async () => {
+        while (next < this.sections.length) {
+          const section = this.sections[next++];
+          values[section.index] = await this._readValue(section);
+        }
+      };
+      
+      const readers = this.options.workerPool ? this.options.workerPool.size : 1;
+      await Promise.all(Array.from({ length: readers }, readNext));
+      return XRAIContainer.buildDocument(this.header, this.sections, values, this.options);
+    }
+    
+    /**
+     * Decode the sections one at a time, in file order, without keeping them
+     *
+     * For files too large to decode as a whole: each value can be processed and dropped
+     * before the next section is read. Geometry keeps its accessor indices and images their
+     * bufferViews; resolve them with XRAIContainer.resolveSectionData. Sections skipped as
+     * corrupt are not yielded.
+     *
+     * @returns {AsyncIterator<Object>} - { section, value } for each section
+     */
+    async *readSections() {
+      await this._checkDocumentRequirements();
+      
+      for (const section of this.sections) {
+        if (this.cache.has(section.index)) {
+          const value = await this.cache.get(section.index);
+          if (value !== undefined) {
+            yield { section: { ...section }, value };
+          }
+          continue;
+        }
+        
+        const value = await this._decodeSection(section, await this.getSectionRaw(section.index));
+        if (value !== undefined) {
+          yield { section: { ...section }, value };
+        }
+      }
+    }
+    
+    /**
+     * Check the structure and checksums of the file
+     *
+     * Sections and the file digest are checksummed window by window, so files of any
+     * size are validated in bounded memory. With the schema option, intact sections are
+     * then decoded one at a time and checked against the schema.
+     *
+     * @returns {Promise<Object>} - Validation result, as returned by XRAIContainer.validate
+     */
+    async validate() {
+      let checks = null;
+      
+      if (this.options.corruptSections !== 'ignore') {
+        checks = { table: this.integrity, error: null, problems: [], digest: null };
+        
+        if (checks.table) {
+          for (const section of this.sections) {
+            let crc = 0;
+            for await (const window of this._readWindows(section.offset, section.offset + section.size)) {
+              crc = XRAIIntegrity.crc32(window, crc);
+            }
+            checks.problems.push(XRAIContainer.verifySectionChecksum(checks.table, section, crc));
+          }
+          checks.digest = await this.computeDigest();
+        }
+      }
+      
+      let schema = null;
+      const validator = this.options.schema;
+      if (validator) {
+        schema = { mode: validator.mode, issues: [], errors: [] };
+        for (const section of this.sections) {
+          if (!validator.covers(section.type) || (checks && checks.problems[section.index])) {
+            continue;
+          }
+          try {
+            // Not kept in this.cache, so only one decoded section is held at a time
+            const value = await this._decodeSection(section, await this.getSectionRaw(section.index));
+            if (value !== undefined) {
+              schema.issues.push(...validator.validateSection(section, value));
+            }
+          } catch (error) {
+            schema.errors.push(error);
+          }
+        }
+      }
+      
+      return XRAIContainer.buildValidationResult(this.header, this.sections, checks, this.options.corruptSections, schema);
+    }
+    
+    /**
+     * Compute the SHA-256 of the file without its integrity section, reading it window by window
+     * @returns {Promise<string|null>} - Lowercase hex digest, or null when the file has no integrity section
+     */
+    async computeDigest() {
+      const section = this.findSection('integrity');
+      if (!section) {
+        return null;
+      }
+      
+      const hash = XRAIIntegrity.createSha256();
+      for await (const window of this._readWindows(0, section.offset)) {
+        hash.update(window);
+      }
+      for await (const window of this._readWindows(section.offset + section.size, this.fileSize === null ? Infinity : this.fileSize)) {
+        hash.update(window);
+      }
+      return hash.digest();
+    }
+    
+    /**
+     * Write the file again without the bytes its table of contents does not refer to
+     *
+     * Produces the bytes XRAIContainer.compact does, without holding the file in memory:
+     * section bytes are copied as stored, window by window. When the file has an integrity
+     * section, every section is checked against it before the first piece is yielded, and
+     * the result is hashed ahead of writing, so the sections are read three times.
+     *
+     * @param {Object} options - Compact options
+     * @param {boolean} [options.streaming] - Order sections for streaming (defaults to the header flag)
+     * @returns {AsyncIterator<Uint8Array>} - Consecutive pieces of the compacted container
+     */
+    async *compact(options = {}) {
+      const { HEADER_FLAGS, SECTION_FLAGS, SECTION_TYPES, STREAMING_PRIORITY } = XRAIContainer;
+      const streaming = options.streaming !== undefined
+        ? options.streaming
+        : (this.header.flags & HEADER_FLAGS.STREAMING_OPTIMIZED) !== 0;
+      const hasIntegrity = Boolean(this.findSection('integrity'));
+      
+      const sections = this.sections
+        .filter(section => !XRAIContainer.CONTAINER_SECTIONS.has(section.type))
+        .map(({ index, typeId, type, name, offset, size, flags }) => ({ index, typeId, type, name, source: offset, size, flags, data: null }));
+      if (streaming) {
+        const priority = section => {
+          const rank = STREAMING_PRIORITY.indexOf(section.type);
+          return rank === -1 ? STREAMING_PRIORITY.length : rank;
+        };
+        // Array.prototype.sort is stable, so sections of one type keep their order
+        sections.sort((a, b) => priority(a) - priority(b));
+      }
+      
+      let flags = this.header.flags & HEADER_FLAGS.NEURAL_NETWORKS;
+      if (streaming) {
+        flags |= HEADER_FLAGS.STREAMING_OPTIMIZED;
+      }
+      for (const section of sections) {
+        if (section.flags & SECTION_FLAGS.COMPRESSED) {
+          flags |= HEADER_FLAGS.COMPRESSED;
+        }
+        if (section.flags & SECTION_FLAGS.EXTERNAL_REFERENCES) {
+          flags |= HEADER_FLAGS.EXTERNAL_REFERENCES;
+        }
+      }
+      
+      // Generated sections, as XRAIContainerWriter lays them out: integrity first, then the string table
+      const generated = (type, value) => {
+        const data = XRAIContainer.encodeSectionPayload(value);
+        return { index: null, typeId: SECTION_TYPES[type], type, name: null, source: null, size: data.byteLength, flags: 0, data };
+      };
+      if (sections.some(section => section.name !== null)) {
+        const leading = hasIntegrity ? [null, null] : [null];
+        sections.unshift(generated('strings', { names: [...leading, ...sections.map(section => section.name)] }));
+      }
+      
+      let integrity = null;
+      if (hasIntegrity) {
+        // Checked before anything is written, so a corrupt file produces no output
+        const checksums = [null];
+        for (const section of sections) {
+          let crc = 0;
+          if (section.data) {
+            crc = XRAIIntegrity.crc32(section.data);
+          } else {
+            for await (const window of this._readWindows(section.source, section.source + section.size)) {
+              crc = XRAIIntegrity.crc32(window, crc);
+            }
+            const problem = this.integrity ? XRAIContainer.verifySectionChecksum(this.integrity, section, crc) : null;
+            if (problem) {
+              throw new XRAIContainer.XRAIFormatError('E_CHECKSUM_MISMATCH', problem, { section: section.index });
+            }
+          }
+          checksums.push(crc);
+        }
+        integrity = generated('integrity', { crc32: checksums, sha256: '0'.repeat(64) });
+        integrity.checksums = checksums;
+        sections.unshift(integrity);
+      }
+      
+      let position = XRAIContainer.HEADER_SIZE + XRAIContainer.TOC_HEADER_SIZE + sections.length * XRAIContainer.TOC_ENTRY_SIZE;
+      for (const section of sections) {
+        section.offset = XRAIContainer.alignOffset(position);
+        position = section.offset + section.size;
+      }
+      const totalSize = XRAIContainer.alignOffset(position);
+      
+      const header = new Uint8Array(XRAIContainer.HEADER_SIZE);
+      const view = new DataView(header.buffer);
+      header.set(new TextEncoder().encode(XRAIContainer.MAGIC), 0);
+      view.setUint8(4, this.header.version.major);
+      view.setUint8(5, this.header.version.minor);
+      view.setUint16(6, flags, true);
+      view.setBigUint64(8, BigInt(XRAIContainer.HEADER_SIZE), true);
+      const toc = XRAIContainer.encodeTOC(sections);
+      
+      const pieces = async function* (handle) {
+        yield header;
+        yield toc;
+        let offset = header.byteLength + toc.byteLength;
+        for (const section of sections) {
+          if (section.offset > offset) {
+            yield new Uint8Array(section.offset - offset);
+          }
+          if (section.data) {
+            yield section.data;
+          } else {
+            yield* handle._readWindows(section.source, section.source + section.size);
+          }
+          offset = section.offset + section.size;
+        }
+        if (totalSize > offset) {
+          yield new Uint8Array(totalSize - offset);
+        }
+      };
+      
+      if (integrity) {
+        // The integrity section is written first but covers the rest of the file, so hash ahead
+        const hash = XRAIIntegrity.createSha256();
+        for await (const piece of pieces(this)) {
+          if (piece !== integrity.data) {
+            hash.update(piece);
+          }
+        }
+        integrity.data = XRAIContainer.encodeSectionPayload({ crc32: integrity.checksums, sha256: hash.digest() });
+      }
+      
+      yield* pieces(this);
+    }
+    
+    /**
+     * Close the underlying source
+     * @returns {Promise<void>}
+     */
+    async close() {
+      this.cache.clear();
+      if (typeof this.source.close === 'function') {
+        await this.source.close();
+      }
+    }
+    
+    /**
+     * Find a section or throw
+     * @private
+     * @param {number|string} indexOrType - TOC index, or section type name
+     * @param {string} [name] - Section name
+     * @returns {Object} - Section entry
+     */
+    _requireSection(indexOrType, name) {
+      const section = this.findSection(indexOrType, name);
+      if (!section) {
+        throw new Error(`Section not found: ${name === undefined ? indexOrType : `${indexOrType} "${name}"`}`);
+      }
+      return section;
+    }
+    
+    /**
+     * Read and decode a section once, sharing the result between callers
+     * @private
+     * @param {Object} section - Section entry
+     * @returns {Promise<*>} - Decoded value
+     */
+    _readValue(section) {
+      if (!this.cache.has(section.index)) {
+        const promise = this.getSectionRaw(section.index).then(bytes => this._decodeSection(section, bytes));
+        
+        // Failed reads are retried on the next call
+        promise.catch(() => this.cache.delete(section.index));
+        this.cache.set(section.index, promise);
+      }
+      return this.cache.get(section.index);
+    }
+    
+    /**
+     * Check and decode the stored bytes of a section, or take the value from the section cache
+     *
+     * The bytes may be transferred to a worker of the workerPool, after which they are unusable.
+     *
+     * @private
+     * @param {Object} section - Section entry
+     * @param {Uint8Array} bytes - Stored section bytes
+     * @returns {Promise<*>} - Decoded value, or undefined when the section is skipped as corrupt
+     */
+    async _decodeSection(section, bytes) {
+      const problem = this._verifySection(section, bytes);
+      if (problem) {
+        if (this.options.corruptSections === 'refuse') {
+          throw new XRAIContainer.XRAIFormatError('E_CHECKSUM_MISMATCH', problem, { section: section.index });
+        }
+        this.corrupt.set(section.index, problem);
+        return undefined;
+      }
+      
+      const { cache } = this.options;
+      const key = XRAIContainer.getSectionCacheKey(cache, section, bytes, this.options.extensions);
+      if (key !== null) {
+        await cache.load([key]);
+        const cached = cache.get(key);
+        if (cached !== undefined) {
+          return cached;
+        }
+      }
+      
+      let value;
+      let size;
+      if (this.options.workerPool) {
+        ({ value, size } = await this.options.workerPool.decodeSection(section, bytes, {
+          codecs: this.options.codecs,
+          limits: this.limits,
+          extensions: this.options.extensions
+        }));
+      } else {
+        const payload = XRAIContainer.decompressSection(bytes, section, this.options.codecs, this.limits);
+        value = XRAIContainer.decodeSectionPayload(section.type, payload, this.limits, section.index, this.options.extensions);
+        size = payload.byteLength;
+      }
+      
+      if (key !== null) {
+        cache.set(key, value, size);
+      }
+      return value;
+    }
+    
+    /**
+     * Read a byte range in windows of at most READ_WINDOW_SIZE bytes
+     * @private
+     * @param {number} start - First byte
+     * @param {number} end - End of the range (exclusive); Infinity to read to the end of the file
+     * @returns {AsyncIterator<Uint8Array>} - The bytes, window by window
+     */
+    async *_readWindows(start, end) {
+      for (let offset = start; offset < end; offset += READ_WINDOW_SIZE) {
+        const length = Math.min(READ_WINDOW_SIZE, end - offset);
+        const bytes = await this.source.read(offset, length);
+        if (bytes.byteLength > 0) {
+          yield bytes;
+        }
+        if (bytes.byteLength < length) {
+          if (end !== Infinity) {
+            throw new XRAIContainer.XRAIFormatError('E_SECTION_OUT_OF_RANGE', `Unexpected end of file at offset ${offset + bytes.byteLength}`);
+          }
+          return;
+        }
+      }
+    }
+    
+    /**
+     * Refuse the file if it requires a newer format version or an extension that is not registered
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _checkDocumentRequirements() {
+      const documentRoot = {};
+      for (const section of this.sections.filter(entry => entry.type === 'metadata')) {
+        const value = await this._readValue(section);
+        if (value !== undefined) {
+          XRAIContainer.mergeMetadata(documentRoot, value);
+        }
+      }
+      XRAIContainer.checkDocumentRequirements(documentRoot, this.options.extensions);
+    }
+    
+    /**
+     * Check stored section bytes against the integrity table
+     * @private
+     * @param {Object} section - Section entry
+     * @param {Uint8Array} bytes - Stored section bytes
+     * @returns {string|null} - Description of the mismatch, or null
+     */
+    _verifySection(section, bytes) {
+      if (!this.integrity || this.options.corruptSections === 'ignore') {
+        return null;
+      }
+      return XRAIContainer.verifySectionChecksum(this.integrity, section, bytes);
+    }
+    
+    /**
+     * Replace accessor indices in a geometry section with typed arrays, or bufferViews in an
+     * images section with image data
+     * @private
+     * @param {string} type - Section type, one of XRAIContainer.BUFFER_DATA_SECTIONS
+     * @param {Array<Object>} value - Decoded section
+     * @returns {Promise<void>}
+     */
+    async _resolveSectionData(type, value) {
+      const bufferSections = this.sections.filter(section => section.type === 'buffers');
+      if (bufferSections.length === 0) {
+        return;
+      }
+      
+      const documentRoot = {};
+      for (const section of this.sections.filter(entry => entry.type === 'metadata')) {
+        const value = await this._readValue(section);
+        if (value === undefined) {
+          // Skipped as corrupt: the accessor tables are gone, so the section keeps its indices
+          return;
+        }
+        XRAIContainer.mergeMetadata(documentRoot, value);
+      }
+      
+      const embeddedBuffers = await Promise.all(bufferSections.map(section => this._readValue(section)));
+      
+      XRAIContainer.resolveSectionData(documentRoot, type, value, embeddedBuffers);
+    }
+  }
+  
+  /**
+   * Read more bytes at an offset, reusing an earlier read when it already covers them
+   * @param {Object} source - Source
+   * @param {Uint8Array} head - Bytes read from offset 0
+   * @param {number} offset - Byte offset
+   * @param {number} length - Number of bytes
+   * @param {string} code - XRAIFormatError code if the file ends first
+   * @param {Object} [details] - XRAIFormatError details, such as the section being read
+   * @returns {Promise<Uint8Array>} - The bytes
+   */
+  async function readRange(source, head, offset, length, code, details = {}) {
+    if (offset + length <= head.byteLength) {
+      return head.subarray(offset, offset + length);
+    }
+    const bytes = await source.read(offset, length);
+    if (bytes.byteLength !== length) {
+      const where = details.section !== undefined ? `reading section ${details.section}` : `at offset ${offset}`;
+      throw new XRAIContainer.XRAIFormatError(code, `Unexpected end of file ${where}: expected ${length} bytes, got ${bytes.byteLength}`, details);
+    }
+    return bytes;
+  }
+  
+  /**
+   * Open an XRAI file for random access
+   *
+   * Only the header and table of contents are read; sections are read when requested.
+   *
+   * @param {string|number|Blob|ArrayBuffer|ArrayBufferView|Object} source - File path or descriptor, URL, Blob,
+   *   bytes or source object
+   * @param {Object} options - Options
+   * @param {XRAICodecRegistry} [options.codecs] - Codecs for compressed sections
+   * @param {boolean} [options.resolveAccessors=true] - Resolve geometry accessors to typed arrays and
+   *   embedded images to their bytes
+   * @param {string} [options.corruptSections='refuse'] - Sections failing their checksum: refuse, skip or ignore
+   * @param {Object} [options.limits] - Resource limits, overriding XRAIContainer.DEFAULT_LIMITS
+   * @param {XRAIExtensionRegistry} [options.extensions] - Registered extensions (defaults to XRAIExtensions.defaultRegistry)
+   * @param {XRAISectionCache} [options.cache] - Cache of decoded sections (see tools/xrai-cache.js)
+   * @param {XRAISchemaValidator} [options.schema] - Checks sections against the schema in validate()
+   *   (see tools/xrai-schema.js)
+   * @param {XRAIWorkerPool} [options.workerPool] - Workers decoding sections in parallel (see tools/xrai-workers.js)
+   * @param {Function} [options.fetch] - fetch implementation for URLs
+   * @param {Object} [options.headers] - Extra request headers for URLs
+   * @returns {Promise<XRAIHandle>} - Handle to the file
+   */
+  async function open(source, options = {}) {
+    const input = createSource(source, options);
+    
+    try {
+      const head = await input.read(0, INITIAL_READ_SIZE);
+      const fileSize = await input.getSize();
+      const limits = XRAIContainer.resolveLimits(options.limits);
+      const header = XRAIContainer.checkHeader(XRAIContainer.readHeader(head), fileSize);
+      const tocOffset = header.tocOffset;
+      
+      const countBytes = await readRange(input, head, tocOffset, XRAIContainer.TOC_HEADER_SIZE, 'E_TOC_OUT_OF_RANGE');
+      const sectionCount = new DataView(countBytes.buffer, countBytes.byteOffset, 4).getUint32(0, true);
+      const tocSize = XRAIContainer.getTOCSize(sectionCount, limits);
+      
+      if (fileSize !== null && tocOffset + tocSize > fileSize) {
+        throw new XRAIContainer.XRAIFormatError('E_TOC_OUT_OF_RANGE', `Invalid TOC: not enough bytes to read ${sectionCount} section entries`);
+      }
+      
+      const tocBytes = await readRange(input, head, tocOffset, tocSize, 'E_TOC_OUT_OF_RANGE');
+      const sections = XRAIContainer.checkSectionLayout(XRAIContainer.readTOC(tocBytes, 0, limits, options.extensions), tocOffset, fileSize);
+      
+      const handle = new XRAIHandle(input, header, sections, fileSize, options);
+      handle.head = head;
+      
+      // The integrity table directly follows the TOC, so it is usually in the first read
+      const integritySection = handle.findSection('integrity');
+      if (integritySection && handle.options.corruptSections !== 'ignore') {
+        const tableBytes = await readRange(input, head, integritySection.offset, integritySection.size, 'E_SECTION_OUT_OF_RANGE');
+        const table = XRAIContainer.decodeSectionPayload('integrity', tableBytes, limits, integritySection.index);
+        handle.integrity = XRAIContainer.checkIntegrityTable(table, sections.length);
+      }
+      
+      // The string table comes next; one that fails its checksum is left for getSection to report
+      const stringsSection = handle.findSection('strings');
+      if (stringsSection) {
+        const stored = await readRange(input, head, stringsSection.offset, stringsSection.size, 'E_SECTION_OUT_OF_RANGE');
+        if (!handle._verifySection(stringsSection, stored)) {
+          const payload = XRAIContainer.decompressSection(stored, stringsSection, handle.options.codecs, limits);
+          const table = XRAIContainer.decodeSectionPayload('strings', payload, limits, stringsSection.index);
+          XRAIContainer.applySectionNames(sections, XRAIContainer.checkStringTable(table, sections));
+        }
+      }
+      
+      return handle;
+    } catch (error) {
+      if (typeof input.close === 'function') {
+        await input.close();
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Read a whole file into memory
+   *
+   * The file is read in windows of READ_WINDOW_SIZE, so files over the 2 GB that Node.js
+   * reads at once can be loaded, up to the largest Uint8Array.
+   *
+   * @param {string|number|Blob|Object} source - File path or descriptor, URL, Blob or source object
+   * @param {Object} options - Source options (fetch, headers)
+   * @returns {Promise<Uint8Array>} - The file bytes
+   */
+  async function readAll(source, options = {}) {
+    const input = createSource(source, options);
+    try {
+      const size = await input.getSize();
+      if (size === null) {
+        throw new Error('Cannot read a source of unknown size as a whole');
+      }
+      return await input.read(0, size);
+    } finally {
+      if (typeof input.close === 'function') {
+        await input.close();
+      }
+    }
+  }
+  
+  const XRAISources = {
+    READ_WINDOW_SIZE,
+    BufferSource,
+    FileSource,
+    BlobSource,
+    HttpRangeSource,
+    XRAIHandle,
+    createSource,
+    open,
+    readAll
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAISources;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAISources = XRAISources;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,493 @@
+/**
+ * XRAI Stream
+ * Incremental decoding of XRAI files as their bytes arrive
+ *
+ * XRAIStreamParser is a push parser: feed it chunks with push() and it emits events as
+ * soon as enough bytes have arrived for each part of the file:
+ *
+ *   header    (header)             magic, version, flags and TOC offset
+ *   toc       (sections)           every section entry, before any section data
+ *   section   (section, value)     one decoded section, in file order
+ *   progress  (progress)           bytesReceived, totalBytes, sectionsDecoded, sectionCount
+ *   end       (document)           the decoded file, as returned by XRAIContainer.decode
+ *
+ * Files written with the TOC directly after the header (every writer in this repository,
+ * see XRAIContainerWriter) are decoded section by section while they download, and bytes
+ * are released once the sections they belong to have been decoded. Streaming-optimized
+ * files (header flag STREAMING_OPTIMIZED) also order their sections so that metadata,
+ * materials and buffers arrive before the geometry that uses them. Files with the TOC at
+ * the end are buffered until the TOC arrives.
+ *
+ * When the file has an integrity section, every section is checked against its CRC32
+ * before it is decoded (writers place the integrity section first, so this happens as
+ * sections arrive). The corruptSections option works as in XRAIContainerReader: 'refuse'
+ * throws, 'skip' drops the section (no section event; marked corrupt in the document),
+ * 'ignore' does not check. The whole-file SHA-256 needs the complete file; use
+ * XRAIContainer.validate for it.
+ *
+ * Section names come from the string table, which writers place directly after the
+ * integrity section: entries in the toc event have name null, and section events carry
+ * the name once the string table has arrived.
+ *
+ * Example:
+ *
+ *   const parser = new XRAIStream.XRAIStreamParser();
+ *   parser.on('section', (section, value) => viewer.addSection(section.type, value));
+ *   const document = await parser.consume((await fetch(url)).body);
+ */
+
+(function (root) {
+  'use strict';
+  
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const XRAIContainer = isNode ? require('./xrai-container') : root.XRAIContainer;
+  const XRAIIntegrity = isNode ? require('./xrai-integrity') : root.XRAIIntegrity;
+  
+  const EVENTS = ['header', 'toc', 'section', 'progress', 'end'];
+  
+  /**
+   * Push parser for XRAI files
+   */
+  class XRAIStreamParser {
+    /**
+     * @param {Object} options - Parser options
+     * @param {XRAICodecRegistry} [options.codecs] - Codecs for compressed sections (defaults to XRAICodecs.defaultRegistry)
+     * @param {boolean} [options.resolveAccessors=true] - Replace accessor indices in geometry with typed arrays,
+     *   and image bufferViews with image data
+     * @param {string} [options.corruptSections='refuse'] - What to do with sections that fail their
+     *   checksum: refuse (throw), skip (leave out) or ignore (decode anyway)
+     * @param {Object} [options.limits] - Resource limits, overriding XRAIContainer.DEFAULT_LIMITS
+     * @param {XRAIExtensionRegistry} [options.extensions] - Registered extensions (defaults to XRAIExtensions.defaultRegistry)
+     */
+    constructor(options = {}) {
+      this.options = {
+        codecs: null,
+        resolveAccessors: true,
+        corruptSections: 'refuse',
+        extensions: null,
+        ...options
+      };
+      
+      if (!XRAIContainer.CORRUPT_SECTION_POLICIES.includes(this.options.corruptSections)) {
+        throw new Error(`Unknown corruptSections policy: ${this.options.corruptSections}`);
+      }
+      
+      this.limits = XRAIContainer.resolveLimits(this.options.limits);
+      
+      this.listeners = {};
+      
+      // Received bytes not yet released, starting at absolute offset bufferStart
+      this.chunks = [];
+      this.bufferStart = 0;
+      this.bytesReceived = 0;
+      
+      this.header = null;
+      this.sections = null;
+      this.pending = [];
+      this.values = [];
+      this.sectionsDecoded = 0;
+      this.ended = false;
+      
+      // Integrity table, and CRC32s of sections that arrived before it
+      this.integrity = null;
+      this.uncheckedChecksums = new Map();
+    }
+    
+    /**
+     * Add an event listener
+     * @param {string} event - header, toc, section, progress or end
+     * @param {Function} listener - Listener
+     * @returns {XRAIStreamParser} - This parser, for chaining
+     */
+    on(event, listener) {
+      if (!EVENTS.includes(event)) {
+        throw new Error(`Unknown stream event: ${event}`);
+      }
+      (this.listeners[event] = this.listeners[event] || []).push(listener);
+      return this;
+    }
+    
+    /**
+     * Remove an event listener
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener passed to on()
+     * @returns {XRAIStreamParser} - This parser, for chaining
+     */
+    off(event, listener) {
+      this.listeners[event] = (this.listeners[event] || []).filter(entry => entry !== listener);
+      return this;
+    }
+    
+    /**
+     * Feed the next chunk of the file
+     *
+     * Chunks are kept by reference until their sections are decoded, so they must not
+     * be modified after being pushed.
+     *
+     * @param {ArrayBuffer|ArrayBufferView} chunk - Next bytes of the file
+     * @returns {XRAIStreamParser} - This parser, for chaining
+     */
+    push(chunk) {
+      if (this.ended) {
+        throw new Error('Cannot push to a stream parser that has ended');
+      }
+      
+      const bytes = XRAIContainer.toUint8Array(chunk);
+      if (bytes.byteLength === 0) {
+        return this;
+      }
+      
+      this.chunks.push(bytes);
+      this.bytesReceived += bytes.byteLength;
+      
+      this._process();
+      this._emit('progress', this.getProgress());
+      
+      return this;
+    }
+    
+    /**
+     * Signal the end of the file and build the decoded document
+     * @returns {Object} - Decoded XRAI content, as returned by XRAIContainer.decode
+     */
+    end() {
+      if (this.ended) {
+        throw new Error('Stream parser has already ended');
+      }
+      this.ended = true;
+      
+      // The stream length is the file size, so running out of bytes is a bounds error as in the other readers
+      if (!this.header) {
+        throw new XRAIContainer.XRAIFormatError('E_TRUNCATED_HEADER', `Unexpected end of stream: incomplete header (${this.bytesReceived} bytes)`);
+      }
+      if (!this.sections) {
+        throw new XRAIContainer.XRAIFormatError('E_TOC_OUT_OF_RANGE', `Unexpected end of stream: incomplete TOC at offset ${this.header.tocOffset} (${this.bytesReceived} bytes)`);
+      }
+      if (this.pending.length > 0) {
+        const section = this.pending[0];
+        throw new XRAIContainer.XRAIFormatError(
+          'E_SECTION_OUT_OF_RANGE',
+          `Unexpected end of stream: section ${section.index} needs bytes ${section.offset}-${section.offset + section.size}, got ${this.bytesReceived}`,
+          { section: section.index }
+        );
+      }
+      
+      const document = XRAIContainer.buildDocument(this.header, this.sections, this.values, this.options);
+      this.chunks = [];
+      this._emit('end', document);
+      
+      return document;
+    }
+    
+    /**
+     * Read a whole stream through the parser
+     * @param {ReadableStream|Readable|AsyncIterable} stream - WHATWG ReadableStream, Node.js Readable or async iterable of chunks
+     * @returns {Promise<Object>} - Decoded XRAI content
+     */
+    async consume(stream) {
+      if (stream && typeof stream.getReader === 'function') {
+        const reader = stream.getReader();
+        try {
+          for (;;) {
+            const { done, value } = await reader.read();
+            if (done) {
+              break;
+            }
+            this.push(value);
+          }
+        } catch (error) {
+          reader.cancel(error).catch(() => {});
+          throw error;
+        } finally {
+          reader.releaseLock();
+        }
+      } else if (stream && typeof stream[Symbol.asyncIterator] === 'function') {
+        // Leaving the loop early destroys a Node.js Readable
+        for await (const chunk of stream) {
+          this.push(chunk);
+        }
+      } else {
+        throw new TypeError('Expected a ReadableStream, a Node.js Readable or an async iterable');
+      }
+      
+      return this.end();
+    }
+    
+    /**
+     * Get decoding progress
+     * @returns {Object} - bytesReceived, totalBytes (null until the TOC is read), sectionsDecoded, sectionCount
+     */
+    getProgress() {
+      let totalBytes = null;
+      if (this.sections) {
+        totalBytes = this.sections.reduce(
+          (end, section) => Math.max(end, section.offset + section.size),
+          this.header.tocOffset + XRAIContainer.TOC_HEADER_SIZE + this.sections.length * XRAIContainer.TOC_ENTRY_SIZE
+        );
+      }
+      
+      return {
+        bytesReceived: this.bytesReceived,
+        totalBytes,
+        sectionsDecoded: this.sectionsDecoded,
+        sectionCount: this.sections ? this.sections.length : null
+      };
+    }
+    
+    /**
+     * Parse whatever the received bytes now allow
+     * @private
+     */
+    _process() {
+      if (!this.header) {
+        if (this.bytesReceived < XRAIContainer.HEADER_SIZE) {
+          return;
+        }
+        
+        const header = XRAIContainer.checkHeader(XRAIContainer.readHeader(this._read(0, XRAIContainer.HEADER_SIZE)), null);
+        
+        this.header = header;
+        this._emit('header', { ...header, version: { ...header.version } });
+      }
+      
+      if (!this.sections) {
+        const tocOffset = this.header.tocOffset;
+        if (this.bytesReceived < tocOffset + XRAIContainer.TOC_HEADER_SIZE) {
+          return;
+        }
+        
+        const countBytes = this._read(tocOffset, XRAIContainer.TOC_HEADER_SIZE);
+        const sectionCount = new DataView(countBytes.buffer, countBytes.byteOffset, 4).getUint32(0, true);
+        const tocSize = XRAIContainer.getTOCSize(sectionCount, this.limits);
+        if (this.bytesReceived < tocOffset + tocSize) {
+          return;
+        }
+        
+        // The file size is not known yet; sections running past the end surface in end()
+        const sections = XRAIContainer.readTOC(this._read(tocOffset, tocSize), 0, this.limits, this.options.extensions);
+        this.sections = XRAIContainer.checkSectionLayout(sections, tocOffset, null);
+        this.pending = this.sections.slice().sort((a, b) => a.offset - b.offset);
+        this._emit('toc', this.sections.map(section => ({ ...section })));
+      }
+      
+      while (this.pending.length > 0) {
+        const section = this.pending[0];
+        if (this.bytesReceived < section.offset + section.size) {
+          break;
+        }
+        
+        this.pending.shift();
+        this._decodeSection(section, this._read(section.offset, section.size));
+      }
+      
+      this._release();
+    }
+    
+    /**
+     * Decode one section and emit it
+     * @private
+     * @param {Object} section - Section entry
+     * @param {Uint8Array} bytes - Stored section bytes
+     */
+    _decodeSection(section, bytes) {
+      if (this.options.corruptSections !== 'ignore' && section.type !== 'integrity') {
+        if (this.integrity) {
+          const problem = XRAIContainer.verifySectionChecksum(this.integrity, section, bytes);
+          if (problem) {
+            this._rejectSection(section, problem);
+            return;
+          }
+        } else if (this.sections.some(entry => entry.type === 'integrity')) {
+          this.uncheckedChecksums.set(section.index, XRAIIntegrity.crc32(bytes));
+        }
+      }
+      
+      const payload = XRAIContainer.decompressSection(bytes, section, this.options.codecs, this.limits);
+      const value = XRAIContainer.decodeSectionPayload(section.type, payload, this.limits, section.index, this.options.extensions);
+      
+      if (section.type === 'metadata') {
+        // Fail as soon as the file turns out to need a newer format or an extension that is not registered
+        const documentRoot = {};
+        XRAIContainer.mergeMetadata(documentRoot, value);
+        XRAIContainer.checkDocumentRequirements(documentRoot, this.options.extensions);
+      }
+      
+      this.values[section.index] = value;
+      this.sectionsDecoded++;
+      
+      if (section.type === 'integrity' && this.options.corruptSections !== 'ignore') {
+        this._useIntegrityTable(value);
+      }
+      
+      if (section.type === 'strings') {
+        XRAIContainer.applySectionNames(this.sections, XRAIContainer.checkStringTable(value, this.sections));
+      }
+      
+      if (XRAIContainer.BUFFER_DATA_SECTIONS.has(section.type) && this.options.resolveAccessors) {
+        this._resolveSectionData(section.type, value);
+      }
+      
+      this._emit('section', { ...section }, value);
+    }
+    
+    /**
+     * Adopt the integrity table and check the sections that arrived before it
+     * @private
+     * @param {Object} table - Decoded integrity section
+     */
+    _useIntegrityTable(table) {
+      this.integrity = XRAIContainer.checkIntegrityTable(table, this.sections.length);
+      
+      for (const [index, crc] of this.uncheckedChecksums) {
+        const problem = XRAIContainer.verifySectionChecksum(this.integrity, this.sections[index], crc);
+        if (problem) {
+          this.values[index] = undefined;
+          this.sectionsDecoded--;
+          if (this.sections[index].type === 'strings') {
+            XRAIContainer.applySectionNames(this.sections, null);
+          }
+          this._rejectSection(this.sections[index], problem);
+        }
+      }
+      this.uncheckedChecksums.clear();
+    }
+    
+    /**
+     * Handle a section that failed its checksum, following the corruptSections policy
+     * @private
+     * @param {Object} section - Section entry
+     * @param {string} problem - Description of the mismatch
+     */
+    _rejectSection(section, problem) {
+      if (this.options.corruptSections === 'refuse') {
+        throw new XRAIContainer.XRAIFormatError('E_CHECKSUM_MISMATCH', problem, { section: section.index });
+      }
+      // Skipped: the value stays undefined and buildDocument marks the entry corrupt
+    }
+    
+    /**
+     * Resolve geometry accessors or image bufferViews now if the metadata and Buffers
+     * sections have arrived
+     *
+     * Otherwise the section keeps its indices in the section event and is resolved when
+     * the document is built at the end.
+     *
+     * @private
+     * @param {string} type - Section type, one of XRAIContainer.BUFFER_DATA_SECTIONS
+     * @param {Array<Object>} value - Decoded section
+     */
+    _resolveSectionData(type, value) {
+      const needed = this.sections.filter(section => section.type === 'metadata' || section.type === 'buffers');
+      const bufferSections = needed.filter(section => section.type === 'buffers');
+      if (bufferSections.length === 0 || needed.some(section => this.values[section.index] === undefined)) {
+        return;
+      }
+      
+      const documentRoot = {};
+      for (const section of needed.filter(entry => entry.type === 'metadata')) {
+        XRAIContainer.mergeMetadata(documentRoot, this.values[section.index]);
+      }
+      
+      XRAIContainer.resolveSectionData(documentRoot, type, value, bufferSections.map(section => this.values[section.index]));
+    }
+    
+    /**
+     * Get received bytes at an absolute offset
+     * @private
+     * @param {number} offset - Byte offset in the file
+     * @param {number} length - Number of bytes (all received)
+     * @returns {Uint8Array} - The bytes, without copying when they lie in one chunk
+     */
+    _read(offset, length) {
+      let chunkStart = this.bufferStart;
+      let index = 0;
+      
+      while (index < this.chunks.length && chunkStart + this.chunks[index].byteLength <= offset) {
+        chunkStart += this.chunks[index].byteLength;
+        index++;
+      }
+      
+      const first = this.chunks[index];
+      if (first && offset + length <= chunkStart + first.byteLength) {
+        return first.subarray(offset - chunkStart, offset - chunkStart + length);
+      }
+      
+      const bytes = new Uint8Array(length);
+      let written = 0;
+      let position = offset - chunkStart;
+      
+      while (written < length) {
+        const chunk = this.chunks[index++];
+        const part = chunk.subarray(position, Math.min(chunk.byteLength, position + length - written));
+        bytes.set(part, written);
+        written += part.byteLength;
+        position = 0;
+      }
+      
+      return bytes;
+    }
+    
+    /**
+     * Drop chunks that no remaining section needs
+     * @private
+     */
+    _release() {
+      // Until the TOC is read, any received byte may belong to a section
+      if (!this.sections) {
+        return;
+      }
+      
+      const keepFrom = this.pending.length > 0
+        ? Math.min(...this.pending.map(section => section.offset))
+        : this.bytesReceived;
+      
+      while (this.chunks.length > 0 && this.bufferStart + this.chunks[0].byteLength <= keepFrom) {
+        this.bufferStart += this.chunks.shift().byteLength;
+      }
+    }
+    
+    /**
+     * Call the listeners of an event
+     * @private
+     * @param {string} event - Event name
+     * @param {...*} args - Listener arguments
+     */
+    _emit(event, ...args) {
+      for (const listener of this.listeners[event] || []) {
+        listener(...args);
+      }
+    }
+  }
+  
+  /**
+   * Decode a stream
+   * @param {ReadableStream|Readable|AsyncIterable} stream - WHATWG ReadableStream, Node.js Readable or async iterable of chunks
+   * @param {Object} options - XRAIStreamParser options
+   * @param {Object} [options.on] - Listeners by event name, e.g. { section: (section, value) => {} }
+   * @returns {Promise<Object>} - Decoded XRAI content
+   */
+  function decodeStream(stream, options = {}) {
+    const { on = {}, ...parserOptions } = options;
+    const parser = new XRAIStreamParser(parserOptions);
+    
+    for (const [event, listener] of Object.entries(on)) {
+      parser.on(event, listener);
+    }
+    
+    return parser.consume(stream);
+  }
+  
+  const XRAIStream = {
+    EVENTS,
+    XRAIStreamParser,
+    decodeStream
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIStream;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIStream = XRAIStream;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,442 @@
+/**
+ * XRAI Text
+ * Lossless JSON form of an XRAI container (.xrai.json), for diffing and code review
+ *
+ * Where a decoded document keeps only the scene, the JSON form keeps the container:
+ * the header fields and every section in TOC order with its type, name and flags, so
+ * containerFromJSON() writes back the exact bytes containerToJSON() was given:
+ *
+ *   {
+ *     "format": "xrai-json",
+ *     "formatVersion": 1,
+ *     "header": { "version": { "major": 1, "minor": 0 }, "flags": 1, "tocOffset": 16 },
+ *     "alignSections": true,
+ *     "sections": [
+ *       { "type": "integrity", "typeId": 12, "flags": 0, "generated": true },
+ *       { "type": "metadata", "typeId": 1, "flags": 0, "json": { "asset": { ... } } },
+ *       { "type": "geometry", "typeId": 2, "name": "lod0", "flags": 5, "compression": "deflate", "json": [ ... ] },
+ *       { "type": "buffers", "typeId": 8, "flags": 0, "base64": "AACAPwAAAEA..." },
+ *       { "type": "buffers", "typeId": 8, "flags": 0, "file": "scene.4.buffers.bin" }
+ *     ]
+ *   }
+ *
+ * Each section holds its uncompressed payload in one of:
+ *
+ *   json   - the parsed payload, when writing it back with JSON.stringify gives the same text
+ *   text   - the payload as a string, for other UTF-8 text in sections that are not binary
+ *   base64 - the payload bytes, for binary sections and payloads that are not text
+ *   file   - path of a sidecar file with the payload bytes (options.sidecar)
+ *
+ * With options.sidecarJSON every payload goes to a sidecar file. JSON payloads are then
+ * marked "encoding": "json": the file holds the JSON text in any layout (e.g. indented for
+ * editing), and is parsed and written back compact.
+ *
+ * Compressed sections name the codec and level that reproduce their bytes. Sections no
+ * registered codec reproduces (another zlib build, an unknown codec) are marked "stored"
+ * and keep their compressed bytes. The integrity and string table sections are marked
+ * "generated" and hold no payload: the writer computes them again, so a diff shows only
+ * the sections that changed. Flags are written back as given; the writer still sets the
+ * external references flag on JSON sections that gain buffer or image URIs.
+ *
+ * Only files in the writer's own layout round-trip: files written by early encoders and
+ * files changed by XRAIContainerUpdate must be rewritten with compact() first, so
+ * containerToJSON() re-encodes its result and throws when the bytes differ.
+ */
+
+(function (root) {
+  'use strict';
+  
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const XRAIContainer = isNode ? require('./xrai-container') : root.XRAIContainer;
+  const XRAIBuffers = isNode ? require('./xrai-buffers') : root.XRAIBuffers;
+  const XRAIExtensions = isNode ? require('./xrai-extensions') : root.XRAIExtensions;
+  
+  const {
+    HEADER_SIZE,
+    SECTION_ALIGNMENT,
+    HEADER_FLAGS,
+    SECTION_FLAGS,
+    BINARY_SECTIONS,
+    CONTAINER_SECTIONS,
+    XRAIFormatError,
+    XRAIContainerReader,
+    XRAIContainerWriter
+  } = XRAIContainer;
+  const { encodeBase64, decodeBase64 } = XRAIBuffers;
+  
+  const FORMAT = 'xrai-json';
+  const FORMAT_VERSION = 1;
+  const PAYLOAD_FIELDS = ['json', 'text', 'base64', 'file'];
+  
+  // Computed by the writer from the sections and options
+  const DERIVED_HEADER_FLAGS = HEADER_FLAGS.COMPRESSED | HEADER_FLAGS.EXTERNAL_REFERENCES | HEADER_FLAGS.STREAMING_OPTIMIZED;
+  
+  const textDecoder = new TextDecoder('utf-8', { fatal: true });
+  const textEncoder = new TextEncoder();
+  
+  /**
+   * Find the codec and level that compress a payload to exactly the stored bytes
+   *
+   * The default level is tried first, then levels 9 down to 0, so the highest of several levels that
+   * give the same bytes is named. The default level is left out of the spec.
+   *
+   * @param {Uint8Array} payload - Uncompressed section bytes
+   * @param {Uint8Array} stored - Section bytes as stored in the file
+   * @param {number} flags - Section flags
+   * @param {XRAICodecRegistry} codecs - Available codecs
+   * @returns {string|null} - Codec spec, e.g. "deflate:9", or null when none reproduces the bytes
+   */
+  function findCompression(payload, stored, flags, codecs) {
+    const algorithm = XRAIContainer.getCompressionAlgorithm(flags);
+    const codec = codecs.has(algorithm) ? codecs.get(algorithm) : null;
+    
+    // Flags of early encoders (algorithm in bits 8-15) are not what the writer sets
+    if (!codec || XRAIContainer.setCompressionAlgorithm(flags, codec.id) !== flags) {
+      return null;
+    }
+    
+    const levels = [codec.defaultLevel];
+    for (let level = 9; level >= 0; level--) {
+      if (level !== codec.defaultLevel) {
+        levels.push(level);
+      }
+    }
+    
+    for (const level of levels) {
+      if (bytesEqual(XRAIContainer.toUint8Array(codec.compress(payload, { level })), stored)) {
+        return level === codec.defaultLevel ? codec.name : `${codec.name}:${level}`;
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Compare two byte arrays
+   * @param {Uint8Array} a - First array
+   * @param {Uint8Array} b - Second array
+   * @returns {number} - Offset of the first difference, or -1 when they are equal
+   */
+  function findDifference(a, b) {
+    const length = Math.min(a.byteLength, b.byteLength);
+    for (let i = 0; i < length; i++) {
+      if (a[i] !== b[i]) {
+        return i;
+      }
+    }
+    return a.byteLength === b.byteLength ? -1 : length;
+  }
+  
+  /**
+   * Check whether two byte arrays are equal
+   * @param {Uint8Array} a - First array
+   * @param {Uint8Array} b - Second array
+   * @returns {boolean} - True when they hold the same bytes
+   */
+  function bytesEqual(a, b) {
+    return findDifference(a, b) === -1;
+  }
+  
+  /**
+   * Describe a section payload in the JSON form
+   * @param {Object} section - Section entry
+   * @param {Uint8Array} payload - Uncompressed section bytes, or the stored bytes of a stored section
+   * @param {boolean} stored - True when payload holds compressed bytes
+   * @param {Object} options - containerToJSON options
+   * @returns {Object} - One of { json }, { text }, { base64 } or { file }
+   */
+  function describePayload(section, payload, stored, options) {
+    const { sidecar } = options;
+    if (!stored && !BINARY_SECTIONS.has(section.type)) {
+      let text = null;
+      try {
+        text = textDecoder.decode(payload);
+      } catch (error) {
+        text = null;
+      }
+      
+      // Control characters other than whitespace mean binary data
+      if (text !== null && !/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/.test(text)) {
+        try {
+          const value = JSON.parse(text);
+          if (JSON.stringify(value) === text) {
+            return sidecar && options.sidecarJSON ? { file: sidecar(section, payload, value), encoding: 'json' } : { json: value };
+          }
+        } catch (error) {
+          // Not JSON: kept as text
+        }
+        if (!sidecar || !options.sidecarJSON) {
+          return { text };
+        }
+      }
+    }
+    
+    if (sidecar) {
+      return { file: sidecar(section, payload) };
+    }
+    return { base64: encodeBase64(payload) };
+  }
+  
+  /**
+   * Check a JSON form before writing it
+   * @param {Object} json - JSON form of a container
+   */
+  function checkJSON(json) {
+    if (!json || json.format !== FORMAT) {
+      throw new Error(`Invalid XRAI JSON: format is not "${FORMAT}"`);
+    }
+    if (json.formatVersion !== FORMAT_VERSION) {
+      throw new Error(`Unsupported XRAI JSON format version: ${json.formatVersion} (expected ${FORMAT_VERSION})`);
+    }
+    
+    const { header } = json;
+    if (!header || !header.version || !Number.isInteger(header.version.major) || !Number.isInteger(header.version.minor)) {
+      throw new Error('Invalid XRAI JSON: header.version must be { major, minor }');
+    }
+    if (!Number.isInteger(header.flags) || header.flags < 0 || header.flags > 0xFFFF) {
+      throw new Error(`Invalid XRAI JSON: header.flags must be a 16-bit integer, got ${header.flags}`);
+    }
+    if (header.tocOffset !== undefined && header.tocOffset !== HEADER_SIZE) {
+      throw new Error(`Invalid XRAI JSON: the writer puts the table of contents at ${HEADER_SIZE}, not ${header.tocOffset}`);
+    }
+    if (!Array.isArray(json.sections)) {
+      throw new Error('Invalid XRAI JSON: sections must be an array');
+    }
+    
+    json.sections.forEach((entry, index) => {
+      const fields = PAYLOAD_FIELDS.filter(field => entry && entry[field] !== undefined);
+      
+      if (!entry || !Number.isInteger(entry.typeId) || entry.typeId < 0 || entry.typeId > 0xFFFFFFFF) {
+        throw new Error(`Invalid XRAI JSON: section ${index} has no valid typeId`);
+      }
+      if (!Number.isInteger(entry.flags) || entry.flags < 0 || entry.flags > 0xFFFFFFFF) {
+        throw new Error(`Invalid XRAI JSON: section ${index} flags must be a 32-bit integer, got ${entry.flags}`);
+      }
+      if (entry.generated ? !CONTAINER_SECTIONS.has(entry.type) : CONTAINER_SECTIONS.has(entry.type)) {
+        throw new Error(`Invalid XRAI JSON: section ${index} (${entry.type}) ${entry.generated ? 'cannot be generated' : 'must be marked generated'}`);
+      }
+      if (!entry.generated && fields.length !== 1) {
+        throw new Error(`Invalid XRAI JSON: section ${index} must have exactly one of ${PAYLOAD_FIELDS.join(', ')}`);
+      }
+      if (entry.stored && (entry.flags & SECTION_FLAGS.COMPRESSED) === 0) {
+        throw new Error(`Invalid XRAI JSON: stored section ${index} is not marked compressed in its flags`);
+      }
+      if (entry.stored && entry.compression !== undefined) {
+        throw new Error(`Invalid XRAI JSON: stored section ${index} cannot name a compression`);
+      }
+      if (entry.encoding !== undefined && (entry.file === undefined || entry.encoding !== 'json' || entry.stored)) {
+        throw new Error(`Invalid XRAI JSON: section ${index} encoding must be "json", on the sidecar file of a section that is not stored`);
+      }
+    });
+  }
+  
+  /**
+   * Write a JSON form back to container bytes
+   * @param {Object} json - JSON form, already checked
+   * @param {Function} getPayload - (entry, index) => section value or bytes
+   * @param {Object} options - containerFromJSON options
+   * @returns {Uint8Array} - Container bytes
+   */
+  function writeContainer(json, getPayload, options) {
+    const { header } = json;
+    const writer = new XRAIContainerWriter({
+      version: header.version,
+      flags: header.flags & ~DERIVED_HEADER_FLAGS,
+      streaming: (header.flags & HEADER_FLAGS.STREAMING_OPTIMIZED) !== 0,
+      integrity: json.sections.some(entry => entry.generated && entry.type === 'integrity'),
+      alignSections: json.alignSections !== false,
+      codecs: options.codecs,
+      // Payloads are written as they are, so no extension may encode them again
+      extensions: XRAIExtensions ? new XRAIExtensions.XRAIExtensionRegistry() : null
+    });
+    
+    json.sections.forEach((entry, index) => {
+      if (entry.generated) {
+        return;
+      }
+      
+      const name = entry.name !== undefined ? entry.name : null;
+      const payload = getPayload(entry, index);
+      
+      if (entry.compression !== undefined && entry.compression !== null) {
+        // The writer sets the compressed flag and algorithm bits again
+        const flags = XRAIContainer.setCompressionAlgorithm(entry.flags, 0);
+        writer.addSection(entry.typeId, payload, { name, flags, compression: entry.compression });
+      } else {
+        writer.addSection(entry.typeId, payload, { name, flags: entry.flags, compression: null });
+      }
+    });
+    
+    return writer.toBytes();
+  }
+  
+  /**
+   * Convert a container to its JSON form
+   * @param {ArrayBuffer|ArrayBufferView} data - Container bytes
+   * @param {Object} options - Conversion options
+   * @param {Function} [options.sidecar] - (section, bytes, value) => path: store binary payloads in sidecar
+   *   files instead of base64; returns the path to record in the section. value is the parsed
+   *   payload of JSON sections (with sidecarJSON)
+   * @param {boolean} [options.sidecarJSON=false] - Store JSON and text payloads in sidecar files too
+   * @param {boolean} [options.verify=true] - Write the result back and throw when the bytes differ
+   * @param {XRAICodecRegistry} [options.codecs] - Codecs for compressed sections (defaults to XRAICodecs.defaultRegistry)
+   * @param {Object} [options.limits] - Resource limits, overriding DEFAULT_LIMITS
+   * @returns {Object} - JSON form (see the top of this file)
+   */
+  function containerToJSON(data, options = {}) {
+    options = { sidecar: null, sidecarJSON: false, verify: true, codecs: null, limits: undefined, ...options };
+    
+    const reader = new XRAIContainerReader(data, { codecs: options.codecs, limits: options.limits });
+    const codecs = XRAIContainer.resolveCodecs(options.codecs);
+    const { header } = reader;
+    const aligned = reader.sections.every(section => section.offset % SECTION_ALIGNMENT === 0) &&
+      reader.bytes.byteLength % SECTION_ALIGNMENT === 0;
+    
+    const json = {
+      format: FORMAT,
+      formatVersion: FORMAT_VERSION,
+      header: {
+        version: { major: header.version.major, minor: header.version.minor },
+        flags: header.flags,
+        tocOffset: header.tocOffset
+      },
+      alignSections: aligned,
+      sections: []
+    };
+    const payloads = [];
+    
+    for (const section of reader.sections) {
+      const entry = { type: section.type, typeId: section.typeId };
+      if (section.name) {
+        entry.name = section.name;
+      }
+      entry.flags = section.flags;
+      json.sections.push(entry);
+      
+      if (CONTAINER_SECTIONS.has(section.type)) {
+        entry.generated = true;
+        payloads.push(null);
+        continue;
+      }
+      
+      const problem = reader.verifySection(section.index);
+      if (problem) {
+        throw new XRAIFormatError('E_CHECKSUM_MISMATCH', problem, { section: section.index });
+      }
+      
+      const stored = reader.getSectionBytes(section.index);
+      let payload = stored;
+      if (section.flags & SECTION_FLAGS.COMPRESSED) {
+        const uncompressed = reader.getSectionPayload(section.index);
+        const compression = findCompression(uncompressed, stored, section.flags, codecs);
+        if (compression) {
+          payload = uncompressed;
+          entry.compression = compression;
+        } else {
+          entry.stored = true;
+        }
+      }
+      payloads.push(payload);
+    }
+    
+    if (options.verify) {
+      checkRoundTrip(reader, writeContainer(json, (entry, index) => payloads[index], options));
+    }
+    
+    json.sections.forEach((entry, index) => {
+      if (!entry.generated) {
+        Object.assign(entry, describePayload(reader.sections[index], payloads[index], Boolean(entry.stored), options));
+      }
+    });
+    
+    return json;
+  }
+  
+  /**
+   * Throw when a container written back from its JSON form differs from the original
+   * @param {XRAIContainerReader} reader - Reader over the original bytes
+   * @param {Uint8Array} bytes - Bytes written from the JSON form
+   */
+  function checkRoundTrip(reader, bytes) {
+    const offset = findDifference(reader.bytes, bytes);
+    if (offset === -1) {
+      return;
+    }
+    
+    const section = reader.sections.find(entry => offset >= entry.offset && offset < entry.offset + entry.size);
+    const where = section
+      ? `section ${section.index} (${section.type || section.typeId})`
+      : (offset < HEADER_SIZE ? 'the header' : 'the table of contents or padding');
+    
+    throw new Error(
+      `File does not round-trip through JSON: the bytes differ at offset ${offset}, in ${where}. ` +
+      'Files from early encoders and files changed in place must be rewritten first (xrai upgrade or xrai compact)'
+    );
+  }
+  
+  /**
+   * Get the payload of a section in the JSON form, as addSection takes it
+   * @param {Object} entry - Section in the JSON form
+   * @param {number} index - Section index
+   * @param {Object} options - containerFromJSON options
+   * @returns {*} - Parsed JSON value or bytes
+   */
+  function readPayload(entry, index, options) {
+    if (entry.json !== undefined) {
+      return entry.json;
+    }
+    if (entry.text !== undefined) {
+      return textEncoder.encode(entry.text);
+    }
+    if (entry.base64 !== undefined) {
+      return decodeBase64(entry.base64);
+    }
+    if (!options.readFile) {
+      throw new Error(`Section ${index} is stored in ${entry.file}; pass options.readFile to load sidecar files`);
+    }
+    const bytes = XRAIContainer.toUint8Array(options.readFile(entry.file, entry));
+    if (entry.encoding === 'json') {
+      try {
+        return JSON.parse(textDecoder.decode(bytes));
+      } catch (error) {
+        throw new Error(`Section ${index} file ${entry.file} is not valid JSON: ${error.message}`);
+      }
+    }
+    return bytes;
+  }
+  
+  /**
+   * Write a JSON form back to the container it was made from
+   * @param {Object|string} json - JSON form, or its text
+   * @param {Object} options - Conversion options
+   * @param {Function} [options.readFile] - (path, section) => bytes: load the sidecar file of a section
+   * @param {XRAICodecRegistry} [options.codecs] - Codecs to compress with (defaults to XRAICodecs.defaultRegistry)
+   * @returns {Uint8Array} - Container bytes
+   */
+  function containerFromJSON(json, options = {}) {
+    options = { readFile: null, codecs: null, ...options };
+    
+    if (typeof json === 'string') {
+      json = JSON.parse(json);
+    }
+    checkJSON(json);
+    
+    return writeContainer(json, (entry, index) => readPayload(entry, index, options), options);
+  }
+  
+  const XRAIText = {
+    FORMAT,
+    FORMAT_VERSION,
+    containerToJSON,
+    containerFromJSON,
+    encodeBase64,
+    decodeBase64
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIText;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIText = XRAIText;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
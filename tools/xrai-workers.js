@@ -0,0 +1,401 @@
+/**
+ * XRAI Workers
+ * Decodes sections on a pool of Web Workers (browser) or worker_threads (Node.js)
+ *
+ * Decompressing and parsing sections on the main thread blocks rendering for as long as
+ * they take. XRAIWorkerPool hands each section to an idle worker instead, so the sections
+ * of a file are decompressed in parallel while the main thread keeps running:
+ *
+ *   const pool = new XRAIWorkerPool({ size: 4 });
+ *   const reader = new XRAIContainer.XRAIContainerReader(bytes);
+ *   const result = await pool.decodeContainer(reader);   // same result as reader.decode()
+ *   const handle = await XRAISources.open(url, { workerPool: pool });
+ *   const decoded = await handle.decode();               // reads as many sections as there are workers at a time
+ *
+ * Section bytes are transferred to the worker, not copied, when they fill their own
+ * ArrayBuffer, as sections read from files, URLs and Blobs do; sections of a file held in
+ * memory are copied out of it first, since a transferred buffer is unusable by its sender.
+ * Binary results are transferred back the same way. Checksums, the section cache and
+ * assembling the result stay on the main thread, and accessors become typed array views
+ * over the transferred Buffers section data.
+ *
+ * Sections a worker cannot decode are decoded on the calling thread: container sections,
+ * sections of extension types (whose decode handlers are functions), stored binary
+ * sections (there is nothing to do), sections smaller than minSectionSize, and sections
+ * compressed with a codec the workers do not have. Workers have the built-in codecs; use
+ * the scripts option to load others (and pako, for deflate in the browser) into each worker.
+ *
+ * Each worker runs tools/xrai-decode-worker.js. In the browser, the workers load the
+ * container scripts from the directory of that script.
+ */
+
+(function (root) {
+  'use strict';
+  
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const XRAIContainer = isNode ? require('./xrai-container') : root.XRAIContainer;
+  
+  const { XRAIFormatError } = XRAIContainer;
+  
+  /**
+   * Get the default number of workers: one per core, leaving one for the main thread
+   * @returns {number} - Number of workers, at least 1
+   */
+  function getDefaultPoolSize() {
+    let cores = 2;
+    if (isNode) {
+      cores = require('os').cpus().length;
+    } else if (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) {
+      cores = navigator.hardwareConcurrency;
+    }
+    return Math.max(1, cores - 1);
+  }
+  
+  /**
+   * Check whether a view covers its whole ArrayBuffer, so the buffer can be transferred
+   * @param {Uint8Array} bytes - Bytes
+   * @returns {boolean} - True when transferring the buffer moves exactly these bytes
+   */
+  function ownsBuffer(bytes) {
+    return bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength &&
+      !(typeof SharedArrayBuffer !== 'undefined' && bytes.buffer instanceof SharedArrayBuffer);
+  }
+  
+  /**
+   * Decode a section on the calling thread, as XRAIContainerReader#readSection does
+   * @param {Object} section - Section entry
+   * @param {Uint8Array} bytes - Stored section bytes
+   * @param {Object} options - codecs, limits and extensions
+   * @returns {Object} - value and size (of the uncompressed payload)
+   */
+  function decodeSectionLocally(section, bytes, options = {}) {
+    const payload = XRAIContainer.decompressSection(bytes, section, options.codecs, options.limits);
+    const value = XRAIContainer.decodeSectionPayload(section.type, payload, options.limits, section.index, options.extensions);
+    return { value, size: payload.byteLength };
+  }
+  
+  /**
+   * Handle a message posted to a worker; run by tools/xrai-decode-worker.js
+   *
+   * The first message of a worker, { scripts }, loads extra scripts; every later one is a
+   * task, { id, section, bytes, limits }, answered with { id, value, size } or { id, error }.
+   * Sections compressed with a codec the worker does not have are answered with their
+   * bytes too, so the pool can decode them on its own thread.
+   *
+   * @param {Object} message - Message from XRAIWorkerPool
+   * @param {Function} post - (message, transfer) posts the reply
+   * @param {Function} load - (script) loads a script into the worker
+   */
+  function handleMessage(message, post, load) {
+    if (message.scripts) {
+      message.scripts.forEach(script => load(script));
+      return;
+    }
+    
+    try {
+      const { value, size } = decodeSectionLocally(message.section, message.bytes, { limits: message.limits });
+      const transfer = ArrayBuffer.isView(value) && ownsBuffer(value) ? [value.buffer] : [];
+      post({ id: message.id, value, size }, transfer);
+    } catch (error) {
+      const reply = {
+        id: message.id,
+        error: { name: error.name, message: error.message, code: error.code || null, section: error.section }
+      };
+      if (error.code === 'E_UNSUPPORTED_CODEC') {
+        reply.bytes = message.bytes;
+      }
+      post(reply, reply.bytes && ownsBuffer(reply.bytes) ? [reply.bytes.buffer] : []);
+    }
+  }
+  
+  /**
+   * A pool of workers decoding sections, started as tasks arrive
+   */
+  class XRAIWorkerPool {
+    /**
+     * @param {Object} options - Pool options
+     * @param {number} [options.size] - Number of workers (defaults to one per core, less one)
+     * @param {string} [options.workerUrl='tools/xrai-decode-worker.js'] - URL of the worker script (browser)
+     * @param {Array<string>} [options.scripts] - Scripts (browser) or modules (Node.js) each worker loads
+     *   first, e.g. pako, or a module registering codecs with XRAICodecs.defaultRegistry
+     * @param {number} [options.minSectionSize=16384] - Smaller sections are decoded on the calling thread,
+     *   where they take less time than passing them to a worker
+     */
+    constructor(options = {}) {
+      this.options = {
+        size: getDefaultPoolSize(),
+        workerUrl: 'tools/xrai-decode-worker.js',
+        scripts: [],
+        minSectionSize: 16 * 1024,
+        ...options
+      };
+      
+      this.size = Math.max(1, Math.floor(this.options.size));
+      this.workers = [];
+      this.queue = [];
+      this.nextId = 1;
+      this.terminated = false;
+    }
+    
+    /**
+     * Check whether a section is worth decoding on a worker
+     * @param {Object} section - Section entry
+     * @param {Object} [options] - Reader options (extensions)
+     * @returns {boolean} - True when a worker can decode the section and doing so saves work
+     */
+    accepts(section, options = {}) {
+      if (section.size < this.options.minSectionSize || XRAIContainer.CONTAINER_SECTIONS.has(section.type)) {
+        return false;
+      }
+      if (XRAIContainer.getCustomSectionType(section.typeId, options.extensions)) {
+        return false;
+      }
+      const binary = !section.type || XRAIContainer.BINARY_SECTIONS.has(section.type);
+      return !binary || XRAIContainer.getCompressionAlgorithm(section.flags) !== 0;
+    }
+    
+    /**
+     * Decompress and parse a section, on a worker when it accepts the section
+     *
+     * The bytes are transferred to the worker when they fill their ArrayBuffer, which
+     * leaves them unusable here; pass a copy to keep them.
+     *
+     * @param {Object} section - Section entry
+     * @param {Uint8Array} bytes - Stored section bytes
+     * @param {Object} [options] - codecs, limits and extensions, as given to the reader
+     * @returns {Promise<Object>} - value (as returned by XRAIContainerReader#readSection) and size
+     *   (of the uncompressed payload)
+     */
+    async decodeSection(section, bytes, options = {}) {
+      if (!this.accepts(section, options)) {
+        return decodeSectionLocally(section, bytes, options);
+      }
+      
+      try {
+        return await this._run(section, bytes, XRAIContainer.resolveLimits(options.limits));
+      } catch (error) {
+        // A codec registered only on this thread: the worker sends the bytes back
+        if (error.code === 'E_UNSUPPORTED_CODEC' && error.bytes) {
+          return decodeSectionLocally(section, error.bytes, options);
+        }
+        throw error;
+      }
+    }
+    
+    /**
+     * Decode every section of an in-memory container, as XRAIContainerReader#decode does
+     * @param {XRAIContainerReader} reader - Reader over the file
+     * @returns {Promise<Object>} - Decoded XRAI content
+     */
+    async decodeContainer(reader) {
+      const { options } = reader;
+      
+      const values = await Promise.all(reader.sections.map(async section => {
+        const problem = options.corruptSections === 'ignore' ? null : reader.verifySection(section.index);
+        if (problem) {
+          if (options.corruptSections === 'skip') {
+            return undefined;
+          }
+          throw new XRAIFormatError('E_CHECKSUM_MISMATCH', problem, { section: section.index });
+        }
+        
+        const key = reader.getCacheKey(section.index);
+        const cached = key !== null ? options.cache.get(key) : undefined;
+        if (cached !== undefined) {
+          return cached;
+        }
+        
+        const { value, size } = await this.decodeSection(section, reader.getSectionBytes(section.index), {
+          codecs: options.codecs,
+          limits: reader.limits,
+          extensions: options.extensions
+        });
+        if (key !== null) {
+          options.cache.set(key, value, size);
+        }
+        return value;
+      }));
+      
+      return XRAIContainer.buildDocument(reader.header, reader.sections, values, options);
+    }
+    
+    /**
+     * Stop every worker; tasks not yet finished are rejected
+     * @returns {Promise<void>}
+     */
+    async terminate() {
+      this.terminated = true;
+      const error = new Error('Worker pool terminated');
+      
+      for (const task of this.queue.splice(0)) {
+        task.reject(error);
+      }
+      
+      const workers = this.workers.splice(0);
+      for (const entry of workers) {
+        if (entry.task) {
+          entry.task.reject(error);
+          entry.task = null;
+        }
+      }
+      await Promise.all(workers.map(entry => entry.worker.terminate()));
+    }
+    
+    /**
+     * Queue a task and wait for its result
+     * @private
+     * @param {Object} section - Section entry
+     * @param {Uint8Array} bytes - Stored section bytes
+     * @param {Object} limits - Resolved limits
+     * @returns {Promise<Object>} - value and size
+     */
+    _run(section, bytes, limits) {
+      if (this.terminated) {
+        return Promise.reject(new Error('Worker pool terminated'));
+      }
+      
+      return new Promise((resolve, reject) => {
+        this.queue.push({
+          id: this.nextId++,
+          section: { index: section.index, type: section.type, typeId: section.typeId, flags: section.flags },
+          bytes,
+          limits,
+          resolve,
+          reject
+        });
+        this._dispatch();
+      });
+    }
+    
+    /**
+     * Hand queued tasks to idle workers, starting workers up to the pool size
+     * @private
+     */
+    _dispatch() {
+      while (this.queue.length > 0) {
+        let entry = this.workers.find(candidate => candidate.task === null);
+        if (!entry && this.workers.length < this.size) {
+          entry = this._spawn();
+        }
+        if (!entry) {
+          return;
+        }
+        
+        const task = this.queue.shift();
+        // Buffer#slice would return a view, not a copy
+        const bytes = ownsBuffer(task.bytes) ? task.bytes : Uint8Array.prototype.slice.call(task.bytes);
+        entry.task = task;
+        if (entry.worker.ref) {
+          entry.worker.ref();
+        }
+        entry.worker.postMessage(
+          { id: task.id, section: task.section, bytes, limits: task.limits },
+          [bytes.buffer]
+        );
+      }
+    }
+    
+    /**
+     * Start a worker
+     * @private
+     * @returns {Object} - Pool entry: worker and task (the task it is running, or null)
+     */
+    _spawn() {
+      const entry = { worker: null, task: null };
+      
+      if (isNode) {
+        const { Worker } = require('worker_threads');
+        entry.worker = new Worker(require('path').join(__dirname, 'xrai-decode-worker.js'));
+        entry.worker.on('message', message => this._finish(entry, message));
+        entry.worker.on('error', error => this._fail(entry, error));
+        entry.worker.on('exit', code => this._fail(entry, new Error(`Worker stopped with exit code ${code}`)));
+        // Idle workers do not keep the process alive
+        entry.worker.unref();
+      } else {
+        entry.worker = new Worker(this.options.workerUrl);
+        entry.worker.onmessage = event => this._finish(entry, event.data);
+        entry.worker.onerror = event => {
+          event.preventDefault();
+          this._fail(entry, new Error(`Worker failed: ${event.message}`));
+        };
+      }
+      
+      entry.worker.postMessage({ scripts: this.options.scripts });
+      this.workers.push(entry);
+      return entry;
+    }
+    
+    /**
+     * Settle the task of a worker with its reply
+     * @private
+     * @param {Object} entry - Pool entry
+     * @param {Object} message - Reply: id with value and size, or error
+     */
+    _finish(entry, message) {
+      const task = entry.task;
+      if (!task || task.id !== message.id) {
+        return;
+      }
+      
+      entry.task = null;
+      if (entry.worker.unref) {
+        entry.worker.unref();
+      }
+      
+      if (message.error) {
+        const { code, name, section } = message.error;
+        const error = code
+          ? new XRAIFormatError(code, message.error.message, { section: section === null ? undefined : section })
+          : new Error(message.error.message);
+        if (!code && name) {
+          error.name = name;
+        }
+        if (message.bytes) {
+          error.bytes = message.bytes;
+        }
+        task.reject(error);
+      } else {
+        task.resolve({ value: message.value, size: message.size });
+      }
+      
+      this._dispatch();
+    }
+    
+    /**
+     * Drop a worker that failed, rejecting its task; a new worker takes its place when needed
+     * @private
+     * @param {Object} entry - Pool entry
+     * @param {Error} error - What went wrong
+     */
+    _fail(entry, error) {
+      const index = this.workers.indexOf(entry);
+      if (index === -1) {
+        return;
+      }
+      
+      this.workers.splice(index, 1);
+      entry.worker.terminate();
+      if (entry.task) {
+        entry.task.reject(error);
+        entry.task = null;
+      }
+      
+      this._dispatch();
+    }
+  }
+  
+  const XRAIWorkers = {
+    XRAIWorkerPool,
+    getDefaultPoolSize,
+    decodeSectionLocally,
+    handleMessage
+  };
+  
+  // If running in Node.js environment, export the module
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XRAIWorkers;
+  } else {
+    // Make available globally in the browser and in workers
+    root.XRAIWorkers = XRAIWorkers;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);